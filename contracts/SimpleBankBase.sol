@@ -0,0 +1,862 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+// ===== SECURITY IMPORTS =====
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/IERC20MetadataUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+
+// ===== CHAINLINK ORACLE IMPORT =====
+import "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
+
+// State, events, errors and shared internals of SimpleBankV2_1. The bank and
+// its modules all inherit this, so they always agree on the proxy's storage
+// layout: append new state variables, never reorder or remove them.
+abstract contract SimpleBankBase is Initializable, ReentrancyGuardUpgradeable, AccessControlUpgradeable, PausableUpgradeable {
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.AddressSet;
+    
+    // ===== CUSTOM ERRORS (Gas Efficient) =====
+    error InsufficientBalance(uint256 requested, uint256 available);
+    error InvalidAmount(uint256 amount);
+    error StaleOracleData(uint256 lastUpdate, uint256 maxAge);
+    error UnauthorizedAccess(address caller, bytes32 requiredRole);
+    error InvalidIPFSHash(string hash);
+    error MaxReceiptsExceeded(uint256 current, uint256 maximum);
+    error InvalidRecipient(address recipient);
+    error TransferToSelf();
+    error InvalidCommitment(bytes32 commitment);
+    error NoActiveCommitment(address user);
+    error CommitmentAlreadyRevealed(address user);
+    error RevealTooEarly(uint256 revealAfter, uint256 currentTime);
+    error CommitmentExpired(uint256 expiredAt, uint256 currentTime);
+    error CommitmentMismatch(bytes32 expected, bytes32 actual);
+    error InvalidPriceFeed(address feed);
+    error InvalidInterestRate(uint256 rateBps, uint256 maximum);
+    error NoInterestToClaim(address user);
+    error InsufficientInterestReserve(uint256 requested, uint256 available);
+    error UserDailyLimitExceeded(uint256 requested, uint256 remaining);
+    error GlobalDailyLimitExceeded(uint256 requested, uint256 remaining);
+    error InvalidHoldDelay(uint256 delay, uint256 maximum);
+    error InvalidHoldStatus(uint256 holdId, HoldStatus status);
+    error NotHoldOwner(uint256 holdId, address caller);
+    error HoldNotReleased(uint256 holdId, uint256 releaseAt, uint256 currentTime);
+    error EmergencyModeActive();
+    error InsufficientSurplus(uint256 requested, uint256 available);
+    error NoPendingRescue();
+    error RescueNotReady(uint256 executeAfter, uint256 currentTime);
+    error TokenNotSupported(address token);
+    error TokenAlreadySupported(address token);
+    error InvalidToken(address token);
+    error SignatureExpired(uint256 deadline, uint256 currentTime);
+    error InvalidSignature(address expectedSigner, address recoveredSigner);
+    error BatchLengthMismatch(uint256 recipients, uint256 amounts);
+    error InvalidBatchSize(uint256 size, uint256 maximum);
+    error InvalidStandingOrder(string reason);
+    error NotStandingOrderOwner(uint256 orderId, address caller);
+    error StandingOrderNotActive(uint256 orderId);
+    error MaxStandingOrdersExceeded(uint256 current, uint256 maximum);
+    error ReceiptIndexOutOfRange(uint256 index, uint256 length);
+    error InvalidReceiptCount(uint256 count, uint256 length);
+    error LastAdmin(bytes32 role);
+    error IncompleteRoleBackfill(bytes32 role);
+    error NotPendingOwner(address caller, address pendingOwner);
+    error AccountFrozen(address account, uint8 status);
+    error AccountNotFrozen(address account);
+    error FreezeStatusUnchanged(address account, uint8 status);
+    error MissingReasonCode();
+    
+    // ===== ROLE-BASED ACCESS CONTROL =====
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");  // may pause without the timelock
+    
+    // ===== CHAINLINK ORACLE =====
+    AggregatorV3Interface internal priceFeed;
+    
+    // ===== SECURITY CONSTANTS =====
+    uint256 public constant MAX_RECEIPTS_PER_USER = 50;  // DoS prevention
+    uint256 public constant MIN_REVEAL_TIME = 1 minutes; // Front-running protection
+    uint256 public constant MAX_REVEAL_TIME = 1 days;    // Commitments expire after this
+    uint256 public constant MAX_ORACLE_STALENESS = 3600; // 1 hour
+    uint256 public constant LARGE_TRANSACTION_THRESHOLD = 1 ether;
+    uint256 public constant MAX_BATCH_SIZE = 200;        // Keeps batchTransfer under the block gas limit
+    
+    // ===== INTEREST CONSTANTS =====
+    uint256 public constant DEFAULT_INTEREST_RATE_BPS = 500;  // 5% APY
+    uint256 public constant MAX_INTEREST_RATE_BPS = 2000;     // 20% APY
+    uint256 internal constant INTEREST_INDEX_PRECISION = 1e27;
+    
+    // ===== WITHDRAWAL HOLD CONSTANTS =====
+    uint256 public constant DEFAULT_WITHDRAWAL_HOLD_DELAY = 1 days;
+    uint256 public constant MAX_WITHDRAWAL_HOLD_DELAY = 7 days;
+    
+    // ===== EIP-712 SIGNED REQUESTS =====
+    // Domain is rebuilt per call instead of inheriting EIP712Upgradeable, which
+    // would shift the proxy's storage layout
+    bytes32 internal constant EIP712_DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 internal constant EIP712_NAME_HASH = keccak256("SimpleBank");
+    bytes32 internal constant EIP712_VERSION_HASH = keccak256("2.1");
+    bytes32 public constant TRANSFER_TYPEHASH =
+        keccak256("Transfer(address from,address to,uint256 amount,uint256 nonce,uint256 deadline)");
+    bytes32 public constant WITHDRAWAL_TYPEHASH =
+        keccak256("Withdrawal(address from,uint256 amount,uint256 nonce,uint256 deadline)");
+    
+    // ===== STANDING ORDER CONSTANTS =====
+    uint256 public constant MIN_STANDING_ORDER_INTERVAL = 1 hours;
+    uint256 public constant MAX_STANDING_ORDER_INTERVAL = 365 days;
+    uint256 public constant MAX_STANDING_ORDERS_PER_USER = 20;   // DoS prevention
+    uint32 internal constant UNLIMITED_EXECUTIONS = type(uint32).max;
+    
+    // ===== EMERGENCY CONSTANTS =====
+    uint256 public constant SURPLUS_RESCUE_DELAY = 2 days;
+    
+    // ===== DATA STRUCTURES =====
+    
+    struct BankInfo {
+        address owner;              
+        uint96 totalDeposits;       
+        uint32 totalUsers;          
+        bool emergencyMode;         
+    }
+    
+    struct UserAccount {
+        uint128 balance;            
+        uint64 lastActivity;        
+        uint32 transactionCount;    
+        uint32 accountCreated;      
+        bool isActive;              
+    }
+    
+    struct Transaction {
+        uint64 timestamp;           
+        uint128 amount;             
+        uint32 transactionType;     
+        uint32 blockNumber;         
+    }
+    
+    // Interest settled for an account but not yet claimed
+    struct InterestAccount {
+        uint128 accrued;
+        uint128 indexSnapshot;      // interestIndex at the last settlement
+    }
+    
+    // Withdrawals above LARGE_TRANSACTION_THRESHOLD wait here for an operator
+    enum HoldStatus { None, Pending, Approved, Released, Rejected, Cancelled }
+    
+    struct WithdrawalHold {
+        address user;
+        uint128 amount;
+        uint64 requestedAt;
+        uint64 releaseAt;           // earliest time an approved hold can be executed
+        HoldStatus status;
+    }
+    
+    // Amount withdrawn on a given day (block.timestamp / 1 days)
+    struct DailyWithdrawals {
+        uint64 day;
+        uint192 amount;
+    }
+    
+    // Admin recovery of ETH the bank doesn't owe anyone, behind a timelock
+    struct SurplusRescue {
+        address to;
+        uint128 amount;
+        uint64 executeAfter;        // 0 = nothing scheduled
+    }
+    
+    // Recurring transfer, paid by executeDue() once nextExecution has passed.
+    // Ends after its last execution or once nextExecution passes endTime.
+    struct StandingOrder {
+        address owner;
+        uint64 interval;
+        uint32 executionsLeft;      // UNLIMITED_EXECUTIONS = until endTime
+        address recipient;
+        uint64 nextExecution;
+        bool active;
+        uint128 amount;
+        uint64 endTime;             // 0 = no end date
+    }
+    
+    // Allowlisted ERC-20 and its per-token accounting
+    struct TokenConfig {
+        bool supported;             // false once removed: withdrawals only
+        uint8 decimals;
+        AggregatorV3Interface priceFeed;    // token/USD
+        uint256 totalDeposits;
+    }
+    
+    // Point-in-time aggregates for auditors (query at a past block for history)
+    struct AuditSnapshot {
+        uint256 blockNumber;
+        uint256 timestamp;
+        uint256 totalDeposits;
+        uint256 contractBalance;
+        uint256 totalUsers;
+        uint256 accountCount;
+        uint256 interestReserve;
+        uint256 totalAccruedInterest;
+        uint256 totalHeld;
+        uint256 openHolds;
+        uint256 nextTransactionId;
+        bool paused;
+        bool emergencyMode;
+    }
+    
+    // Complete history entry - appended, never overwritten
+    struct HistoryEntry {
+        uint64 transactionId;       // globalTransactionId of the operation
+        uint64 timestamp;
+        uint128 amount;
+        address counterparty;       // other side of a transfer, address(0) otherwise
+        uint32 transactionType;
+        uint8 direction;            // DIRECTION_IN or DIRECTION_OUT
+        uint32 blockNumber;
+    }
+    
+    // One entry of an account's freeze trail. Operator actions carry a reason
+    // code; appeals keep the current status and carry the account's
+    // statement (IPFS hash) instead.
+    struct FreezeRecord {
+        uint8 status;               // FREEZE_* after the entry
+        bytes32 reason;
+        address actor;
+        uint64 timestamp;
+        string statementHash;
+    }
+    
+    struct IPFSData {
+        string profileHash;         
+        string[] transactionReceipts;
+        uint256 lastUpdated;       
+        bool hasProfile;           
+    }
+    
+    // ===== FRONT-RUNNING PROTECTION =====
+    struct Commitment {
+        bytes32 commitHash;
+        uint256 timestamp;
+        bool revealed;
+    }
+    
+    mapping(address => Commitment) internal withdrawalCommitments;
+    
+    // ===== STATE VARIABLES =====
+    
+    BankInfo public bankInfo;
+    mapping(address => UserAccount) public accounts;
+    mapping(address => Transaction[10]) public recentTransactions;
+    mapping(address => uint256) public transactionIndex;
+    mapping(address => IPFSData) public userIPFSData;
+    
+    uint256 public globalTransactionId;
+    
+    // Full per-user history; recentTransactions above only keeps the last 10
+    mapping(address => HistoryEntry[]) internal transactionHistory;
+    
+    // Interest accrual: interestIndex is the cumulative interest earned per
+    // unit of balance (scaled by INTEREST_INDEX_PRECISION) since deployment
+    mapping(address => InterestAccount) internal interestAccounts;
+    uint256 public interestRateBps;
+    uint256 public interestIndex;
+    uint256 public lastInterestUpdate;
+    uint256 public interestReserve;         // admin-funded, pays out claims
+    uint256 public totalAccruedInterest;    // settled but unclaimed
+    
+    // Withdrawal limits (0 = unlimited) and large-withdrawal holds
+    uint256 public userDailyWithdrawalLimit;
+    uint256 public globalDailyWithdrawalLimit;
+    uint256 public withdrawalHoldDelay;
+    mapping(address => DailyWithdrawals) internal userDailyWithdrawals;
+    DailyWithdrawals internal globalDailyWithdrawals;
+    
+    mapping(uint256 => WithdrawalHold) internal withdrawalHolds;
+    mapping(address => uint256) public heldBalance;     // part of balance locked in open holds
+    uint256[] internal openHoldIds;                      // Pending + Approved
+    mapping(uint256 => uint256) internal openHoldIndex;  // holdId => index in openHoldIds + 1
+    uint256 public nextHoldId;
+    
+    // Audit surface: every account ever created and current role members
+    address[] internal accountList;
+    mapping(bytes32 => EnumerableSetUpgradeable.AddressSet) internal roleMembers;
+    uint256 public totalHeldBalance;
+    
+    SurplusRescue public pendingSurplusRescue;
+    
+    // ERC-20 accounts: token => user => balance. tokenList keeps every token
+    // ever allowlisted so removed tokens can still be withdrawn and audited.
+    mapping(address => TokenConfig) internal tokenConfigs;
+    mapping(address => mapping(address => uint256)) internal tokenBalances;
+    address[] internal tokenList;
+    
+    // Next EIP-712 nonce per user; each signed request consumes one
+    mapping(address => uint256) public sigNonces;
+    
+    // Standing orders by id (from 1) and each owner's open orders
+    mapping(uint256 => StandingOrder) internal standingOrders;
+    mapping(address => uint256[]) internal ownerStandingOrders;
+    uint256 public standingOrderCount;
+    
+    // Each user's latest receipt archive (see archiveTransactionReceipts)
+    mapping(address => string) internal receiptArchives;
+    
+    // Proposed by transferOwnership, takes over in acceptOwnership
+    address public pendingOwner;
+    
+    // Per-account freezes (FREEZE_*) and their full trail, appeals included
+    mapping(address => uint8) internal freezeStatus;
+    mapping(address => FreezeRecord[]) internal freezeHistory;
+    
+    // Transaction type constants
+    uint32 constant DEPOSIT = 0;
+    uint32 constant WITHDRAWAL = 1;
+    uint32 constant TRANSFER = 2;
+    uint32 constant INTEREST = 3;
+    
+    // Direction constants (from the user's point of view)
+    uint8 constant DIRECTION_IN = 0;
+    uint8 constant DIRECTION_OUT = 1;
+    
+    // Account freeze statuses
+    uint8 public constant FREEZE_NONE = 0;
+    uint8 public constant FREEZE_FULL = 1;
+    uint8 public constant FREEZE_WITHDRAW_ONLY = 2;    // may still withdraw, nothing else
+    
+    // ===== EVENTS =====
+    
+    event Deposit(address indexed user, uint256 amount, uint256 newBalance, uint256 indexed timestamp, uint256 indexed transactionId);
+    event Withdrawal(address indexed user, uint256 amount, uint256 newBalance, uint256 indexed timestamp, uint256 indexed transactionId);
+    event Transfer(address indexed from, address indexed to, uint256 amount, uint256 indexed timestamp, uint256 transactionId);
+    event BatchTransfer(
+        address indexed from, 
+        address[] recipients, 
+        uint256[] amounts, 
+        uint256 totalAmount, 
+        uint256 indexed timestamp, 
+        uint256 firstTransactionId
+    );
+    event AccountCreated(address indexed user, uint256 indexed timestamp);
+    event EmergencyModeToggled(bool enabled, uint256 timestamp);
+    event LargeTransactionAlert(address indexed user, uint256 amount, string operation);
+    
+    // Security events
+    event SecurityIncident(address indexed user, string incidentType, uint256 timestamp);
+    
+    // Account freeze events (each is also reported as a SecurityIncident)
+    event AccountFreezeChanged(
+        address indexed account, 
+        uint8 previousStatus, 
+        uint8 status, 
+        bytes32 indexed reason, 
+        address indexed operator
+    );
+    event FreezeAppealed(address indexed account, string statementHash, uint256 timestamp);
+    
+    // Ownership events
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    
+    // Oracle & IPFS events
+    event ETHPriceRetrieved(int256 price, uint256 timestamp);
+    event PriceFeedUpdated(address indexed previousFeed, address indexed newFeed, uint256 timestamp);
+    event InterestCalculated(address indexed user, uint256 interest, uint256 timestamp);
+    
+    // Interest events
+    event InterestClaimed(address indexed user, uint256 amount, uint256 newBalance, uint256 indexed timestamp, uint256 indexed transactionId);
+    event InterestRateUpdated(uint256 previousRateBps, uint256 newRateBps, uint256 timestamp);
+    event InterestReserveFunded(address indexed funder, uint256 amount, uint256 newReserve);
+    
+    // Withdrawal limit & hold events
+    event WithdrawalLimitsUpdated(uint256 userDailyLimit, uint256 globalDailyLimit, uint256 timestamp);
+    event WithdrawalHoldDelayUpdated(uint256 previousDelay, uint256 newDelay, uint256 timestamp);
+    event WithdrawalHeld(uint256 indexed holdId, address indexed user, uint256 amount, uint256 releaseAt);
+    event WithdrawalHoldApproved(uint256 indexed holdId, address indexed operator, uint256 timestamp);
+    event WithdrawalHoldRejected(uint256 indexed holdId, address indexed operator, uint256 timestamp);
+    event WithdrawalHoldCancelled(uint256 indexed holdId, address indexed user, uint256 timestamp);
+    event WithdrawalHoldReleased(uint256 indexed holdId, address indexed user, uint256 amount, bool fastTracked);
+    event UserProfileUpdated(address indexed user, string ipfsHash, uint256 timestamp);
+    event TransactionReceiptAdded(address indexed user, string ipfsHash, uint256 timestamp);
+    event TransactionReceiptRemoved(address indexed user, string ipfsHash, uint256 timestamp);
+    event TransactionReceiptsArchived(address indexed user, string archiveHash, uint256 count, uint256 timestamp);
+    
+    // Front-running protection events
+    event WithdrawalCommitted(address indexed user, bytes32 commitment, uint256 timestamp);
+    event WithdrawalRevealed(address indexed user, uint256 amount, uint256 timestamp);
+    
+    // ERC-20 events
+    event TokenSupported(address indexed token, address indexed priceFeed, uint8 decimals);
+    event TokenRemoved(address indexed token, uint256 timestamp);
+    event TokenPriceFeedUpdated(address indexed token, address indexed previousFeed, address indexed newFeed);
+    event TokenDeposit(address indexed token, address indexed user, uint256 amount, uint256 newBalance, uint256 transactionId);
+    event TokenWithdrawal(address indexed token, address indexed user, uint256 amount, uint256 payout, uint256 newBalance, uint256 transactionId);
+    event TokenTransfer(address indexed token, address indexed from, address indexed to, uint256 amount, uint256 transactionId);
+    
+    // Standing order events
+    event StandingOrderCreated(
+        uint256 indexed orderId, 
+        address indexed owner, 
+        address indexed recipient, 
+        uint256 amount, 
+        uint256 interval, 
+        uint256 firstExecution, 
+        uint256 endTime, 
+        uint256 maxExecutions
+    );
+    event StandingOrderExecuted(uint256 indexed orderId, address indexed owner, uint256 amount, uint256 nextExecution, uint256 transactionId);
+    event StandingOrderSkipped(uint256 indexed orderId, address indexed owner, uint256 amount, uint256 available);
+    event StandingOrderCancelled(uint256 indexed orderId, address indexed owner, uint256 timestamp);
+    event StandingOrderCompleted(uint256 indexed orderId, address indexed owner, uint256 timestamp);
+    
+    // Relayed (EIP-712 signed) requests
+    event SignedRequestExecuted(address indexed user, address indexed relayer, bytes32 indexed typeHash, uint256 nonce);
+    
+    // Emergency wind-down events
+    event EmergencyWithdrawal(address indexed user, uint256 amount, uint256 payout, uint256 timestamp);
+    event SurplusRescueScheduled(address indexed to, uint256 amount, uint256 executeAfter);
+    event SurplusRescueCancelled(address indexed to, uint256 amount, uint256 timestamp);
+    event SurplusRescueExecuted(address indexed to, uint256 amount, uint256 timestamp);
+    event SurplusCredited(address indexed user, uint256 amount, uint256 timestamp);
+    
+    // ===== MODIFIERS =====
+    
+    modifier onlyAdmin() {
+        if (!hasRole(ADMIN_ROLE, msg.sender)) {
+            revert UnauthorizedAccess(msg.sender, ADMIN_ROLE);
+        }
+        _;
+    }
+    
+    modifier onlyOperator() {
+        if (!hasRole(OPERATOR_ROLE, msg.sender) && !hasRole(ADMIN_ROLE, msg.sender)) {
+            revert UnauthorizedAccess(msg.sender, OPERATOR_ROLE);
+        }
+        _;
+    }
+    
+    modifier onlyGuardian() {
+        if (!hasRole(GUARDIAN_ROLE, msg.sender) && !hasRole(ADMIN_ROLE, msg.sender)) {
+            revert UnauthorizedAccess(msg.sender, GUARDIAN_ROLE);
+        }
+        _;
+    }
+    
+    modifier onlyAuditor() {
+        if (!hasRole(AUDITOR_ROLE, msg.sender) && !hasRole(ADMIN_ROLE, msg.sender)) {
+            revert UnauthorizedAccess(msg.sender, AUDITOR_ROLE);
+        }
+        _;
+    }
+    
+    // Emergency mode is a wind-down: no new money in, no money moving between accounts
+    modifier whenNotEmergency() {
+        if (bankInfo.emergencyMode) {
+            revert EmergencyModeActive();
+        }
+        _;
+    }
+    
+    modifier validAmount(uint256 _amount) {
+        if (_amount == 0 || _amount > type(uint128).max) {
+            revert InvalidAmount(_amount);
+        }
+        _;
+    }
+    
+    // Funds locked in open withdrawal holds can't be spent twice
+    modifier hasSufficientBalance(uint256 _amount) {
+        _requireAvailableBalance(msg.sender, _amount);
+        _;
+    }
+    
+    modifier validIPFSHash(string memory _hash) {
+        if (bytes(_hash).length == 0) {
+            revert InvalidIPFSHash(_hash);
+        }
+        _;
+    }
+    
+    modifier receiptsNotExceeded() {
+        if (userIPFSData[msg.sender].transactionReceipts.length >= MAX_RECEIPTS_PER_USER) {
+            revert MaxReceiptsExceeded(
+                userIPFSData[msg.sender].transactionReceipts.length, 
+                MAX_RECEIPTS_PER_USER
+            );
+        }
+        _;
+    }
+    
+    // ===== SHARED VIEWS =====
+    
+    function getAvailableBalance(address _user) public view returns (uint256) {
+        return accounts[_user].balance - heldBalance[_user];
+    }
+    
+    // ETH held beyond user balances and the interest reserve
+    function getSurplus() public view returns (uint256) {
+        uint256 owed = uint256(bankInfo.totalDeposits) + interestReserve;
+        return address(this).balance > owed ? address(this).balance - owed : 0;
+    }
+    
+    // Fraction of a balance an emergency withdrawal pays out, scaled by 1e18
+    function getEmergencyPayoutRatio() public view returns (uint256) {
+        uint256 totalDeposits = bankInfo.totalDeposits;
+        if (totalDeposits == 0) {
+            return 1e18;
+        }
+        uint256 assets = address(this).balance > interestReserve ? address(this).balance - interestReserve : 0;
+        return assets >= totalDeposits ? 1e18 : (assets * 1e18) / totalDeposits;
+    }
+    
+    function getWithdrawalCommitmentHash(address _user, uint256 _amount, bytes32 _salt) 
+        public 
+        view 
+        returns (bytes32) 
+    {
+        return keccak256(abi.encode(block.chainid, address(this), _user, _amount, _salt));
+    }
+    
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            EIP712_DOMAIN_TYPEHASH,
+            EIP712_NAME_HASH,
+            EIP712_VERSION_HASH,
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    // ===== INTERNAL FUNCTIONS =====
+    
+    // Shared by deposit(), depositFor(), receive() and creditSurplus() - the
+    // caller is responsible for the ETH actually being in the contract
+    function _deposit(address _user, uint256 _amount) internal {
+        _requireNotFrozen(_user, false);
+        _accrueInterest(_user);
+        
+        UserAccount memory userAccount = accounts[_user];
+        bool isNewUser = !userAccount.isActive;
+        
+        // Effects first (CEI pattern)
+        userAccount.balance += uint128(_amount);
+        userAccount.lastActivity = uint64(block.timestamp);
+        userAccount.transactionCount++;
+        userAccount.isActive = true;
+        
+        if (isNewUser) {
+            userAccount.accountCreated = uint32(block.timestamp);
+            bankInfo.totalUsers++;
+            accountList.push(_user);
+            emit AccountCreated(_user, block.timestamp);
+        }
+        
+        accounts[_user] = userAccount;
+        bankInfo.totalDeposits += uint96(_amount);
+        
+        _recordTransaction(_user, uint128(_amount), DEPOSIT, address(0), DIRECTION_IN);
+        
+        emit Deposit(_user, _amount, userAccount.balance, block.timestamp, globalTransactionId);
+        
+        if (_amount >= LARGE_TRANSACTION_THRESHOLD) {
+            emit LargeTransactionAlert(_user, _amount, "deposit");
+        }
+        
+        globalTransactionId++;
+    }
+    
+    // Large withdrawals are queued for operator review instead of paid out.
+    // In emergency mode every withdrawal is paid pro rata straight away.
+    function _withdrawOrHold(address _user, uint256 _amount) internal {
+        _requireNotFrozen(_user, true);
+        if (bankInfo.emergencyMode) {
+            _executeEmergencyWithdrawal(_user, _amount);
+        } else if (_amount > LARGE_TRANSACTION_THRESHOLD) {
+            _createWithdrawalHold(_user, _amount);
+        } else {
+            _executeWithdrawal(_user, _amount);
+        }
+    }
+    
+    function _executeWithdrawal(address _user, uint256 _amount) internal {
+        _consumeDailyWithdrawalAllowance(_user, _amount);
+        _accrueInterest(_user);
+        
+        UserAccount memory userAccount = accounts[_user];
+        
+        // Effects first (CEI pattern)
+        userAccount.balance -= uint128(_amount);
+        userAccount.lastActivity = uint64(block.timestamp);
+        userAccount.transactionCount++;
+        
+        accounts[_user] = userAccount;
+        bankInfo.totalDeposits -= uint96(_amount);
+        
+        _recordTransaction(_user, uint128(_amount), WITHDRAWAL, address(0), DIRECTION_OUT);
+        
+        // Interaction last
+        (bool success, ) = payable(_user).call{value: _amount}("");
+        require(success, "Transfer failed");
+        
+        emit Withdrawal(_user, _amount, userAccount.balance, block.timestamp, globalTransactionId);
+        
+        if (_amount >= LARGE_TRANSACTION_THRESHOLD) {
+            emit LargeTransactionAlert(_user, _amount, "withdrawal");
+        }
+        
+        globalTransactionId++;
+    }
+    
+    // Debits the full amount but pays out only the caller's share of what the
+    // contract actually holds, so a shortfall is split evenly instead of going
+    // to whoever withdraws first. Daily limits and holds don't apply.
+    function _executeEmergencyWithdrawal(address _user, uint256 _amount) internal {
+        _accrueInterest(_user);
+        
+        uint256 payout = (_amount * getEmergencyPayoutRatio()) / 1e18;
+        UserAccount memory userAccount = accounts[_user];
+        
+        // Effects first (CEI pattern)
+        userAccount.balance -= uint128(_amount);
+        userAccount.lastActivity = uint64(block.timestamp);
+        userAccount.transactionCount++;
+        
+        accounts[_user] = userAccount;
+        bankInfo.totalDeposits -= uint96(_amount);
+        
+        _recordTransaction(_user, uint128(_amount), WITHDRAWAL, address(0), DIRECTION_OUT);
+        
+        // Interaction last
+        (bool success, ) = payable(_user).call{value: payout}("");
+        require(success, "Transfer failed");
+        
+        emit Withdrawal(_user, _amount, userAccount.balance, block.timestamp, globalTransactionId);
+        emit EmergencyWithdrawal(_user, _amount, payout, block.timestamp);
+        
+        globalTransactionId++;
+    }
+    
+    function _transfer(address _from, address _to, uint256 _amount) internal {
+        if (_to == address(0)) {
+            revert InvalidRecipient(_to);
+        }
+        if (_to == _from) {
+            revert TransferToSelf();
+        }
+        _requireNotFrozen(_from, false);
+        _requireNotFrozen(_to, false);
+        
+        _accrueInterest(_from);
+        _accrueInterest(_to);
+        
+        UserAccount memory fromAccount = accounts[_from];
+        UserAccount memory toAccount = accounts[_to];
+        
+        bool isNewRecipient = !toAccount.isActive;
+        
+        // Effects (CEI pattern)
+        fromAccount.balance -= uint128(_amount);
+        fromAccount.lastActivity = uint64(block.timestamp);
+        fromAccount.transactionCount++;
+        
+        toAccount.balance += uint128(_amount);
+        toAccount.lastActivity = uint64(block.timestamp);
+        toAccount.transactionCount++;
+        toAccount.isActive = true;
+        
+        if (isNewRecipient) {
+            toAccount.accountCreated = uint32(block.timestamp);
+            bankInfo.totalUsers++;
+            accountList.push(_to);
+            emit AccountCreated(_to, block.timestamp);
+        }
+        
+        accounts[_from] = fromAccount;
+        accounts[_to] = toAccount;
+        
+        _recordTransaction(_from, uint128(_amount), TRANSFER, _to, DIRECTION_OUT);
+        _recordTransaction(_to, uint128(_amount), TRANSFER, _from, DIRECTION_IN);
+        
+        emit Transfer(_from, _to, _amount, block.timestamp, globalTransactionId);
+        
+        if (_amount >= LARGE_TRANSACTION_THRESHOLD) {
+            emit LargeTransactionAlert(_from, _amount, "transfer");
+        }
+        
+        globalTransactionId++;
+    }
+    
+    // Keep role members enumerable for auditors
+    function _grantRole(bytes32 _role, address _account) internal override {
+        super._grantRole(_role, _account);
+        roleMembers[_role].add(_account);
+    }
+    
+    // Covers revokeRole and renounceRole: the bank always keeps an admin
+    function _revokeRole(bytes32 _role, address _account) internal override {
+        if (
+            (_role == ADMIN_ROLE || _role == DEFAULT_ADMIN_ROLE) &&
+            hasRole(_role, _account) &&
+            roleMembers[_role].length() == 1
+        ) {
+            revert LastAdmin(_role);
+        }
+        super._revokeRole(_role, _account);
+        roleMembers[_role].remove(_account);
+    }
+    
+    // Withdrawals pass for FREEZE_WITHDRAW_ONLY accounts; nothing else does
+    function _requireNotFrozen(address _account, bool _isWithdrawal) internal view {
+        uint8 status = freezeStatus[_account];
+        if (status == FREEZE_FULL || (status == FREEZE_WITHDRAW_ONLY && !_isWithdrawal)) {
+            revert AccountFrozen(_account, status);
+        }
+    }
+    
+    function _requireAvailableBalance(address _user, uint256 _amount) internal view {
+        uint256 available = getAvailableBalance(_user);
+        if (available < _amount) {
+            revert InsufficientBalance(_amount, available);
+        }
+    }
+    
+    function _readPrice(AggregatorV3Interface _feed) internal view returns (int256 price, uint256 timestamp) {
+        (
+            , // roundID - unused
+            int256 answer,
+            , // startedAt - unused
+            uint256 timeStamp,
+              // answeredInRound - unused
+        ) = _feed.latestRoundData();
+        
+        // Enhanced validation
+        require(timeStamp > 0, "Round not complete");
+        
+        if (block.timestamp - timeStamp > MAX_ORACLE_STALENESS) {
+            revert StaleOracleData(timeStamp, MAX_ORACLE_STALENESS);
+        }
+        
+        require(answer > 0, "Invalid price data");
+        
+        return (answer, timeStamp);
+    }
+    
+    function _currentInterestIndex() internal view returns (uint256) {
+        if (lastInterestUpdate == 0) {
+            return interestIndex;
+        }
+        uint256 elapsed = block.timestamp - lastInterestUpdate;
+        return interestIndex + (interestRateBps * elapsed * INTEREST_INDEX_PRECISION) / (10000 * 365 days);
+    }
+    
+    function _updateInterestIndex() internal {
+        interestIndex = _currentInterestIndex();
+        lastInterestUpdate = block.timestamp;
+    }
+    
+    function _pendingInterest(address _user, uint256 _index) internal view returns (uint256) {
+        uint256 elapsedIndex = _index - interestAccounts[_user].indexSnapshot;
+        return (uint256(accounts[_user].balance) * elapsedIndex) / INTEREST_INDEX_PRECISION;
+    }
+    
+    // Settles interest earned at the old balance - must run before every balance change
+    function _accrueInterest(address _user) internal {
+        _updateInterestIndex();
+        
+        uint256 interest = _pendingInterest(_user, interestIndex);
+        interestAccounts[_user].indexSnapshot = uint128(interestIndex);
+        
+        if (interest > 0) {
+            interestAccounts[_user].accrued += uint128(interest);
+            totalAccruedInterest += interest;
+            emit InterestCalculated(_user, interest, block.timestamp);
+        }
+    }
+    
+    function _createWithdrawalHold(address _user, uint256 _amount) internal {
+        uint256 holdId = nextHoldId++;
+        uint256 releaseAt = block.timestamp + withdrawalHoldDelay;
+        
+        withdrawalHolds[holdId] = WithdrawalHold({
+            user: _user,
+            amount: uint128(_amount),
+            requestedAt: uint64(block.timestamp),
+            releaseAt: uint64(releaseAt),
+            status: HoldStatus.Pending
+        });
+        heldBalance[_user] += _amount;
+        totalHeldBalance += _amount;
+        
+        openHoldIds.push(holdId);
+        openHoldIndex[holdId] = openHoldIds.length;
+        
+        emit WithdrawalHeld(holdId, _user, _amount, releaseAt);
+    }
+    
+    function _remainingAllowance(DailyWithdrawals memory _withdrawn, uint256 _limit) internal view returns (uint256) {
+        if (_limit == 0) {
+            return type(uint256).max;
+        }
+        uint256 withdrawnToday = _withdrawn.day == block.timestamp / 1 days ? _withdrawn.amount : 0;
+        return withdrawnToday >= _limit ? 0 : _limit - withdrawnToday;
+    }
+    
+    function _consumeDailyWithdrawalAllowance(address _user, uint256 _amount) internal {
+        uint64 today = uint64(block.timestamp / 1 days);
+        
+        uint256 userRemaining = _remainingAllowance(userDailyWithdrawals[_user], userDailyWithdrawalLimit);
+        if (_amount > userRemaining) {
+            revert UserDailyLimitExceeded(_amount, userRemaining);
+        }
+        uint256 globalRemaining = _remainingAllowance(globalDailyWithdrawals, globalDailyWithdrawalLimit);
+        if (_amount > globalRemaining) {
+            revert GlobalDailyLimitExceeded(_amount, globalRemaining);
+        }
+        
+        _addDailyWithdrawal(userDailyWithdrawals[_user], today, _amount);
+        _addDailyWithdrawal(globalDailyWithdrawals, today, _amount);
+    }
+    
+    function _addDailyWithdrawal(DailyWithdrawals storage _withdrawn, uint64 _today, uint256 _amount) internal {
+        if (_withdrawn.day != _today) {
+            _withdrawn.day = _today;
+            _withdrawn.amount = 0;
+        }
+        _withdrawn.amount += uint192(_amount);
+    }
+    
+    function _recordTransaction(
+        address _user, 
+        uint128 _amount, 
+        uint32 _type, 
+        address _counterparty, 
+        uint8 _direction
+    ) internal {
+        uint256 index = transactionIndex[_user] % 10;
+        
+        recentTransactions[_user][index] = Transaction({
+            timestamp: uint64(block.timestamp),
+            amount: _amount,
+            transactionType: _type,
+            blockNumber: uint32(block.number)
+        });
+        
+        transactionIndex[_user]++;
+        
+        // Called before globalTransactionId is incremented for this operation
+        transactionHistory[_user].push(HistoryEntry({
+            transactionId: uint64(globalTransactionId),
+            timestamp: uint64(block.timestamp),
+            amount: _amount,
+            counterparty: _counterparty,
+            transactionType: _type,
+            direction: _direction,
+            blockNumber: uint32(block.number)
+        }));
+    }
+}
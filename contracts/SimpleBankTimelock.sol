@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+// Holds ADMIN_ROLE on SimpleBankV2_1. Admin calls are proposed, wait out
+// their delay in the queue, then get executed - or cancelled by a proposer.
+// On top of the global minimum delay, each function selector can require a
+// longer delay, so action classes (roles, funds, config...) wait differently.
+contract SimpleBankTimelock is TimelockController {
+
+    error ActionDelayTooShort(bytes4 selector, uint256 delay, uint256 minimum);
+    error ActionDelayConfigMismatch(uint256 selectors, uint256 delays);
+
+    // selector => minimum delay; 0 falls back to getMinDelay()
+    mapping(bytes4 => uint256) private _actionDelays;
+
+    event ActionDelayChange(bytes4 indexed selector, uint256 oldDuration, uint256 newDuration);
+
+    constructor(
+        uint256 _minDelay,
+        address[] memory _proposers,
+        address[] memory _executors,
+        bytes4[] memory _selectors,
+        uint256[] memory _delays
+    ) TimelockController(_minDelay, _proposers, _executors, address(0)) {
+        if (_selectors.length != _delays.length) {
+            revert ActionDelayConfigMismatch(_selectors.length, _delays.length);
+        }
+        for (uint256 i = 0; i < _selectors.length; i++) {
+            _setActionDelay(_selectors[i], _delays[i]);
+        }
+    }
+
+    // Delay a call to `_selector` must be scheduled with
+    function getActionDelay(bytes4 _selector) public view returns (uint256) {
+        uint256 actionDelay = _actionDelays[_selector];
+        uint256 minDelay = getMinDelay();
+        return actionDelay > minDelay ? actionDelay : minDelay;
+    }
+
+    // Like updateDelay(), only callable by the timelock itself (i.e. queued)
+    function updateActionDelay(bytes4 _selector, uint256 _newDelay) external {
+        if (msg.sender != address(this)) {
+            revert TimelockUnauthorizedCaller(msg.sender);
+        }
+        _setActionDelay(_selector, _newDelay);
+    }
+
+    function schedule(
+        address target,
+        uint256 value,
+        bytes calldata data,
+        bytes32 predecessor,
+        bytes32 salt,
+        uint256 delay
+    ) public override {
+        _checkActionDelay(data, delay);
+        super.schedule(target, value, data, predecessor, salt, delay);
+    }
+
+    // A batch waits as long as its slowest call requires
+    function scheduleBatch(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata payloads,
+        bytes32 predecessor,
+        bytes32 salt,
+        uint256 delay
+    ) public override {
+        for (uint256 i = 0; i < payloads.length; i++) {
+            _checkActionDelay(payloads[i], delay);
+        }
+        super.scheduleBatch(targets, values, payloads, predecessor, salt, delay);
+    }
+
+    function _checkActionDelay(bytes calldata _data, uint256 _delay) internal view {
+        bytes4 selector = _data.length >= 4 ? bytes4(_data[:4]) : bytes4(0);
+        uint256 minimum = getActionDelay(selector);
+        if (_delay < minimum) {
+            revert ActionDelayTooShort(selector, _delay, minimum);
+        }
+    }
+
+    function _setActionDelay(bytes4 _selector, uint256 _newDelay) internal {
+        emit ActionDelayChange(_selector, _actionDelays[_selector], _newDelay);
+        _actionDelays[_selector] = _newDelay;
+    }
+}
@@ -1,168 +1,49 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.30;
 
-// ===== SECURITY IMPORTS =====
-import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "./SimpleBankBase.sol";
 
-// ===== CHAINLINK ORACLE IMPORT =====
-import "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
-
-contract SimpleBankV2_1 is Initializable, ReentrancyGuardUpgradeable, AccessControlUpgradeable, PausableUpgradeable {
-    
-    // ===== CUSTOM ERRORS (Gas Efficient) =====
-    error InsufficientBalance(uint256 requested, uint256 available);
-    error InvalidAmount(uint256 amount);
-    error StaleOracleData(uint256 lastUpdate, uint256 maxAge);
-    error UnauthorizedAccess(address caller, bytes32 requiredRole);
-    error InvalidIPFSHash(string hash);
-    error MaxReceiptsExceeded(uint256 current, uint256 maximum);
-    error InvalidRecipient(address recipient);
-    error TransferToSelf();
-    
-    // ===== ROLE-BASED ACCESS CONTROL =====
-    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
-    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
-    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
-    
-    // ===== CHAINLINK ORACLE =====
-    AggregatorV3Interface internal priceFeed;
-    
-    // ===== SECURITY CONSTANTS =====
-    uint256 public constant MAX_RECEIPTS_PER_USER = 50;  // DoS prevention
-    uint256 public constant MIN_REVEAL_TIME = 1 minutes; // Front-running protection
-    uint256 public constant MAX_ORACLE_STALENESS = 3600; // 1 hour
-    uint256 public constant LARGE_TRANSACTION_THRESHOLD = 1 ether;
-    
-    // ===== DATA STRUCTURES =====
-    
-    struct BankInfo {
-        address owner;              
-        uint96 totalDeposits;       
-        uint32 totalUsers;          
-        bool emergencyMode;         
-    }
-    
-    struct UserAccount {
-        uint128 balance;            
-        uint64 lastActivity;        
-        uint32 transactionCount;    
-        uint32 accountCreated;      
-        bool isActive;              
-    }
-    
-    struct Transaction {
-        uint64 timestamp;           
-        uint128 amount;             
-        uint32 transactionType;     
-        uint32 blockNumber;         
-    }
-    
-    struct IPFSData {
-        string profileHash;         
-        string[] transactionReceipts;
-        uint256 lastUpdated;       
-        bool hasProfile;           
-    }
-    
-    // ===== FRONT-RUNNING PROTECTION =====
-    struct Commitment {
-        bytes32 commitHash;
-        uint256 timestamp;
-        bool revealed;
-    }
-    
-    mapping(address => Commitment) private withdrawalCommitments;
-    
-    // ===== STATE VARIABLES =====
+// State, events and errors live in SimpleBankBase. To keep each contract under
+// the 24 KB code size limit, functions whose body is just _delegate(...) are
+// implemented in SimpleBankPayments or SimpleBankAccounts (contracts/modules).
+contract SimpleBankV2_1 is SimpleBankBase {
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.AddressSet;
     
-    BankInfo public bankInfo;
-    mapping(address => UserAccount) public accounts;
-    mapping(address => Transaction[10]) public recentTransactions;
-    mapping(address => uint256) public transactionIndex;
-    mapping(address => IPFSData) public userIPFSData;
+    error InvalidModule(address module);
     
-    uint256 public globalTransactionId;
+    // Deployed alongside each implementation (scripts/utils/modules.js)
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable paymentsModule;
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable accountsModule;
     
-    // Transaction type constants
-    uint32 constant DEPOSIT = 0;
-    uint32 constant WITHDRAWAL = 1;
-    uint32 constant TRANSFER = 2;
-    
-    // ===== EVENTS =====
-    
-    event Deposit(address indexed user, uint256 amount, uint256 newBalance, uint256 indexed timestamp, uint256 indexed transactionId);
-    event Withdrawal(address indexed user, uint256 amount, uint256 newBalance, uint256 indexed timestamp, uint256 indexed transactionId);
-    event Transfer(address indexed from, address indexed to, uint256 amount, uint256 indexed timestamp, uint256 transactionId);
-    event AccountCreated(address indexed user, uint256 indexed timestamp);
-    event EmergencyModeToggled(bool enabled, uint256 timestamp);
-    event LargeTransactionAlert(address indexed user, uint256 amount, string operation);
-    
-    // Security events
-    event SecurityIncident(address indexed user, string incidentType, uint256 timestamp);
-    
-    // Oracle & IPFS events
-    event ETHPriceRetrieved(int256 price, uint256 timestamp);
-    event InterestCalculated(address indexed user, uint256 interest, uint256 timestamp);
-    event UserProfileUpdated(address indexed user, string ipfsHash, uint256 timestamp);
-    event TransactionReceiptAdded(address indexed user, string ipfsHash, uint256 timestamp);
-    
-    // Front-running protection events
-    event WithdrawalCommitted(address indexed user, bytes32 commitment, uint256 timestamp);
-    event WithdrawalRevealed(address indexed user, uint256 amount, uint256 timestamp);
-    
-    // ===== MODIFIERS =====
-    
-    modifier onlyAdmin() {
-        if (!hasRole(ADMIN_ROLE, msg.sender)) {
-            revert UnauthorizedAccess(msg.sender, ADMIN_ROLE);
-        }
-        _;
-    }
-    
-    modifier onlyOperator() {
-        if (!hasRole(OPERATOR_ROLE, msg.sender) && !hasRole(ADMIN_ROLE, msg.sender)) {
-            revert UnauthorizedAccess(msg.sender, OPERATOR_ROLE);
-        }
-        _;
-    }
-    
-    modifier validAmount(uint256 _amount) {
-        if (_amount == 0 || _amount > type(uint128).max) {
-            revert InvalidAmount(_amount);
-        }
-        _;
-    }
+    // ===== INITIALIZATION (instead of constructor for upgradeable) =====
     
-    modifier hasSufficientBalance(uint256 _amount) {
-        if (accounts[msg.sender].balance < _amount) {
-            revert InsufficientBalance(_amount, accounts[msg.sender].balance);
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _paymentsModule, address _accountsModule) {
+        if (_paymentsModule.code.length == 0) {
+            revert InvalidModule(_paymentsModule);
         }
-        _;
-    }
-    
-    modifier validIPFSHash(string memory _hash) {
-        if (bytes(_hash).length == 0) {
-            revert InvalidIPFSHash(_hash);
+        if (_accountsModule.code.length == 0) {
+            revert InvalidModule(_accountsModule);
         }
-        _;
+        paymentsModule = _paymentsModule;
+        accountsModule = _accountsModule;
+        
+        // Lock the implementation - only proxies can be initialized
+        _disableInitializers();
     }
     
-    modifier receiptsNotExceeded() {
-        if (userIPFSData[msg.sender].transactionReceipts.length >= MAX_RECEIPTS_PER_USER) {
-            revert MaxReceiptsExceeded(
-                userIPFSData[msg.sender].transactionReceipts.length, 
-                MAX_RECEIPTS_PER_USER
-            );
-        }
+    // Runs before reinitializer(2) bumps the version: only proxies nobody
+    // has initialized yet may run initialize()
+    modifier onlyUninitialized() {
+        require(_getInitializedVersion() == 0, "Initializable: contract is already initialized");
         _;
     }
     
-    // ===== INITIALIZATION (instead of constructor for upgradeable) =====
-    
-    function initialize() public initializer {
+    // Fresh proxies start at version 2 so initializeV2, meant for proxies
+    // upgraded from version 1, can't be called on them by anyone
+    function initialize(address _priceFeed) public onlyUninitialized reinitializer(2) {
         __ReentrancyGuard_init();
         __AccessControl_init();
         __Pausable_init();
@@ -172,6 +53,7 @@ contract SimpleBankV2_1 is Initializable, ReentrancyGuardUpgradeable, AccessCont
         _grantRole(ADMIN_ROLE, msg.sender);
         _grantRole(OPERATOR_ROLE, msg.sender);
         _grantRole(AUDITOR_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
         
         // Initialize bank info
         bankInfo = BankInfo({
@@ -183,31 +65,58 @@ contract SimpleBankV2_1 is Initializable, ReentrancyGuardUpgradeable, AccessCont
         
         globalTransactionId = 1;
         
-        // Initialize Chainlink ETH/USD price feed (Ethereum Mainnet)
-        priceFeed = AggregatorV3Interface(0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419);
+        interestRateBps = DEFAULT_INTEREST_RATE_BPS;
+        lastInterestUpdate = block.timestamp;
+        
+        withdrawalHoldDelay = DEFAULT_WITHDRAWAL_HOLD_DELAY;
+        nextHoldId = 1;
+        
+        // Chainlink ETH/USD price feed for the target network
+        _setPriceFeed(_priceFeed);
+    }
+    
+    // Sets up storage added since the proxy was first deployed. Proxies
+    // initialized by an older implementation run it once, as the upgrade's
+    // call (scripts/upgrade.js); proxies initialized by initialize() are
+    // already at version 2 and can't run it.
+    // _roleHolders are the accounts ever granted a role (from RoleGranted
+    // logs): those still holding one are added to the enumerable role sets.
+    function initializeV2(address[] calldata _roleHolders) external reinitializer(2) {
+        bytes32[5] memory roles = [DEFAULT_ADMIN_ROLE, ADMIN_ROLE, OPERATOR_ROLE, AUDITOR_ROLE, GUARDIAN_ROLE];
+        for (uint256 i = 0; i < roles.length; i++) {
+            for (uint256 j = 0; j < _roleHolders.length; j++) {
+                if (hasRole(roles[i], _roleHolders[j])) {
+                    roleMembers[roles[i]].add(_roleHolders[j]);
+                }
+            }
+        }
+        // The last-admin guard counts these sets, so they must not be empty
+        if (roleMembers[DEFAULT_ADMIN_ROLE].length() == 0) {
+            revert IncompleteRoleBackfill(DEFAULT_ADMIN_ROLE);
+        }
+        if (roleMembers[ADMIN_ROLE].length() == 0) {
+            revert IncompleteRoleBackfill(ADMIN_ROLE);
+        }
+        
+        if (lastInterestUpdate == 0) {
+            interestRateBps = DEFAULT_INTEREST_RATE_BPS;
+            lastInterestUpdate = block.timestamp;
+        }
+        // Hold ids start at 1 - 0 means "no hold"
+        if (nextHoldId == 0) {
+            withdrawalHoldDelay = DEFAULT_WITHDRAWAL_HOLD_DELAY;
+            nextHoldId = 1;
+        }
     }
     
     // ===== ORACLE FUNCTIONS (Enhanced Security) =====
     
     function getLatestETHPrice() public view returns (int256 price, uint256 timestamp) {
-        (
-            , // roundID - unused
-            int256 ethPrice,
-            , // startedAt - unused
-            uint256 timeStamp,
-              // answeredInRound - unused
-        ) = priceFeed.latestRoundData();
-        
-        // Enhanced validation
-        require(timeStamp > 0, "Round not complete");
-        
-        if (block.timestamp - timeStamp > MAX_ORACLE_STALENESS) {
-            revert StaleOracleData(timeStamp, MAX_ORACLE_STALENESS);
-        }
-        
-        require(ethPrice > 0, "Invalid price data");
-        
-        return (ethPrice, timeStamp);
+        return _readPrice(priceFeed);
+    }
+    
+    function getPriceFeed() external view returns (address) {
+        return address(priceFeed);
     }
     
     function getBalanceInUSD(address _user) public view returns (uint256 usdBalance) {
@@ -218,52 +127,112 @@ contract SimpleBankV2_1 is Initializable, ReentrancyGuardUpgradeable, AccessCont
         return (ethBalance * uint256(ethPrice)) / 1e18;
     }
     
-    function calculateInterest(address _user) public view returns (uint256 interest) {
-        UserAccount memory account = accounts[_user];
-        if (!account.isActive || account.balance == 0) {
-            return 0;
+    // ===== ERC-20 ACCOUNTS =====
+    
+    function depositToken(address, uint256) external {
+        _delegate(accountsModule);
+    }
+    
+    function withdrawToken(address, uint256) external {
+        _delegate(accountsModule);
+    }
+    
+    function transferToken(address, address, uint256) external {
+        _delegate(accountsModule);
+    }
+    
+    function getTokenBalance(address _token, address _user) external view returns (uint256) {
+        return tokenBalances[_token][_user];
+    }
+    
+    // Token balance valued with the token's own feed (feed decimals, like getBalanceInUSD)
+    function getTokenBalanceInUSD(address _token, address _user) external view returns (uint256 usdBalance) {
+        TokenConfig memory config = tokenConfigs[_token];
+        if (address(config.priceFeed) == address(0)) {
+            revert TokenNotSupported(_token);
         }
-        
-        (int256 ethPrice, ) = getLatestETHPrice();
-        
-        // Dynamic interest rate with bounds checking
-        uint256 baseRate = 5; // 5% annual base rate
-        uint256 bonusRate = uint256(ethPrice) > 2000 * 1e8 ? 2 : 0; // +2% if ETH > $2000
-        uint256 totalRate = baseRate + bonusRate;
-        
-        // Prevent overflow in time calculation
-        uint256 timeHeld = block.timestamp - account.lastActivity;
-        if (timeHeld > 365 days) {
-            timeHeld = 365 days; // Cap at 1 year
+        (int256 price, ) = _readPrice(config.priceFeed);
+        return (tokenBalances[_token][_user] * uint256(price)) / (10 ** config.decimals);
+    }
+    
+    function getTokenStats(address _token) external view returns (
+        bool supported,
+        uint8 decimals,
+        address tokenPriceFeed,
+        uint256 totalDeposits,
+        uint256 contractBalance
+    ) {
+        TokenConfig memory config = tokenConfigs[_token];
+        if (address(config.priceFeed) == address(0)) {
+            revert TokenNotSupported(_token);
         }
-        
-        return (account.balance * totalRate * timeHeld) / (100 * 365 days);
+        return (
+            config.supported,
+            config.decimals,
+            address(config.priceFeed),
+            config.totalDeposits,
+            IERC20Upgradeable(_token).balanceOf(address(this))
+        );
+    }
+    
+    // Every token ever allowlisted, including removed ones
+    function getTokens() external view returns (address[] memory) {
+        return tokenList;
+    }
+    
+    function addSupportedToken(address, address) external {
+        _delegate(accountsModule);
+    }
+    
+    function removeSupportedToken(address) external {
+        _delegate(accountsModule);
+    }
+    
+    function setTokenPriceFeed(address, address) external {
+        _delegate(accountsModule);
+    }
+    
+    // ===== INTEREST ACCRUAL =====
+    
+    // Settled plus pending interest - what claimInterest() would pay right now
+    function calculateInterest(address _user) public view returns (uint256 interest) {
+        InterestAccount memory interestAccount = interestAccounts[_user];
+        return interestAccount.accrued + _pendingInterest(_user, _currentInterestIndex());
+    }
+    
+    function claimInterest() external {
+        _delegate(paymentsModule);
+    }
+    
+    function fundInterestReserve() external payable onlyAdmin {
+        if (msg.value == 0) {
+            revert InvalidAmount(msg.value);
+        }
+        interestReserve += msg.value;
+        emit InterestReserveFunded(msg.sender, msg.value, interestReserve);
+    }
+    
+    function setInterestRate(uint256) external {
+        _delegate(accountsModule);
+    }
+    
+    function getInterestStats() external view returns (
+        uint256 rateBps,
+        uint256 reserve,
+        uint256 totalAccrued,
+        uint256 index
+    ) {
+        return (interestRateBps, interestReserve, totalAccruedInterest, _currentInterestIndex());
     }
     
     // ===== IPFS FUNCTIONS (Enhanced Security) =====
     
-    function setUserProfile(string memory _ipfsHash) 
-        public 
-        validIPFSHash(_ipfsHash) 
-        whenNotPaused 
-    {
-        userIPFSData[msg.sender].profileHash = _ipfsHash;
-        userIPFSData[msg.sender].lastUpdated = block.timestamp;
-        userIPFSData[msg.sender].hasProfile = true;
-        
-        emit UserProfileUpdated(msg.sender, _ipfsHash, block.timestamp);
+    function setUserProfile(string calldata) external {
+        _delegate(accountsModule);
     }
     
-    function addTransactionReceipt(string memory _ipfsHash) 
-        public 
-        validIPFSHash(_ipfsHash) 
-        receiptsNotExceeded 
-        whenNotPaused 
-    {
-        userIPFSData[msg.sender].transactionReceipts.push(_ipfsHash);
-        userIPFSData[msg.sender].lastUpdated = block.timestamp;
-        
-        emit TransactionReceiptAdded(msg.sender, _ipfsHash, block.timestamp);
+    function addTransactionReceipt(string calldata) external {
+        _delegate(accountsModule);
     }
     
     function getUserProfile(address _user) public view returns (
@@ -283,128 +252,145 @@ contract SimpleBankV2_1 is Initializable, ReentrancyGuardUpgradeable, AccessCont
         return userIPFSData[_user].transactionReceipts.length;
     }
     
+    function removeTransactionReceipt(uint256) external {
+        _delegate(accountsModule);
+    }
+    
+    function archiveTransactionReceipts(uint256, string calldata) external {
+        _delegate(accountsModule);
+    }
+    
+    function getReceiptArchive(address _user) external view returns (string memory) {
+        return receiptArchives[_user];
+    }
+    
+    // ===== FRONT-RUNNING PROTECTED WITHDRAWALS =====
+    
+    function commitWithdrawal(bytes32) external {
+        _delegate(paymentsModule);
+    }
+    
+    function revealWithdrawal(uint256, bytes32) external {
+        _delegate(paymentsModule);
+    }
+    
+    function getWithdrawalCommitment(address _user) external view returns (
+        bytes32 commitHash,
+        uint256 timestamp,
+        bool revealed
+    ) {
+        Commitment memory commitment = withdrawalCommitments[_user];
+        return (commitment.commitHash, commitment.timestamp, commitment.revealed);
+    }
+    
     // ===== CORE BANKING FUNCTIONS (Secure) =====
     
-    function deposit() 
-        public 
-        payable 
-        validAmount(msg.value) 
-        nonReentrant 
-        whenNotPaused 
-    {
-        UserAccount memory userAccount = accounts[msg.sender];
-        bool isNewUser = !userAccount.isActive;
-        
-        // Effects first (CEI pattern)
-        userAccount.balance += uint128(msg.value);
-        userAccount.lastActivity = uint64(block.timestamp);
-        userAccount.transactionCount++;
-        userAccount.isActive = true;
-        
-        if (isNewUser) {
-            userAccount.accountCreated = uint32(block.timestamp);
-            bankInfo.totalUsers++;
-            emit AccountCreated(msg.sender, block.timestamp);
-        }
-        
-        accounts[msg.sender] = userAccount;
-        bankInfo.totalDeposits += uint96(msg.value);
-        
-        _recordTransaction(msg.sender, uint128(msg.value), DEPOSIT);
-        
-        emit Deposit(msg.sender, msg.value, userAccount.balance, block.timestamp, globalTransactionId);
-        
-        if (msg.value >= LARGE_TRANSACTION_THRESHOLD) {
-            emit LargeTransactionAlert(msg.sender, msg.value, "deposit");
-        }
-        
-        globalTransactionId++;
+    function deposit() external payable {
+        _delegate(paymentsModule);
     }
     
-    function withdraw(uint256 _amount) 
-        public 
-        validAmount(_amount) 
-        hasSufficientBalance(_amount) 
-        nonReentrant 
-        whenNotPaused 
-    {
-        _executeWithdrawal(_amount);
+    function depositFor(address) external payable {
+        _delegate(paymentsModule);
     }
     
-    function _executeWithdrawal(uint256 _amount) internal {
-        UserAccount memory userAccount = accounts[msg.sender];
-        
-        // Effects first (CEI pattern)
-        userAccount.balance -= uint128(_amount);
-        userAccount.lastActivity = uint64(block.timestamp);
-        userAccount.transactionCount++;
-        
-        accounts[msg.sender] = userAccount;
-        bankInfo.totalDeposits -= uint96(_amount);
-        
-        _recordTransaction(msg.sender, uint128(_amount), WITHDRAWAL);
-        
-        // Interaction last
-        (bool success, ) = payable(msg.sender).call{value: _amount}("");
-        require(success, "Transfer failed");
-        
-        emit Withdrawal(msg.sender, _amount, userAccount.balance, block.timestamp, globalTransactionId);
-        
-        if (_amount >= LARGE_TRANSACTION_THRESHOLD) {
-            emit LargeTransactionAlert(msg.sender, _amount, "withdrawal");
-        }
-        
-        globalTransactionId++;
+    function withdraw(uint256) external {
+        _delegate(paymentsModule);
     }
     
-    function transferTo(address _to, uint256 _amount) 
-        public 
-        validAmount(_amount) 
-        hasSufficientBalance(_amount)
-        nonReentrant
-        whenNotPaused
-    {
-        if (_to == address(0)) {
-            revert InvalidRecipient(_to);
-        }
-        if (_to == msg.sender) {
-            revert TransferToSelf();
-        }
-        
-        UserAccount memory fromAccount = accounts[msg.sender];
-        UserAccount memory toAccount = accounts[_to];
-        
-        bool isNewRecipient = !toAccount.isActive;
-        
-        // Effects (CEI pattern)
-        fromAccount.balance -= uint128(_amount);
-        fromAccount.lastActivity = uint64(block.timestamp);
-        fromAccount.transactionCount++;
-        
-        toAccount.balance += uint128(_amount);
-        toAccount.lastActivity = uint64(block.timestamp);
-        toAccount.transactionCount++;
-        toAccount.isActive = true;
-        
-        if (isNewRecipient) {
-            toAccount.accountCreated = uint32(block.timestamp);
-            bankInfo.totalUsers++;
-            emit AccountCreated(_to, block.timestamp);
-        }
-        
-        accounts[msg.sender] = fromAccount;
-        accounts[_to] = toAccount;
-        
-        _recordTransaction(msg.sender, uint128(_amount), TRANSFER);
-        _recordTransaction(_to, uint128(_amount), TRANSFER);
-        
-        emit Transfer(msg.sender, _to, _amount, block.timestamp, globalTransactionId);
-        
-        if (_amount >= LARGE_TRANSACTION_THRESHOLD) {
-            emit LargeTransactionAlert(msg.sender, _amount, "transfer");
-        }
-        
-        globalTransactionId++;
+    function transferTo(address, uint256) external {
+        _delegate(paymentsModule);
+    }
+    
+    // ===== BATCH TRANSFERS =====
+    
+    function batchTransfer(address[] calldata, uint256[] calldata) external {
+        _delegate(paymentsModule);
+    }
+    
+    // ===== STANDING ORDERS =====
+    
+    function createStandingOrder(address, uint256, uint256, uint256, uint256, uint256) external returns (uint256) {
+        _delegate(paymentsModule);
+    }
+    
+    function cancelStandingOrder(uint256) external {
+        _delegate(paymentsModule);
+    }
+    
+    function executeDue(uint256[] calldata) external returns (uint256) {
+        _delegate(paymentsModule);
+    }
+    
+    function getStandingOrder(uint256 _orderId) external view returns (StandingOrder memory) {
+        return standingOrders[_orderId];
+    }
+    
+    // Active orders only; finished and cancelled ones drop off
+    function getStandingOrdersOf(address _owner) external view returns (uint256[] memory) {
+        return ownerStandingOrders[_owner];
+    }
+    
+    function isStandingOrderDue(uint256 _orderId) external view returns (bool) {
+        StandingOrder memory order = standingOrders[_orderId];
+        return order.active && block.timestamp >= order.nextExecution;
+    }
+    
+    // ===== SIGNED (GASLESS) REQUESTS =====
+    
+    function transferWithSig(address, address, uint256, uint256, bytes calldata) external {
+        _delegate(paymentsModule);
+    }
+    
+    function withdrawWithSig(address, uint256, uint256, bytes calldata) external {
+        _delegate(paymentsModule);
+    }
+    
+    // ===== WITHDRAWAL LIMITS & HOLDS =====
+    
+    function executeWithdrawalHold(uint256) external {
+        _delegate(accountsModule);
+    }
+    
+    function cancelWithdrawalHold(uint256) external {
+        _delegate(accountsModule);
+    }
+    
+    function approveWithdrawalHold(uint256) external {
+        _delegate(accountsModule);
+    }
+    
+    function rejectWithdrawalHold(uint256) external {
+        _delegate(accountsModule);
+    }
+    
+    function fastTrackWithdrawalHold(uint256) external {
+        _delegate(accountsModule);
+    }
+    
+    function setWithdrawalLimits(uint256, uint256) external {
+        _delegate(accountsModule);
+    }
+    
+    function setWithdrawalHoldDelay(uint256) external {
+        _delegate(accountsModule);
+    }
+    
+    function getWithdrawalHold(uint256 _holdId) external view returns (WithdrawalHold memory) {
+        return withdrawalHolds[_holdId];
+    }
+    
+    // Holds still waiting for review or execution (Pending + Approved)
+    function getOpenWithdrawalHolds() external view returns (uint256[] memory) {
+        return openHoldIds;
+    }
+    
+    // What can still be withdrawn today; type(uint256).max when there is no cap
+    function getRemainingDailyWithdrawals(address _user) external view returns (
+        uint256 userRemaining,
+        uint256 globalRemaining
+    ) {
+        userRemaining = _remainingAllowance(userDailyWithdrawals[_user], userDailyWithdrawalLimit);
+        globalRemaining = _remainingAllowance(globalDailyWithdrawals, globalDailyWithdrawalLimit);
     }
     
     // ===== VIEW FUNCTIONS =====
@@ -452,9 +438,148 @@ contract SimpleBankV2_1 is Initializable, ReentrancyGuardUpgradeable, AccessCont
         return recentTransactions[_user];
     }
     
+    function getTransactionHistoryLength(address _user) external view returns (uint256) {
+        return transactionHistory[_user].length;
+    }
+    
+    // Cursor pagination: entries with transactionId >= _fromId, oldest first.
+    // Pass the last returned transactionId + 1 to fetch the next page.
+    function getTransactionHistory(address _user, uint256 _fromId, uint256 _limit) 
+        external 
+        view 
+        returns (HistoryEntry[] memory page) 
+    {
+        HistoryEntry[] storage history = transactionHistory[_user];
+        
+        // Entries are appended in transactionId order - binary search the start
+        uint256 low = 0;
+        uint256 high = history.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (history[mid].transactionId < _fromId) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        
+        uint256 count = history.length - low;
+        if (count > _limit) {
+            count = _limit;
+        }
+        
+        page = new HistoryEntry[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = history[low + i];
+        }
+    }
+    
+    // ===== AUDITOR VIEWS =====
+    
+    function getAccountCount() external view onlyAuditor returns (uint256) {
+        return accountList.length;
+    }
+    
+    // Accounts in creation order, _limit at a time
+    function getAccounts(uint256 _offset, uint256 _limit) 
+        external 
+        view 
+        onlyAuditor 
+        returns (address[] memory users, UserAccount[] memory details) 
+    {
+        uint256 count = _offset < accountList.length ? accountList.length - _offset : 0;
+        if (count > _limit) {
+            count = _limit;
+        }
+        
+        users = new address[](count);
+        details = new UserAccount[](count);
+        for (uint256 i = 0; i < count; i++) {
+            users[i] = accountList[_offset + i];
+            details[i] = accounts[users[i]];
+        }
+    }
+    
+    function getRoleMembers(bytes32 _role) external view onlyAuditor returns (address[] memory) {
+        return roleMembers[_role].values();
+    }
+    
+    // AccessControlEnumerable-style paging over role holders
+    function getRoleMemberCount(bytes32 _role) external view returns (uint256) {
+        return roleMembers[_role].length();
+    }
+    
+    function getRoleMember(bytes32 _role, uint256 _index) external view returns (address) {
+        return roleMembers[_role].at(_index);
+    }
+    
+    function getAuditSnapshot() external view onlyAuditor returns (AuditSnapshot memory) {
+        return AuditSnapshot({
+            blockNumber: block.number,
+            timestamp: block.timestamp,
+            totalDeposits: bankInfo.totalDeposits,
+            contractBalance: address(this).balance,
+            totalUsers: bankInfo.totalUsers,
+            accountCount: accountList.length,
+            interestReserve: interestReserve,
+            totalAccruedInterest: totalAccruedInterest,
+            totalHeld: totalHeldBalance,
+            openHolds: openHoldIds.length,
+            nextTransactionId: globalTransactionId,
+            paused: paused(),
+            emergencyMode: bankInfo.emergencyMode
+        });
+    }
+    
+    // ===== ACCOUNT FREEZES =====
+    
+    function freezeAccount(address, bytes32) external {
+        _delegate(accountsModule);
+    }
+    
+    function restrictAccount(address, bytes32) external {
+        _delegate(accountsModule);
+    }
+    
+    function unfreezeAccount(address, bytes32) external {
+        _delegate(accountsModule);
+    }
+    
+    function appealFreeze(string calldata) external {
+        _delegate(accountsModule);
+    }
+    
+    function getFreezeStatus(address _account) external view returns (uint8) {
+        return freezeStatus[_account];
+    }
+    
+    function getFreezeHistoryLength(address _account) external view returns (uint256) {
+        return freezeHistory[_account].length;
+    }
+    
+    // Oldest first, _limit entries at a time
+    function getFreezeHistory(address _account, uint256 _offset, uint256 _limit) 
+        external 
+        view 
+        returns (FreezeRecord[] memory page) 
+    {
+        FreezeRecord[] storage history = freezeHistory[_account];
+        uint256 count = _offset < history.length ? history.length - _offset : 0;
+        if (count > _limit) {
+            count = _limit;
+        }
+        
+        page = new FreezeRecord[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = history[_offset + i];
+        }
+    }
+    
     // ===== ADMIN FUNCTIONS =====
+    // ADMIN_ROLE is meant to be held by SimpleBankTimelock, so these are queued
+    // operations - except pause(), which a guardian can trigger immediately
     
-    function pause() external onlyAdmin {
+    function pause() external onlyGuardian {
         _pause();
     }
     
@@ -467,10 +592,24 @@ contract SimpleBankV2_1 is Initializable, ReentrancyGuardUpgradeable, AccessCont
         emit EmergencyModeToggled(bankInfo.emergencyMode, block.timestamp);
     }
     
-    function emergencyWithdraw() external onlyAdmin whenPaused {
-        require(address(this).balance > 0, "No funds to withdraw");
-        (bool success, ) = payable(bankInfo.owner).call{value: address(this).balance}("");
-        require(success, "Emergency withdrawal failed");
+    function scheduleSurplusRescue(address, uint256) external {
+        _delegate(accountsModule);
+    }
+    
+    function cancelSurplusRescue() external {
+        _delegate(accountsModule);
+    }
+    
+    function executeSurplusRescue() external {
+        _delegate(accountsModule);
+    }
+    
+    function creditSurplus(address, uint256) external {
+        _delegate(accountsModule);
+    }
+    
+    function setPriceFeed(address _priceFeed) external onlyAdmin {
+        _setPriceFeed(_priceFeed);
     }
     
     function grantOperatorRole(address _operator) external onlyAdmin {
@@ -481,43 +620,75 @@ contract SimpleBankV2_1 is Initializable, ReentrancyGuardUpgradeable, AccessCont
         grantRole(AUDITOR_ROLE, _auditor);
     }
     
+    function grantGuardianRole(address _guardian) external onlyAdmin {
+        grantRole(GUARDIAN_ROLE, _guardian);
+    }
+    
+    function revokeOperatorRole(address _operator) external onlyAdmin {
+        revokeRole(OPERATOR_ROLE, _operator);
+    }
+    
+    function revokeAuditorRole(address _auditor) external onlyAdmin {
+        revokeRole(AUDITOR_ROLE, _auditor);
+    }
+    
+    function revokeGuardianRole(address _guardian) external onlyAdmin {
+        revokeRole(GUARDIAN_ROLE, _guardian);
+    }
+    
+    // Two-step handover of bankInfo.owner. Proposing address(0) cancels a
+    // pending transfer. Roles don't move with it: admins are granted and
+    // revoked through grantRole/revokeRole, so once the timelock holds
+    // DEFAULT_ADMIN_ROLE a new owner can't take admin powers without it.
+    function transferOwnership(address _newOwner) external onlyAdmin {
+        pendingOwner = _newOwner;
+        emit OwnershipTransferStarted(bankInfo.owner, _newOwner);
+    }
+    
+    function acceptOwnership() external {
+        if (msg.sender != pendingOwner) {
+            revert NotPendingOwner(msg.sender, pendingOwner);
+        }
+        
+        address previousOwner = bankInfo.owner;
+        bankInfo.owner = msg.sender;
+        delete pendingOwner;
+        
+        emit OwnershipTransferred(previousOwner, msg.sender);
+    }
+    
     // ===== INTERNAL FUNCTIONS =====
     
-    function _recordTransaction(address _user, uint128 _amount, uint32 _type) internal {
-        uint256 index = transactionIndex[_user] % 10;
+    function _setPriceFeed(address _priceFeed) internal {
+        if (_priceFeed == address(0) || _priceFeed.code.length == 0) {
+            revert InvalidPriceFeed(_priceFeed);
+        }
         
-        recentTransactions[_user][index] = Transaction({
-            timestamp: uint64(block.timestamp),
-            amount: _amount,
-            transactionType: _type,
-            blockNumber: uint32(block.number)
-        });
+        address previousFeed = address(priceFeed);
+        priceFeed = AggregatorV3Interface(_priceFeed);
         
-        transactionIndex[_user]++;
+        emit PriceFeedUpdated(previousFeed, _priceFeed, block.timestamp);
+    }
+    
+    // Runs the calling function's implementation in _module against this
+    // contract's storage, then returns or reverts with whatever it produced
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    function _delegate(address _module) private {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), _module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(success) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
+        }
     }
     
     // ===== RECEIVE FUNCTION =====
     
+    // Plain ETH transfers are deposits (see SimpleBankPayments)
     receive() external payable {
-        if (msg.value > 0 && !paused()) {
-            UserAccount storage userAccount = accounts[msg.sender];
-            bool isNewUser = !userAccount.isActive;
-            
-            userAccount.balance += uint128(msg.value);
-            userAccount.lastActivity = uint64(block.timestamp);
-            userAccount.transactionCount++;
-            userAccount.isActive = true;
-            
-            if (isNewUser) {
-                userAccount.accountCreated = uint32(block.timestamp);
-                bankInfo.totalUsers++;
-                emit AccountCreated(msg.sender, block.timestamp);
-            }
-            
-            bankInfo.totalDeposits += uint96(msg.value);
-            _recordTransaction(msg.sender, uint128(msg.value), DEPOSIT);
-            
-            emit Deposit(msg.sender, msg.value, userAccount.balance, block.timestamp, globalTransactionId++);
-        }
+        _delegate(paymentsModule);
     }
 }
\ No newline at end of file
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Freely mintable/burnable token with configurable decimals (USDC-style 6, DAI-style 18)
+contract MockERC20 is ERC20 {
+    uint8 private immutable _tokenDecimals;
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals) ERC20(_name, _symbol) {
+        _tokenDecimals = _decimals;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _tokenDecimals;
+    }
+
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+
+    // Lets tests simulate a token shortfall
+    function burn(address _from, uint256 _amount) external {
+        _burn(_from, _amount);
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "./MockERC20.sol";
+
+// Burns feeBps of every transfer, so the recipient gets less than `amount`
+contract MockFeeOnTransferToken is MockERC20 {
+    uint256 public immutable feeBps;
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals, uint256 _feeBps)
+        MockERC20(_name, _symbol, _decimals)
+    {
+        feeBps = _feeBps;
+    }
+
+    function _update(address _from, address _to, uint256 _value) internal override {
+        if (_from == address(0) || _to == address(0)) {
+            super._update(_from, _to, _value);
+            return;
+        }
+        uint256 fee = (_value * feeBps) / 10000;
+        super._update(_from, address(0), fee);
+        super._update(_from, _to, _value - fee);
+    }
+}
@@ -0,0 +1,5 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+// Re-export Chainlink's mock so Hardhat compiles it for local networks and tests
+import "@chainlink/contracts/src/v0.8/shared/mocks/MockV3Aggregator.sol";
@@ -0,0 +1,514 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "../SimpleBankBase.sol";
+
+// ERC-20 accounts, IPFS receipts, withdrawal holds, account freezes and the
+// operator/admin settings around them (limits, interest rate, surplus rescue).
+// SimpleBankV2_1 delegatecalls these functions, so they run against the
+// proxy's storage.
+contract SimpleBankAccounts is SimpleBankBase {
+    using SafeERC20Upgradeable for IERC20Upgradeable;
+    
+    constructor() {
+        // Only ever runs through SimpleBankV2_1's delegatecall
+        _disableInitializers();
+    }
+    
+    // ===== ERC-20 ACCOUNTS =====
+    
+    // Credits what actually arrived, so fee-on-transfer tokens can't inflate balances
+    function depositToken(address _token, uint256 _amount) 
+        external 
+        validAmount(_amount) 
+        nonReentrant 
+        whenNotPaused 
+        whenNotEmergency 
+    {
+        TokenConfig storage config = tokenConfigs[_token];
+        if (!config.supported) {
+            revert TokenNotSupported(_token);
+        }
+        _requireNotFrozen(msg.sender, false);
+        
+        IERC20Upgradeable token = IERC20Upgradeable(_token);
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), _amount);
+        uint256 received = token.balanceOf(address(this)) - balanceBefore;
+        if (received == 0) {
+            revert InvalidAmount(received);
+        }
+        
+        _touchTokenAccount(msg.sender);
+        tokenBalances[_token][msg.sender] += received;
+        config.totalDeposits += received;
+        
+        emit TokenDeposit(_token, msg.sender, received, tokenBalances[_token][msg.sender], globalTransactionId);
+        globalTransactionId++;
+    }
+    
+    // Works for removed tokens too. In emergency mode pays the caller's share
+    // of what the contract holds, like ETH withdrawals.
+    function withdrawToken(address _token, uint256 _amount) 
+        external 
+        validAmount(_amount) 
+        nonReentrant 
+        whenNotPaused 
+    {
+        uint256 available = tokenBalances[_token][msg.sender];
+        if (available < _amount) {
+            revert InsufficientBalance(_amount, available);
+        }
+        
+        TokenConfig storage config = tokenConfigs[_token];
+        uint256 payout = _amount;
+        if (bankInfo.emergencyMode) {
+            uint256 held = IERC20Upgradeable(_token).balanceOf(address(this));
+            if (held < config.totalDeposits) {
+                payout = (_amount * held) / config.totalDeposits;
+            }
+        }
+        
+        _requireNotFrozen(msg.sender, true);
+        
+        // Effects first (CEI pattern)
+        _touchTokenAccount(msg.sender);
+        tokenBalances[_token][msg.sender] = available - _amount;
+        config.totalDeposits -= _amount;
+        
+        emit TokenWithdrawal(_token, msg.sender, _amount, payout, available - _amount, globalTransactionId);
+        globalTransactionId++;
+        
+        // Interaction last
+        if (payout > 0) {
+            IERC20Upgradeable(_token).safeTransfer(msg.sender, payout);
+        }
+    }
+    
+    function transferToken(address _token, address _to, uint256 _amount) 
+        external 
+        validAmount(_amount) 
+        nonReentrant 
+        whenNotPaused 
+        whenNotEmergency 
+    {
+        if (!tokenConfigs[_token].supported) {
+            revert TokenNotSupported(_token);
+        }
+        if (_to == address(0)) {
+            revert InvalidRecipient(_to);
+        }
+        if (_to == msg.sender) {
+            revert TransferToSelf();
+        }
+        uint256 available = tokenBalances[_token][msg.sender];
+        if (available < _amount) {
+            revert InsufficientBalance(_amount, available);
+        }
+        _requireNotFrozen(msg.sender, false);
+        _requireNotFrozen(_to, false);
+        
+        _touchTokenAccount(msg.sender);
+        _touchTokenAccount(_to);
+        tokenBalances[_token][msg.sender] = available - _amount;
+        tokenBalances[_token][_to] += _amount;
+        
+        emit TokenTransfer(_token, msg.sender, _to, _amount, globalTransactionId);
+        globalTransactionId++;
+    }
+    
+    function addSupportedToken(address _token, address _priceFeed) external onlyAdmin {
+        if (_token == address(0) || _token.code.length == 0) {
+            revert InvalidToken(_token);
+        }
+        TokenConfig storage config = tokenConfigs[_token];
+        if (config.supported) {
+            revert TokenAlreadySupported(_token);
+        }
+        
+        // Re-adding a removed token keeps its balances
+        if (address(config.priceFeed) == address(0)) {
+            tokenList.push(_token);
+            config.decimals = IERC20MetadataUpgradeable(_token).decimals();
+        }
+        config.supported = true;
+        _setTokenPriceFeed(_token, _priceFeed);
+        
+        emit TokenSupported(_token, _priceFeed, config.decimals);
+    }
+    
+    // Stops deposits and transfers; existing balances can still be withdrawn
+    function removeSupportedToken(address _token) external onlyAdmin {
+        if (!tokenConfigs[_token].supported) {
+            revert TokenNotSupported(_token);
+        }
+        tokenConfigs[_token].supported = false;
+        
+        emit TokenRemoved(_token, block.timestamp);
+    }
+    
+    function setTokenPriceFeed(address _token, address _priceFeed) external onlyAdmin {
+        if (address(tokenConfigs[_token].priceFeed) == address(0)) {
+            revert TokenNotSupported(_token);
+        }
+        _setTokenPriceFeed(_token, _priceFeed);
+    }
+    
+    // ===== IPFS FUNCTIONS (Enhanced Security) =====
+    
+    function setUserProfile(string memory _ipfsHash) 
+        public 
+        validIPFSHash(_ipfsHash) 
+        whenNotPaused 
+    {
+        userIPFSData[msg.sender].profileHash = _ipfsHash;
+        userIPFSData[msg.sender].lastUpdated = block.timestamp;
+        userIPFSData[msg.sender].hasProfile = true;
+        
+        emit UserProfileUpdated(msg.sender, _ipfsHash, block.timestamp);
+    }
+    
+    function addTransactionReceipt(string memory _ipfsHash) 
+        public 
+        validIPFSHash(_ipfsHash) 
+        receiptsNotExceeded 
+        whenNotPaused 
+    {
+        userIPFSData[msg.sender].transactionReceipts.push(_ipfsHash);
+        userIPFSData[msg.sender].lastUpdated = block.timestamp;
+        
+        emit TransactionReceiptAdded(msg.sender, _ipfsHash, block.timestamp);
+    }
+    
+    // Frees a slot under MAX_RECEIPTS_PER_USER; later receipts shift down so
+    // the list stays oldest first
+    function removeTransactionReceipt(uint256 _index) external whenNotPaused {
+        string[] storage receipts = userIPFSData[msg.sender].transactionReceipts;
+        if (_index >= receipts.length) {
+            revert ReceiptIndexOutOfRange(_index, receipts.length);
+        }
+        
+        string memory removed = receipts[_index];
+        for (uint256 i = _index; i + 1 < receipts.length; i++) {
+            receipts[i] = receipts[i + 1];
+        }
+        receipts.pop();
+        userIPFSData[msg.sender].lastUpdated = block.timestamp;
+        
+        emit TransactionReceiptRemoved(msg.sender, removed, block.timestamp);
+    }
+    
+    // Replaces the oldest _count receipts with one archive document pinned
+    // off-chain. The archive lists them and links the previous archive, so
+    // the full receipt trail stays reachable from getReceiptArchive().
+    function archiveTransactionReceipts(uint256 _count, string memory _archiveHash) 
+        external 
+        validIPFSHash(_archiveHash) 
+        whenNotPaused 
+    {
+        string[] storage receipts = userIPFSData[msg.sender].transactionReceipts;
+        if (_count == 0 || _count > receipts.length) {
+            revert InvalidReceiptCount(_count, receipts.length);
+        }
+        
+        uint256 remaining = receipts.length - _count;
+        for (uint256 i = 0; i < remaining; i++) {
+            receipts[i] = receipts[i + _count];
+        }
+        for (uint256 i = 0; i < _count; i++) {
+            receipts.pop();
+        }
+        receiptArchives[msg.sender] = _archiveHash;
+        userIPFSData[msg.sender].lastUpdated = block.timestamp;
+        
+        emit TransactionReceiptsArchived(msg.sender, _archiveHash, _count, block.timestamp);
+    }
+    
+    // ===== ACCOUNT FREEZES =====
+    // Operators can lock a single account instead of pausing the whole bank:
+    // FREEZE_FULL blocks deposits, withdrawals and transfers in either
+    // direction; FREEZE_WITHDRAW_ONLY lets the account take its funds out and
+    // nothing else. Every change needs a reason code (e.g. "SANCTIONS").
+    
+    function freezeAccount(address _account, bytes32 _reason) external onlyOperator {
+        _setFreezeStatus(_account, FREEZE_FULL, _reason);
+    }
+    
+    function restrictAccount(address _account, bytes32 _reason) external onlyOperator {
+        _setFreezeStatus(_account, FREEZE_WITHDRAW_ONLY, _reason);
+    }
+    
+    function unfreezeAccount(address _account, bytes32 _reason) external onlyOperator {
+        _setFreezeStatus(_account, FREEZE_NONE, _reason);
+    }
+    
+    // A frozen account's statement, pinned to IPFS, added to its trail for
+    // operators to review. Works while the bank is paused.
+    function appealFreeze(string calldata _statementHash) external validIPFSHash(_statementHash) {
+        uint8 status = freezeStatus[msg.sender];
+        if (status == FREEZE_NONE) {
+            revert AccountNotFrozen(msg.sender);
+        }
+        
+        freezeHistory[msg.sender].push(FreezeRecord({
+            status: status,
+            reason: bytes32(0),
+            actor: msg.sender,
+            timestamp: uint64(block.timestamp),
+            statementHash: _statementHash
+        }));
+        
+        emit FreezeAppealed(msg.sender, _statementHash, block.timestamp);
+        emit SecurityIncident(msg.sender, "FREEZE_APPEALED", block.timestamp);
+    }
+    
+    // ===== WITHDRAWAL LIMITS & HOLDS =====
+    
+    // Approved holds can be executed by their owner once releaseAt has passed.
+    // In emergency mode holds can only be cancelled - the freed funds are then
+    // withdrawn pro rata like the rest of the balance.
+    function executeWithdrawalHold(uint256 _holdId) external nonReentrant whenNotPaused whenNotEmergency {
+        WithdrawalHold memory hold = withdrawalHolds[_holdId];
+        if (hold.user != msg.sender) {
+            revert NotHoldOwner(_holdId, msg.sender);
+        }
+        if (hold.status != HoldStatus.Approved) {
+            revert InvalidHoldStatus(_holdId, hold.status);
+        }
+        if (block.timestamp < hold.releaseAt) {
+            revert HoldNotReleased(_holdId, hold.releaseAt, block.timestamp);
+        }
+        
+        _releaseWithdrawalHold(_holdId, false);
+    }
+    
+    function cancelWithdrawalHold(uint256 _holdId) external {
+        WithdrawalHold memory hold = withdrawalHolds[_holdId];
+        if (hold.user != msg.sender) {
+            revert NotHoldOwner(_holdId, msg.sender);
+        }
+        _closeWithdrawalHold(_holdId, HoldStatus.Cancelled);
+        
+        emit WithdrawalHoldCancelled(_holdId, msg.sender, block.timestamp);
+    }
+    
+    function approveWithdrawalHold(uint256 _holdId) external onlyOperator {
+        WithdrawalHold storage hold = withdrawalHolds[_holdId];
+        if (hold.status != HoldStatus.Pending) {
+            revert InvalidHoldStatus(_holdId, hold.status);
+        }
+        hold.status = HoldStatus.Approved;
+        
+        emit WithdrawalHoldApproved(_holdId, msg.sender, block.timestamp);
+    }
+    
+    function rejectWithdrawalHold(uint256 _holdId) external onlyOperator {
+        _closeWithdrawalHold(_holdId, HoldStatus.Rejected);
+        
+        emit WithdrawalHoldRejected(_holdId, msg.sender, block.timestamp);
+    }
+    
+    // Pays a pending or approved hold out immediately, skipping the delay
+    function fastTrackWithdrawalHold(uint256 _holdId) external onlyOperator nonReentrant whenNotPaused whenNotEmergency {
+        HoldStatus status = withdrawalHolds[_holdId].status;
+        if (status != HoldStatus.Pending && status != HoldStatus.Approved) {
+            revert InvalidHoldStatus(_holdId, status);
+        }
+        
+        _releaseWithdrawalHold(_holdId, true);
+    }
+    
+    function setWithdrawalLimits(uint256 _userDailyLimit, uint256 _globalDailyLimit) external onlyOperator {
+        userDailyWithdrawalLimit = _userDailyLimit;
+        globalDailyWithdrawalLimit = _globalDailyLimit;
+        
+        emit WithdrawalLimitsUpdated(_userDailyLimit, _globalDailyLimit, block.timestamp);
+    }
+    
+    // Applies to holds created from now on
+    function setWithdrawalHoldDelay(uint256 _delay) external onlyOperator {
+        if (_delay > MAX_WITHDRAWAL_HOLD_DELAY) {
+            revert InvalidHoldDelay(_delay, MAX_WITHDRAWAL_HOLD_DELAY);
+        }
+        
+        uint256 previousDelay = withdrawalHoldDelay;
+        withdrawalHoldDelay = _delay;
+        
+        emit WithdrawalHoldDelayUpdated(previousDelay, _delay, block.timestamp);
+    }
+    
+    // ===== INTEREST ACCRUAL =====
+    
+    // New rate applies from now on; interest earned so far keeps the old rate
+    function setInterestRate(uint256 _rateBps) external onlyOperator {
+        if (_rateBps > MAX_INTEREST_RATE_BPS) {
+            revert InvalidInterestRate(_rateBps, MAX_INTEREST_RATE_BPS);
+        }
+        _updateInterestIndex();
+        
+        uint256 previousRate = interestRateBps;
+        interestRateBps = _rateBps;
+        
+        emit InterestRateUpdated(previousRate, _rateBps, block.timestamp);
+    }
+    
+    // ===== SURPLUS RESCUE =====
+    
+    // Only ETH above what depositors and the interest reserve are owed can be
+    // rescued, and only SURPLUS_RESCUE_DELAY after it was announced
+    function scheduleSurplusRescue(address _to, uint256 _amount) external onlyAdmin validAmount(_amount) {
+        if (_to == address(0)) {
+            revert InvalidRecipient(_to);
+        }
+        uint256 surplus = getSurplus();
+        if (_amount > surplus) {
+            revert InsufficientSurplus(_amount, surplus);
+        }
+        
+        uint256 executeAfter = block.timestamp + SURPLUS_RESCUE_DELAY;
+        pendingSurplusRescue = SurplusRescue({
+            to: _to,
+            amount: uint128(_amount),
+            executeAfter: uint64(executeAfter)
+        });
+        
+        emit SurplusRescueScheduled(_to, _amount, executeAfter);
+    }
+    
+    function cancelSurplusRescue() external onlyAdmin {
+        SurplusRescue memory rescue = pendingSurplusRescue;
+        if (rescue.executeAfter == 0) {
+            revert NoPendingRescue();
+        }
+        delete pendingSurplusRescue;
+        
+        emit SurplusRescueCancelled(rescue.to, rescue.amount, block.timestamp);
+    }
+    
+    // Surplus is re-checked here - it may have shrunk during the delay
+    function executeSurplusRescue() external onlyAdmin nonReentrant {
+        SurplusRescue memory rescue = pendingSurplusRescue;
+        if (rescue.executeAfter == 0) {
+            revert NoPendingRescue();
+        }
+        if (block.timestamp < rescue.executeAfter) {
+            revert RescueNotReady(rescue.executeAfter, block.timestamp);
+        }
+        uint256 surplus = getSurplus();
+        if (rescue.amount > surplus) {
+            revert InsufficientSurplus(rescue.amount, surplus);
+        }
+        delete pendingSurplusRescue;
+        
+        (bool success, ) = payable(rescue.to).call{value: rescue.amount}("");
+        require(success, "Rescue transfer failed");
+        
+        emit SurplusRescueExecuted(rescue.to, rescue.amount, block.timestamp);
+    }
+    
+    // Books unaccounted ETH (force-sent, or sent to receive() while paused
+    // before it reverted) to the account it belongs to instead of sweeping it
+    function creditSurplus(address _beneficiary, uint256 _amount) 
+        external 
+        onlyAdmin 
+        validAmount(_amount) 
+        nonReentrant 
+        whenNotEmergency 
+    {
+        if (_beneficiary == address(0)) {
+            revert InvalidRecipient(_beneficiary);
+        }
+        uint256 surplus = getSurplus();
+        if (_amount > surplus) {
+            revert InsufficientSurplus(_amount, surplus);
+        }
+        
+        _deposit(_beneficiary, _amount);
+        
+        emit SurplusCredited(_beneficiary, _amount, block.timestamp);
+    }
+    
+    // ===== INTERNAL FUNCTIONS =====
+    
+    function _releaseWithdrawalHold(uint256 _holdId, bool _fastTracked) internal {
+        WithdrawalHold memory hold = withdrawalHolds[_holdId];
+        _requireNotFrozen(hold.user, true);
+        _closeWithdrawalHold(_holdId, HoldStatus.Released);
+        
+        emit WithdrawalHoldReleased(_holdId, hold.user, hold.amount, _fastTracked);
+        
+        _executeWithdrawal(hold.user, hold.amount);
+    }
+    
+    // Moves an open hold to a final status and unlocks its funds
+    function _closeWithdrawalHold(uint256 _holdId, HoldStatus _status) internal {
+        WithdrawalHold storage hold = withdrawalHolds[_holdId];
+        if (hold.status != HoldStatus.Pending && hold.status != HoldStatus.Approved) {
+            revert InvalidHoldStatus(_holdId, hold.status);
+        }
+        hold.status = _status;
+        heldBalance[hold.user] -= hold.amount;
+        totalHeldBalance -= hold.amount;
+        
+        // Swap-and-pop removal from the open list
+        uint256 index = openHoldIndex[_holdId] - 1;
+        uint256 lastId = openHoldIds[openHoldIds.length - 1];
+        openHoldIds[index] = lastId;
+        openHoldIndex[lastId] = index + 1;
+        openHoldIds.pop();
+        delete openHoldIndex[_holdId];
+    }
+    
+    function _setFreezeStatus(address _account, uint8 _status, bytes32 _reason) internal {
+        if (_reason == bytes32(0)) {
+            revert MissingReasonCode();
+        }
+        uint8 previousStatus = freezeStatus[_account];
+        if (previousStatus == _status) {
+            revert FreezeStatusUnchanged(_account, _status);
+        }
+        
+        freezeStatus[_account] = _status;
+        freezeHistory[_account].push(FreezeRecord({
+            status: _status,
+            reason: _reason,
+            actor: msg.sender,
+            timestamp: uint64(block.timestamp),
+            statementHash: ""
+        }));
+        
+        emit AccountFreezeChanged(_account, previousStatus, _status, _reason, msg.sender);
+        if (_status == FREEZE_FULL) {
+            emit SecurityIncident(_account, "ACCOUNT_FROZEN", block.timestamp);
+        } else if (_status == FREEZE_WITHDRAW_ONLY) {
+            emit SecurityIncident(_account, "ACCOUNT_RESTRICTED", block.timestamp);
+        } else {
+            emit SecurityIncident(_account, "ACCOUNT_UNFROZEN", block.timestamp);
+        }
+    }
+    
+    function _setTokenPriceFeed(address _token, address _priceFeed) internal {
+        if (_priceFeed == address(0) || _priceFeed.code.length == 0) {
+            revert InvalidPriceFeed(_priceFeed);
+        }
+        
+        address previousFeed = address(tokenConfigs[_token].priceFeed);
+        tokenConfigs[_token].priceFeed = AggregatorV3Interface(_priceFeed);
+        
+        emit TokenPriceFeedUpdated(_token, previousFeed, _priceFeed);
+    }
+    
+    // Token activity opens a bank account like a first ETH deposit does
+    function _touchTokenAccount(address _user) internal {
+        UserAccount storage userAccount = accounts[_user];
+        if (!userAccount.isActive) {
+            userAccount.isActive = true;
+            userAccount.accountCreated = uint32(block.timestamp);
+            bankInfo.totalUsers++;
+            accountList.push(_user);
+            emit AccountCreated(_user, block.timestamp);
+        }
+        userAccount.lastActivity = uint64(block.timestamp);
+        userAccount.transactionCount++;
+    }
+}
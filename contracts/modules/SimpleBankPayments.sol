@@ -0,0 +1,475 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "../SimpleBankBase.sol";
+
+// Deposits, withdrawals, transfers and everything that moves balances on a
+// user's behalf: commit-reveal, batches, standing orders, signed requests
+// and interest claims. SimpleBankV2_1 delegatecalls these functions, so they
+// run against the proxy's storage.
+contract SimpleBankPayments is SimpleBankBase {
+    constructor() {
+        // Only ever runs through SimpleBankV2_1's delegatecall
+        _disableInitializers();
+    }
+    
+    // ===== CORE BANKING FUNCTIONS (Secure) =====
+    
+    function deposit() 
+        public 
+        payable 
+        validAmount(msg.value) 
+        nonReentrant 
+        whenNotPaused 
+        whenNotEmergency 
+    {
+        _deposit(msg.sender, msg.value);
+    }
+    
+    // Credits someone else's account; the sender gets nothing back
+    function depositFor(address _beneficiary) 
+        external 
+        payable 
+        validAmount(msg.value) 
+        nonReentrant 
+        whenNotPaused 
+        whenNotEmergency 
+    {
+        if (_beneficiary == address(0)) {
+            revert InvalidRecipient(_beneficiary);
+        }
+        _requireNotFrozen(msg.sender, false);
+        _deposit(_beneficiary, msg.value);
+    }
+    
+    function withdraw(uint256 _amount) 
+        public 
+        validAmount(_amount) 
+        hasSufficientBalance(_amount) 
+        nonReentrant 
+        whenNotPaused 
+    {
+        _withdrawOrHold(msg.sender, _amount);
+    }
+    
+    function transferTo(address _to, uint256 _amount) 
+        public 
+        validAmount(_amount) 
+        hasSufficientBalance(_amount)
+        nonReentrant
+        whenNotPaused
+        whenNotEmergency
+    {
+        _transfer(msg.sender, _to, _amount);
+    }
+    
+    // ===== INTEREST ACCRUAL =====
+    
+    // Credits all accrued interest to the caller's bank balance, paid from the reserve
+    function claimInterest() external nonReentrant whenNotPaused {
+        _requireNotFrozen(msg.sender, false);
+        _accrueInterest(msg.sender);
+        
+        uint256 interest = interestAccounts[msg.sender].accrued;
+        if (interest == 0) {
+            revert NoInterestToClaim(msg.sender);
+        }
+        if (interest > interestReserve) {
+            revert InsufficientInterestReserve(interest, interestReserve);
+        }
+        
+        interestAccounts[msg.sender].accrued = 0;
+        totalAccruedInterest -= interest;
+        interestReserve -= interest;
+        
+        UserAccount storage userAccount = accounts[msg.sender];
+        userAccount.balance += uint128(interest);
+        userAccount.lastActivity = uint64(block.timestamp);
+        userAccount.transactionCount++;
+        bankInfo.totalDeposits += uint96(interest);
+        
+        _recordTransaction(msg.sender, uint128(interest), INTEREST, address(0), DIRECTION_IN);
+        
+        emit InterestClaimed(msg.sender, interest, userAccount.balance, block.timestamp, globalTransactionId);
+        
+        globalTransactionId++;
+    }
+    
+    // ===== FRONT-RUNNING PROTECTED WITHDRAWALS =====
+    
+    function commitWithdrawal(bytes32 _commitment) public whenNotPaused {
+        if (_commitment == bytes32(0)) {
+            revert InvalidCommitment(_commitment);
+        }
+        
+        // A new commitment replaces any previous one (revealed or not)
+        withdrawalCommitments[msg.sender] = Commitment({
+            commitHash: _commitment,
+            timestamp: block.timestamp,
+            revealed: false
+        });
+        
+        emit WithdrawalCommitted(msg.sender, _commitment, block.timestamp);
+    }
+    
+    function revealWithdrawal(uint256 _amount, bytes32 _salt) 
+        public 
+        validAmount(_amount) 
+        hasSufficientBalance(_amount) 
+        nonReentrant 
+        whenNotPaused 
+    {
+        Commitment storage commitment = withdrawalCommitments[msg.sender];
+        
+        if (commitment.commitHash == bytes32(0)) {
+            revert NoActiveCommitment(msg.sender);
+        }
+        if (commitment.revealed) {
+            revert CommitmentAlreadyRevealed(msg.sender);
+        }
+        if (block.timestamp < commitment.timestamp + MIN_REVEAL_TIME) {
+            revert RevealTooEarly(commitment.timestamp + MIN_REVEAL_TIME, block.timestamp);
+        }
+        if (block.timestamp > commitment.timestamp + MAX_REVEAL_TIME) {
+            revert CommitmentExpired(commitment.timestamp + MAX_REVEAL_TIME, block.timestamp);
+        }
+        
+        bytes32 revealHash = getWithdrawalCommitmentHash(msg.sender, _amount, _salt);
+        if (revealHash != commitment.commitHash) {
+            revert CommitmentMismatch(commitment.commitHash, revealHash);
+        }
+        
+        // Mark revealed before the external call in _executeWithdrawal
+        commitment.revealed = true;
+        emit WithdrawalRevealed(msg.sender, _amount, block.timestamp);
+        
+        _withdrawOrHold(msg.sender, _amount);
+    }
+    
+    // ===== BATCH TRANSFERS =====
+    function batchTransfer(address[] calldata _recipients, uint256[] calldata _amounts) 
+        external 
+        nonReentrant 
+        whenNotPaused 
+        whenNotEmergency 
+    {
+        uint256 count = _recipients.length;
+        if (count != _amounts.length) {
+            revert BatchLengthMismatch(count, _amounts.length);
+        }
+        if (count == 0 || count > MAX_BATCH_SIZE) {
+            revert InvalidBatchSize(count, MAX_BATCH_SIZE);
+        }
+        
+        uint256 totalAmount;
+        for (uint256 i = 0; i < count; i++) {
+            if (_amounts[i] == 0) {
+                revert InvalidAmount(_amounts[i]);
+            }
+            totalAmount += _amounts[i];
+        }
+        if (totalAmount > type(uint128).max) {
+            revert InvalidAmount(totalAmount);
+        }
+        _requireAvailableBalance(msg.sender, totalAmount);
+        _requireNotFrozen(msg.sender, false);
+        
+        _accrueInterest(msg.sender);
+        uint256 firstTransactionId = globalTransactionId;
+        
+        for (uint256 i = 0; i < count; i++) {
+            _creditBatchRecipient(msg.sender, _recipients[i], _amounts[i]);
+            globalTransactionId++;
+        }
+        
+        UserAccount memory fromAccount = accounts[msg.sender];
+        fromAccount.balance -= uint128(totalAmount);
+        fromAccount.lastActivity = uint64(block.timestamp);
+        fromAccount.transactionCount += uint32(count);
+        accounts[msg.sender] = fromAccount;
+        
+        emit BatchTransfer(msg.sender, _recipients, _amounts, totalAmount, block.timestamp, firstTransactionId);
+        
+        if (totalAmount >= LARGE_TRANSACTION_THRESHOLD) {
+            emit LargeTransactionAlert(msg.sender, totalAmount, "batchTransfer");
+        }
+    }
+    
+    // ===== STANDING ORDERS =====
+    // Anyone (usually a keeper bot) can trigger due orders; funds only ever move
+    // from the order's owner to its recipient. An occurrence the owner can't
+    // cover is skipped, not retried, and still counts towards maxExecutions.
+    
+    // _firstExecution 0 = now. Set _endTime, _maxExecutions or both (0 = not set).
+    function createStandingOrder(
+        address _recipient, 
+        uint256 _amount, 
+        uint256 _interval, 
+        uint256 _firstExecution, 
+        uint256 _endTime, 
+        uint256 _maxExecutions
+    ) 
+        external 
+        validAmount(_amount) 
+        whenNotPaused 
+        whenNotEmergency 
+        returns (uint256 orderId) 
+    {
+        if (_recipient == address(0)) {
+            revert InvalidRecipient(_recipient);
+        }
+        if (_recipient == msg.sender) {
+            revert TransferToSelf();
+        }
+        if (_interval < MIN_STANDING_ORDER_INTERVAL || _interval > MAX_STANDING_ORDER_INTERVAL) {
+            revert InvalidStandingOrder("interval");
+        }
+        if (_firstExecution == 0) {
+            _firstExecution = block.timestamp;
+        }
+        if (_firstExecution < block.timestamp || _firstExecution > type(uint64).max) {
+            revert InvalidStandingOrder("first execution");
+        }
+        if (_endTime == 0 && _maxExecutions == 0) {
+            revert InvalidStandingOrder("no end");
+        }
+        if (_endTime != 0 && (_endTime < _firstExecution || _endTime > type(uint64).max)) {
+            revert InvalidStandingOrder("end time");
+        }
+        if (_maxExecutions >= UNLIMITED_EXECUTIONS) {
+            revert InvalidStandingOrder("max executions");
+        }
+        
+        uint256 openOrders = ownerStandingOrders[msg.sender].length;
+        if (openOrders >= MAX_STANDING_ORDERS_PER_USER) {
+            revert MaxStandingOrdersExceeded(openOrders, MAX_STANDING_ORDERS_PER_USER);
+        }
+        
+        // Field by field keeps the stack shallow
+        orderId = ++standingOrderCount;
+        StandingOrder storage order = standingOrders[orderId];
+        order.owner = msg.sender;
+        order.interval = uint64(_interval);
+        order.executionsLeft = _maxExecutions == 0 ? UNLIMITED_EXECUTIONS : uint32(_maxExecutions);
+        order.recipient = _recipient;
+        order.nextExecution = uint64(_firstExecution);
+        order.active = true;
+        order.amount = uint128(_amount);
+        order.endTime = uint64(_endTime);
+        ownerStandingOrders[msg.sender].push(orderId);
+        
+        _emitStandingOrderCreated(orderId, _maxExecutions);
+    }
+    
+    // Owners can cancel even while the bank is paused
+    function cancelStandingOrder(uint256 _orderId) external {
+        StandingOrder storage order = standingOrders[_orderId];
+        if (order.owner != msg.sender) {
+            revert NotStandingOrderOwner(_orderId, msg.sender);
+        }
+        if (!order.active) {
+            revert StandingOrderNotActive(_orderId);
+        }
+        _closeStandingOrder(_orderId, order);
+        
+        emit StandingOrderCancelled(_orderId, msg.sender, block.timestamp);
+    }
+    
+    // Keeper entrypoint. Orders that are inactive or not yet due are ignored,
+    // so racing keepers don't revert each other. Returns how many were paid.
+    function executeDue(uint256[] calldata _orderIds) 
+        external 
+        nonReentrant 
+        whenNotPaused 
+        whenNotEmergency 
+        returns (uint256 executed) 
+    {
+        if (_orderIds.length == 0 || _orderIds.length > MAX_BATCH_SIZE) {
+            revert InvalidBatchSize(_orderIds.length, MAX_BATCH_SIZE);
+        }
+        
+        for (uint256 i = 0; i < _orderIds.length; i++) {
+            if (_executeStandingOrder(_orderIds[i])) {
+                executed++;
+            }
+        }
+    }
+    
+    // ===== SIGNED (GASLESS) REQUESTS =====
+    // Anyone can relay these and pay the gas; the signer's balance moves as if
+    // they had called transferTo() / withdraw() themselves
+    
+    function transferWithSig(
+        address _from, 
+        address _to, 
+        uint256 _amount, 
+        uint256 _deadline, 
+        bytes calldata _signature
+    ) 
+        external 
+        validAmount(_amount) 
+        nonReentrant 
+        whenNotPaused 
+        whenNotEmergency 
+    {
+        bytes32 structHash = keccak256(abi.encode(TRANSFER_TYPEHASH, _from, _to, _amount, sigNonces[_from], _deadline));
+        _useSignature(_from, TRANSFER_TYPEHASH, structHash, _deadline, _signature);
+        
+        _requireAvailableBalance(_from, _amount);
+        _transfer(_from, _to, _amount);
+    }
+    
+    // Funds always go to the signer, never the relayer
+    function withdrawWithSig(
+        address _from, 
+        uint256 _amount, 
+        uint256 _deadline, 
+        bytes calldata _signature
+    ) 
+        external 
+        validAmount(_amount) 
+        nonReentrant 
+        whenNotPaused 
+    {
+        bytes32 structHash = keccak256(abi.encode(WITHDRAWAL_TYPEHASH, _from, _amount, sigNonces[_from], _deadline));
+        _useSignature(_from, WITHDRAWAL_TYPEHASH, structHash, _deadline, _signature);
+        
+        _requireAvailableBalance(_from, _amount);
+        _withdrawOrHold(_from, _amount);
+    }
+    
+    // ===== INTERNAL FUNCTIONS =====
+    
+    // One leg of batchTransfer; the sender's balance is settled by the caller
+    function _creditBatchRecipient(address _from, address _to, uint256 _amount) internal {
+        if (_to == address(0)) {
+            revert InvalidRecipient(_to);
+        }
+        if (_to == _from) {
+            revert TransferToSelf();
+        }
+        _requireNotFrozen(_to, false);
+        
+        _accrueInterest(_to);
+        
+        UserAccount memory toAccount = accounts[_to];
+        bool isNewRecipient = !toAccount.isActive;
+        
+        toAccount.balance += uint128(_amount);
+        toAccount.lastActivity = uint64(block.timestamp);
+        toAccount.transactionCount++;
+        toAccount.isActive = true;
+        
+        if (isNewRecipient) {
+            toAccount.accountCreated = uint32(block.timestamp);
+            bankInfo.totalUsers++;
+            accountList.push(_to);
+            emit AccountCreated(_to, block.timestamp);
+        }
+        
+        accounts[_to] = toAccount;
+        
+        _recordTransaction(_from, uint128(_amount), TRANSFER, _to, DIRECTION_OUT);
+        _recordTransaction(_to, uint128(_amount), TRANSFER, _from, DIRECTION_IN);
+    }
+    
+    // Pays (or skips) one due occurrence; returns false if nothing was paid
+    function _executeStandingOrder(uint256 _orderId) internal returns (bool paid) {
+        StandingOrder storage order = standingOrders[_orderId];
+        if (!order.active || block.timestamp < order.nextExecution) {
+            return false;
+        }
+        
+        address orderOwner = order.owner;
+        uint256 amount = order.amount;
+        uint256 nextExecution = uint256(order.nextExecution) + order.interval;
+        order.nextExecution = uint64(nextExecution);
+        if (order.executionsLeft != UNLIMITED_EXECUTIONS) {
+            order.executionsLeft--;
+        }
+        
+        // Occurrences involving a frozen account are skipped like unfunded ones
+        uint256 available = getAvailableBalance(orderOwner);
+        if (
+            available < amount || 
+            freezeStatus[orderOwner] != FREEZE_NONE || 
+            freezeStatus[order.recipient] != FREEZE_NONE
+        ) {
+            emit StandingOrderSkipped(_orderId, orderOwner, amount, available);
+        } else {
+            uint256 transactionId = globalTransactionId;
+            _transfer(orderOwner, order.recipient, amount);
+            emit StandingOrderExecuted(_orderId, orderOwner, amount, nextExecution, transactionId);
+            paid = true;
+        }
+        
+        if (order.executionsLeft == 0 || (order.endTime != 0 && nextExecution > order.endTime)) {
+            _closeStandingOrder(_orderId, order);
+            emit StandingOrderCompleted(_orderId, orderOwner, block.timestamp);
+        }
+    }
+    
+    function _emitStandingOrderCreated(uint256 _orderId, uint256 _maxExecutions) internal {
+        StandingOrder storage order = standingOrders[_orderId];
+        emit StandingOrderCreated(
+            _orderId, 
+            order.owner, 
+            order.recipient, 
+            order.amount, 
+            order.interval, 
+            order.nextExecution, 
+            order.endTime, 
+            _maxExecutions
+        );
+    }
+    
+    function _closeStandingOrder(uint256 _orderId, StandingOrder storage _order) internal {
+        _order.active = false;
+        
+        uint256[] storage openOrders = ownerStandingOrders[_order.owner];
+        for (uint256 i = 0; i < openOrders.length; i++) {
+            if (openOrders[i] == _orderId) {
+                openOrders[i] = openOrders[openOrders.length - 1];
+                openOrders.pop();
+                break;
+            }
+        }
+    }
+    
+    // Checks deadline and signer, then burns the nonce so the request can't be replayed
+    function _useSignature(
+        address _signer, 
+        bytes32 _typeHash, 
+        bytes32 _structHash, 
+        uint256 _deadline, 
+        bytes calldata _signature
+    ) internal {
+        if (block.timestamp > _deadline) {
+            revert SignatureExpired(_deadline, block.timestamp);
+        }
+        
+        bytes32 digest = ECDSAUpgradeable.toTypedDataHash(DOMAIN_SEPARATOR(), _structHash);
+        (address recovered, ECDSAUpgradeable.RecoverError error) = ECDSAUpgradeable.tryRecover(digest, _signature);
+        if (error != ECDSAUpgradeable.RecoverError.NoError || recovered != _signer) {
+            revert InvalidSignature(_signer, recovered);
+        }
+        
+        uint256 nonce = sigNonces[_signer]++;
+        emit SignedRequestExecuted(_signer, msg.sender, _typeHash, nonce);
+    }
+    
+    // ===== RECEIVE FUNCTION =====
+    
+    // Plain ETH transfers are deposits and follow the same rules - in
+    // particular they revert while paused instead of going uncredited
+    receive() 
+        external 
+        payable 
+        validAmount(msg.value) 
+        nonReentrant 
+        whenNotPaused 
+        whenNotEmergency 
+    {
+        _deposit(msg.sender, msg.value);
+    }
+}
@@ -1,5 +1,7 @@
 require("@nomicfoundation/hardhat-ethers");
+require("@openzeppelin/hardhat-upgrades");
 require('dotenv').config();
+require("./tasks/bank");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -13,9 +15,6 @@ module.exports = {
     }
   },
   networks: {
-    hardhat: {
-      allowUnlimitedContractSize: true
-    },
     sepolia: {
       url: process.env.INFURA_API_KEY ? 
         `https://sepolia.infura.io/v3/${process.env.INFURA_API_KEY}` : 
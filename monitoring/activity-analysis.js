@@ -0,0 +1,63 @@
+// monitoring/activity-analysis.js
+const { ethers } = require('ethers');
+const { expandBatchTransfers } = require('./log-reader');
+
+const OPERATION_EVENTS = {
+  Deposit: "deposit",
+  Withdrawal: "withdrawal",
+  Transfer: "transfer",
+  BatchTransfer: "transfer"
+};
+
+// Summarize decoded Deposit/Withdrawal/Transfer events (see log-reader.js).
+// Each BatchTransfer recipient counts as one transfer.
+// Withdrawals and transfers move no ETH in the calling transaction, so the
+// amounts have to come from the contract's own events.
+function analyzeActivity(events, { largeTransactionThreshold = ethers.parseEther("1.0") } = {}) {
+  const volume = { deposit: 0n, withdrawal: 0n, transfer: 0n };
+  const counts = { deposit: 0, withdrawal: 0, transfer: 0 };
+  const largeTransactions = { deposit: 0, withdrawal: 0, transfer: 0 };
+  const users = new Set();
+
+  for (const event of expandBatchTransfers(events)) {
+    const operation = OPERATION_EVENTS[event.event];
+    if (!operation) {
+      continue;
+    }
+
+    const amount = BigInt(event.args.amount);
+    volume[operation] += amount;
+    counts[operation]++;
+    if (amount >= largeTransactionThreshold) {
+      largeTransactions[operation]++;
+    }
+
+    if (operation === "transfer") {
+      users.add(event.args.from.toLowerCase());
+      users.add(event.args.to.toLowerCase());
+    } else {
+      users.add(event.args.user.toLowerCase());
+    }
+  }
+
+  const totalVolume = volume.deposit + volume.withdrawal + volume.transfer;
+  // Transfers stay inside the bank; only deposits and withdrawals move ETH in or out
+  const netFlow = volume.deposit - volume.withdrawal;
+
+  return {
+    totalTransactions: counts.deposit + counts.withdrawal + counts.transfer,
+    transactionsByType: counts,
+    volumeByType: {
+      deposit: ethers.formatEther(volume.deposit),
+      withdrawal: ethers.formatEther(volume.withdrawal),
+      transfer: ethers.formatEther(volume.transfer)
+    },
+    totalVolume: ethers.formatEther(totalVolume),
+    netFlow: ethers.formatEther(netFlow),
+    uniqueUsers: users.size,
+    largeTransactions: largeTransactions.deposit + largeTransactions.withdrawal + largeTransactions.transfer,
+    largeTransactionsByType: largeTransactions
+  };
+}
+
+module.exports = { OPERATION_EVENTS, analyzeActivity };
@@ -0,0 +1,81 @@
+// monitoring/alert-manager.js
+const { severityRank } = require('./notifiers');
+
+// Decides whether an alert should go out:
+// - alerts with the same dedupKey are suppressed for dedupWindowMs
+// - at most rateLimit.maxAlerts per rateLimit.windowMs (critical alerts always pass)
+// It also remembers the last observed value of tracked state so callers can
+// alert on transitions instead of on every poll.
+class AlertManager {
+  constructor({
+    dedupWindowMs = 15 * 60 * 1000,
+    rateLimit = { maxAlerts: 20, windowMs: 60 * 1000 },
+    now = () => Date.now()
+  } = {}) {
+    this.dedupWindowMs = dedupWindowMs;
+    this.rateLimit = rateLimit;
+    this.now = now;
+
+    this.lastSentByKey = new Map();
+    this.sentTimestamps = [];
+    this.state = new Map();
+    this.suppressed = { duplicate: 0, rateLimited: 0 };
+  }
+
+  // Returns { send: true } or { send: false, reason }
+  evaluate(alert) {
+    const now = this.now();
+    const key = alert.dedupKey;
+
+    if (key !== undefined) {
+      const lastSent = this.lastSentByKey.get(key);
+      if (lastSent !== undefined && now - lastSent < this.dedupWindowMs) {
+        this.suppressed.duplicate++;
+        return { send: false, reason: "duplicate" };
+      }
+    }
+
+    const isCritical = severityRank(alert.severity) === severityRank("critical");
+    if (this.rateLimit && !isCritical) {
+      this.sentTimestamps = this.sentTimestamps.filter((t) => now - t < this.rateLimit.windowMs);
+      if (this.sentTimestamps.length >= this.rateLimit.maxAlerts) {
+        this.suppressed.rateLimited++;
+        return { send: false, reason: "rate-limited" };
+      }
+    }
+
+    if (key !== undefined) {
+      this.lastSentByKey.set(key, now);
+    }
+    this.sentTimestamps.push(now);
+    this.pruneDedupKeys(now);
+
+    return { send: true };
+  }
+
+  pruneDedupKeys(now) {
+    for (const [key, sentAt] of this.lastSentByKey) {
+      if (now - sentAt >= this.dedupWindowMs) {
+        this.lastSentByKey.delete(key);
+      }
+    }
+  }
+
+  // Record a new value for a piece of state.
+  // Returns { initial, changed, previous, current }
+  observe(key, value) {
+    const initial = !this.state.has(key);
+    const previous = this.state.get(key);
+    this.state.set(key, value);
+    return { initial, changed: !initial && previous !== value, previous, current: value };
+  }
+
+  getStats() {
+    return {
+      trackedKeys: this.lastSentByKey.size,
+      suppressed: { ...this.suppressed }
+    };
+  }
+}
+
+module.exports = AlertManager;
@@ -0,0 +1,143 @@
+// monitoring/config.js
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { readDeployment, DEPLOYMENTS_DIR } = require('../scripts/utils/deployments');
+
+// Per-network defaults; anything here can be overridden by the deployment
+// file, a config file, environment variables or the options object.
+const NETWORK_PRESETS = {
+  mainnet: {
+    chainId: 1,
+    rpcUrl: (env) => env.INFURA_API_KEY && `https://mainnet.infura.io/v3/${env.INFURA_API_KEY}`,
+    explorerUrl: "https://etherscan.io",
+    etherscanApiUrl: "https://api.etherscan.io/api",
+    confirmations: 12
+  },
+  sepolia: {
+    chainId: 11155111,
+    rpcUrl: (env) => env.INFURA_API_KEY && `https://sepolia.infura.io/v3/${env.INFURA_API_KEY}`,
+    explorerUrl: "https://sepolia.etherscan.io",
+    etherscanApiUrl: "https://api-sepolia.etherscan.io/api",
+    confirmations: 12
+  },
+  localhost: {
+    chainId: 31337,
+    rpcUrl: () => "http://127.0.0.1:8545",
+    explorerUrl: null,
+    etherscanApiUrl: null,
+    confirmations: 0
+  }
+};
+NETWORK_PRESETS.hardhat = NETWORK_PRESETS.localhost;
+
+function readConfigFile(configFile) {
+  const resolved = path.resolve(configFile);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Monitor config file not found: ${resolved}`);
+  }
+  return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+}
+
+function fromEnv(env) {
+  const config = {
+    rpcUrl: env.MONITOR_RPC_URL,
+    chainId: env.MONITOR_CHAIN_ID && Number(env.MONITOR_CHAIN_ID),
+    contractAddress: env.MONITOR_CONTRACT_ADDRESS,
+    explorerUrl: env.MONITOR_EXPLORER_URL,
+    etherscanApiKey: env.ETHERSCAN_API_KEY
+  };
+  return withoutEmpty(config);
+}
+
+function fromDeployment(deployment) {
+  if (!deployment) {
+    return {};
+  }
+  return withoutEmpty({
+    contractAddress: deployment.contractAddress,
+    chainId: deployment.chainId,
+    deploymentBlock: deployment.blockNumber
+  });
+}
+
+function withoutEmpty(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== "")
+  );
+}
+
+// Resolve the full monitor configuration.
+// Precedence: options > config file > environment > deployment file > network preset
+function loadMonitorConfig(options = {}, env = process.env) {
+  const configFile = options.configFile || env.MONITOR_CONFIG;
+  const fileConfig = configFile ? readConfigFile(configFile) : {};
+
+  const network = options.network || fileConfig.network || env.MONITOR_NETWORK || "sepolia";
+  const deploymentsDir = options.deploymentsDir || fileConfig.deploymentsDir || DEPLOYMENTS_DIR;
+  const deployment = readDeployment(network, deploymentsDir);
+
+  const preset = NETWORK_PRESETS[network] || {};
+  const presetConfig = withoutEmpty({
+    chainId: preset.chainId,
+    rpcUrl: preset.rpcUrl && preset.rpcUrl(env),
+    explorerUrl: preset.explorerUrl,
+    etherscanApiUrl: preset.etherscanApiUrl,
+    confirmations: preset.confirmations
+  });
+
+  const config = {
+    network,
+    pollingInterval: 5 * 60 * 1000,
+    alertDedupWindowMs: 15 * 60 * 1000,
+    alertRateLimit: { maxAlerts: 20, windowMs: 60 * 1000 },
+    userMilestones: [100],
+    largeTransactionThresholdEth: "1.0",
+    confirmations: 12,
+    logChunkSize: 2000,
+    indexerPollingInterval: 15 * 1000,
+    activityWindowBlocks: 7200,
+    highVolumeLargeTransactions: 3,
+    transactionSource: "logs",
+    ...presetConfig,
+    ...fromDeployment(deployment),
+    ...fromEnv(env),
+    ...withoutEmpty(fileConfig),
+    ...withoutEmpty(options)
+  };
+  delete config.configFile;
+
+  if (!config.contractAddress) {
+    throw new Error(
+      `No contract address for ${network}: deploy first (deployments/${network}-deployment.json) ` +
+      "or pass contractAddress / MONITOR_CONTRACT_ADDRESS"
+    );
+  }
+  if (!config.rpcUrl && !config.provider) {
+    throw new Error(`No RPC URL for ${network}: pass rpcUrl / MONITOR_RPC_URL`);
+  }
+
+  return config;
+}
+
+function createProvider(config) {
+  if (config.provider) {
+    return config.provider;
+  }
+  return new ethers.JsonRpcProvider(
+    config.rpcUrl,
+    config.chainId ? Number(config.chainId) : undefined,
+    config.chainId ? { staticNetwork: true } : undefined
+  );
+}
+
+function explorerAddressUrl(config, address = config.contractAddress) {
+  return config.explorerUrl ? `${config.explorerUrl.replace(/\/$/, '')}/address/${address}` : null;
+}
+
+module.exports = {
+  NETWORK_PRESETS,
+  loadMonitorConfig,
+  createProvider,
+  explorerAddressUrl
+};
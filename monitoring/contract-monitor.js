@@ -3,30 +3,90 @@ const axios = require('axios');
 const { ethers } = require('ethers');
 require('dotenv').config();
 
+const { loadMonitorConfig, createProvider, explorerAddressUrl } = require('./config');
+const { AlertDispatcher, notifiersFromEnv } = require('./notifiers');
+const AlertManager = require('./alert-manager');
+const { createIndexerFromConfig } = require('./indexer');
+const { ContractLogReader } = require('./log-reader');
+const { OPERATION_EVENTS, analyzeActivity } = require('./activity-analysis');
+const { BALANCE_EVENTS, replayAccountBalances, checkSolvencyInvariants } = require('./solvency');
+const { loadAbi } = require('../sdk');
+
+// Known role ids for readable role-change alerts (keccak256 of the name)
+const ROLE_NAMES = Object.fromEntries([
+  [ethers.ZeroHash, "DEFAULT_ADMIN_ROLE"],
+  ...["ADMIN_ROLE", "OPERATOR_ROLE", "AUDITOR_ROLE", "GUARDIAN_ROLE"].map((name) => [ethers.id(name), name])
+]);
+const ADMIN_ROLES = ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE"];
+
+// Must match the FREEZE_* constants in SimpleBankV2_1
+const FREEZE_STATUSES = ["none", "full", "withdraw-only"];
+const FREEZE_EVENTS = ["AccountFreezeChanged", "FreezeAppealed"];
+
+// Reason codes are short strings packed into bytes32 ("SANCTIONS"); anything
+// else is shown as hex
+function decodeReasonCode(reason) {
+  try {
+    return ethers.decodeBytes32String(reason);
+  } catch (error) {
+    return reason;
+  }
+}
+
 class SimpleBankMonitor {
-  constructor() {
-    this.contractAddress = "0x9FFF42a6d78344D635e100EeEA5EFdd8ED8CDfF8";
-    this.etherscanApiKey = process.env.ETHERSCAN_API_KEY;
-    this.infuraKey = process.env.INFURA_API_KEY;
-    
-    // Initialize provider
-    this.provider = new ethers.JsonRpcProvider(`https://sepolia.infura.io/v3/${this.infuraKey}`);
-    
-    // Contract ABI (minimal for monitoring)
-    this.contractAbi = [
-      "function getBankStats() external view returns (address owner, uint96 totalDeposits, uint32 totalUsers, bool emergencyMode, uint256 contractBalance)",
-      "function getMyBalance() public view returns (uint256)",
-      "event Deposit(address indexed user, uint256 amount, uint256 newBalance, uint256 indexed timestamp, uint256 indexed transactionId)",
-      "event Withdrawal(address indexed user, uint256 amount, uint256 newBalance, uint256 indexed timestamp, uint256 indexed transactionId)",
-      "event Transfer(address indexed from, address indexed to, uint256 amount, uint256 indexed timestamp, uint256 transactionId)",
-      "event LargeTransactionAlert(address indexed user, uint256 amount, string operation)"
-    ];
+  // options: { network, rpcUrl, chainId, contractAddress, explorerUrl,
+  //            etherscanApiUrl, etherscanApiKey, configFile, deploymentsDir, provider,
+  //            notifiers: [{ type, minSeverity, retries, backoffMs, ... }],
+  //            alertDedupWindowMs, alertRateLimit: { maxAlerts, windowMs },
+  //            userMilestones, largeTransactionThresholdEth,
+  //            indexer (false disables), startBlock, eventStoreFile, confirmations, logChunkSize,
+  //            activityWindowBlocks, highVolumeLargeTransactions, transactionSource: "logs" | "etherscan" }
+  // Unset values fall back to MONITOR_* env vars, then deployments/<network>-deployment.json
+  constructor(options = {}) {
+    this.config = loadMonitorConfig(options);
+    this.network = this.config.network;
+    this.contractAddress = this.config.contractAddress;
+    this.etherscanApiKey = this.config.etherscanApiKey;
+    this.etherscanApiUrl = this.config.etherscanApiUrl;
+    
+    // Initialize provider (an injected provider lets tests and scripts share one)
+    this.provider = createProvider(this.config);
+    
+    // Full contract ABI from the SDK, so every event and custom error decodes
+    this.contractAbi = loadAbi();
     
     this.contract = new ethers.Contract(this.contractAddress, this.contractAbi, this.provider);
+    this.logReader = new ContractLogReader({
+      provider: this.provider,
+      contractAddress: this.contractAddress,
+      abi: this.contractAbi,
+      chunkSize: this.config.logChunkSize
+    });
+    
+    // Alert sinks from config, or stdout plus whatever *_WEBHOOK_URL env vars are set
+    this.alertDispatcher = new AlertDispatcher(this.config.notifiers || notifiersFromEnv());
+    this.alertManager = new AlertManager({
+      dedupWindowMs: this.config.alertDedupWindowMs,
+      rateLimit: this.config.alertRateLimit
+    });
+    this.largeTransactionThreshold = ethers.parseEther(String(this.config.largeTransactionThresholdEth));
+    
+    // Persistent event index - needs a known start block so it never scans from genesis
+    const hasStartBlock = this.config.startBlock !== undefined || this.config.deploymentBlock !== undefined;
+    if (this.config.indexer !== false && hasStartBlock) {
+      this.indexer = createIndexerFromConfig(this.config, this.provider);
+    } else {
+      this.indexer = null;
+      console.log("📚 Event indexing disabled (no deployment block or startBlock configured)");
+    }
     
     console.log("🎧 Simple Bank Monitor initialized");
     console.log(`📍 Monitoring contract: ${this.contractAddress}`);
-    console.log(`📡 Network: Sepolia`);
+    console.log(`📡 Network: ${this.network}${this.config.chainId ? ` (Chain ID: ${this.config.chainId})` : ""}`);
+  }
+  
+  explorerLink(address = this.contractAddress) {
+    return explorerAddressUrl(this.config, address);
   }
 
   // Monitor basic contract health
@@ -57,30 +117,284 @@ class SimpleBankMonitor {
       console.log(`   Active Users: ${healthReport.totalUsers}`);
       console.log(`   Emergency Mode: ${healthReport.emergencyMode}`);
       
-      // Alert conditions
-      if (bankStats.emergencyMode) {
-        await this.sendAlert("🚨 EMERGENCY MODE ACTIVATED", healthReport);
+      // Alert conditions - state alerts fire on transitions only, not on every cycle
+      const healthState = this.alertManager.observe("healthCheckOk", true);
+      if (healthState.changed) {
+        await this.sendAlert("🟢 CONTRACT HEALTH CHECK RECOVERED", healthReport, {
+          severity: "info",
+          dedupKey: `health-check:recovered:${blockNumber}`
+        });
       }
       
-      if (Number(bankStats.totalUsers) > 100) {
-        await this.sendAlert("📈 USER MILESTONE: 100+ users reached", healthReport);
+      const emergencyState = this.alertManager.observe("emergencyMode", bankStats.emergencyMode);
+      if (bankStats.emergencyMode && (emergencyState.initial || emergencyState.changed)) {
+        await this.sendAlert("🚨 EMERGENCY MODE ACTIVATED", healthReport, {
+          severity: "critical",
+          dedupKey: `emergency-mode:on:${blockNumber}`
+        });
+      } else if (!bankStats.emergencyMode && emergencyState.changed) {
+        await this.sendAlert("🟢 EMERGENCY MODE DEACTIVATED", healthReport, {
+          severity: "info",
+          dedupKey: `emergency-mode:off:${blockNumber}`
+        });
       }
       
+      await this.checkUserMilestones(healthReport);
+      
       return healthReport;
       
     } catch (error) {
       console.error("❌ Health check failed:", error.message);
-      await this.sendAlert("🔴 CONTRACT HEALTH CHECK FAILED", { error: error.message });
+      this.alertManager.observe("healthCheckOk", false);
+      await this.sendAlert("🔴 CONTRACT HEALTH CHECK FAILED", { error: error.message }, {
+        severity: "critical",
+        dedupKey: "health-check:failed"
+      });
+      return null;
+    }
+  }
+  
+  // Alert once when the user count crosses a milestone. The first observation
+  // is only a baseline so restarts don't replay milestones reached long ago.
+  async checkUserMilestones(healthReport) {
+    const { initial, previous } = this.alertManager.observe("totalUsers", healthReport.totalUsers);
+    if (initial) {
+      return;
+    }
+    
+    for (const milestone of this.config.userMilestones) {
+      if (previous <= milestone && healthReport.totalUsers > milestone) {
+        await this.sendAlert(`📈 USER MILESTONE: ${milestone}+ users reached`, healthReport, {
+          severity: "info",
+          dedupKey: `user-milestone:${milestone}`
+        });
+      }
+    }
+  }
+
+  // Backfill/follow contract events so restarts don't lose history
+  async syncEventIndex() {
+    if (!this.indexer) {
+      return null;
+    }
+    
+    try {
+      console.log("\n📚 Syncing event index...");
+      const stats = await this.indexer.sync();
+      this.lastIndexedBlock = stats.toBlock;
+      console.log(`   Blocks ${stats.fromBlock}-${stats.toBlock}: ${stats.newEvents} events (${this.indexer.store.count()} indexed)`);
+      
+      if (stats.reorgDetected) {
+        await this.sendAlert("⛓️ CHAIN REORG DETECTED", stats, { severity: "warning" });
+      }
+      return stats;
+    } catch (error) {
+      this.lastIndexedBlock = undefined;
+      console.error("❌ Event index sync failed:", error.message);
+      await this.sendAlert("🔴 EVENT INDEX SYNC FAILED", { error: error.message }, {
+        severity: "warning",
+        dedupKey: "index-sync:failed"
+      });
       return null;
     }
   }
 
-  // Monitor recent transactions using Etherscan API
-  async checkRecentTransactions() {
+  // Compare internal accounting with the indexed event history and the real
+  // ETH balance. Only runs once the index is synced, since balances are
+  // replayed from the deployment block; stats are read at the indexed block
+  // so both sides describe the same chain state.
+  async checkSolvency() {
+    if (this.lastIndexedBlock === undefined) {
+      return null;
+    }
+    
+    try {
+      console.log("\n⚖️ Checking solvency invariants...");
+      
+      const blockTag = this.lastIndexedBlock;
+      const [bankStats, interestReserve] = await Promise.all([
+        this.contract.getBankStats({ blockTag }),
+        this.contract.interestReserve({ blockTag })
+      ]);
+      const events = this.indexer.getEvents({ event: BALANCE_EVENTS, toBlock: blockTag });
+      
+      const solvencyReport = {
+        blockNumber: blockTag,
+        ...checkSolvencyInvariants({
+          totalDeposits: bankStats.totalDeposits,
+          contractBalance: bankStats.contractBalance,
+          interestReserve,
+          accountBalances: replayAccountBalances(events)
+        })
+      };
+      
+      for (const violation of solvencyReport.violations) {
+        console.log(`   ❌ ${violation.invariant}: expected ${violation.expected}, got ${violation.actual} (${violation.discrepancyEth} ETH)`);
+      }
+      console.log(`   Status: ${solvencyReport.solvent ? "✅ SOLVENT" : "🚨 INVARIANT VIOLATED"}`);
+      
+      const solvencyState = this.alertManager.observe("solvent", solvencyReport.solvent);
+      if (!solvencyReport.solvent) {
+        // Keyed by the discrepancies so a changing shortfall alerts again
+        const discrepancies = solvencyReport.violations.map((v) => v.discrepancyWei).join(":");
+        await this.sendAlert("🚨 SOLVENCY INVARIANT VIOLATED", solvencyReport, {
+          severity: "critical",
+          dedupKey: `solvency:violated:${discrepancies}`
+        });
+      } else if (solvencyState.changed) {
+        await this.sendAlert("🟢 SOLVENCY RESTORED", solvencyReport, {
+          severity: "info",
+          dedupKey: `solvency:restored:${blockTag}`
+        });
+      }
+      
+      return solvencyReport;
+    } catch (error) {
+      console.error("❌ Solvency check failed:", error.message);
+      return null;
+    }
+  }
+
+  // Large withdrawals wait in an on-chain queue until an operator approves,
+  // rejects or fast-tracks them. Every hold still pending review is alerted
+  // (once per dedup window); a hold whose delay has passed without review is
+  // escalated to critical.
+  async checkWithdrawalHolds() {
     try {
-      console.log("\n📊 Checking recent transactions...");
+      console.log("\n⏳ Checking withdrawal holds...");
+      
+      const holdIds = await this.contract.getOpenWithdrawalHolds();
+      const latestBlock = await this.provider.getBlock("latest");
+      
+      const holds = [];
+      for (const holdId of holdIds) {
+        const hold = await this.contract.getWithdrawalHold(holdId);
+        holds.push(this.describeWithdrawalHold(holdId, hold, latestBlock.timestamp));
+      }
+      
+      const pending = holds.filter((hold) => hold.status === "pending");
+      const holdsReport = {
+        open: holds.length,
+        pending: pending.length,
+        approved: holds.length - pending.length,
+        overdue: pending.filter((hold) => hold.overdue).length,
+        holds
+      };
       
-      const response = await axios.get('https://api-sepolia.etherscan.io/api', {
+      console.log(`   Open holds: ${holdsReport.open} (${holdsReport.pending} pending review, ${holdsReport.overdue} overdue)`);
+      
+      for (const hold of pending) {
+        await this.alertWithdrawalHold(hold);
+      }
+      
+      return holdsReport;
+    } catch (error) {
+      console.error("❌ Withdrawal hold check failed:", error.message);
+      return null;
+    }
+  }
+  
+  describeWithdrawalHold(holdId, hold, now) {
+    const id = Number(holdId);
+    return {
+      holdId: id,
+      user: hold.user,
+      amount: ethers.formatEther(hold.amount),
+      requestedAt: new Date(Number(hold.requestedAt) * 1000).toISOString(),
+      releaseAt: new Date(Number(hold.releaseAt) * 1000).toISOString(),
+      status: Number(hold.status) === 1 ? "pending" : "approved",
+      overdue: now >= Number(hold.releaseAt),
+      // Operator calls that resolve the hold
+      actions: {
+        approve: `approveWithdrawalHold(${id})`,
+        reject: `rejectWithdrawalHold(${id})`,
+        fastTrack: `fastTrackWithdrawalHold(${id})`
+      },
+      explorer: this.explorerLink(hold.user)
+    };
+  }
+  
+  async alertWithdrawalHold(hold) {
+    if (hold.overdue) {
+      return this.sendAlert(`🚨 WITHDRAWAL HOLD #${hold.holdId} OVERDUE FOR REVIEW`, hold, {
+        severity: "critical",
+        dedupKey: `withdrawal-hold:${hold.holdId}:overdue`
+      });
+    }
+    return this.sendAlert(`⏳ WITHDRAWAL HOLD #${hold.holdId} AWAITING REVIEW`, hold, {
+      severity: "warning",
+      dedupKey: `withdrawal-hold:${hold.holdId}:pending`
+    });
+  }
+
+  // Analyze recent banking activity from the contract's own events.
+  // Falls back to Etherscan's txlist when log analysis fails (or when
+  // transactionSource is "etherscan") and an Etherscan API is configured.
+  async checkRecentTransactions() {
+    console.log("\n📊 Checking recent transactions...");
+    
+    let report = null;
+    if (this.config.transactionSource !== "etherscan") {
+      try {
+        report = await this.analyzeRecentLogs();
+      } catch (error) {
+        console.error("❌ On-chain log analysis failed:", error.message);
+      }
+    }
+    
+    if (!report && this.etherscanApiUrl) {
+      report = await this.checkRecentTransactionsViaEtherscan();
+    }
+    
+    if (!report) {
+      return null;
+    }
+    
+    console.log(`📊 Transaction Analysis (${report.source}):`);
+    console.log(`   Transactions: ${report.totalTransactions}`);
+    console.log(`   Total Volume: ${report.totalVolume} ETH`);
+    if (report.volumeByType) {
+      console.log(`   Deposits / Withdrawals / Transfers: ${report.volumeByType.deposit} / ${report.volumeByType.withdrawal} / ${report.volumeByType.transfer} ETH`);
+      console.log(`   Net Flow: ${report.netFlow} ETH`);
+      console.log(`   Unique Users: ${report.uniqueUsers}`);
+    }
+    console.log(`   Large Transactions (>=${this.config.largeTransactionThresholdEth} ETH): ${report.largeTransactions}`);
+    
+    // Alert for unusual activity
+    if (report.largeTransactions > this.config.highVolumeLargeTransactions) {
+      await this.sendAlert("⚠️ HIGH VOLUME ACTIVITY", report, {
+        severity: "warning",
+        dedupKey: "high-volume-activity"
+      });
+    }
+    
+    return report;
+  }
+  
+  // Provider-only analysis over the last activityWindowBlocks blocks
+  async analyzeRecentLogs() {
+    const head = this.lastIndexedBlock !== undefined ? this.lastIndexedBlock : await this.provider.getBlockNumber();
+    const earliestBlock = this.config.startBlock ?? this.config.deploymentBlock ?? 0;
+    const fromBlock = Math.max(head - this.config.activityWindowBlocks + 1, earliestBlock, 0);
+    
+    // The event index was synced at the start of this cycle; otherwise read logs directly
+    const events = this.lastIndexedBlock !== undefined
+      ? this.indexer.getEvents({ event: Object.keys(OPERATION_EVENTS), fromBlock, toBlock: head })
+      : await this.logReader.readEvents(fromBlock, head);
+    
+    return {
+      source: "logs",
+      fromBlock,
+      toBlock: head,
+      ...analyzeActivity(events, { largeTransactionThreshold: this.largeTransactionThreshold })
+    };
+  }
+  
+  // Legacy Etherscan txlist analysis - only sees ETH sent with the call,
+  // so withdrawals and transfers show up with zero value
+  async checkRecentTransactionsViaEtherscan() {
+    try {
+      const response = await axios.get(this.etherscanApiUrl, {
         params: {
           module: 'account',
           action: 'txlist',
@@ -94,51 +408,34 @@ class SimpleBankMonitor {
         }
       });
 
-      if (response.data.status === '1') {
-        const transactions = response.data.result;
-        
-        console.log(`📋 Found ${transactions.length} recent transactions`);
-        
-        // Analyze transactions
-        let totalVolume = 0n;
-        let largeTransactions = 0;
-        const oneEth = ethers.parseEther("1.0");
-        
-        transactions.forEach((tx, index) => {
-          const value = BigInt(tx.value);
-          totalVolume += value;
-          
-          if (value >= oneEth) {
-            largeTransactions++;
-            console.log(`   🚨 Large transaction #${index + 1}: ${ethers.formatEther(value)} ETH`);
-          }
-        });
-        
-        console.log(`📊 Transaction Analysis:`);
-        console.log(`   Total Volume: ${ethers.formatEther(totalVolume)} ETH`);
-        console.log(`   Large Transactions (>1 ETH): ${largeTransactions}`);
-        
-        // Alert for unusual activity
-        if (largeTransactions > 3) {
-          await this.sendAlert("⚠️ HIGH VOLUME ACTIVITY", {
-            largeTransactions,
-            totalVolume: ethers.formatEther(totalVolume)
-          });
-        }
-        
-        return {
-          totalTransactions: transactions.length,
-          totalVolume: ethers.formatEther(totalVolume),
-          largeTransactions
-        };
-        
-      } else {
+      if (response.data.status !== '1') {
         console.log("⚠️ No transactions found or API error");
         return null;
       }
       
+      const transactions = response.data.result;
+      console.log(`📋 Found ${transactions.length} recent transactions on Etherscan`);
+      
+      let totalVolume = 0n;
+      let largeTransactions = 0;
+      
+      transactions.forEach((tx) => {
+        const value = BigInt(tx.value);
+        totalVolume += value;
+        if (value >= this.largeTransactionThreshold) {
+          largeTransactions++;
+        }
+      });
+      
+      return {
+        source: "etherscan",
+        totalTransactions: transactions.length,
+        totalVolume: ethers.formatEther(totalVolume),
+        largeTransactions
+      };
+      
     } catch (error) {
-      console.error("❌ Transaction monitoring failed:", error.message);
+      console.error("❌ Etherscan transaction lookup failed:", error.message);
       return null;
     }
   }
@@ -147,77 +444,199 @@ class SimpleBankMonitor {
   startEventListener() {
     console.log("\n🎧 Starting real-time event monitoring...");
     
-    // Listen for deposits
-    this.contract.on("Deposit", (user, amount, newBalance, timestamp, transactionId) => {
-      const formattedAmount = ethers.formatEther(amount);
-      console.log(`💰 DEPOSIT: ${user} deposited ${formattedAmount} ETH`);
-      
-      if (amount >= ethers.parseEther("1.0")) {
-        this.sendAlert("💰 LARGE DEPOSIT DETECTED", {
-          user,
-          amount: formattedAmount,
-          transactionId: Number(transactionId)
-        });
-      }
+    this.contract.on("Deposit", (...args) => this.handleDeposit(...args));
+    this.contract.on("Withdrawal", (...args) => this.handleWithdrawal(...args));
+    this.contract.on("Transfer", (...args) => this.handleTransfer(...args));
+    this.contract.on("BatchTransfer", (...args) => this.handleBatchTransfer(...args));
+    this.contract.on("LargeTransactionAlert", (...args) => this.handleLargeTransactionAlert(...args));
+    this.contract.on("WithdrawalHeld", (...args) => this.handleWithdrawalHeld(...args));
+    this.contract.on("RoleGranted", (...args) => this.handleRoleChange("granted", ...args));
+    this.contract.on("RoleRevoked", (...args) => this.handleRoleChange("revoked", ...args));
+    this.contract.on("OwnershipTransferStarted", (...args) => this.handleOwnershipTransfer("started", ...args));
+    this.contract.on("OwnershipTransferred", (...args) => this.handleOwnershipTransfer("completed", ...args));
+    this.contract.on("AccountFreezeChanged", (...args) => this.handleAccountFreezeChanged(...args));
+    this.contract.on("FreezeAppealed", (...args) => this.handleFreezeAppealed(...args));
+    
+    console.log("✅ Event listeners active");
+  }
+
+  // The contract emits LargeTransactionAlert in the same transaction as the
+  // Deposit/Withdrawal/Transfer it refers to, so both listeners share one
+  // dedup key per transaction and operation.
+  largeTransactionKey(operation, user, amount, event) {
+    const txHash = event && event.log ? event.log.transactionHash : undefined;
+    return txHash ? `large-tx:${txHash}:${operation}` : `large-tx:${operation}:${user}:${amount}`;
+  }
+  
+  async handleDeposit(user, amount, newBalance, timestamp, transactionId, event) {
+    const formattedAmount = ethers.formatEther(amount);
+    console.log(`💰 DEPOSIT: ${user} deposited ${formattedAmount} ETH`);
+    
+    if (amount >= this.largeTransactionThreshold) {
+      return this.sendAlert("💰 LARGE DEPOSIT DETECTED", {
+        user,
+        amount: formattedAmount,
+        transactionId: Number(transactionId)
+      }, { severity: "warning", dedupKey: this.largeTransactionKey("deposit", user, amount, event) });
+    }
+  }
+  
+  async handleWithdrawal(user, amount, newBalance, timestamp, transactionId, event) {
+    const formattedAmount = ethers.formatEther(amount);
+    console.log(`🏧 WITHDRAWAL: ${user} withdrew ${formattedAmount} ETH`);
+    
+    if (amount >= this.largeTransactionThreshold) {
+      return this.sendAlert("🏧 LARGE WITHDRAWAL DETECTED", {
+        user,
+        amount: formattedAmount,
+        transactionId: Number(transactionId)
+      }, { severity: "warning", dedupKey: this.largeTransactionKey("withdrawal", user, amount, event) });
+    }
+  }
+  
+  async handleTransfer(from, to, amount) {
+    const formattedAmount = ethers.formatEther(amount);
+    console.log(`🔄 TRANSFER: ${from} → ${to} (${formattedAmount} ETH)`);
+  }
+  
+  async handleBatchTransfer(from, recipients, amounts, totalAmount) {
+    const formattedAmount = ethers.formatEther(totalAmount);
+    console.log(`🔄 BATCH TRANSFER: ${from} → ${recipients.length} recipient(s) (${formattedAmount} ETH)`);
+  }
+  
+  // Same dedup key as checkWithdrawalHolds(), so the next cycle doesn't repeat it
+  async handleWithdrawalHeld(holdId, user, amount, releaseAt) {
+    console.log(`⏳ WITHDRAWAL HELD: #${holdId} ${ethers.formatEther(amount)} ETH for ${user}`);
+    
+    const hold = await this.contract.getWithdrawalHold(holdId);
+    const latestBlock = await this.provider.getBlock("latest");
+    return this.alertWithdrawalHold(this.describeWithdrawalHold(holdId, hold, latestBlock.timestamp));
+  }
+  
+  async handleLargeTransactionAlert(user, amount, operation, event) {
+    const formattedAmount = ethers.formatEther(amount);
+    console.log(`🚨 LARGE TRANSACTION ALERT: ${operation} of ${formattedAmount} ETH by ${user}`);
+    
+    return this.sendAlert("🚨 AUTOMATIC LARGE TRANSACTION ALERT", {
+      user,
+      amount: formattedAmount,
+      operation
+    }, { severity: "warning", dedupKey: this.largeTransactionKey(operation, user, amount, event) });
+  }
+
+  // Every role change alerts; admin role changes are critical. Keyed per log
+  // so a grant and a revoke in one transaction both get through.
+  async handleRoleChange(change, role, account, sender, event) {
+    const roleName = ROLE_NAMES[role] || role;
+    console.log(`🔑 ROLE ${change.toUpperCase()}: ${roleName} ${change === "granted" ? "to" : "from"} ${account} by ${sender}`);
+    
+    return this.sendAlert(`🔑 ROLE ${change.toUpperCase()}: ${roleName}`, {
+      role: roleName,
+      account,
+      sender
+    }, {
+      severity: ADMIN_ROLES.includes(roleName) ? "critical" : "warning",
+      dedupKey: this.eventKey(`role-${change}:${role}:${account}`, event)
     });
+  }
+  
+  async handleOwnershipTransfer(stage, previousOwner, newOwner, event) {
+    const cancelled = stage === "started" && newOwner === ethers.ZeroAddress;
+    const title = cancelled ? "👑 OWNERSHIP TRANSFER CANCELLED"
+      : stage === "started" ? "👑 OWNERSHIP TRANSFER PROPOSED" : "👑 OWNERSHIP TRANSFERRED";
+    console.log(`${title}: ${previousOwner} → ${newOwner}`);
     
-    // Listen for withdrawals
-    this.contract.on("Withdrawal", (user, amount, newBalance, timestamp, transactionId) => {
-      const formattedAmount = ethers.formatEther(amount);
-      console.log(`🏧 WITHDRAWAL: ${user} withdrew ${formattedAmount} ETH`);
-      
-      if (amount >= ethers.parseEther("1.0")) {
-        this.sendAlert("🏧 LARGE WITHDRAWAL DETECTED", {
-          user,
-          amount: formattedAmount,
-          transactionId: Number(transactionId)
-        });
-      }
+    return this.sendAlert(title, { previousOwner, newOwner }, {
+      severity: "critical",
+      dedupKey: this.eventKey(`ownership-${stage}:${newOwner}`, event)
     });
+  }
+  
+  // SecurityIncident is emitted alongside these, so it isn't listened to separately
+  async handleAccountFreezeChanged(account, previousStatus, status, reason, operator, event) {
+    const details = {
+      account,
+      previousStatus: FREEZE_STATUSES[Number(previousStatus)],
+      status: FREEZE_STATUSES[Number(status)],
+      reason: decodeReasonCode(reason),
+      operator,
+      explorer: this.explorerLink(account)
+    };
+    console.log(`🧊 ACCOUNT FREEZE: ${account} ${details.previousStatus} → ${details.status} (${details.reason})`);
     
-    // Listen for transfers
-    this.contract.on("Transfer", (from, to, amount, timestamp, transactionId) => {
-      const formattedAmount = ethers.formatEther(amount);
-      console.log(`🔄 TRANSFER: ${from} → ${to} (${formattedAmount} ETH)`);
+    const title = Number(status) === 0 ? `🟢 ACCOUNT UNFROZEN: ${account}` : `🧊 ACCOUNT FROZEN (${details.status}): ${account}`;
+    return this.sendAlert(title, details, {
+      severity: Number(status) === 0 ? "info" : "critical",
+      dedupKey: this.eventKey(`freeze:${account}:${details.status}`, event)
     });
+  }
+  
+  async handleFreezeAppealed(account, statementHash, timestamp, event) {
+    console.log(`📨 FREEZE APPEAL: ${account} (${statementHash})`);
     
-    // Listen for large transaction alerts
-    this.contract.on("LargeTransactionAlert", (user, amount, operation) => {
-      const formattedAmount = ethers.formatEther(amount);
-      console.log(`🚨 LARGE TRANSACTION ALERT: ${operation} of ${formattedAmount} ETH by ${user}`);
-      
-      this.sendAlert("🚨 AUTOMATIC LARGE TRANSACTION ALERT", {
-        user,
-        amount: formattedAmount,
-        operation
+    return this.sendAlert(`📨 FREEZE APPEAL FILED: ${account}`, {
+      account,
+      statementHash,
+      filedAt: new Date(Number(timestamp) * 1000).toISOString()
+    }, { severity: "warning", dedupKey: this.eventKey(`freeze-appeal:${account}`, event) });
+  }
+  
+  // An account's freeze trail: current status from the contract, history
+  // (freezes, unfreezes and appeals, oldest first) from the event index
+  async getFreezeTrail(account) {
+    if (!this.indexer) {
+      throw new Error("Freeze trail needs the event index (configure a deployment block or startBlock)");
+    }
+    await this.indexer.sync();
+    
+    const status = await this.contract.getFreezeStatus(account);
+    // The account filter also matches the operator side, so check args.account
+    const entries = this.indexer.getEvents({ event: FREEZE_EVENTS, account })
+      .filter((event) => event.args.account.toLowerCase() === account.toLowerCase())
+      .map((event) => {
+        const entry = { blockNumber: event.blockNumber, transactionHash: event.transactionHash };
+        if (event.event === "FreezeAppealed") {
+          return { ...entry, type: "appeal", statementHash: event.args.statementHash, actor: event.args.account };
+        }
+        return {
+          ...entry,
+          type: Number(event.args.status) === 0 ? "unfreeze" : "freeze",
+          previousStatus: FREEZE_STATUSES[Number(event.args.previousStatus)],
+          status: FREEZE_STATUSES[Number(event.args.status)],
+          reason: decodeReasonCode(event.args.reason),
+          actor: event.args.operator
+        };
       });
-    });
     
-    console.log("✅ Event listeners active");
+    return { account: ethers.getAddress(account), status: FREEZE_STATUSES[Number(status)], entries };
+  }
+  
+  eventKey(key, event) {
+    const log = event && event.log;
+    return log ? `${key}:${log.transactionHash}:${log.index}` : key;
   }
 
-  // Send alerts (webhook/email simulation)
-  async sendAlert(title, data) {
+  // Send alerts to every configured sink (stdout, webhook, Slack, Discord, file)
+  // dedupKey: alerts sharing a key are suppressed for the dedup window (defaults to the title)
+  async sendAlert(title, data, { severity = "warning", dedupKey = title } = {}) {
     const alert = {
       timestamp: new Date().toISOString(),
       contract: this.contractAddress,
-      network: "sepolia",
+      network: this.network,
+      severity: severity,
+      dedupKey: dedupKey,
       title: title,
       data: data
     };
     
-    console.log(`\n🚨 ALERT: ${title}`);
-    console.log(`📋 Details:`, JSON.stringify(data, null, 2));
-    
-    // In a real implementation, you would send to:
-    // - Slack webhook
-    // - Discord webhook  
-    // - Email service (SendGrid, etc.)
-    // - PagerDuty
-    // - Custom monitoring dashboard
+    const decision = this.alertManager.evaluate(alert);
+    if (!decision.send) {
+      alert.suppressed = decision.reason;
+      console.log(`🔕 Alert suppressed (${decision.reason}): ${title}`);
+      return alert;
+    }
     
-    // For now, just log to console
-    console.log("📤 Alert logged (would notify external systems)");
+    alert.deliveries = await this.alertDispatcher.dispatch(alert);
     
     return alert;
   }
@@ -227,14 +646,21 @@ class SimpleBankMonitor {
     console.log("\n🔄 Running monitoring cycle...");
     console.log("=====================================");
     
+    const indexReport = await this.syncEventIndex();
     const healthReport = await this.checkContractHealth();
+    const solvencyReport = await this.checkSolvency();
+    const holdsReport = await this.checkWithdrawalHolds();
     const transactionReport = await this.checkRecentTransactions();
     
+    const solvent = !solvencyReport || solvencyReport.solvent;
     const monitoringReport = {
       timestamp: new Date().toISOString(),
+      index: indexReport,
       health: healthReport,
+      solvency: solvencyReport,
+      holds: holdsReport,
       transactions: transactionReport,
-      status: healthReport ? "✅ OPERATIONAL" : "❌ ISSUES DETECTED"
+      status: healthReport && solvent ? "✅ OPERATIONAL" : "❌ ISSUES DETECTED"
     };
     
     console.log(`\n📋 Monitoring Summary: ${monitoringReport.status}`);
@@ -242,47 +668,87 @@ class SimpleBankMonitor {
     return monitoringReport;
   }
 
-  // Continuous monitoring (runs every 5 minutes)
-  startContinuousMonitoring() {
-    console.log("🎯 Starting continuous monitoring (5-minute intervals)...");
+  // Continuous monitoring (runs every 5 minutes by default). Pass
+  // initialCheck: false when a cycle has just run, so its alerts aren't repeated
+  startContinuousMonitoring({ initialCheck = true } = {}) {
+    const intervalMinutes = this.config.pollingInterval / 60000;
+    console.log(`🎯 Starting continuous monitoring (${intervalMinutes}-minute intervals)...`);
     
     // Initial check
-    this.runMonitoringCycle();
+    if (initialCheck) {
+      this.runMonitoringCycle();
+    }
     
     // Start event listening
     this.startEventListener();
     
     // Schedule periodic checks
-    setInterval(async () => {
+    this.monitoringInterval = setInterval(async () => {
       await this.runMonitoringCycle();
-    }, 5 * 60 * 1000); // 5 minutes
+    }, this.config.pollingInterval);
     
     console.log("✅ Continuous monitoring active");
   }
+  
+  async stop() {
+    if (this.monitoringInterval) {
+      clearInterval(this.monitoringInterval);
+      this.monitoringInterval = null;
+    }
+    await this.contract.removeAllListeners();
+  }
+}
+
+// Usage example:
+//   node monitoring/contract-monitor.js --network localhost
+//   MONITOR_CONFIG=monitor.config.json node monitoring/contract-monitor.js
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--network") options.network = argv[++i];
+    else if (argv[i] === "--config") options.configFile = argv[++i];
+    else if (argv[i] === "--watch") options.watch = true;
+  }
+  return options;
 }
 
-// Usage example
 async function main() {
-  const monitor = new SimpleBankMonitor();
+  const { watch, ...options } = parseArgs(process.argv.slice(2));
+  const monitor = new SimpleBankMonitor(options);
   
   // Run one-time monitoring report
   console.log("🚀 Simple Bank v2.1 Monitoring System");
   console.log("=====================================");
   
-  await monitor.runMonitoringCycle();
+  const report = await monitor.runMonitoringCycle();
   
-  // For continuous monitoring, uncomment:
-  // monitor.startContinuousMonitoring();
+  if (watch) {
+    // The report above was the first cycle - the loop picks up after one interval
+    monitor.startContinuousMonitoring({ initialCheck: false });
+    return report;
+  }
   
   console.log("\n✅ Monitoring complete!");
-  console.log("🔗 Check your contract: https://sepolia.etherscan.io/address/0x9FFF42a6d78344D635e100EeEA5EFdd8ED8CDfF8");
+  const explorerLink = monitor.explorerLink();
+  if (explorerLink) {
+    console.log(`🔗 Check your contract: ${explorerLink}`);
+  }
+  
+  // A failed health check or broken accounting should fail CI runs
+  if (!report.health || (report.solvency && !report.solvency.solvent)) {
+    process.exitCode = 1;
+  }
+  return report;
 }
 
 // Run monitoring
 if (require.main === module) {
   main()
     .then(() => console.log("Monitoring script completed"))
-    .catch(console.error);
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
 }
 
 module.exports = SimpleBankMonitor;
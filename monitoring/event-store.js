@@ -0,0 +1,85 @@
+// monitoring/event-store.js
+const fs = require('fs');
+const path = require('path');
+
+const STORE_VERSION = 1;
+
+// Append-only JSON file of decoded contract events plus an indexing checkpoint.
+// Writes go to a temp file and are renamed into place so a crash mid-write
+// never leaves a truncated store behind.
+class JsonEventStore {
+  constructor(file) {
+    this.file = file;
+    this.data = this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return { version: STORE_VERSION, meta: {}, checkpoint: null, events: [] };
+    }
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    if (data.version !== STORE_VERSION) {
+      throw new Error(`Unsupported event store version ${data.version} in ${this.file}`);
+    }
+    return data;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.data));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  // Contract address / chain id the store belongs to; refuses to mix deployments
+  bind(meta) {
+    const current = this.data.meta;
+    for (const [key, value] of Object.entries(meta)) {
+      if (current[key] !== undefined && current[key] !== value) {
+        throw new Error(`Event store ${this.file} belongs to ${key}=${current[key]}, not ${value}`);
+      }
+    }
+    this.data.meta = { ...current, ...meta };
+  }
+
+  // { blockNumber, blockHash } of the last block whose events are final
+  getCheckpoint() {
+    return this.data.checkpoint;
+  }
+
+  setCheckpoint(checkpoint) {
+    this.data.checkpoint = checkpoint;
+  }
+
+  appendEvents(events) {
+    this.data.events.push(...events);
+  }
+
+  // Drop everything above blockNumber (used for reorg rollback)
+  removeEventsAfter(blockNumber) {
+    const before = this.data.events.length;
+    this.data.events = this.data.events.filter((e) => e.blockNumber <= blockNumber);
+    return before - this.data.events.length;
+  }
+
+  // filter: { event: string | string[], fromBlock, toBlock, account, confirmedOnly }
+  getEvents(filter = {}) {
+    const names = filter.event ? [].concat(filter.event) : null;
+    const account = filter.account ? filter.account.toLowerCase() : null;
+
+    return this.data.events.filter((e) => {
+      if (names && !names.includes(e.event)) return false;
+      if (filter.fromBlock !== undefined && e.blockNumber < filter.fromBlock) return false;
+      if (filter.toBlock !== undefined && e.blockNumber > filter.toBlock) return false;
+      if (filter.confirmedOnly && !e.confirmed) return false;
+      if (account && !e.accounts.includes(account)) return false;
+      return true;
+    });
+  }
+
+  count() {
+    return this.data.events.length;
+  }
+}
+
+module.exports = { JsonEventStore, STORE_VERSION };
@@ -0,0 +1,163 @@
+// monitoring/indexer.js
+const path = require('path');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const { JsonEventStore } = require('./event-store');
+const { ContractLogReader } = require('./log-reader');
+const { loadMonitorConfig, createProvider } = require('./config');
+const { loadAbi } = require('../sdk');
+
+// Every SimpleBankV2_1 event, straight from the compiled ABI so new events
+// are indexed without editing a list here
+function indexedEventsAbi() {
+  return loadAbi().filter((fragment) => fragment.type === "event");
+}
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', 'data');
+
+// Backfills and follows contract events into an event store.
+// Events newer than `confirmations` blocks are stored as unconfirmed and are
+// rolled back and re-fetched on every sync, so shallow reorgs fix themselves.
+// If the checkpoint block itself was reorged away, the indexer rolls back
+// maxReorgDepth blocks and re-indexes from there.
+class EventIndexer {
+  constructor({
+    provider,
+    contractAddress,
+    store,
+    storeFile,
+    startBlock = 0,
+    confirmations = 12,
+    chunkSize = 2000,
+    maxReorgDepth = 64,
+    abi = indexedEventsAbi()
+  }) {
+    this.provider = provider;
+    this.contractAddress = ethers.getAddress(contractAddress);
+    this.store = store || new JsonEventStore(storeFile);
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.maxReorgDepth = maxReorgDepth;
+    this.reader = new ContractLogReader({ provider, contractAddress, abi, chunkSize });
+
+    this.store.bind({ contractAddress: this.contractAddress });
+  }
+
+  async sync() {
+    const head = await this.provider.getBlockNumber();
+    const confirmedHead = head - this.confirmations;
+    const stats = { fromBlock: null, toBlock: head, newEvents: 0, rolledBack: 0, reorgDetected: false };
+
+    let checkpoint = await this.verifyCheckpoint(stats);
+    const fromBlock = checkpoint ? checkpoint.blockNumber + 1 : this.startBlock;
+    stats.fromBlock = fromBlock;
+
+    // Unconfirmed events are re-fetched below
+    stats.rolledBack += this.store.removeEventsAfter(fromBlock - 1);
+
+    for (let chunkStart = fromBlock; chunkStart <= head;) {
+      const { toBlock, logs } = await this.reader.fetchLogs(chunkStart, Math.min(chunkStart + this.reader.chunkSize - 1, head));
+
+      const events = logs.map((log) => this.reader.decodeLog(log, log.blockNumber <= confirmedHead));
+      this.store.appendEvents(events);
+      stats.newEvents += events.length;
+
+      const lastConfirmed = Math.min(toBlock, confirmedHead);
+      if (lastConfirmed >= chunkStart) {
+        const block = await this.provider.getBlock(lastConfirmed);
+        checkpoint = { blockNumber: lastConfirmed, blockHash: block.hash };
+        this.store.setCheckpoint(checkpoint);
+      }
+      this.store.save();
+
+      chunkStart = toBlock + 1;
+    }
+
+    this.store.save();
+    return stats;
+  }
+
+  // Returns the checkpoint if it is still on the canonical chain, otherwise
+  // rolls the store back and returns the new (older) checkpoint.
+  async verifyCheckpoint(stats) {
+    const checkpoint = this.store.getCheckpoint();
+    if (!checkpoint) {
+      return null;
+    }
+
+    const block = await this.provider.getBlock(checkpoint.blockNumber);
+    if (block && block.hash === checkpoint.blockHash) {
+      return checkpoint;
+    }
+
+    stats.reorgDetected = true;
+    const rollbackTo = checkpoint.blockNumber - this.maxReorgDepth;
+    console.warn(`⚠️ Reorg detected at block ${checkpoint.blockNumber} - rolling back to ${rollbackTo}`);
+
+    stats.rolledBack += this.store.removeEventsAfter(rollbackTo);
+    if (rollbackTo < this.startBlock) {
+      this.store.setCheckpoint(null);
+      return null;
+    }
+
+    const ancestor = await this.provider.getBlock(rollbackTo);
+    const newCheckpoint = { blockNumber: rollbackTo, blockHash: ancestor.hash };
+    this.store.setCheckpoint(newCheckpoint);
+    return newCheckpoint;
+  }
+
+  getEvents(filter) {
+    return this.store.getEvents(filter);
+  }
+}
+
+// Build an indexer from a resolved monitor config (see monitoring/config.js)
+function createIndexerFromConfig(config, provider) {
+  return new EventIndexer({
+    provider,
+    contractAddress: config.contractAddress,
+    storeFile: config.eventStoreFile || path.join(DEFAULT_STORE_DIR, `${config.network}-events.json`),
+    startBlock: config.startBlock ?? config.deploymentBlock ?? 0,
+    confirmations: config.confirmations,
+    chunkSize: config.logChunkSize
+  });
+}
+
+// Usage:
+//   node monitoring/indexer.js --network localhost
+//   node monitoring/indexer.js --network sepolia --watch
+async function main() {
+  const args = process.argv.slice(2);
+  const networkIndex = args.indexOf("--network");
+  const config = loadMonitorConfig(networkIndex >= 0 ? { network: args[networkIndex + 1] } : {});
+  const provider = createProvider(config);
+  const indexer = createIndexerFromConfig(config, provider);
+
+  const runSync = async () => {
+    const stats = await indexer.sync();
+    console.log(`📚 Indexed blocks ${stats.fromBlock}-${stats.toBlock}: ${stats.newEvents} events` +
+      `${stats.reorgDetected ? " (reorg handled)" : ""}, ${indexer.store.count()} total`);
+  };
+
+  console.log(`📚 Indexing ${config.contractAddress} on ${config.network} from block ${indexer.startBlock}...`);
+  await runSync();
+
+  if (args.includes("--watch")) {
+    setInterval(() => runSync().catch((error) => console.error("❌ Index sync failed:", error.message)),
+      config.indexerPollingInterval);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  indexedEventsAbi,
+  EventIndexer,
+  createIndexerFromConfig
+};
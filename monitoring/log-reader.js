@@ -0,0 +1,111 @@
+// monitoring/log-reader.js
+const { ethers } = require('ethers');
+
+// ethers Result -> plain JSON (BigInts as decimal strings)
+function normalizeValue(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  return value;
+}
+
+// Reads and decodes a contract's logs over block ranges using only an RPC
+// provider. Ranges are split into chunks, and a chunk the provider rejects
+// (most RPCs cap the block range or result size) is halved until it fits.
+class ContractLogReader {
+  constructor({ provider, contractAddress, abi, chunkSize = 2000 }) {
+    this.provider = provider;
+    this.contractAddress = ethers.getAddress(contractAddress);
+    this.chunkSize = chunkSize;
+
+    this.iface = new ethers.Interface(abi);
+    this.topics = [];
+    this.iface.forEachEvent((event) => this.topics.push(event.topicHash));
+  }
+
+  // Decoded events in [fromBlock, toBlock]; confirmedHead marks which are final
+  async readEvents(fromBlock, toBlock, { confirmedHead = toBlock } = {}) {
+    const events = [];
+    for (let chunkStart = fromBlock; chunkStart <= toBlock;) {
+      const chunk = await this.fetchLogs(chunkStart, Math.min(chunkStart + this.chunkSize - 1, toBlock));
+      events.push(...chunk.logs.map((log) => this.decodeLog(log, log.blockNumber <= confirmedHead)));
+      chunkStart = chunk.toBlock + 1;
+    }
+    return events;
+  }
+
+  // Returns { toBlock, logs } - toBlock may be lower than requested when the
+  // range had to be shrunk; callers continue from toBlock + 1
+  async fetchLogs(fromBlock, toBlock) {
+    try {
+      const logs = await this.provider.getLogs({
+        address: this.contractAddress,
+        topics: [this.topics],
+        fromBlock,
+        toBlock
+      });
+      return { toBlock, logs };
+    } catch (error) {
+      if (toBlock === fromBlock) {
+        throw error;
+      }
+      const midpoint = fromBlock + Math.floor((toBlock - fromBlock) / 2);
+      this.chunkSize = Math.max(1, midpoint - fromBlock + 1);
+      return this.fetchLogs(fromBlock, midpoint);
+    }
+  }
+
+  decodeLog(log, confirmed = true) {
+    const parsed = this.iface.parseLog({ topics: [...log.topics], data: log.data });
+    const args = {};
+    const accounts = new Set();
+
+    parsed.fragment.inputs.forEach((input, i) => {
+      const value = normalizeValue(parsed.args[i]);
+      args[input.name] = value;
+      if (input.type === 'address') {
+        accounts.add(value.toLowerCase());
+      } else if (input.type === 'address[]') {
+        value.forEach((account) => accounts.add(account.toLowerCase()));
+      }
+    });
+
+    return {
+      id: `${log.blockNumber}-${log.index}`,
+      event: parsed.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      confirmed,
+      args,
+      accounts: [...accounts]
+    };
+  }
+}
+
+// Splits each decoded BatchTransfer into one Transfer-shaped event per
+// recipient, so balance replays and activity stats treat both alike
+function expandBatchTransfers(events) {
+  return events.flatMap((event) => {
+    if (event.event !== "BatchTransfer") {
+      return [event];
+    }
+    const { from, recipients, amounts, timestamp, firstTransactionId } = event.args;
+    return recipients.map((to, i) => ({
+      ...event,
+      id: `${event.id}-${i}`,
+      event: "Transfer",
+      batchIndex: i,
+      args: {
+        from,
+        to,
+        amount: amounts[i],
+        timestamp,
+        transactionId: (BigInt(firstTransactionId) + BigInt(i)).toString()
+      },
+      accounts: [from.toLowerCase(), to.toLowerCase()]
+    }));
+  });
+}
+
+module.exports = { ContractLogReader, normalizeValue, expandBatchTransfers };
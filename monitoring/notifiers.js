@@ -0,0 +1,242 @@
+// monitoring/notifiers.js
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// Ordered from least to most severe
+const SEVERITY_LEVELS = ["info", "warning", "critical"];
+
+const SEVERITY_STYLES = {
+  info: { emoji: "ℹ️", color: 0x3498db },
+  warning: { emoji: "⚠️", color: 0xf1c40f },
+  critical: { emoji: "🚨", color: 0xe74c3c }
+};
+
+function severityRank(severity) {
+  const rank = SEVERITY_LEVELS.indexOf(severity);
+  if (rank === -1) {
+    throw new Error(`Unknown alert severity: ${severity}`);
+  }
+  return rank;
+}
+
+// JSON.stringify that survives BigInt values from ethers
+function toJson(value, space) {
+  return JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v), space);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Base class: severity filtering + retry with exponential backoff.
+// Subclasses implement deliver(alert).
+class Notifier {
+  constructor({ name, minSeverity = "info", retries = 3, backoffMs = 500 } = {}) {
+    severityRank(minSeverity);
+    this.name = name || this.constructor.name;
+    this.minSeverity = minSeverity;
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+  }
+
+  accepts(alert) {
+    return severityRank(alert.severity) >= severityRank(this.minSeverity);
+  }
+
+  async notify(alert) {
+    if (!this.accepts(alert)) {
+      return { sink: this.name, delivered: false, skipped: true };
+    }
+
+    let lastError;
+    for (let attempt = 1; attempt <= this.retries; attempt++) {
+      try {
+        await this.deliver(alert);
+        return { sink: this.name, delivered: true, attempts: attempt };
+      } catch (error) {
+        lastError = error;
+        if (attempt < this.retries) {
+          await sleep(this.backoffMs * 2 ** (attempt - 1));
+        }
+      }
+    }
+
+    return { sink: this.name, delivered: false, attempts: this.retries, error: lastError.message };
+  }
+
+  async deliver() {
+    throw new Error(`${this.name} does not implement deliver()`);
+  }
+}
+
+class StdoutNotifier extends Notifier {
+  constructor(options = {}) {
+    super({ name: "stdout", retries: 1, ...options });
+  }
+
+  async deliver(alert) {
+    console.log(`\n${SEVERITY_STYLES[alert.severity].emoji} ALERT [${alert.severity.toUpperCase()}]: ${alert.title}`);
+    console.log(`📋 Details:`, toJson(alert.data, 2));
+  }
+}
+
+// Appends one JSON document per line
+class FileNotifier extends Notifier {
+  constructor({ file, ...options } = {}) {
+    super({ name: "file", ...options });
+    if (!file) {
+      throw new Error("FileNotifier requires a file path");
+    }
+    this.file = file;
+  }
+
+  async deliver(alert) {
+    await fs.promises.mkdir(path.dirname(path.resolve(this.file)), { recursive: true });
+    await fs.promises.appendFile(this.file, toJson(alert) + "\n");
+  }
+}
+
+// Generic JSON POST of the alert object
+class WebhookNotifier extends Notifier {
+  constructor({ url, headers = {}, timeoutMs = 10000, ...options } = {}) {
+    super({ name: "webhook", ...options });
+    if (!url) {
+      throw new Error(`${this.constructor.name} requires a url`);
+    }
+    this.url = url;
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+  }
+
+  format(alert) {
+    return JSON.parse(toJson(alert));
+  }
+
+  async deliver(alert) {
+    await axios.post(this.url, this.format(alert), {
+      headers: { "Content-Type": "application/json", ...this.headers },
+      timeout: this.timeoutMs
+    });
+  }
+}
+
+function dataFields(data) {
+  return Object.entries(data || {}).map(([key, value]) => ({
+    key,
+    value: typeof value === 'object' ? toJson(value) : String(value)
+  }));
+}
+
+class SlackNotifier extends WebhookNotifier {
+  constructor(options = {}) {
+    super({ name: "slack", ...options });
+  }
+
+  format(alert) {
+    const style = SEVERITY_STYLES[alert.severity];
+    return {
+      text: `${style.emoji} [${alert.severity.toUpperCase()}] ${alert.title}`,
+      attachments: [{
+        color: `#${style.color.toString(16).padStart(6, "0")}`,
+        fields: dataFields(alert.data).map(({ key, value }) => ({ title: key, value, short: value.length < 40 })),
+        footer: `${alert.network} • ${alert.contract}`,
+        ts: Math.floor(new Date(alert.timestamp).getTime() / 1000)
+      }]
+    };
+  }
+}
+
+class DiscordNotifier extends WebhookNotifier {
+  constructor(options = {}) {
+    super({ name: "discord", ...options });
+  }
+
+  format(alert) {
+    const style = SEVERITY_STYLES[alert.severity];
+    return {
+      embeds: [{
+        title: `${style.emoji} ${alert.title}`.slice(0, 256),
+        color: style.color,
+        // Discord caps embeds at 25 fields of 1024 characters
+        fields: dataFields(alert.data).slice(0, 25).map(({ key, value }) => ({
+          name: key,
+          value: value.slice(0, 1024) || "-",
+          inline: value.length < 40
+        })),
+        footer: { text: `${alert.severity.toUpperCase()} • ${alert.network} • ${alert.contract}` },
+        timestamp: alert.timestamp
+      }]
+    };
+  }
+}
+
+const NOTIFIER_TYPES = {
+  stdout: StdoutNotifier,
+  file: FileNotifier,
+  webhook: WebhookNotifier,
+  slack: SlackNotifier,
+  discord: DiscordNotifier
+};
+
+// Build a notifier from a config entry such as
+// { "type": "slack", "url": "https://hooks.slack.com/...", "minSeverity": "critical" }
+function createNotifier(spec) {
+  if (spec instanceof Notifier) {
+    return spec;
+  }
+  const { type, ...options } = spec;
+  const NotifierClass = NOTIFIER_TYPES[type];
+  if (!NotifierClass) {
+    throw new Error(`Unknown notifier type: ${type}`);
+  }
+  return new NotifierClass(options);
+}
+
+// Sinks enabled through environment variables (used when none are configured)
+function notifiersFromEnv(env = process.env) {
+  const specs = [{ type: "stdout" }];
+  if (env.ALERT_WEBHOOK_URL) specs.push({ type: "webhook", url: env.ALERT_WEBHOOK_URL });
+  if (env.SLACK_WEBHOOK_URL) specs.push({ type: "slack", url: env.SLACK_WEBHOOK_URL });
+  if (env.DISCORD_WEBHOOK_URL) specs.push({ type: "discord", url: env.DISCORD_WEBHOOK_URL });
+  if (env.ALERT_LOG_FILE) specs.push({ type: "file", file: env.ALERT_LOG_FILE });
+  return specs;
+}
+
+// Fans every alert out to all sinks; one failing sink never blocks the others
+class AlertDispatcher {
+  constructor(notifiers = []) {
+    this.notifiers = notifiers.map(createNotifier);
+  }
+
+  add(notifier) {
+    this.notifiers.push(createNotifier(notifier));
+    return this;
+  }
+
+  async dispatch(alert) {
+    severityRank(alert.severity);
+    const results = await Promise.all(this.notifiers.map((notifier) => notifier.notify(alert)));
+
+    for (const result of results) {
+      if (!result.delivered && !result.skipped) {
+        console.error(`❌ Alert delivery to ${result.sink} failed after ${result.attempts} attempts: ${result.error}`);
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  severityRank,
+  toJson,
+  Notifier,
+  StdoutNotifier,
+  FileNotifier,
+  WebhookNotifier,
+  SlackNotifier,
+  DiscordNotifier,
+  NOTIFIER_TYPES,
+  createNotifier,
+  notifiersFromEnv,
+  AlertDispatcher
+};
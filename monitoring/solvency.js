@@ -0,0 +1,88 @@
+// monitoring/solvency.js
+const { ethers } = require('ethers');
+const { expandBatchTransfers } = require('./log-reader');
+
+// Every event that changes an account balance
+const BALANCE_EVENTS = ["Deposit", "Withdrawal", "Transfer", "BatchTransfer", "InterestClaimed"];
+
+// Rebuild every account balance by replaying the decoded BALANCE_EVENTS
+// (see log-reader.js) in chain order. Needs the complete event history
+// from the deployment block, otherwise balances start from zero mid-stream.
+function replayAccountBalances(events) {
+  const balances = new Map();
+  const credit = (account, amount) => {
+    const key = account.toLowerCase();
+    balances.set(key, (balances.get(key) || 0n) + amount);
+  };
+
+  const ordered = expandBatchTransfers(events).sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  for (const event of ordered) {
+    const amount = event.args.amount !== undefined ? BigInt(event.args.amount) : 0n;
+    if (event.event === "Deposit" || event.event === "InterestClaimed") {
+      credit(event.args.user, amount);
+    } else if (event.event === "Withdrawal") {
+      credit(event.args.user, -amount);
+    } else if (event.event === "Transfer") {
+      credit(event.args.from, -amount);
+      credit(event.args.to, amount);
+    }
+  }
+
+  return balances;
+}
+
+// Check the bank's accounting invariants:
+//   totalDeposits == sum(accounts.balance)
+//   contractBalance >= totalDeposits + interestReserve
+// The interest reserve is owed to depositors too (getSurplus() excludes it);
+// token accounts have none and leave it at 0.
+// accountBalances: Map or object of account -> balance (wei)
+// Returns { solvent, totalDeposits, interestReserve, contractBalance,
+// sumOfBalances, violations } where each violation carries the exact
+// discrepancy in wei and ETH.
+function checkSolvencyInvariants({ totalDeposits, contractBalance, accountBalances, interestReserve = 0n }) {
+  const balances = accountBalances instanceof Map ? [...accountBalances.values()] : Object.values(accountBalances);
+  const sumOfBalances = balances.reduce((sum, balance) => sum + BigInt(balance), 0n);
+  totalDeposits = BigInt(totalDeposits);
+  contractBalance = BigInt(contractBalance);
+  interestReserve = BigInt(interestReserve);
+
+  const violations = [];
+  if (sumOfBalances !== totalDeposits) {
+    violations.push(violation(
+      "totalDeposits == sum(accounts.balance)",
+      sumOfBalances,
+      totalDeposits
+    ));
+  }
+  if (contractBalance < totalDeposits + interestReserve) {
+    violations.push(violation(
+      "contractBalance >= totalDeposits + interestReserve",
+      totalDeposits + interestReserve,
+      contractBalance
+    ));
+  }
+
+  return {
+    solvent: violations.length === 0,
+    totalDeposits: totalDeposits.toString(),
+    interestReserve: interestReserve.toString(),
+    contractBalance: contractBalance.toString(),
+    sumOfBalances: sumOfBalances.toString(),
+    violations
+  };
+}
+
+// discrepancy = actual - expected
+function violation(invariant, expected, actual) {
+  const discrepancy = actual - expected;
+  return {
+    invariant,
+    expected: expected.toString(),
+    actual: actual.toString(),
+    discrepancyWei: discrepancy.toString(),
+    discrepancyEth: ethers.formatEther(discrepancy)
+  };
+}
+
+module.exports = { BALANCE_EVENTS, replayAccountBalances, checkSolvencyInvariants };
@@ -0,0 +1,349 @@
+const fs = require('fs');
+const path = require('path');
+const hre = require("hardhat");
+const { ethers } = hre;
+const { readDeployment } = require('./utils/deployments');
+const { ContractLogReader, expandBatchTransfers } = require('../monitoring/log-reader');
+const { indexedEventsAbi } = require('../monitoring/indexer');
+const { analyzeActivity } = require('../monitoring/activity-analysis');
+const { checkSolvencyInvariants } = require('../monitoring/solvency');
+
+const REPORTS_DIR = path.join(__dirname, '..', 'reports');
+const REPORT_VERSION = 1;
+const ACCOUNT_PAGE_SIZE = 100;
+const AUDITED_ROLES = ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE", "OPERATOR_ROLE", "AUDITOR_ROLE", "GUARDIAN_ROLE"];
+const CONTROL_EVENTS = ["Paused", "Unpaused", "EmergencyModeToggled"];
+const SIGNATURE_SCHEME = "EIP-191 personal_sign over keccak256(JSON.stringify(report))";
+
+const CSV_COLUMNS = [
+  "account", "balance_wei", "held_wei", "deposits_wei", "withdrawals_wei",
+  "transfers_in_wei", "transfers_out_wei", "interest_wei"
+];
+
+// Usage:
+//   npx hardhat run scripts/audit-report.js --network sepolia
+//   AUDIT_MONTH=2026-09 npx hardhat run scripts/audit-report.js --network sepolia
+//   AUDIT_FROM_BLOCK=100 AUDIT_TO_BLOCK=200 npx hardhat run scripts/audit-report.js --network localhost
+// The first signer must hold AUDITOR_ROLE (or ADMIN_ROLE); it also signs the report.
+async function main() {
+  console.log("🧾 Generating Simple Bank audit report...");
+  console.log("=====================================");
+
+  const [auditor] = await ethers.getSigners();
+  const networkName = hre.network.name;
+
+  const deployment = readDeployment(networkName);
+  if (!deployment) {
+    throw new Error(`❌ No deployment found for ${networkName}. Run scripts/deploy.js first`);
+  }
+
+  const bank = await ethers.getContractAt(deployment.contractName || "SimpleBankV2_1", deployment.contractAddress, auditor);
+  const { fromBlock, toBlock } = await resolveBlockRange(ethers.provider, deployment);
+
+  console.log(`📡 Network: ${networkName}`);
+  console.log(`🏦 Contract: ${deployment.contractAddress}`);
+  console.log(`👤 Auditor: ${auditor.address}`);
+  console.log(`📦 Blocks: ${fromBlock} → ${toBlock}`);
+
+  const report = await buildAuditReport(bank, { fromBlock, toBlock, network: networkName });
+  const csv = toCsv(report);
+  const signed = await signAuditReport(report, csv, auditor);
+
+  const { jsonFile, csvFile } = writeAuditReport(signed, csv, networkName);
+  console.log(`\n📊 Accounts: ${report.balances.length}, events in range: ${report.flows.totalTransactions} transactions`);
+  console.log(`⚖️ Invariants: ${report.invariants.solvent ? "✅ SOLVENT" : "🚨 VIOLATED"}`);
+  console.log(`📄 JSON: ${jsonFile}`);
+  console.log(`📄 CSV:  ${csvFile}`);
+  console.log(`✍️ Signed by ${signed.signature.signer} (digest ${signed.signature.digest})`);
+
+  return { jsonFile, csvFile, signed };
+}
+
+// AUDIT_MONTH (YYYY-MM, UTC) wins over AUDIT_FROM_BLOCK / AUDIT_TO_BLOCK;
+// defaults are the deployment block and the latest block
+async function resolveBlockRange(provider, deployment, env = process.env) {
+  const latest = await provider.getBlockNumber();
+
+  if (env.AUDIT_MONTH) {
+    const match = /^(\d{4})-(\d{2})$/.exec(env.AUDIT_MONTH);
+    if (!match) {
+      throw new Error(`❌ AUDIT_MONTH must look like 2026-09, got ${env.AUDIT_MONTH}`);
+    }
+    const start = Date.UTC(Number(match[1]), Number(match[2]) - 1, 1) / 1000;
+    const end = Date.UTC(Number(match[1]), Number(match[2]), 1) / 1000;
+    const fromBlock = await findFirstBlockAtOrAfter(provider, start, latest);
+    const toBlock = (await findFirstBlockAtOrAfter(provider, end, latest)) - 1;
+    if (fromBlock > toBlock) {
+      throw new Error(`❌ No blocks in ${env.AUDIT_MONTH}`);
+    }
+    return { fromBlock, toBlock };
+  }
+
+  return {
+    fromBlock: env.AUDIT_FROM_BLOCK !== undefined ? Number(env.AUDIT_FROM_BLOCK) : (deployment.blockNumber || 0),
+    toBlock: env.AUDIT_TO_BLOCK !== undefined ? Number(env.AUDIT_TO_BLOCK) : latest
+  };
+}
+
+// Binary search over block timestamps up to `latest`; returns latest + 1 if
+// every block is older
+async function findFirstBlockAtOrAfter(provider, timestamp, latest) {
+  let low = 0;
+  let high = latest;
+  if ((await provider.getBlock(high)).timestamp < timestamp) {
+    return latest + 1;
+  }
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if ((await provider.getBlock(mid)).timestamp < timestamp) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+// bank must be connected to an auditor signer - the audit views are role-gated.
+// State is read at toBlock; flows, role changes and control toggles cover
+// every event in [fromBlock, toBlock].
+async function buildAuditReport(bank, { fromBlock, toBlock, network }) {
+  const provider = bank.runner.provider;
+  const contractAddress = await bank.getAddress();
+  const blockTag = toBlock;
+
+  const [{ chainId }, fromBlockInfo, toBlockInfo, snapshot] = await Promise.all([
+    provider.getNetwork(),
+    provider.getBlock(fromBlock),
+    provider.getBlock(toBlock),
+    bank.getAuditSnapshot({ blockTag })
+  ]);
+
+  const balances = await readAccountBalances(bank, blockTag);
+  const roleNames = await readRoleNames(bank);
+  const roles = {};
+  for (const [roleHash, name] of Object.entries(roleNames)) {
+    roles[name] = [...await bank.getRoleMembers(roleHash, { blockTag })];
+  }
+
+  const reader = new ContractLogReader({ provider, contractAddress, abi: indexedEventsAbi() });
+  const events = await reader.readEvents(fromBlock, toBlock);
+
+  const accountBalances = Object.fromEntries(balances.map((account) => [account.account, account.balance]));
+
+  return {
+    reportVersion: REPORT_VERSION,
+    network,
+    chainId: Number(chainId),
+    contract: contractAddress,
+    generatedAt: new Date().toISOString(),
+    period: {
+      fromBlock,
+      toBlock,
+      from: new Date(fromBlockInfo.timestamp * 1000).toISOString(),
+      to: new Date(toBlockInfo.timestamp * 1000).toISOString()
+    },
+    snapshot: {
+      blockNumber: Number(snapshot.blockNumber),
+      timestamp: Number(snapshot.timestamp),
+      totalDeposits: snapshot.totalDeposits.toString(),
+      contractBalance: snapshot.contractBalance.toString(),
+      totalUsers: Number(snapshot.totalUsers),
+      accountCount: Number(snapshot.accountCount),
+      interestReserve: snapshot.interestReserve.toString(),
+      totalAccruedInterest: snapshot.totalAccruedInterest.toString(),
+      totalHeld: snapshot.totalHeld.toString(),
+      openHolds: Number(snapshot.openHolds),
+      nextTransactionId: Number(snapshot.nextTransactionId),
+      paused: snapshot.paused,
+      emergencyMode: snapshot.emergencyMode
+    },
+    balances,
+    flows: {
+      ...analyzeActivity(events),
+      byAccount: accountFlows(events)
+    },
+    roles,
+    roleChanges: events
+      .filter((event) => event.event === "RoleGranted" || event.event === "RoleRevoked")
+      .map((event) => ({
+        event: event.event,
+        role: roleNames[event.args.role] || event.args.role,
+        account: event.args.account,
+        sender: event.args.sender,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+      })),
+    controlEvents: events
+      .filter((event) => CONTROL_EVENTS.includes(event.event))
+      .map((event) => ({
+        event: event.event,
+        ...(event.event === "EmergencyModeToggled" ? { enabled: event.args.enabled } : { account: event.args.account }),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+      })),
+    invariants: checkSolvencyInvariants({
+      totalDeposits: snapshot.totalDeposits,
+      contractBalance: snapshot.contractBalance,
+      interestReserve: snapshot.interestReserve,
+      accountBalances
+    })
+  };
+}
+
+async function readAccountBalances(bank, blockTag) {
+  const count = Number(await bank.getAccountCount({ blockTag }));
+  const balances = [];
+
+  for (let offset = 0; offset < count; offset += ACCOUNT_PAGE_SIZE) {
+    const [users, details] = await bank.getAccounts(offset, ACCOUNT_PAGE_SIZE, { blockTag });
+    for (let i = 0; i < users.length; i++) {
+      const held = await bank.heldBalance(users[i], { blockTag });
+      balances.push({
+        account: users[i],
+        balance: details[i].balance.toString(),
+        held: held.toString(),
+        transactionCount: Number(details[i].transactionCount),
+        lastActivity: Number(details[i].lastActivity),
+        accountCreated: Number(details[i].accountCreated)
+      });
+    }
+  }
+
+  return balances;
+}
+
+// role hash => constant name, for the roles auditors care about
+async function readRoleNames(bank) {
+  const names = {};
+  for (const name of AUDITED_ROLES) {
+    names[await bank[name]()] = name;
+  }
+  return names;
+}
+
+function accountFlows(events) {
+  const flows = new Map();
+  const add = (account, field, amount) => {
+    const key = ethers.getAddress(account);
+    if (!flows.has(key)) {
+      flows.set(key, { account: key, deposits: 0n, withdrawals: 0n, transfersIn: 0n, transfersOut: 0n, interest: 0n });
+    }
+    flows.get(key)[field] += BigInt(amount);
+  };
+
+  for (const event of expandBatchTransfers(events)) {
+    if (event.event === "Deposit") add(event.args.user, "deposits", event.args.amount);
+    else if (event.event === "Withdrawal") add(event.args.user, "withdrawals", event.args.amount);
+    else if (event.event === "InterestClaimed") add(event.args.user, "interest", event.args.amount);
+    else if (event.event === "Transfer") {
+      add(event.args.from, "transfersOut", event.args.amount);
+      add(event.args.to, "transfersIn", event.args.amount);
+    }
+  }
+
+  return [...flows.values()].map((flow) => Object.fromEntries(
+    Object.entries(flow).map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value])
+  ));
+}
+
+// One row per account: closing balance plus flows over the period
+function toCsv(report) {
+  const rows = new Map();
+  const row = (account) => {
+    if (!rows.has(account)) {
+      rows.set(account, { account, balance_wei: "0", held_wei: "0", deposits_wei: "0", withdrawals_wei: "0",
+        transfers_in_wei: "0", transfers_out_wei: "0", interest_wei: "0" });
+    }
+    return rows.get(account);
+  };
+
+  for (const balance of report.balances) {
+    Object.assign(row(balance.account), { balance_wei: balance.balance, held_wei: balance.held });
+  }
+  for (const flow of report.flows.byAccount) {
+    Object.assign(row(flow.account), {
+      deposits_wei: flow.deposits,
+      withdrawals_wei: flow.withdrawals,
+      transfers_in_wei: flow.transfersIn,
+      transfers_out_wei: flow.transfersOut,
+      interest_wei: flow.interest
+    });
+  }
+
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const values of rows.values()) {
+    lines.push(CSV_COLUMNS.map((column) => values[column]).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// The CSV digest goes into the signed JSON, so one signature covers both files
+async function signAuditReport(report, csv, signer) {
+  const signedReport = { ...report, csvDigest: ethers.keccak256(ethers.toUtf8Bytes(csv)) };
+  const digest = ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(signedReport)));
+  const signature = await signer.signMessage(ethers.getBytes(digest));
+
+  return {
+    report: signedReport,
+    signature: {
+      scheme: SIGNATURE_SCHEME,
+      signer: await signer.getAddress(),
+      digest,
+      signature
+    }
+  };
+}
+
+// Returns the recovered signer; throws if the report or CSV was modified
+function verifyAuditReport(signed, csv) {
+  const digest = ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(signed.report)));
+  if (digest !== signed.signature.digest) {
+    throw new Error("Audit report digest mismatch - the JSON was modified after signing");
+  }
+  if (csv !== undefined && ethers.keccak256(ethers.toUtf8Bytes(csv)) !== signed.report.csvDigest) {
+    throw new Error("Audit report CSV digest mismatch - the CSV was modified after signing");
+  }
+
+  const recovered = ethers.verifyMessage(ethers.getBytes(digest), signed.signature.signature);
+  if (recovered !== signed.signature.signer) {
+    throw new Error(`Audit report signed by ${recovered}, not ${signed.signature.signer}`);
+  }
+  return recovered;
+}
+
+function writeAuditReport(signed, csv, networkName, reportsDir = REPORTS_DIR) {
+  fs.mkdirSync(reportsDir, { recursive: true });
+
+  const { fromBlock, toBlock } = signed.report.period;
+  const baseName = `${networkName}-audit-${fromBlock}-${toBlock}`;
+  const jsonFile = path.join(reportsDir, `${baseName}.json`);
+  const csvFile = path.join(reportsDir, `${baseName}.csv`);
+
+  fs.writeFileSync(jsonFile, JSON.stringify(signed, null, 2));
+  fs.writeFileSync(csvFile, csv);
+  return { jsonFile, csvFile };
+}
+
+if (require.main === module) {
+  main()
+    .then(() => {
+      console.log(`\n✅ Audit report completed successfully!`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n❌ Audit report failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+  resolveBlockRange,
+  buildAuditReport,
+  toCsv,
+  signAuditReport,
+  verifyAuditReport,
+  writeAuditReport
+};
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const hre = require("hardhat");
+const { CONTRACT_NAME } = require('../sdk/abi');
+
+const SDK_GENERATED_DIR = path.join(__dirname, '..', 'sdk', 'generated');
+
+// Usage:
+//   npm run build:sdk
+//   npx hardhat run scripts/build-sdk.js
+// Compiles, then writes the contract ABI and the TypeScript argument types of
+// its custom errors to sdk/generated/ (run before packing the SDK).
+async function main() {
+  console.log("📦 Building Simple Bank SDK...");
+  console.log("=====================================");
+
+  await hre.run("compile", { quiet: true });
+  const files = await buildSdk();
+
+  files.forEach((file) => console.log(`✅ Wrote ${path.relative(process.cwd(), file)}`));
+}
+
+async function buildSdk({ outDir = SDK_GENERATED_DIR } = {}) {
+  const artifact = await hre.artifacts.readArtifact(CONTRACT_NAME);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const abiFile = path.join(outDir, `${CONTRACT_NAME}.json`);
+  fs.writeFileSync(abiFile, JSON.stringify({ contractName: CONTRACT_NAME, abi: artifact.abi }, null, 2));
+
+  const typesFile = path.join(outDir, "errors.d.ts");
+  fs.writeFileSync(typesFile, errorTypes(artifact.abi));
+
+  return [abiFile, typesFile];
+}
+
+// Solidity ABI parameter -> the TypeScript type ethers v6 decodes it to
+function tsType(param) {
+  if (param.type.endsWith("]")) {
+    return `${tsType({ ...param, type: param.type.slice(0, param.type.lastIndexOf("[")) })}[]`;
+  }
+  if (param.type === "tuple") {
+    return `{ ${param.components.map((component) => `${component.name}: ${tsType(component)}`).join("; ")} }`;
+  }
+  if (/^u?int\d*$/.test(param.type)) {
+    return "bigint";
+  }
+  if (param.type === "bool") {
+    return "boolean";
+  }
+  return "string";
+}
+
+function errorTypes(abi) {
+  const errors = abi
+    .filter((fragment) => fragment.type === "error")
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const lines = [
+    `// Generated by scripts/build-sdk.js from the ${CONTRACT_NAME} artifact - do not edit`,
+    "",
+    "export interface BankErrorArgs {",
+    ...errors.map((error) => {
+      const fields = error.inputs.map((input, i) => `${input.name || i}: ${tsType(input)}`);
+      return `  ${error.name}: { ${fields.join("; ")} };`;
+    }),
+    "}",
+    "",
+    "export type BankErrorName = keyof BankErrorArgs;",
+    ""
+  ];
+  return lines.join("\n").replace(/\{ {2}\}/g, "{}");
+}
+
+if (require.main === module) {
+  main()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n❌ SDK build failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, buildSdk, tsType };
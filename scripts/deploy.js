@@ -1,6 +1,92 @@
-const { ethers } = require("hardhat");
-const fs = require('fs');
-const path = require('path');
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { writeDeployment, saveBuildInfo } = require('./utils/deployments');
+const { deployModules } = require('./utils/modules');
+const { PROXY_ADMIN_ABI, resolveActionDelays, deployTimelock, handOverToTimelock } = require('./utils/governance');
+
+const CONTRACT_NAME = "SimpleBankV2_1";
+const PROXY_KIND = "transparent";
+
+// Chainlink ETH/USD aggregators - override with PRICE_FEED_ADDRESS
+const ETH_USD_PRICE_FEEDS = {
+  mainnet: "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419",
+  sepolia: "0x694AA1769357215DE4FAC081bf1f309aDC325306"
+};
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+async function resolvePriceFeed(networkName) {
+  if (process.env.PRICE_FEED_ADDRESS) {
+    return { address: process.env.PRICE_FEED_ADDRESS, mock: false };
+  }
+  if (ETH_USD_PRICE_FEEDS[networkName]) {
+    return { address: ETH_USD_PRICE_FEEDS[networkName], mock: false };
+  }
+  if (!LOCAL_NETWORKS.includes(networkName)) {
+    throw new Error(`❌ No ETH/USD price feed known for ${networkName}. Set PRICE_FEED_ADDRESS`);
+  }
+
+  // Local networks get a mock aggregator at $2,000 (8 decimals like Chainlink)
+  console.log("🔮 Deploying MockV3Aggregator for local network...");
+  const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+  const mockFeed = await MockV3Aggregator.deploy(8, 2000n * 10n ** 8n);
+  await mockFeed.waitForDeployment();
+  return { address: await mockFeed.getAddress(), mock: true };
+}
+
+function addressList(value, fallback) {
+  return value ? value.split(",").map((address) => ethers.getAddress(address.trim())) : fallback;
+}
+
+function optionalAddress(value) {
+  return value ? ethers.getAddress(value) : undefined;
+}
+
+// Deploys SimpleBankTimelock and hands it the bank's admin roles and the
+// ProxyAdmin, so upgrades wait in the queue like every other admin action.
+// TIMELOCK_PROPOSERS / TIMELOCK_EXECUTORS are comma-separated addresses
+// (default: the deployer / the proposers); GUARDIAN_ADDRESS gets the
+// immediate pause (default: the deployer). OPERATOR_ADDRESS / AUDITOR_ADDRESS
+// get those roles; without them the roles are granted later through the
+// timelock. Delays: see utils/governance.js.
+async function deployGovernance(bank, deployer) {
+  const { minDelay, classes } = resolveActionDelays();
+  const proposers = addressList(process.env.TIMELOCK_PROPOSERS, [deployer.address]);
+  const executors = addressList(process.env.TIMELOCK_EXECUTORS, proposers);
+  const guardian = ethers.getAddress(process.env.GUARDIAN_ADDRESS || deployer.address);
+  const operator = optionalAddress(process.env.OPERATOR_ADDRESS);
+  const auditor = optionalAddress(process.env.AUDITOR_ADDRESS);
+
+  if (!process.env.TIMELOCK_PROPOSERS) {
+    console.log("⚠️ TIMELOCK_PROPOSERS not set - the deployer is the only proposer");
+  }
+
+  const SimpleBankTimelock = await ethers.getContractFactory("SimpleBankTimelock");
+  const timelock = await deployTimelock(SimpleBankTimelock, { minDelay, proposers, executors, classes });
+  const timelockAddress = await timelock.getAddress();
+  const timelockReceipt = await timelock.deploymentTransaction().wait();
+  console.log(`✅ Timelock deployed to: ${timelockAddress} (min delay ${minDelay}s)`);
+
+  if (!operator || !auditor) {
+    console.log("⚠️ OPERATOR_ADDRESS / AUDITOR_ADDRESS not set - grant those roles through the timelock");
+  }
+  await handOverToTimelock(bank, { timelock: timelockAddress, guardian, deployer: deployer.address, operator, auditor });
+  console.log(`✅ Admin roles handed to the timelock, guardian: ${guardian}`);
+  
+  await upgrades.admin.transferProxyAdminOwnership(await bank.getAddress(), timelockAddress, deployer, { silent: true });
+  console.log("✅ ProxyAdmin ownership handed to the timelock");
+
+  return {
+    timelock: timelockAddress,
+    blockNumber: timelockReceipt.blockNumber,
+    minDelay,
+    actionDelays: Object.fromEntries(Object.entries(classes).map(([name, { delay }]) => [name, delay])),
+    proposers,
+    executors,
+    guardian,
+    operator: operator || null,
+    auditor: auditor || null
+  };
+}
 
 async function main() {
   console.log("🚀 Starting Simple Bank v2.1 deployment...");
@@ -9,8 +95,9 @@ async function main() {
   // Get deployer account
   const [deployer] = await ethers.getSigners();
   const network = await ethers.provider.getNetwork();
+  const networkName = hre.network.name;
   
-  console.log(`📡 Network: ${network.name} (Chain ID: ${network.chainId})`);
+  console.log(`📡 Network: ${networkName} (Chain ID: ${network.chainId})`);
   console.log(`👤 Deploying with account: ${deployer.address}`);
   
   // Check deployer balance
@@ -26,73 +113,90 @@ async function main() {
   const gasPrice = feeData.gasPrice;
   console.log(`⛽ Gas price: ${ethers.formatUnits(gasPrice, "gwei")} gwei`);
   
-  console.log("\n🏗️ Deploying contract...");
+  const priceFeed = await resolvePriceFeed(networkName);
+  console.log(`🔮 ETH/USD price feed: ${priceFeed.address}${priceFeed.mock ? " (mock)" : ""}`);
   
-  // Deploy the contract
-  const SimpleBankV21 = await ethers.getContractFactory("SimpleBankV2_1");
+  console.log(`\n🏗️ Deploying implementation + ${PROXY_KIND} proxy...`);
   
-  // Deploy with optimization settings
-  const simpleBankV21 = await SimpleBankV21.deploy();
+  const SimpleBankV21 = await ethers.getContractFactory(CONTRACT_NAME);
+  const { constructorArgs, modules } = await deployModules(ethers, SimpleBankV21);
+  for (const [name, address] of Object.entries(modules)) {
+    console.log(`✅ ${name} module deployed to: ${address}`);
+  }
   
-  console.log(`⏳ Transaction hash: ${simpleBankV21.deploymentTransaction().hash}`);
+  // Validates the implementation for upgrade safety, deploys it, and deploys
+  // the proxy with initialize() encoded into the proxy constructor so the
+  // initialization cannot be front-run.
+  const simpleBankV21 = await upgrades.deployProxy(SimpleBankV21, [priceFeed.address], {
+    kind: PROXY_KIND,
+    initializer: "initialize",
+    constructorArgs
+  });
+  
+  const deploymentTx = simpleBankV21.deploymentTransaction();
+  console.log(`⏳ Transaction hash: ${deploymentTx.hash}`);
   console.log("⏳ Waiting for deployment confirmation...");
   
-  // Wait for deployment
   await simpleBankV21.waitForDeployment();
-  const contractAddress = await simpleBankV21.getAddress();
+  const deploymentReceipt = await deploymentTx.wait();
   
-  console.log(`✅ Contract deployed to: ${contractAddress}`);
+  const proxyAddress = await simpleBankV21.getAddress();
+  const implementationAddress = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  const adminAddress = await upgrades.erc1967.getAdminAddress(proxyAddress);
   
-  // Initialize the contract
-  console.log("\n🎯 Initializing contract...");
-  const initTx = await simpleBankV21.initialize();
-  const initReceipt = await initTx.wait();
+  console.log(`✅ Proxy deployed to: ${proxyAddress}`);
+  console.log(`✅ Implementation deployed to: ${implementationAddress}`);
+  console.log(`✅ ProxyAdmin deployed to: ${adminAddress}`);
+  console.log(`✅ Contract initialized through proxy (Gas used: ${deploymentReceipt.gasUsed.toLocaleString()})`);
   
-  console.log(`✅ Contract initialized (Gas used: ${initReceipt.gasUsed.toLocaleString()})`);
+  console.log("\n🏛️ Deploying governance timelock...");
+  const governance = await deployGovernance(simpleBankV21, deployer);
   
   // Get final deployment details
-  const deploymentBlock = await ethers.provider.getBlockNumber();
+  const deploymentBlock = deploymentReceipt.blockNumber;
   const deploymentTimestamp = (await ethers.provider.getBlock(deploymentBlock)).timestamp;
+  const compiler = hre.config.solidity.compilers[0];
   
   // Create deployment info object
   const deploymentInfo = {
-    network: network.name,
+    network: networkName,
     chainId: Number(network.chainId),
-    contractName: "SimpleBankV2_1",
-    contractAddress: contractAddress,
+    contractName: CONTRACT_NAME,
+    // contractAddress is what users, the monitor and Etherscan interact with
+    contractAddress: proxyAddress,
+    proxy: {
+      kind: PROXY_KIND,
+      address: proxyAddress,
+      implementation: implementationAddress,
+      admin: adminAddress,
+      modules,
+      // Reference layout for scripts/upgrade.js
+      buildInfo: await saveBuildInfo(hre.artifacts, CONTRACT_NAME, { network: networkName, implementation: implementationAddress })
+    },
+    priceFeed,
+    governance,
     deployer: deployer.address,
-    deploymentHash: simpleBankV21.deploymentTransaction().hash,
-    initializationHash: initTx.hash,
+    deploymentHash: deploymentTx.hash,
     blockNumber: deploymentBlock,
     timestamp: deploymentTimestamp,
     gasUsed: {
-      deployment: (await simpleBankV21.deploymentTransaction().wait()).gasUsed.toString(),
-      initialization: initReceipt.gasUsed.toString()
+      proxyDeployment: deploymentReceipt.gasUsed.toString()
     },
     gasPrice: gasPrice ? gasPrice.toString() : "0",
-    totalCost: "calculated_post_deployment", // Fixed: no BigInt conversion needed
     deployedAt: new Date().toISOString(),
     compiler: {
-      version: "0.8.19",
-      optimizer: {
-        enabled: true,
-        runs: 1
-      }
+      version: compiler.version,
+      optimizer: compiler.settings.optimizer
     },
     dependencies: {
       openzeppelin: "@openzeppelin/contracts-upgradeable",
       chainlink: "@chainlink/contracts"
-    }
+    },
+    upgrades: []
   };
   
   // Save deployment info
-  const deploymentsDir = path.join(__dirname, '..', 'deployments');
-  if (!fs.existsSync(deploymentsDir)) {
-    fs.mkdirSync(deploymentsDir, { recursive: true });
-  }
-  
-  const deploymentFile = path.join(deploymentsDir, `${network.name}-deployment.json`);
-  fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
+  const deploymentFile = writeDeployment(networkName, deploymentInfo);
   
   console.log(`📄 Deployment info saved to: ${deploymentFile}`);
   
@@ -105,11 +209,16 @@ async function main() {
     console.log(`✅ Bank owner: ${bankStats.owner}`);
     console.log(`✅ Total deposits: ${bankStats.totalDeposits}`);
     console.log(`✅ Emergency mode: ${bankStats.emergencyMode}`);
+    console.log(`✅ Price feed: ${await simpleBankV21.getPriceFeed()}`);
     
     // Test role assignments
     const ADMIN_ROLE = await simpleBankV21.ADMIN_ROLE();
-    const hasAdminRole = await simpleBankV21.hasRole(ADMIN_ROLE, deployer.address);
-    console.log(`✅ Admin role assigned: ${hasAdminRole}`);
+    const timelockIsAdmin = await simpleBankV21.hasRole(ADMIN_ROLE, governance.timelock);
+    const deployerIsAdmin = await simpleBankV21.hasRole(ADMIN_ROLE, deployer.address);
+    console.log(`✅ Admin role held by timelock: ${timelockIsAdmin}`);
+    console.log(`✅ Admin role renounced by deployer: ${!deployerIsAdmin}`);
+    const proxyAdmin = await ethers.getContractAt(PROXY_ADMIN_ABI, adminAddress);
+    console.log(`✅ ProxyAdmin owned by timelock: ${await proxyAdmin.owner() === governance.timelock}`);
     
     console.log("✅ Basic verification tests passed!");
     
@@ -120,24 +229,33 @@ async function main() {
   // Final summary
   console.log("\n🎉 DEPLOYMENT COMPLETE!");
   console.log("=====================================");
-  console.log(`📍 Network: ${network.name}`);
-  console.log(`🏦 Contract: ${contractAddress}`);
-  console.log(`💰 Gas Used: ${(await simpleBankV21.deploymentTransaction().wait()).gasUsed.toLocaleString()}`);
-  console.log(`🔗 Etherscan: https://${network.name === 'sepolia' ? 'sepolia.' : ''}etherscan.io/address/${contractAddress}`);
+  console.log(`📍 Network: ${networkName}`);
+  console.log(`🏦 Proxy: ${proxyAddress}`);
+  console.log(`🧩 Implementation: ${implementationAddress}`);
+  console.log(`🔑 ProxyAdmin: ${adminAddress}`);
+  console.log(`🏛️ Timelock: ${governance.timelock}`);
+  console.log(`💰 Gas Used: ${deploymentReceipt.gasUsed.toLocaleString()}`);
+  console.log(`🔗 Etherscan: https://${networkName === 'sepolia' ? 'sepolia.' : ''}etherscan.io/address/${proxyAddress}`);
   console.log("=====================================");
   
   // Instructions for verification
-  if (network.name !== "hardhat" && network.name !== "localhost") {
+  if (networkName !== "hardhat" && networkName !== "localhost") {
     console.log("\n📋 Next steps:");
-    console.log("1. Verify contract on Etherscan:");
-    console.log(`   npx hardhat verify --network ${network.name} ${contractAddress}`);
+    console.log("1. Verify proxy + implementation on Etherscan, then each module:");
+    console.log(`   npx hardhat verify --network ${networkName} ${proxyAddress}`);
+    for (const address of Object.values(modules)) {
+      console.log(`   npx hardhat verify --network ${networkName} ${address}`);
+    }
     console.log("2. Set up monitoring for the deployed contract");
     console.log("3. Update frontend with new contract address");
     console.log("4. Announce deployment to stakeholders");
+    console.log("5. Queue admin operations and upgrades through the timelock:");
+    console.log(`   HARDHAT_NETWORK=${networkName} node scripts/governance.js list`);
+    console.log(`   npx hardhat run scripts/upgrade.js --network ${networkName}`);
   }
   
   return {
-    contractAddress,
+    contractAddress: proxyAddress,
     deploymentInfo
   };
 }
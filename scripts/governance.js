@@ -0,0 +1,174 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { readDeployment, writeDeployment, recordUpgrade } = require('./utils/deployments');
+const {
+  PROXY_ADMIN_ABI,
+  encodeAdminCall,
+  proposeOperation,
+  listOperations,
+  findOperation,
+  executeOperation,
+  cancelOperation
+} = require('./utils/governance');
+
+const COMMANDS = ["list", "propose", "execute", "cancel", "pause"];
+
+// Usage (the network comes from HARDHAT_NETWORK):
+//   HARDHAT_NETWORK=sepolia node scripts/governance.js list [--all]
+//   HARDHAT_NETWORK=sepolia node scripts/governance.js propose grantOperatorRole 0xabc...
+//   HARDHAT_NETWORK=sepolia node scripts/governance.js propose revokeRole OPERATOR_ROLE 0xabc...
+//   HARDHAT_NETWORK=sepolia node scripts/governance.js propose --target timelock updateActionDelay 0x2f2ff15d 259200
+//   HARDHAT_NETWORK=sepolia node scripts/governance.js execute <operationId>
+//   HARDHAT_NETWORK=sepolia node scripts/governance.js cancel <operationId>
+//   HARDHAT_NETWORK=sepolia node scripts/governance.js pause
+// propose/execute/cancel need the timelock's proposer, executor or canceller
+// role; pause needs GUARDIAN_ROLE on the bank and skips the timelock.
+async function main(argv = process.argv.slice(2)) {
+  const { command, args, options } = parseArgs(argv);
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`❌ Unknown command "${command || ""}". Expected one of: ${COMMANDS.join(", ")}`);
+  }
+
+  const [signer] = await ethers.getSigners();
+  const networkName = hre.network.name;
+
+  const deployment = readDeployment(networkName);
+  if (!deployment) {
+    throw new Error(`❌ No deployment found for ${networkName}. Run scripts/deploy.js first`);
+  }
+  if (!deployment.governance) {
+    throw new Error(`❌ ${networkName} deployment has no timelock - redeploy with scripts/deploy.js`);
+  }
+
+  const bank = await ethers.getContractAt(deployment.contractName || "SimpleBankV2_1", deployment.contractAddress, signer);
+  const timelock = await ethers.getContractAt("SimpleBankTimelock", deployment.governance.timelock, signer);
+  const listOptions = {
+    fromBlock: deployment.governance.blockNumber || 0,
+    interfaces: [bank.interface, timelock.interface, new ethers.Interface(PROXY_ADMIN_ABI)]
+  };
+
+  console.log(`📡 Network: ${networkName}`);
+  console.log(`🏛️ Timelock: ${deployment.governance.timelock}`);
+  console.log(`👤 Signer: ${signer.address}`);
+
+  if (command === "list") {
+    const operations = await listOperations(timelock, listOptions);
+    const shown = options.all ? operations : operations.filter((op) => op.state === "Waiting" || op.state === "Ready");
+    printOperations(shown);
+    return shown;
+  }
+
+  if (command === "propose") {
+    const [functionName, ...callArgs] = args;
+    const target = options.target === "timelock" ? timelock : bank;
+    const data = encodeAdminCall(target.interface, functionName, callArgs);
+    const operation = await proposeOperation(timelock, {
+      target: await target.getAddress(),
+      value: options.value ? ethers.parseEther(options.value) : 0n,
+      data
+    });
+    console.log(`\n📝 Proposed ${functionName}(${callArgs.join(", ")})`);
+    console.log(`   ID: ${operation.id}`);
+    console.log(`   Executable after: ${formatDuration(Number(operation.delay))}`);
+    return operation;
+  }
+
+  if (command === "execute") {
+    const operation = await findOperation(timelock, requireId(args), listOptions);
+    const receipt = await executeOperation(timelock, operation);
+    console.log(`\n✅ Executed ${operation.calls.map((call) => call.description).join(" + ")}`);
+    console.log(`   Transaction: ${receipt.hash}`);
+
+    // A queued upgrade from scripts/upgrade.js is now live
+    const { pendingUpgrade } = deployment;
+    if (pendingUpgrade && pendingUpgrade.operationId === operation.id) {
+      writeDeployment(networkName, recordUpgrade(deployment, {
+        to: {
+          contractName: pendingUpgrade.contractName,
+          implementation: pendingUpgrade.implementation,
+          modules: pendingUpgrade.modules,
+          buildInfo: pendingUpgrade.buildInfo
+        },
+        upgrader: deployment.governance.timelock,
+        blockNumber: receipt.blockNumber,
+        operationId: operation.id
+      }));
+      console.log(`   🧩 Proxy now runs ${pendingUpgrade.contractName} at ${pendingUpgrade.implementation}`);
+    }
+    return receipt;
+  }
+
+  if (command === "cancel") {
+    const id = requireId(args);
+    const receipt = await cancelOperation(timelock, id);
+    console.log(`\n🗑️ Cancelled ${id}`);
+    console.log(`   Transaction: ${receipt.hash}`);
+    return receipt;
+  }
+
+  // Guardian pause - immediate, no timelock
+  const receipt = await (await bank.pause()).wait();
+  console.log(`\n⏸️ Bank paused by guardian ${signer.address}`);
+  console.log(`   Transaction: ${receipt.hash}`);
+  return receipt;
+}
+
+// <command> [--flag value | --flag] [args...]
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const args = [];
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === "--all") {
+      options.all = true;
+    } else if (rest[i].startsWith("--")) {
+      options[rest[i].slice(2)] = rest[++i];
+    } else {
+      args.push(rest[i]);
+    }
+  }
+  return { command, args, options };
+}
+
+function requireId(args) {
+  if (!args[0] || !ethers.isHexString(args[0], 32)) {
+    throw new Error("❌ Expected an operation id (0x + 64 hex characters)");
+  }
+  return args[0];
+}
+
+function printOperations(operations) {
+  if (operations.length === 0) {
+    console.log("\n📭 No queued operations");
+    return;
+  }
+  console.log(`\n📋 ${operations.length} operation(s):`);
+  for (const operation of operations) {
+    const readyAt = operation.readyAt > 1 ? new Date(operation.readyAt * 1000).toISOString() : "-";
+    console.log(`\n   ${operation.id}`);
+    console.log(`   State: ${operation.state} (ready at ${readyAt})`);
+    for (const call of operation.calls) {
+      console.log(`   → ${call.target}: ${call.description}`);
+    }
+  }
+}
+
+function formatDuration(seconds) {
+  if (seconds % 86400 === 0) return `${seconds / 86400} day(s)`;
+  if (seconds % 3600 === 0) return `${seconds / 3600} hour(s)`;
+  return `${seconds} second(s)`;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n❌ Governance command failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,115 @@
+const path = require('path');
+const hre = require("hardhat");
+const { ethers } = hre;
+const { readDeployment } = require('./utils/deployments');
+const { pollUntilInterrupted } = require('./utils/polling');
+const { EventIndexer } = require('../monitoring/indexer');
+const {
+  STANDING_ORDER_EVENTS,
+  openOrderIds,
+  findDueOrders,
+  executeDueOrders,
+  describeOrder
+} = require('./utils/standing-orders');
+
+const DEFAULT_POLL_SECONDS = 60;
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Usage (the network comes from HARDHAT_NETWORK; the first signer pays gas):
+//   HARDHAT_NETWORK=localhost node scripts/keeper.js --once
+//   HARDHAT_NETWORK=sepolia node scripts/keeper.js [--interval 300]
+// Standing orders are found from the bank's events, indexed into
+// data/<network>-keeper-events.json, and re-checked on-chain before executing.
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+
+  console.log("⏰ Starting standing order keeper...");
+  console.log("=====================================");
+
+  const [keeper] = await ethers.getSigners();
+  const networkName = hre.network.name;
+
+  const deployment = readDeployment(networkName);
+  if (!deployment) {
+    throw new Error(`❌ No deployment found for ${networkName}. Run scripts/deploy.js first`);
+  }
+
+  const bank = await ethers.getContractAt(deployment.contractName || "SimpleBankV2_1", deployment.contractAddress, keeper);
+  const indexer = new EventIndexer({
+    provider: ethers.provider,
+    contractAddress: deployment.contractAddress,
+    storeFile: path.join(DATA_DIR, `${networkName}-keeper-events.json`),
+    startBlock: deployment.blockNumber || 0
+  });
+
+  console.log(`📡 Network: ${networkName}`);
+  console.log(`🏦 Contract: ${deployment.contractAddress}`);
+  console.log(`🤖 Keeper: ${keeper.address}`);
+
+  if (options.once) {
+    return runKeeperCycle({ bank, indexer });
+  }
+
+  const pollSeconds = Number(options.interval || process.env.KEEPER_INTERVAL_SECONDS || DEFAULT_POLL_SECONDS);
+  console.log(`🔁 Checking every ${pollSeconds}s (Ctrl+C to stop)`);
+
+  await pollUntilInterrupted(async () => {
+    try {
+      await runKeeperCycle({ bank, indexer });
+    } catch (error) {
+      console.error("❌ Keeper cycle failed:", error.shortMessage || error.message);
+    }
+  }, pollSeconds);
+  console.log("\n👋 Keeper stopped");
+}
+
+// Sync the index, find due orders and execute them. Skipped (underfunded)
+// orders are reported by the contract and simply come due again next interval.
+async function runKeeperCycle({ bank, indexer }) {
+  await indexer.sync();
+  const candidates = openOrderIds(indexer.getEvents({ event: STANDING_ORDER_EVENTS }));
+  const due = await findDueOrders(bank, candidates);
+
+  if (due.length === 0) {
+    console.log(`\n💤 ${candidates.length} open order(s), none due`);
+    return { candidates: candidates.length, due: [], executed: [], skipped: [], completed: [], transactions: [] };
+  }
+
+  console.log(`\n📋 ${due.length} of ${candidates.length} open order(s) due:`);
+  due.forEach((order) => console.log(`   ${describeOrder(order)}`));
+
+  const summary = await executeDueOrders(bank, due.map((order) => order.id));
+  console.log(`✅ Executed ${summary.executed.length}, skipped ${summary.skipped.length} (underfunded), completed ${summary.completed.length}`);
+  for (const skipped of summary.skipped) {
+    console.log(`   ⚠️ #${skipped.id} needs ${ethers.formatEther(skipped.amount)} ETH, owner has ${ethers.formatEther(skipped.available)} ETH available`);
+  }
+
+  return { candidates: candidates.length, due, ...summary };
+}
+
+// [--once] [--interval seconds]
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--once") {
+      options.once = true;
+    } else if (argv[i].startsWith("--")) {
+      options[argv[i].slice(2)] = argv[++i];
+    }
+  }
+  return options;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n❌ Keeper failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, runKeeperCycle, parseArgs };
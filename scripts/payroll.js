@@ -0,0 +1,134 @@
+const fs = require('fs');
+const hre = require("hardhat");
+const { ethers } = hre;
+const { readDeployment } = require('./utils/deployments');
+const {
+  DEFAULT_MAX_GAS_PER_CHUNK,
+  parsePayrollCsv,
+  validatePayroll,
+  planChunks,
+  dryRunChunks,
+  sendChunks
+} = require('./utils/payroll');
+
+// Usage (the network comes from HARDHAT_NETWORK; the first signer pays):
+//   HARDHAT_NETWORK=sepolia node scripts/payroll.js payroll.csv --dry-run
+//   HARDHAT_NETWORK=sepolia node scripts/payroll.js payroll.csv [--max-gas 8000000]
+// The CSV needs a header with address and amount (ETH) columns, e.g.
+//   name,address,amount
+//   "Doe, Jane",0xabc...,1.25
+// Every chunk is simulated before anything is sent. If a chunk fails mid-run,
+// the unpaid rows are written to <file>.remaining.csv to resume from.
+async function main(argv = process.argv.slice(2)) {
+  const { args, options } = parseArgs(argv);
+  const [csvFile] = args;
+  if (!csvFile) {
+    throw new Error("❌ Expected a payroll CSV file");
+  }
+
+  console.log("💸 Simple Bank payroll");
+  console.log("=====================================");
+
+  const [payer] = await ethers.getSigners();
+  const networkName = hre.network.name;
+
+  const deployment = readDeployment(networkName);
+  if (!deployment) {
+    throw new Error(`❌ No deployment found for ${networkName}. Run scripts/deploy.js first`);
+  }
+  const bank = await ethers.getContractAt(deployment.contractName || "SimpleBankV2_1", deployment.contractAddress, payer);
+
+  console.log(`📡 Network: ${networkName}`);
+  console.log(`🏦 Contract: ${deployment.contractAddress}`);
+  console.log(`👤 Payer: ${payer.address}`);
+
+  return runPayroll(bank, fs.readFileSync(csvFile, 'utf8'), {
+    payer: payer.address,
+    dryRun: Boolean(options["dry-run"]),
+    maxGasPerChunk: options["max-gas"] ? BigInt(options["max-gas"]) : DEFAULT_MAX_GAS_PER_CHUNK,
+    remainingFile: csvFile.replace(/(\.csv)?$/i, ".remaining.csv")
+  });
+}
+
+// Validate -> plan -> simulate -> send. bank must be connected to the payer.
+async function runPayroll(bank, csvText, { payer, dryRun = false, maxGasPerChunk, remainingFile }) {
+  const rows = parsePayrollCsv(csvText);
+  const stats = await bank.getUserStats(payer);
+  const available = await bank.getAvailableBalance(payer);
+  const payroll = validatePayroll(rows, { payer, balance: stats.balance, available });
+
+  console.log(`\n📄 ${rows.length} payment(s), ${ethers.formatEther(payroll.total)} ETH total`);
+  console.log(`💰 Bank balance: ${ethers.formatEther(stats.balance)} ETH (${ethers.formatEther(available)} ETH available)`);
+
+  if (!payroll.valid) {
+    for (const { line, message } of payroll.errors) {
+      console.log(`   ❌ ${line > 0 ? `line ${line}` : "payroll"}: ${message}`);
+    }
+    throw new Error(`❌ Payroll has ${payroll.errors.length} problem(s); nothing was sent`);
+  }
+
+  const chunks = await planChunks(bank, payroll, { maxGasPerChunk });
+  await dryRunChunks(bank, chunks);
+
+  console.log(`\n🧪 Dry run passed: ${chunks.length} transaction(s)`);
+  chunks.forEach((chunk, i) => {
+    console.log(`   ${i + 1}. ${chunk.recipients.length} recipient(s), ${ethers.formatEther(chunk.total)} ETH, ~${chunk.gas} gas`);
+  });
+
+  if (dryRun) {
+    return { dryRun: true, total: payroll.total, chunks };
+  }
+
+  try {
+    const completed = await sendChunks(bank, chunks, {
+      onChunk: (chunk, i) => console.log(`   ✅ ${i + 1}/${chunks.length} sent: ${chunk.transactionHash}`)
+    });
+    console.log(`\n✅ Paid ${payroll.recipients.length} recipient(s) ${ethers.formatEther(payroll.total)} ETH`);
+    return { dryRun: false, total: payroll.total, chunks: completed };
+  } catch (error) {
+    if (error.remaining && remainingFile) {
+      fs.writeFileSync(remainingFile, remainingCsv(error.remaining));
+      console.error(`\n⚠️ ${error.completed.length}/${chunks.length} chunk(s) were paid before the failure`);
+      console.error(`   Unpaid rows written to ${remainingFile}`);
+    }
+    throw error;
+  }
+}
+
+function remainingCsv(chunks) {
+  const lines = ["address,amount"];
+  for (const chunk of chunks) {
+    chunk.recipients.forEach((address, i) => lines.push(`${address},${ethers.formatEther(chunk.amounts[i])}`));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// [--flag value | --dry-run] [args...]
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") {
+      options["dry-run"] = true;
+    } else if (argv[i].startsWith("--")) {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { args, options };
+}
+
+if (require.main === module) {
+  main()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n❌ Payroll failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, runPayroll, parseArgs };
@@ -0,0 +1,142 @@
+const path = require('path');
+const hre = require("hardhat");
+const { ethers } = hre;
+const { readDeployment } = require('./utils/deployments');
+const { EventIndexer } = require('../monitoring/indexer');
+const { createPinStore } = require('./utils/pinning');
+const { pollUntilInterrupted } = require('./utils/polling');
+const {
+  RECEIPT_EVENTS,
+  ReceiptService,
+  fetchDocument,
+  readReceiptTrail
+} = require('./utils/receipts');
+
+const COMMANDS = ["sync", "list", "show"];
+const DEFAULT_POLL_SECONDS = 30;
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Usage (the network comes from HARDHAT_NETWORK; receipts are kept for the
+// first signer's account, which also pays the gas):
+//   HARDHAT_NETWORK=localhost node scripts/receipts.js sync [--watch] [--interval 30]
+//   HARDHAT_NETWORK=localhost node scripts/receipts.js list
+//   HARDHAT_NETWORK=localhost node scripts/receipts.js show <cid>
+// Receipts are pinned to data/ipfs/ unless IPFS_API_URL points at a Kubo
+// node (e.g. http://127.0.0.1:5001). IPFS_CID_VERSION=0 pins "Qm..." CIDs.
+async function main(argv = process.argv.slice(2)) {
+  const { command, args, options } = parseArgs(argv);
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`❌ Unknown command "${command || ""}". Expected one of: ${COMMANDS.join(", ")}`);
+  }
+
+  const [signer] = await ethers.getSigners();
+  const networkName = hre.network.name;
+
+  const deployment = readDeployment(networkName);
+  if (!deployment) {
+    throw new Error(`❌ No deployment found for ${networkName}. Run scripts/deploy.js first`);
+  }
+  const bank = await ethers.getContractAt(deployment.contractName || "SimpleBankV2_1", deployment.contractAddress, signer);
+  const store = createPinStore();
+
+  if (command === "show") {
+    if (!args[0]) {
+      throw new Error("❌ Expected a receipt CID");
+    }
+    const document = await fetchDocument(store, args[0]);
+    console.log(JSON.stringify(document, null, 2));
+    return document;
+  }
+
+  if (command === "list") {
+    const trail = await readReceiptTrail(bank, store, signer.address);
+    console.log(`🧾 ${trail.length} receipt(s) for ${signer.address} (oldest first):`);
+    trail.forEach((cid) => console.log(`   ${cid}`));
+    return trail;
+  }
+
+  console.log("🧾 Starting receipt service...");
+  console.log("=====================================");
+  console.log(`📡 Network: ${networkName}`);
+  console.log(`🏦 Contract: ${deployment.contractAddress}`);
+  console.log(`👤 Account: ${signer.address}`);
+  console.log(`📌 Pin store: ${store.name}`);
+
+  const indexer = new EventIndexer({
+    provider: ethers.provider,
+    contractAddress: deployment.contractAddress,
+    storeFile: path.join(DATA_DIR, `${networkName}-receipt-events.json`),
+    startBlock: deployment.blockNumber || 0
+  });
+  const service = new ReceiptService({
+    bank,
+    store,
+    account: signer.address,
+    chainId: (await ethers.provider.getNetwork()).chainId,
+    stateFile: path.join(DATA_DIR, `${networkName}-receipts-${signer.address.toLowerCase()}.json`)
+  });
+
+  if (!options.watch) {
+    return syncReceipts({ service, indexer });
+  }
+
+  const pollSeconds = Number(options.interval || DEFAULT_POLL_SECONDS);
+  console.log(`🔁 Syncing every ${pollSeconds}s (Ctrl+C to stop)`);
+
+  await pollUntilInterrupted(async () => {
+    try {
+      await syncReceipts({ service, indexer });
+    } catch (error) {
+      console.error("❌ Receipt sync failed:", error.shortMessage || error.message);
+    }
+  }, pollSeconds);
+  console.log("\n👋 Receipt sync stopped");
+}
+
+async function syncReceipts({ service, indexer }) {
+  await indexer.sync();
+  const events = indexer.getEvents({ event: RECEIPT_EVENTS, account: service.account });
+  const summary = await service.processEvents(events);
+
+  if (summary.added.length === 0) {
+    console.log("\n💤 No new receipts");
+  }
+  for (const { cid, receipt } of summary.added) {
+    console.log(`\n✅ ${receipt.type} #${receipt.transactionId} (${receipt.amountEth} ETH) → ${cid}`);
+  }
+  for (const cid of summary.archived) {
+    console.log(`📦 Archived the oldest receipts → ${cid}`);
+  }
+  return summary;
+}
+
+// <command> [args...] [--watch] [--interval seconds]
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const args = [];
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === "--watch") {
+      options.watch = true;
+    } else if (rest[i].startsWith("--")) {
+      options[rest[i].slice(2)] = rest[++i];
+    } else {
+      args.push(rest[i]);
+    }
+  }
+  return { command, args, options };
+}
+
+if (require.main === module) {
+  main()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n❌ Receipt service failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, syncReceipts, parseArgs };
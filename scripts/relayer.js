@@ -0,0 +1,212 @@
+const http = require('http');
+const hre = require("hardhat");
+const { ethers } = hre;
+const { readDeployment } = require('./utils/deployments');
+const {
+  REQUEST_TYPES,
+  domainFor,
+  recoverRequestSigner,
+  requestCall,
+  submitRequest
+} = require('./utils/meta-transactions');
+
+const DEFAULT_PORT = 3030;
+const MAX_BODY_BYTES = 10 * 1024;
+
+class RelayError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Usage:
+//   npx hardhat run scripts/relayer.js --network localhost
+//   RELAYER_PORT=8080 npx hardhat run scripts/relayer.js --network sepolia
+// The first signer pays the gas for every relayed request.
+//
+//   GET  /health             relayer and bank addresses
+//   GET  /nonce/<address>    next nonce to sign with
+//   POST /relay              a request from scripts/utils/meta-transactions.js
+async function main() {
+  console.log("🛰️ Starting Simple Bank relayer...");
+  console.log("=====================================");
+
+  const [relayer] = await ethers.getSigners();
+  const networkName = hre.network.name;
+
+  const deployment = readDeployment(networkName);
+  if (!deployment) {
+    throw new Error(`❌ No deployment found for ${networkName}. Run scripts/deploy.js first`);
+  }
+
+  const bank = await ethers.getContractAt(deployment.contractName || "SimpleBankV2_1", deployment.contractAddress, relayer);
+  const port = Number(process.env.RELAYER_PORT || DEFAULT_PORT);
+  const server = await startRelayer({ bank, port, host: process.env.RELAYER_HOST || "127.0.0.1" });
+
+  console.log(`📡 Network: ${networkName}`);
+  console.log(`🏦 Contract: ${deployment.contractAddress}`);
+  console.log(`⛽ Relayer: ${relayer.address} (${ethers.formatEther(await ethers.provider.getBalance(relayer.address))} ETH)`);
+  console.log(`🌐 Listening on ${server.url}`);
+
+  // Run until interrupted
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await server.close();
+}
+
+// Validates a signed request off-chain, simulates it, then submits it.
+// Submissions are serialized so the relayer's own nonces never collide.
+function createRelayHandler(bank) {
+  let queue = Promise.resolve();
+
+  return async function relay(request) {
+    validateShape(request);
+
+    const domain = await domainFor(bank);
+    let signer;
+    try {
+      signer = recoverRequestSigner(domain, request);
+    } catch (error) {
+      throw new RelayError(400, "Malformed signature");
+    }
+    if (signer !== ethers.getAddress(request.from)) {
+      throw new RelayError(401, `Signature is from ${signer}, not ${request.from}`);
+    }
+
+    const latest = await bank.runner.provider.getBlock("latest");
+    if (BigInt(request.deadline) < BigInt(latest.timestamp)) {
+      throw new RelayError(400, "Request deadline has passed");
+    }
+
+    const submit = async () => {
+      const nonce = await bank.sigNonces(request.from);
+      if (nonce !== BigInt(request.nonce)) {
+        throw new RelayError(409, `Stale nonce ${request.nonce}, expected ${nonce}`);
+      }
+
+      // Don't pay for transactions that would revert
+      const { method, args } = requestCall(request);
+      try {
+        await bank[method].staticCall(...args);
+      } catch (error) {
+        const reason = error.revert ? error.revert.name : (error.shortMessage || error.message);
+        throw new RelayError(422, `Request would revert: ${reason}`, error.revert ? error.revert.args.map(String) : undefined);
+      }
+
+      const tx = await submitRequest(bank, request);
+      const receipt = await tx.wait();
+      return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+    };
+
+    const result = queue.then(submit);
+    queue = result.catch(() => {});
+    return result;
+  };
+}
+
+function validateShape(request) {
+  if (!request || typeof request !== 'object' || !REQUEST_TYPES[request.type]) {
+    throw new RelayError(400, `type must be one of: ${Object.keys(REQUEST_TYPES).join(", ")}`);
+  }
+  const addresses = request.type === "transfer" ? ["from", "to"] : ["from"];
+  for (const field of addresses) {
+    if (!ethers.isAddress(request[field])) {
+      throw new RelayError(400, `${field} must be an address`);
+    }
+  }
+  for (const field of ["amount", "nonce", "deadline"]) {
+    if (!/^\d+$/.test(String(request[field]))) {
+      throw new RelayError(400, `${field} must be a decimal integer`);
+    }
+  }
+  if (!ethers.isHexString(request.signature, 65)) {
+    throw new RelayError(400, "signature must be 65 bytes of hex");
+  }
+}
+
+function createRelayServer(bank) {
+  const relay = createRelayHandler(bank);
+
+  return http.createServer(async (req, res) => {
+    const respond = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      if (req.method === "GET" && req.url === "/health") {
+        return respond(200, {
+          ok: true,
+          bank: await bank.getAddress(),
+          relayer: await bank.runner.getAddress()
+        });
+      }
+
+      const nonceMatch = /^\/nonce\/(0x[0-9a-fA-F]{40})$/.exec(req.url);
+      if (req.method === "GET" && nonceMatch) {
+        const nonce = await bank.sigNonces(nonceMatch[1]);
+        return respond(200, { address: ethers.getAddress(nonceMatch[1]), nonce: nonce.toString() });
+      }
+
+      if (req.method === "POST" && req.url === "/relay") {
+        const request = await readJsonBody(req);
+        return respond(200, await relay(request));
+      }
+
+      respond(404, { error: "Not found" });
+    } catch (error) {
+      if (error instanceof RelayError) {
+        return respond(error.status, { error: error.message, details: error.details });
+      }
+      console.error("❌ Relay failed:", error);
+      respond(500, { error: "Relay failed" });
+    }
+  });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new RelayError(413, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new RelayError(400, "Body must be JSON"));
+      }
+    });
+  });
+}
+
+// bank must be connected to the relayer signer; port 0 picks a free port
+async function startRelayer({ bank, port = DEFAULT_PORT, host = "127.0.0.1" }) {
+  const server = createRelayServer(bank);
+  await new Promise((resolve) => server.listen(port, host, resolve));
+
+  return {
+    url: `http://${host}:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+if (require.main === module) {
+  main()
+    .then(() => {
+      console.log(`\n✅ Relayer stopped`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n❌ Relayer failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, createRelayHandler, createRelayServer, startRelayer, RelayError };
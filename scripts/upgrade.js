@@ -0,0 +1,279 @@
+const hre = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateUpgradeSafety } = require('@openzeppelin/upgrades-core');
+const { ethers, upgrades } = hre;
+const {
+  DEPLOYMENTS_DIR,
+  readDeployment,
+  writeDeployment,
+  getBuildInfoDir,
+  saveBuildInfo,
+  recordUpgrade
+} = require('./utils/deployments');
+const { PROXY_ADMIN_ABI, encodeUpgradeCall, proposeOperation } = require('./utils/governance');
+const { deployModules, validationArgs } = require('./utils/modules');
+
+// Usage:
+//   npx hardhat run scripts/upgrade.js --network sepolia
+//   UPGRADE_CONTRACT=SimpleBankV2_2 npx hardhat run scripts/upgrade.js --network sepolia
+//   VALIDATE_ONLY=true npx hardhat run scripts/upgrade.js --network sepolia
+// Once the timelock owns the ProxyAdmin (scripts/deploy.js hands it over) the
+// upgrade is proposed instead, and must be run by a timelock proposer.
+
+// Reinitializer the new implementation runs on proxies initialized before it
+const REINITIALIZER = { version: 2, fn: "initializeV2" };
+
+async function main() {
+  console.log("🔁 Starting Simple Bank upgrade...");
+  console.log("=====================================");
+
+  const [deployer] = await ethers.getSigners();
+  const networkName = hre.network.name;
+
+  const deployment = readDeployment(networkName);
+  if (!deployment) {
+    throw new Error(`❌ No deployment found for ${networkName}. Run scripts/deploy.js first`);
+  }
+  if (!deployment.proxy) {
+    throw new Error(`❌ ${networkName} deployment is not behind a proxy and cannot be upgraded`);
+  }
+
+  const proxyAddress = deployment.proxy.address;
+  const previousContractName = deployment.contractName;
+  const newContractName = process.env.UPGRADE_CONTRACT || previousContractName;
+  const validateOnly = process.env.VALIDATE_ONLY === "true";
+
+  console.log(`📡 Network: ${networkName}`);
+  console.log(`👤 Upgrading with account: ${deployer.address}`);
+  console.log(`🏦 Proxy: ${proxyAddress}`);
+  console.log(`🧩 ${previousContractName} → ${newContractName}`);
+
+  const NewImplementation = await ethers.getContractFactory(newContractName);
+
+  // Storage layout compatibility check against the version the proxy runs now
+  console.log("\n🔍 Checking storage layout compatibility...");
+  const registered = await validateAgainstProxy(deployment, newContractName, NewImplementation);
+  console.log("✅ Storage layout is compatible");
+
+  if (validateOnly) {
+    console.log("\n📋 VALIDATE_ONLY set - skipping upgrade");
+    return { proxyAddress, validated: true };
+  }
+
+  const previousImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  const adminAddress = await upgrades.erc1967.getAdminAddress(proxyAddress);
+  const proxyAdmin = await ethers.getContractAt(PROXY_ADMIN_ABI, adminAddress, deployer);
+  const adminOwner = await proxyAdmin.owner();
+
+  const call = await upgradeCall(proxyAddress, NewImplementation, { fromBlock: deployment.blockNumber || 0 });
+  if (call) {
+    console.log(`🧬 Proxy is at initializer version ${call.fromVersion} - the upgrade runs ${call.fn}()`);
+  }
+
+  // Governed deployments: the timelock owns the ProxyAdmin, so the new
+  // implementation is deployed now and the switch waits in the queue
+  if (deployment.governance && adminOwner === ethers.getAddress(deployment.governance.timelock)) {
+    return proposeUpgrade({ deployment, networkName, proxyAddress, adminAddress, newContractName, NewImplementation, call, registered, deployer });
+  }
+
+  console.log("\n🏗️ Deploying new implementation and upgrading proxy...");
+  const { constructorArgs, modules } = await deployModules(ethers, NewImplementation);
+  const newImplementation = await deployImplementation(proxyAddress, NewImplementation, {
+    kind: deployment.proxy.kind,
+    registered,
+    constructorArgs
+  });
+  const upgradeTx = await proxyAdmin.upgradeAndCall(proxyAddress, newImplementation, upgradeData(NewImplementation, call));
+  const { blockNumber } = await upgradeTx.wait();
+  const upgraded = NewImplementation.attach(proxyAddress).connect(deployer);
+
+  const implementationAddress = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+
+  if (implementationAddress === previousImplementation) {
+    console.log("⚠️ Implementation unchanged (bytecode identical to the current version)");
+  } else {
+    console.log(`✅ New implementation: ${implementationAddress}`);
+  }
+
+  // Record the upgrade next to the original deployment
+  const buildInfo = await saveBuildInfo(hre.artifacts, newContractName, { network: networkName, implementation: implementationAddress });
+  const updatedDeployment = recordUpgrade(deployment, {
+    to: { contractName: newContractName, implementation: implementationAddress, modules, buildInfo },
+    admin: adminAddress,
+    upgrader: deployer.address,
+    blockNumber
+  });
+
+  const deploymentFile = writeDeployment(networkName, updatedDeployment);
+  console.log(`📄 Deployment info updated: ${deploymentFile}`);
+
+  // Smoke test: state must survive the upgrade
+  const bankStats = await upgraded.getBankStats();
+  console.log(`✅ Bank owner after upgrade: ${bankStats.owner}`);
+  console.log(`✅ Total deposits after upgrade: ${ethers.formatEther(bankStats.totalDeposits)} ETH`);
+
+  console.log("\n🎉 UPGRADE COMPLETE!");
+  console.log("=====================================");
+
+  return { proxyAddress, implementationAddress, deploymentInfo: updatedDeployment };
+}
+
+// Deploys the implementation and schedules ProxyAdmin.upgradeAndCall on the
+// timelock. scripts/governance.js execute <id> finishes the upgrade and
+// updates the deployment record.
+async function proposeUpgrade({ deployment, networkName, proxyAddress, adminAddress, newContractName, NewImplementation, call, registered = true, deployer }) {
+  console.log("\n🏗️ Deploying new implementation for a queued upgrade...");
+  const { constructorArgs, modules } = await deployModules(ethers, NewImplementation);
+  const implementationAddress = await deployImplementation(proxyAddress, NewImplementation, {
+    kind: deployment.proxy.kind,
+    registered,
+    constructorArgs
+  });
+  console.log(`✅ New implementation: ${implementationAddress}`);
+
+  const timelock = await ethers.getContractAt("SimpleBankTimelock", deployment.governance.timelock, deployer);
+  const operation = await proposeOperation(timelock, {
+    target: adminAddress,
+    data: encodeUpgradeCall(proxyAddress, implementationAddress, upgradeData(NewImplementation, call))
+  });
+
+  const updatedDeployment = {
+    ...deployment,
+    pendingUpgrade: {
+      contractName: newContractName,
+      implementation: implementationAddress,
+      modules,
+      buildInfo: await saveBuildInfo(hre.artifacts, newContractName, { network: networkName, implementation: implementationAddress }),
+      operationId: operation.id,
+      proposer: deployer.address,
+      proposedAt: new Date().toISOString()
+    }
+  };
+  const deploymentFile = writeDeployment(networkName, updatedDeployment);
+  console.log(`📄 Deployment info updated: ${deploymentFile}`);
+
+  console.log("\n📝 UPGRADE QUEUED");
+  console.log("=====================================");
+  console.log(`   ID: ${operation.id}`);
+  console.log(`   Executable after: ${operation.delay} second(s)`);
+  console.log(`   HARDHAT_NETWORK=${networkName} node scripts/governance.js execute ${operation.id}`);
+
+  return { proxyAddress, implementationAddress, operation, deploymentInfo: updatedDeployment };
+}
+
+// Deploys (or reuses) the new implementation. Proxies in the local manifest go
+// through the plugin's upgrade checks; others were already checked by
+// validateAgainstProxy, so the implementation is deployed on its own.
+// constructorArgs: from deployModules (utils/modules.js).
+async function deployImplementation(proxyAddress, NewImplementation, { kind, registered, constructorArgs = [] }) {
+  if (registered) {
+    return upgrades.prepareUpgrade(proxyAddress, NewImplementation, { kind, constructorArgs });
+  }
+  return upgrades.deployImplementation(NewImplementation, { kind, constructorArgs });
+}
+
+// Calldata for ProxyAdmin.upgradeAndCall - the reinitializer, if any
+function upgradeData(NewImplementation, call) {
+  return call ? NewImplementation.interface.encodeFunctionData(call.fn, call.args) : "0x";
+}
+
+// Initializable keeps the version in the lowest byte of storage slot 0
+async function initializedVersion(proxyAddress) {
+  return Number(BigInt(await ethers.provider.getStorage(proxyAddress, 0)) & 0xffn);
+}
+
+// Every account ever granted a role on the proxy, for the reinitializer to
+// backfill the enumerable role sets from
+async function roleGrantees(proxyAddress, NewImplementation, fromBlock) {
+  const bank = NewImplementation.attach(proxyAddress);
+  const grants = await bank.queryFilter(bank.filters.RoleGranted(), fromBlock);
+  return [...new Set(grants.map((log) => log.args.account))];
+}
+
+// The reinitializer call for proxies still below REINITIALIZER.version, or
+// null if there is nothing to run. fromBlock: the proxy's deployment block.
+async function upgradeCall(proxyAddress, NewImplementation, { fromBlock = 0 } = {}) {
+  if (!NewImplementation.interface.getFunction(REINITIALIZER.fn)) {
+    return null;
+  }
+  const fromVersion = await initializedVersion(proxyAddress);
+  if (fromVersion >= REINITIALIZER.version) {
+    return null;
+  }
+  const roleHolders = await roleGrantees(proxyAddress, NewImplementation, fromBlock);
+  return { fn: REINITIALIZER.fn, args: [roleHolders], fromVersion };
+}
+
+// Temporary directory with only the build info contractName's artifact comes
+// from: incremental compiles leave older copies of it in artifacts/build-info,
+// which the upgrades-core check would reject as ambiguous
+async function currentBuildInfoDir(contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bank-build-info-'));
+  fs.writeFileSync(path.join(dir, `${buildInfo.id}.json`), JSON.stringify(buildInfo));
+  return dir;
+}
+
+// Checks the new implementation's storage layout against the one the proxy
+// runs. Returns false if the proxy's implementation is missing from the local
+// manifest (and was checked against its recorded build info instead).
+async function validateAgainstProxy(deployment, newContractName, NewImplementation, { deploymentsDir = DEPLOYMENTS_DIR } = {}) {
+  const { address: proxyAddress, kind, buildInfo } = deployment.proxy;
+  try {
+    await upgrades.validateUpgrade(proxyAddress, NewImplementation, { kind, constructorArgs: validationArgs(NewImplementation) });
+    return true;
+  } catch (error) {
+    if (!/not registered/i.test(error.message)) {
+      throw error;
+    }
+  }
+
+  // The .openzeppelin manifest is per machine. Without it, compare against the
+  // build info saved when the running implementation was deployed - never a
+  // fresh compile of the old name, which is usually the new layout itself.
+  const referenceDir = buildInfo && getBuildInfoDir(buildInfo, deploymentsDir);
+  if (!referenceDir || !fs.existsSync(referenceDir)) {
+    throw new Error(
+      `❌ Proxy ${proxyAddress} is missing from the local .openzeppelin manifest and no build info was recorded for its implementation.\n` +
+      `   Copy .openzeppelin/ from the machine that deployed it, or check out the commit that deployed ${deployment.contractName},\n` +
+      `   run upgrades.forceImport(${proxyAddress}, ${deployment.contractName}) there and copy the manifest back.`
+    );
+  }
+
+  console.log(`⚠️ Proxy missing from the local manifest - checking against the build info in ${path.relative(process.cwd(), referenceDir)}`);
+  const buildInfoDir = await currentBuildInfoDir(newContractName);
+  let report;
+  try {
+    report = await validateUpgradeSafety(
+      buildInfoDir,
+      newContractName,
+      `${buildInfo}:${deployment.contractName}`,
+      { kind },
+      [referenceDir]
+    );
+  } finally {
+    fs.rmSync(buildInfoDir, { recursive: true, force: true });
+  }
+  if (!report.ok) {
+    throw new Error(`❌ ${newContractName} is not a safe upgrade from the deployed ${deployment.contractName}:\n${report.explain()}`);
+  }
+  return false;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => {
+      console.log(`\n✅ Upgrade script completed successfully!`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n❌ Upgrade failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, proposeUpgrade, deployImplementation, upgradeCall, validateAgainstProxy };
@@ -0,0 +1,89 @@
+// scripts/utils/cid.js
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Content identifiers computed locally, matching what `ipfs add` reports
+// for a file that fits in one chunk (receipts are a few hundred bytes):
+//   v0 - dag-pb/UnixFS node, sha2-256, base58btc ("Qm...")
+//   v1 - raw leaf (--cid-version 1 implies --raw-leaves), base32 ("bafkrei...")
+const MAX_SINGLE_CHUNK_BYTES = 256 * 1024;
+
+const SHA2_256 = 0x12;
+const RAW_CODEC = 0x55;
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+function varint(value) {
+  const bytes = [];
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining & 0x7f) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+  return Buffer.from(bytes);
+}
+
+function sha256Multihash(bytes) {
+  const digest = crypto.createHash('sha256').update(bytes).digest();
+  return Buffer.concat([Buffer.from([SHA2_256, digest.length]), digest]);
+}
+
+// RFC 4648 base32, lowercase, no padding (multibase prefix "b")
+function base32(bytes) {
+  let output = "";
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function toBytes(content) {
+  const bytes = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  if (bytes.length > MAX_SINGLE_CHUNK_BYTES) {
+    throw new Error(`Content is ${bytes.length} bytes; only single-chunk files (${MAX_SINGLE_CHUNK_BYTES}) are supported`);
+  }
+  return bytes;
+}
+
+// PBNode { Data: UnixFS { Type: File, Data: bytes, filesize } } with no links
+function unixfsFileNode(bytes) {
+  const unixfs = Buffer.concat([
+    Buffer.from([0x08, 0x02]),
+    Buffer.from([0x12]), varint(bytes.length), bytes,
+    Buffer.from([0x18]), varint(bytes.length)
+  ]);
+  return Buffer.concat([Buffer.from([0x0a]), varint(unixfs.length), unixfs]);
+}
+
+function cidV0(content) {
+  return ethers.encodeBase58(sha256Multihash(unixfsFileNode(toBytes(content))));
+}
+
+function cidV1(content) {
+  const cid = Buffer.concat([Buffer.from([0x01, RAW_CODEC]), sha256Multihash(toBytes(content))]);
+  return `b${base32(cid)}`;
+}
+
+function computeCid(content, { version = 1 } = {}) {
+  if (version !== 0 && version !== 1) {
+    throw new Error(`Unsupported CID version ${version}`);
+  }
+  return version === 0 ? cidV0(content) : cidV1(content);
+}
+
+module.exports = {
+  MAX_SINGLE_CHUNK_BYTES,
+  cidV0,
+  cidV1,
+  computeCid
+};
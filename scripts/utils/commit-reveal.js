@@ -0,0 +1,42 @@
+// scripts/utils/commit-reveal.js
+const { ethers } = require('ethers');
+
+// Must match SimpleBankV2_1.getWithdrawalCommitmentHash():
+// keccak256(abi.encode(block.chainid, address(this), user, amount, salt))
+function buildWithdrawalCommitment({ chainId, bankAddress, user, amount, salt }) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ["uint256", "address", "address", "uint256", "bytes32"],
+    [chainId, bankAddress, user, amount, salt]
+  );
+  return ethers.keccak256(encoded);
+}
+
+// Random 32-byte salt - keep it secret until the reveal
+function generateSalt() {
+  return ethers.hexlify(ethers.randomBytes(32));
+}
+
+// Build everything a user needs for commitWithdrawal() + revealWithdrawal()
+async function prepareWithdrawalCommitment(bank, user, amount, salt = generateSalt()) {
+  const runner = bank.runner;
+  const provider = runner.provider || runner;
+  const { chainId } = await provider.getNetwork();
+  const bankAddress = await bank.getAddress();
+  const userAddress = typeof user === 'string' ? user : await user.getAddress();
+
+  const commitment = buildWithdrawalCommitment({
+    chainId,
+    bankAddress,
+    user: userAddress,
+    amount,
+    salt
+  });
+
+  return { commitment, amount, salt };
+}
+
+module.exports = {
+  buildWithdrawalCommitment,
+  generateSalt,
+  prepareWithdrawalCommitment
+};
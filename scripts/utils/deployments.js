@@ -0,0 +1,88 @@
+// scripts/utils/deployments.js
+const fs = require('fs');
+const path = require('path');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', '..', 'deployments');
+
+function getDeploymentPath(networkName, deploymentsDir = DEPLOYMENTS_DIR) {
+  return path.join(deploymentsDir, `${networkName}-deployment.json`);
+}
+
+// Returns null when the network has never been deployed to
+function readDeployment(networkName, deploymentsDir = DEPLOYMENTS_DIR) {
+  const deploymentFile = getDeploymentPath(networkName, deploymentsDir);
+  if (!fs.existsSync(deploymentFile)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(deploymentFile, 'utf8'));
+}
+
+function writeDeployment(networkName, deploymentInfo, deploymentsDir = DEPLOYMENTS_DIR) {
+  if (!fs.existsSync(deploymentsDir)) {
+    fs.mkdirSync(deploymentsDir, { recursive: true });
+  }
+
+  const deploymentFile = getDeploymentPath(networkName, deploymentsDir);
+  fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
+  return deploymentFile;
+}
+
+function getBuildInfoDir(name, deploymentsDir = DEPLOYMENTS_DIR) {
+  return path.join(deploymentsDir, 'build-info', name);
+}
+
+// Copies the build info an implementation was compiled from to
+// deployments/build-info/<network>-<implementation>/, so a later upgrade can
+// check storage layouts against what is actually deployed on any machine.
+// Returns the directory name, which the deployment record keeps.
+async function saveBuildInfo(artifacts, contractName, { network, implementation }, deploymentsDir = DEPLOYMENTS_DIR) {
+  const artifact = await artifacts.readArtifact(contractName);
+  const buildInfo = await artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  if (!buildInfo) {
+    throw new Error(`No build info for ${contractName} - run npx hardhat compile`);
+  }
+
+  const name = `${network}-${implementation.toLowerCase()}`;
+  const dir = getBuildInfoDir(name, deploymentsDir);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${buildInfo.id}.json`), JSON.stringify(buildInfo));
+  return name;
+}
+
+// Deployment record after the proxy switched to `to` ({ contractName,
+// implementation, modules, buildInfo }); clears a queued upgrade that this completes
+function recordUpgrade(deployment, { to, admin, upgrader, blockNumber, operationId }) {
+  const { pendingUpgrade, ...rest } = deployment;
+  return {
+    ...rest,
+    contractName: to.contractName,
+    proxy: {
+      ...deployment.proxy,
+      implementation: to.implementation,
+      admin: admin || deployment.proxy.admin,
+      modules: to.modules,
+      buildInfo: to.buildInfo
+    },
+    upgrades: [
+      ...(deployment.upgrades || []),
+      {
+        from: { contractName: deployment.contractName, implementation: deployment.proxy.implementation },
+        to,
+        upgrader,
+        ...(operationId ? { operationId } : {}),
+        blockNumber,
+        upgradedAt: new Date().toISOString()
+      }
+    ]
+  };
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  getDeploymentPath,
+  readDeployment,
+  writeDeployment,
+  getBuildInfoDir,
+  saveBuildInfo,
+  recordUpgrade
+};
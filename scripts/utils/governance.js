@@ -0,0 +1,276 @@
+// scripts/utils/governance.js
+const { ethers } = require('ethers');
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+const DEFAULT_MIN_DELAY = HOUR;
+
+// Admin functions grouped by how long they wait in the timelock. Guardians
+// call pause() directly; through the timelock it is an emergency action.
+// Functions not listed here wait the timelock's minimum delay.
+const ACTION_CLASSES = {
+  emergency: {
+    delay: HOUR,
+    functions: ["pause()", "unpause()", "toggleEmergencyMode()", "cancelSurplusRescue()"]
+  },
+  config: {
+    delay: DAY,
+    functions: [
+      "setPriceFeed(address)",
+      "addSupportedToken(address,address)",
+      "removeSupportedToken(address)",
+      "setTokenPriceFeed(address,address)"
+    ]
+  },
+  roles: {
+    delay: 2 * DAY,
+    functions: [
+      "grantRole(bytes32,address)",
+      "revokeRole(bytes32,address)",
+      "grantOperatorRole(address)",
+      "grantAuditorRole(address)",
+      "grantGuardianRole(address)",
+      "revokeOperatorRole(address)",
+      "revokeAuditorRole(address)",
+      "revokeGuardianRole(address)",
+      "transferOwnership(address)"
+    ]
+  },
+  funds: {
+    delay: 2 * DAY,
+    functions: [
+      "scheduleSurplusRescue(address,uint256)",
+      "executeSurplusRescue()",
+      "creditSurplus(address,uint256)",
+      "fundInterestReserve()"
+    ]
+  },
+  governance: {
+    delay: 2 * DAY,
+    functions: ["updateDelay(uint256)", "updateActionDelay(bytes4,uint256)"]
+  },
+  // Called on the proxy's ProxyAdmin, which the timelock owns
+  upgrades: {
+    delay: 2 * DAY,
+    functions: ["upgradeAndCall(address,address,bytes)"]
+  }
+};
+
+// The ProxyAdmin that hardhat-upgrades deploys next to a transparent proxy
+const PROXY_ADMIN_ABI = [
+  "function owner() view returns (address)",
+  "function upgradeAndCall(address proxy, address implementation, bytes data) payable"
+];
+
+// Mirrors TimelockController.OperationState
+const OPERATION_STATES = ["Unset", "Waiting", "Ready", "Done"];
+
+function selectorOf(data) {
+  return data.length >= 10 ? data.slice(0, 10) : "0x00000000";
+}
+
+// TIMELOCK_MIN_DELAY and TIMELOCK_DELAY_<CLASS> (seconds) override the defaults
+function resolveActionDelays(env = process.env) {
+  const minDelay = env.TIMELOCK_MIN_DELAY !== undefined ? Number(env.TIMELOCK_MIN_DELAY) : DEFAULT_MIN_DELAY;
+  const classes = {};
+  for (const [name, actionClass] of Object.entries(ACTION_CLASSES)) {
+    const override = env[`TIMELOCK_DELAY_${name.toUpperCase()}`];
+    classes[name] = { ...actionClass, delay: override !== undefined ? Number(override) : actionClass.delay };
+  }
+  return { minDelay, classes };
+}
+
+// Parallel selector/delay arrays for the SimpleBankTimelock constructor
+function actionDelayArgs(classes) {
+  const selectors = [];
+  const delays = [];
+  for (const { delay, functions } of Object.values(classes)) {
+    for (const signature of functions) {
+      selectors.push(ethers.id(signature).slice(0, 10));
+      delays.push(delay);
+    }
+  }
+  return { selectors, delays };
+}
+
+async function deployTimelock(TimelockFactory, { minDelay, proposers, executors, classes }) {
+  const { selectors, delays } = actionDelayArgs(classes);
+  const timelock = await TimelockFactory.deploy(minDelay, proposers, executors, selectors, delays);
+  await timelock.waitForDeployment();
+  return timelock;
+}
+
+// Moves ADMIN_ROLE and DEFAULT_ADMIN_ROLE from the deployer to the timelock,
+// GUARDIAN_ROLE to the guardian and OPERATOR_ROLE / AUDITOR_ROLE to the
+// operator and auditor if given. The deployer keeps nothing: roles without a
+// new holder are granted later through the timelock. DEFAULT_ADMIN_ROLE is
+// renounced last because every grant before it needs it.
+async function handOverToTimelock(bank, { timelock, guardian, deployer, operator, auditor }) {
+  const [DEFAULT_ADMIN_ROLE, ADMIN_ROLE, GUARDIAN_ROLE, OPERATOR_ROLE, AUDITOR_ROLE] = await Promise.all([
+    bank.DEFAULT_ADMIN_ROLE(),
+    bank.ADMIN_ROLE(),
+    bank.GUARDIAN_ROLE(),
+    bank.OPERATOR_ROLE(),
+    bank.AUDITOR_ROLE()
+  ]);
+
+  await (await bank.grantRole(ADMIN_ROLE, timelock)).wait();
+  await (await bank.grantRole(DEFAULT_ADMIN_ROLE, timelock)).wait();
+
+  const reassigned = [[GUARDIAN_ROLE, guardian], [OPERATOR_ROLE, operator], [AUDITOR_ROLE, auditor]];
+  for (const [role, holder] of reassigned) {
+    if (holder && ethers.getAddress(holder) === ethers.getAddress(deployer)) {
+      continue;
+    }
+    if (holder) {
+      await (await bank.grantRole(role, holder)).wait();
+    }
+    if (await bank.hasRole(role, deployer)) {
+      await (await bank.renounceRole(role, deployer)).wait();
+    }
+  }
+  await (await bank.renounceRole(ADMIN_ROLE, deployer)).wait();
+  await (await bank.renounceRole(DEFAULT_ADMIN_ROLE, deployer)).wait();
+}
+
+// Calldata for the ProxyAdmin to point `proxy` at `implementation`, running
+// `data` (e.g. a reinitializer) in the same transaction
+function encodeUpgradeCall(proxy, implementation, data = "0x") {
+  return new ethers.Interface(PROXY_ADMIN_ABI).encodeFunctionData("upgradeAndCall", [proxy, implementation, data]);
+}
+
+// "OPERATOR_ROLE" -> keccak256("OPERATOR_ROLE"); DEFAULT_ADMIN_ROLE is zero
+function roleHash(name) {
+  return name === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(name);
+}
+
+// Encodes a call from CLI-style string arguments; bytes32 arguments may be
+// given as role names
+function encodeAdminCall(iface, functionName, args = []) {
+  const fragment = iface.getFunction(functionName);
+  if (!fragment) {
+    throw new Error(`Unknown function ${functionName}`);
+  }
+  if (args.length !== fragment.inputs.length) {
+    throw new Error(`${fragment.format()} takes ${fragment.inputs.length} argument(s), got ${args.length}`);
+  }
+  const values = fragment.inputs.map((input, i) => (
+    input.type === 'bytes32' && /^[A-Z_]+_ROLE$/.test(args[i]) ? roleHash(args[i]) : args[i]
+  ));
+  return iface.encodeFunctionData(fragment, values);
+}
+
+// Schedules one call with the delay its selector requires (unless given)
+async function proposeOperation(timelock, {
+  target,
+  value = 0n,
+  data,
+  predecessor = ethers.ZeroHash,
+  salt = ethers.hexlify(ethers.randomBytes(32)),
+  delay
+}) {
+  if (delay === undefined) {
+    delay = await timelock.getActionDelay(selectorOf(data));
+  }
+  const id = await timelock.hashOperation(target, value, data, predecessor, salt);
+  const receipt = await (await timelock.schedule(target, value, data, predecessor, salt, delay)).wait();
+  return { id, target, value, data, predecessor, salt, delay, transactionHash: receipt.hash };
+}
+
+// Rebuilds scheduled operations from CallScheduled / CallSalt logs, with
+// their current state. `interfaces` are used to describe each call.
+async function listOperations(timelock, { fromBlock = 0, toBlock = "latest", interfaces = [] } = {}) {
+  const [scheduled, salts] = await Promise.all([
+    timelock.queryFilter(timelock.filters.CallScheduled(), fromBlock, toBlock),
+    timelock.queryFilter(timelock.filters.CallSalt(), fromBlock, toBlock)
+  ]);
+
+  const saltById = new Map(salts.map((log) => [log.args.id, log.args.salt]));
+  const operations = new Map();
+  for (const log of scheduled) {
+    const { id, index, target, value, data, predecessor, delay } = log.args;
+    if (!operations.has(id)) {
+      operations.set(id, {
+        id,
+        calls: [],
+        predecessor,
+        salt: saltById.get(id) || ethers.ZeroHash,
+        delay,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash
+      });
+    }
+    operations.get(id).calls[Number(index)] = { target, value, data, description: describeCall(data, interfaces) };
+  }
+
+  const result = [];
+  for (const operation of operations.values()) {
+    const [state, readyAt] = await Promise.all([
+      timelock.getOperationState(operation.id),
+      timelock.getTimestamp(operation.id)
+    ]);
+    // Cancelled operations are deleted and read back as Unset
+    const stateName = OPERATION_STATES[Number(state)];
+    result.push({ ...operation, state: stateName === "Unset" ? "Cancelled" : stateName, readyAt: Number(readyAt) });
+  }
+  return result;
+}
+
+function describeCall(data, interfaces) {
+  for (const iface of interfaces) {
+    const parsed = iface.parseTransaction({ data });
+    if (parsed) {
+      return `${parsed.name}(${parsed.args.map((arg) => arg.toString()).join(", ")})`;
+    }
+  }
+  return selectorOf(data);
+}
+
+async function findOperation(timelock, id, options) {
+  const operation = (await listOperations(timelock, options)).find((op) => op.id === id);
+  if (!operation) {
+    throw new Error(`No scheduled operation ${id}`);
+  }
+  return operation;
+}
+
+async function executeOperation(timelock, operation) {
+  const { calls, predecessor, salt } = operation;
+  const totalValue = calls.reduce((sum, call) => sum + BigInt(call.value), 0n);
+
+  const tx = calls.length === 1
+    ? await timelock.execute(calls[0].target, calls[0].value, calls[0].data, predecessor, salt, { value: totalValue })
+    : await timelock.executeBatch(
+      calls.map((call) => call.target),
+      calls.map((call) => call.value),
+      calls.map((call) => call.data),
+      predecessor,
+      salt,
+      { value: totalValue }
+    );
+  return tx.wait();
+}
+
+async function cancelOperation(timelock, id) {
+  return (await timelock.cancel(id)).wait();
+}
+
+module.exports = {
+  ACTION_CLASSES,
+  DEFAULT_MIN_DELAY,
+  PROXY_ADMIN_ABI,
+  OPERATION_STATES,
+  resolveActionDelays,
+  actionDelayArgs,
+  deployTimelock,
+  handOverToTimelock,
+  encodeUpgradeCall,
+  roleHash,
+  encodeAdminCall,
+  proposeOperation,
+  listOperations,
+  findOperation,
+  executeOperation,
+  cancelOperation
+};
@@ -0,0 +1,130 @@
+// scripts/utils/meta-transactions.js
+const { ethers } = require('ethers');
+
+// Must match SimpleBankV2_1's EIP-712 domain and TRANSFER_TYPEHASH / WITHDRAWAL_TYPEHASH
+const DOMAIN_NAME = "SimpleBank";
+const DOMAIN_VERSION = "2.1";
+const DEFAULT_VALIDITY_SECONDS = 60 * 60;
+
+const REQUEST_TYPES = {
+  transfer: {
+    Transfer: [
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  },
+  withdrawal: {
+    Withdrawal: [
+      { name: "from", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  }
+};
+
+function buildDomain({ chainId, bankAddress }) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: bankAddress
+  };
+}
+
+async function domainFor(bank) {
+  const runner = bank.runner;
+  const provider = runner.provider || runner;
+  const { chainId } = await provider.getNetwork();
+  return buildDomain({ chainId, bankAddress: await bank.getAddress() });
+}
+
+// The typed-data message for a request; amounts may be strings (JSON) or BigInts
+function requestMessage(request) {
+  const message = {
+    from: request.from,
+    amount: BigInt(request.amount),
+    nonce: BigInt(request.nonce),
+    deadline: BigInt(request.deadline)
+  };
+  if (request.type === "transfer") {
+    message.to = request.to;
+  }
+  return message;
+}
+
+// Signs a transfer or withdrawal for a relayer to submit. Nonce and deadline
+// default to the signer's next on-chain nonce and one hour from the latest block.
+// Returns a JSON-safe request: { type, from, to?, amount, nonce, deadline, signature }
+async function signRequest(bank, signer, { type, to, amount, nonce, deadline }) {
+  if (!REQUEST_TYPES[type]) {
+    throw new Error(`Unknown request type ${type}`);
+  }
+  const from = await signer.getAddress();
+  const provider = signer.provider || bank.runner.provider;
+
+  if (nonce === undefined) {
+    nonce = await bank.sigNonces(from);
+  }
+  if (deadline === undefined) {
+    deadline = (await provider.getBlock("latest")).timestamp + DEFAULT_VALIDITY_SECONDS;
+  }
+
+  const request = {
+    type,
+    from,
+    ...(type === "transfer" ? { to: ethers.getAddress(to) } : {}),
+    amount: BigInt(amount).toString(),
+    nonce: BigInt(nonce).toString(),
+    deadline: BigInt(deadline).toString()
+  };
+  request.signature = await signer.signTypedData(await domainFor(bank), REQUEST_TYPES[type], requestMessage(request));
+  return request;
+}
+
+function signTransfer(bank, signer, { to, amount, nonce, deadline }) {
+  return signRequest(bank, signer, { type: "transfer", to, amount, nonce, deadline });
+}
+
+function signWithdrawal(bank, signer, { amount, nonce, deadline }) {
+  return signRequest(bank, signer, { type: "withdrawal", amount, nonce, deadline });
+}
+
+// Off-chain check before anyone spends gas; returns the recovered signer
+function recoverRequestSigner(domain, request) {
+  if (!REQUEST_TYPES[request.type]) {
+    throw new Error(`Unknown request type ${request.type}`);
+  }
+  return ethers.verifyTypedData(domain, REQUEST_TYPES[request.type], requestMessage(request), request.signature);
+}
+
+// The bank function and arguments that execute a request
+function requestCall(request) {
+  if (request.type === "transfer") {
+    return { method: "transferWithSig", args: [request.from, request.to, request.amount, request.deadline, request.signature] };
+  }
+  return { method: "withdrawWithSig", args: [request.from, request.amount, request.deadline, request.signature] };
+}
+
+// bank must be connected to the paying (relayer) signer
+function submitRequest(bank, request, overrides = {}) {
+  const { method, args } = requestCall(request);
+  return bank[method](...args, overrides);
+}
+
+module.exports = {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  REQUEST_TYPES,
+  buildDomain,
+  domainFor,
+  signRequest,
+  signTransfer,
+  signWithdrawal,
+  recoverRequestSigner,
+  requestCall,
+  submitRequest
+};
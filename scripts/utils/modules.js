@@ -0,0 +1,38 @@
+// scripts/utils/modules.js
+const { ethers } = require('ethers');
+
+// SimpleBankV2_1 runs part of its functions in these contracts
+// (contracts/modules) and takes their addresses as constructor arguments, in
+// this order. Modules hold no state, so each implementation gets its own.
+const MODULE_NAMES = ['SimpleBankPayments', 'SimpleBankAccounts'];
+
+function hasModules(Implementation) {
+  return Implementation.interface.deploy.inputs.length > 0;
+}
+
+// Deploys the modules Implementation needs. constructorArgs go to the
+// upgrades plugin; modules (name => address) to the deployment record.
+// Implementations without modules (e.g. older versions) get empty ones.
+async function deployModules(hreEthers, Implementation) {
+  const modules = {};
+  if (hasModules(Implementation)) {
+    for (const name of MODULE_NAMES) {
+      const module = await hreEthers.deployContract(name);
+      await module.waitForDeployment();
+      modules[name] = await module.getAddress();
+    }
+  }
+  return { constructorArgs: Object.values(modules), modules };
+}
+
+// Constructor arguments for validating Implementation without deploying
+// anything: the plugin only encodes them, the layout check ignores them
+function validationArgs(Implementation) {
+  return hasModules(Implementation) ? MODULE_NAMES.map(() => ethers.ZeroAddress) : [];
+}
+
+module.exports = {
+  MODULE_NAMES,
+  deployModules,
+  validationArgs
+};
@@ -0,0 +1,202 @@
+// scripts/utils/payroll.js
+const { ethers } = require('ethers');
+
+// Default gas budget per batchTransfer transaction, well under mainnet's
+// 30M block limit so a chunk still fits when blocks are busy
+const DEFAULT_MAX_GAS_PER_CHUNK = 8_000_000n;
+
+// Splits one CSV line, honouring double-quoted fields ("Doe, Jane")
+function splitCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// Parses a payroll CSV with a header row. Required columns: address and
+// amount (in ETH); any other columns (name, memo, ...) are kept as-is.
+// Returns [{ line, address, amount, amountWei, ...extra }]; rows that don't
+// parse come back with an `error` instead of amountWei.
+function parsePayrollCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const headerIndex = lines.findIndex((line) => line.trim() !== "");
+  if (headerIndex === -1) {
+    throw new Error("Payroll CSV is empty");
+  }
+
+  const header = splitCsvLine(lines[headerIndex]).map((name) => name.toLowerCase());
+  for (const column of ["address", "amount"]) {
+    if (!header.includes(column)) {
+      throw new Error(`Payroll CSV is missing the "${column}" column`);
+    }
+  }
+
+  const rows = [];
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    if (lines[i].trim() === "") {
+      continue;
+    }
+    const fields = splitCsvLine(lines[i]);
+    const row = { line: i + 1 };
+    header.forEach((name, column) => { row[name] = fields[column] ?? ""; });
+
+    try {
+      row.amountWei = ethers.parseEther(row.amount);
+    } catch (error) {
+      row.error = `invalid amount "${row.amount}"`;
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Checks every row and the total against the payer's bank balance.
+// balance comes from getUserStats(); available excludes funds locked in
+// withdrawal holds, which batchTransfer can't spend either.
+// Returns { valid, errors: [{ line, message }], total, recipients, amounts }
+function validatePayroll(rows, { payer, balance, available = balance }) {
+  const errors = rows.filter((row) => row.error).map((row) => ({ line: row.line, message: row.error }));
+  const seen = new Map();
+  const recipients = [];
+  const amounts = [];
+  let total = 0n;
+
+  for (const row of rows) {
+    if (row.error) {
+      continue;
+    }
+    if (!ethers.isAddress(row.address)) {
+      errors.push({ line: row.line, message: `invalid address "${row.address}"` });
+      continue;
+    }
+
+    const address = ethers.getAddress(row.address);
+    if (address === ethers.ZeroAddress) {
+      errors.push({ line: row.line, message: "zero address" });
+    } else if (address === ethers.getAddress(payer)) {
+      errors.push({ line: row.line, message: "payer can't pay themselves" });
+    } else if (seen.has(address)) {
+      errors.push({ line: row.line, message: `duplicate of line ${seen.get(address)}` });
+    } else if (row.amountWei <= 0n) {
+      errors.push({ line: row.line, message: "amount must be positive" });
+    } else {
+      seen.set(address, row.line);
+      recipients.push(address);
+      amounts.push(row.amountWei);
+      total += row.amountWei;
+    }
+  }
+
+  if (rows.length === 0) {
+    errors.push({ line: 0, message: "no payments" });
+  }
+  if (total > BigInt(balance)) {
+    errors.push({ line: 0, message: `total ${ethers.formatEther(total)} ETH exceeds balance ${ethers.formatEther(balance)} ETH` });
+  } else if (total > BigInt(available)) {
+    errors.push({ line: 0, message: `total ${ethers.formatEther(total)} ETH exceeds available ${ethers.formatEther(available)} ETH (funds held)` });
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { valid: errors.length === 0, errors, total, recipients, amounts };
+}
+
+// Splits payments into batchTransfer calls of at most maxBatchSize
+// recipients whose estimated gas fits maxGasPerChunk, halving a chunk
+// until it does. bank must be connected to the payer.
+async function planChunks(bank, { recipients, amounts }, {
+  maxBatchSize,
+  maxGasPerChunk = DEFAULT_MAX_GAS_PER_CHUNK
+} = {}) {
+  if (maxBatchSize === undefined) {
+    maxBatchSize = Number(await bank.MAX_BATCH_SIZE());
+  }
+
+  const chunks = [];
+  for (let start = 0; start < recipients.length;) {
+    let size = Math.min(maxBatchSize, recipients.length - start);
+    for (;;) {
+      const chunk = {
+        start,
+        recipients: recipients.slice(start, start + size),
+        amounts: amounts.slice(start, start + size)
+      };
+      chunk.gas = await bank.batchTransfer.estimateGas(chunk.recipients, chunk.amounts);
+      if (chunk.gas <= maxGasPerChunk) {
+        chunk.total = chunk.amounts.reduce((sum, amount) => sum + amount, 0n);
+        chunks.push(chunk);
+        break;
+      }
+      if (size === 1) {
+        throw new Error(`A single payment to ${chunk.recipients[0]} needs ${chunk.gas} gas, over the ${maxGasPerChunk} budget`);
+      }
+      size = Math.ceil(size / 2);
+    }
+    start += size;
+  }
+  return chunks;
+}
+
+// Simulates every chunk with staticCall; throws on the first that would revert.
+// Chunks are simulated against the current state, not after earlier chunks.
+async function dryRunChunks(bank, chunks) {
+  for (const [index, chunk] of chunks.entries()) {
+    try {
+      await bank.batchTransfer.staticCall(chunk.recipients, chunk.amounts);
+    } catch (error) {
+      const reason = error.revert ? `${error.revert.name}(${error.revert.args.join(", ")})` : (error.shortMessage || error.message);
+      throw new Error(`Chunk ${index + 1} (rows ${chunk.start + 1}-${chunk.start + chunk.recipients.length}) would revert: ${reason}`);
+    }
+  }
+}
+
+// Sends chunks one at a time, waiting for each receipt. If a chunk fails the
+// earlier ones have already paid out: the error carries `completed` (the
+// receipts so far) and `remaining` (the unpaid chunks) so the run can resume.
+// onChunk(chunk, index) is awaited after each confirmed chunk.
+async function sendChunks(bank, chunks, { onChunk } = {}) {
+  const completed = [];
+  for (const [index, chunk] of chunks.entries()) {
+    try {
+      const receipt = await (await bank.batchTransfer(chunk.recipients, chunk.amounts, { gasLimit: chunk.gas * 12n / 10n })).wait();
+      completed.push({ ...chunk, transactionHash: receipt.hash, gasUsed: receipt.gasUsed });
+      if (onChunk) {
+        await onChunk(completed[completed.length - 1], index);
+      }
+    } catch (error) {
+      error.completed = completed;
+      error.remaining = chunks.slice(index);
+      throw error;
+    }
+  }
+  return completed;
+}
+
+module.exports = {
+  DEFAULT_MAX_GAS_PER_CHUNK,
+  parsePayrollCsv,
+  validatePayroll,
+  planChunks,
+  dryRunChunks,
+  sendChunks
+};
@@ -0,0 +1,151 @@
+// scripts/utils/pinning.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { computeCid } = require('./cid');
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', '..', 'data', 'ipfs');
+const DEFAULT_TIMEOUT_MS = 30_000;
+
+// Pin stores share one interface:
+//   pin(content) -> cid, get(cid) -> Buffer, has(cid) -> bool, unpin(cid)
+// CIDs are computed locally first, so a store can never hand back an
+// identifier that doesn't match the content.
+
+function cidVersionOf(cid) {
+  return cid.startsWith("Qm") ? 0 : 1;
+}
+
+// Files named by CID in a directory - a local stand-in for an IPFS node
+class LocalPinStore {
+  constructor({ dir = DEFAULT_STORE_DIR, cidVersion = 1 } = {}) {
+    this.name = "local";
+    this.dir = dir;
+    this.cidVersion = cidVersion;
+  }
+
+  filePath(cid) {
+    if (!/^[A-Za-z0-9]+$/.test(cid)) {
+      throw new Error(`Invalid CID "${cid}"`);
+    }
+    return path.join(this.dir, cid);
+  }
+
+  async pin(content) {
+    const cid = computeCid(content, { version: this.cidVersion });
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.filePath(cid), content);
+    return cid;
+  }
+
+  async get(cid) {
+    const file = this.filePath(cid);
+    if (!fs.existsSync(file)) {
+      throw new Error(`${cid} is not pinned in ${this.dir}`);
+    }
+    const content = fs.readFileSync(file);
+    if (computeCid(content, { version: cidVersionOf(cid) }) !== cid) {
+      throw new Error(`Content stored under ${cid} does not match its CID`);
+    }
+    return content;
+  }
+
+  async has(cid) {
+    return fs.existsSync(this.filePath(cid));
+  }
+
+  async unpin(cid) {
+    fs.rmSync(this.filePath(cid), { force: true });
+  }
+}
+
+// Kubo (go-ipfs) RPC API, e.g. http://127.0.0.1:5001. Every endpoint is a POST.
+class IpfsHttpPinStore {
+  constructor({ apiUrl, cidVersion = 1, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    this.name = "ipfs-http";
+    this.apiUrl = apiUrl.replace(/\/+$/, "");
+    this.cidVersion = cidVersion;
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async rpc(command, params, { body, headers = {}, responseType = 'json' } = {}) {
+    const response = await axios.post(`${this.apiUrl}/api/v0/${command}`, body, {
+      params,
+      headers: { ...this.headers, ...headers },
+      responseType,
+      timeout: this.timeoutMs
+    });
+    return response.data;
+  }
+
+  async pin(content) {
+    const bytes = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const expected = computeCid(bytes, { version: this.cidVersion });
+
+    const boundary = `----simple-bank-${crypto.randomBytes(8).toString('hex')}`;
+    const body = Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${expected}"\r\n` +
+        "Content-Type: application/octet-stream\r\n\r\n"),
+      bytes,
+      Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+
+    const result = await this.rpc("add", {
+      "cid-version": this.cidVersion,
+      "raw-leaves": this.cidVersion === 1,
+      pin: true
+    }, { body, headers: { "Content-Type": `multipart/form-data; boundary=${boundary}` } });
+
+    // A node with a non-default chunker or hash would pin something else
+    if (result.Hash !== expected) {
+      throw new Error(`IPFS node returned ${result.Hash}, expected ${expected} - check its add settings`);
+    }
+    return expected;
+  }
+
+  async get(cid) {
+    const data = await this.rpc("cat", { arg: cid }, { responseType: 'arraybuffer' });
+    const content = Buffer.from(data);
+    if (computeCid(content, { version: cidVersionOf(cid) }) !== cid) {
+      throw new Error(`Content returned for ${cid} does not match its CID`);
+    }
+    return content;
+  }
+
+  // pin/ls answers 500 for CIDs that aren't pinned
+  async has(cid) {
+    try {
+      await this.rpc("pin/ls", { arg: cid, type: "recursive" });
+      return true;
+    } catch (error) {
+      if (error.response && error.response.status === 500) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async unpin(cid) {
+    await this.rpc("pin/rm", { arg: cid });
+  }
+}
+
+// IPFS_API_URL selects a Kubo node; otherwise pins go to data/ipfs/
+// (or RECEIPT_STORE_DIR). IPFS_CID_VERSION picks v0 or v1 (default).
+function createPinStore(options = {}, env = process.env) {
+  const cidVersion = Number(options.cidVersion ?? env.IPFS_CID_VERSION ?? 1);
+  const apiUrl = options.ipfsApiUrl || env.IPFS_API_URL;
+  if (apiUrl) {
+    return new IpfsHttpPinStore({ apiUrl, cidVersion });
+  }
+  return new LocalPinStore({ dir: options.storeDir || env.RECEIPT_STORE_DIR || DEFAULT_STORE_DIR, cidVersion });
+}
+
+module.exports = {
+  DEFAULT_STORE_DIR,
+  LocalPinStore,
+  IpfsHttpPinStore,
+  createPinStore
+};
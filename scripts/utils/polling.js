@@ -0,0 +1,27 @@
+// scripts/utils/polling.js
+
+// Calls run() every pollSeconds until Ctrl+C. The signal ends the wait at
+// once instead of after the interval; a run already in progress finishes
+// first. The handler is only installed once, so a second Ctrl+C exits the
+// usual way. run() should handle its own errors.
+async function pollUntilInterrupted(run, pollSeconds, { signal = "SIGINT" } = {}) {
+  let stopped = false;
+  const interrupted = new Promise((resolve) => {
+    process.once(signal, () => {
+      stopped = true;
+      resolve();
+    });
+  });
+
+  while (!stopped) {
+    await run();
+    let timer;
+    const interval = new Promise((resolve) => { timer = setTimeout(resolve, pollSeconds * 1000); });
+    await Promise.race([interrupted, interval]);
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  pollUntilInterrupted
+};
@@ -0,0 +1,208 @@
+// scripts/utils/receipts.js
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { expandBatchTransfers } = require('../../monitoring/log-reader');
+
+const RECEIPT_SCHEMA = "simple-bank/receipt@1";
+const ARCHIVE_SCHEMA = "simple-bank/receipt-archive@1";
+
+// Events that get a receipt; BatchTransfer is split into one per leg
+const RECEIPT_EVENTS = ["Deposit", "Withdrawal", "Transfer", "BatchTransfer"];
+
+// Keys sorted at every level, so the same receipt always has the same CID
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, canonicalize(value[key])]));
+  }
+  return value;
+}
+
+function encodeDocument(document) {
+  return Buffer.from(JSON.stringify(canonicalize(document), null, 2) + "\n");
+}
+
+// Receipt for `account`'s side of a decoded Deposit/Withdrawal/Transfer event
+// (log-reader.js shape, BatchTransfers already expanded). A transfer between
+// two users has a receipt for each of them.
+function buildReceipt(event, account, { chainId, contractAddress }) {
+  const { args } = event;
+  const receipt = {
+    schema: RECEIPT_SCHEMA,
+    chainId: Number(chainId),
+    contract: ethers.getAddress(contractAddress),
+    account: ethers.getAddress(account),
+    amount: args.amount.toString(),
+    amountEth: ethers.formatEther(args.amount),
+    transactionId: args.transactionId.toString(),
+    timestamp: Number(args.timestamp),
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    logIndex: event.logIndex
+  };
+  if (event.batchIndex !== undefined) {
+    receipt.batchIndex = event.batchIndex;
+  }
+
+  if (event.event === "Deposit" || event.event === "Withdrawal") {
+    return {
+      ...receipt,
+      type: event.event.toLowerCase(),
+      direction: event.event === "Deposit" ? "in" : "out",
+      counterparty: null,
+      balanceAfter: args.newBalance.toString()
+    };
+  }
+  if (event.event === "Transfer") {
+    const outgoing = args.from.toLowerCase() === account.toLowerCase();
+    return {
+      ...receipt,
+      type: "transfer",
+      direction: outgoing ? "out" : "in",
+      counterparty: ethers.getAddress(outgoing ? args.to : args.from),
+      balanceAfter: null
+    };
+  }
+  throw new Error(`No receipt for ${event.event} events`);
+}
+
+// Events involving `account` that get a receipt, oldest first
+function receiptEventsFor(events, account) {
+  const lower = account.toLowerCase();
+  return expandBatchTransfers(events.filter((event) => RECEIPT_EVENTS.includes(event.event)))
+    .filter((event) => event.accounts.includes(lower))
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex || (a.batchIndex || 0) - (b.batchIndex || 0));
+}
+
+// Pins a receipt for each new event and records its CID on-chain with
+// addTransactionReceipt(). Once the account is at MAX_RECEIPTS_PER_USER the
+// oldest archiveBatch receipts are folded into an archive document first.
+// Processed event ids are kept in stateFile so restarts don't duplicate.
+// bank: contract connected to the account's own signer.
+class ReceiptService {
+  constructor({ bank, store, account, chainId, stateFile, archiveBatch = 25 }) {
+    this.bank = bank;
+    this.store = store;
+    this.account = ethers.getAddress(account);
+    this.chainId = chainId;
+    this.stateFile = stateFile;
+    this.archiveBatch = archiveBatch;
+    this.processed = this.loadState();
+  }
+
+  loadState() {
+    if (this.stateFile && fs.existsSync(this.stateFile)) {
+      return JSON.parse(fs.readFileSync(this.stateFile, 'utf8')).processed;
+    }
+    return {};
+  }
+
+  saveState() {
+    if (!this.stateFile) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    fs.writeFileSync(this.stateFile, JSON.stringify({ account: this.account, processed: this.processed }, null, 2));
+  }
+
+  // Returns { added: [{ eventId, cid, receipt }], archived: [cid] }
+  async processEvents(events) {
+    const contractAddress = await this.bank.getAddress();
+    const summary = { added: [], archived: [] };
+
+    for (const event of receiptEventsFor(events, this.account)) {
+      if (this.processed[event.id]) {
+        continue;
+      }
+
+      const receipt = buildReceipt(event, this.account, { chainId: this.chainId, contractAddress });
+
+      // Make room first, so a failed archive doesn't leave this receipt pinned
+      const archive = await this.archiveIfFull();
+      if (archive) {
+        summary.archived.push(archive);
+      }
+      const cid = await this.pinAndWrite(receipt, (pinned) => this.bank.addTransactionReceipt(pinned));
+
+      this.processed[event.id] = cid;
+      this.saveState();
+      summary.added.push({ eventId: event.id, cid, receipt });
+    }
+    return summary;
+  }
+
+  async archiveIfFull() {
+    const [count, maximum] = await Promise.all([
+      this.bank.getReceiptCount(this.account),
+      this.bank.MAX_RECEIPTS_PER_USER()
+    ]);
+    if (count < maximum) {
+      return null;
+    }
+    return this.archiveOldest(Math.min(this.archiveBatch, Number(count)));
+  }
+
+  // Pins { previous, receipts } for the oldest `count` receipts and swaps
+  // them for the archive on-chain; returns the archive CID
+  async archiveOldest(count) {
+    const [receipts, previous] = await Promise.all([
+      this.bank.getTransactionReceipts(this.account),
+      this.bank.getReceiptArchive(this.account)
+    ]);
+    const archive = {
+      schema: ARCHIVE_SCHEMA,
+      chainId: Number(this.chainId),
+      contract: await this.bank.getAddress(),
+      account: this.account,
+      previous: previous || null,
+      receipts: receipts.slice(0, count)
+    };
+
+    return this.pinAndWrite(archive, (cid) => this.bank.archiveTransactionReceipts(count, cid));
+  }
+
+  // Pins a document just before the transaction that records its CID, and
+  // unpins it again if that transaction fails so no pin is left orphaned
+  async pinAndWrite(document, write) {
+    const cid = await this.store.pin(encodeDocument(document));
+    try {
+      await (await write(cid)).wait();
+    } catch (error) {
+      await this.store.unpin(cid).catch(() => {});
+      throw error;
+    }
+    return cid;
+  }
+}
+
+async function fetchDocument(store, cid) {
+  return JSON.parse((await store.get(cid)).toString('utf8'));
+}
+
+// Every receipt CID of an account, oldest first: archived ones (following
+// each archive's `previous` link) then the ones still on-chain
+async function readReceiptTrail(bank, store, account) {
+  const archived = [];
+  let archiveCid = await bank.getReceiptArchive(account);
+  while (archiveCid) {
+    const archive = await fetchDocument(store, archiveCid);
+    archived.unshift(...archive.receipts);
+    archiveCid = archive.previous;
+  }
+  return [...archived, ...(await bank.getTransactionReceipts(account))];
+}
+
+module.exports = {
+  RECEIPT_SCHEMA,
+  ARCHIVE_SCHEMA,
+  RECEIPT_EVENTS,
+  encodeDocument,
+  buildReceipt,
+  receiptEventsFor,
+  ReceiptService,
+  fetchDocument,
+  readReceiptTrail
+};
@@ -0,0 +1,84 @@
+// scripts/utils/standing-orders.js
+const { ethers } = require('ethers');
+
+const STANDING_ORDER_EVENTS = [
+  "StandingOrderCreated",
+  "StandingOrderCancelled",
+  "StandingOrderCompleted"
+];
+
+// Ids of orders that were created and haven't been cancelled or completed,
+// from decoded events (an EventIndexer store or log-reader.js output)
+function openOrderIds(events) {
+  const open = new Set();
+  const ordered = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  for (const event of ordered) {
+    if (event.event === "StandingOrderCreated") {
+      open.add(BigInt(event.args.orderId));
+    } else if (event.event === "StandingOrderCancelled" || event.event === "StandingOrderCompleted") {
+      open.delete(BigInt(event.args.orderId));
+    }
+  }
+  return [...open].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+// Re-checks each candidate on-chain (events may lag behind) and returns the
+// ones executeDue() would act on at `timestamp` (defaults to the latest block)
+async function findDueOrders(bank, orderIds, { timestamp } = {}) {
+  if (timestamp === undefined) {
+    const provider = bank.runner.provider || bank.runner;
+    timestamp = (await provider.getBlock("latest")).timestamp;
+  }
+
+  const due = [];
+  for (const id of orderIds) {
+    const order = await bank.getStandingOrder(id);
+    if (order.active && order.nextExecution <= BigInt(timestamp)) {
+      due.push({ id, owner: order.owner, recipient: order.recipient, amount: order.amount, nextExecution: Number(order.nextExecution) });
+    }
+  }
+  return due;
+}
+
+// Calls executeDue() in batches of at most maxBatchSize and summarizes the
+// StandingOrder* events from the receipts. bank must be connected to the
+// keeper's signer; any account can execute.
+async function executeDueOrders(bank, orderIds, { maxBatchSize } = {}) {
+  if (maxBatchSize === undefined) {
+    maxBatchSize = Number(await bank.MAX_BATCH_SIZE());
+  }
+
+  const summary = { executed: [], skipped: [], completed: [], transactions: [] };
+  for (let start = 0; start < orderIds.length; start += maxBatchSize) {
+    const batch = orderIds.slice(start, start + maxBatchSize);
+    const receipt = await (await bank.executeDue(batch)).wait();
+    summary.transactions.push(receipt.hash);
+
+    for (const log of receipt.logs) {
+      const parsed = bank.interface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+      if (parsed.name === "StandingOrderExecuted") {
+        summary.executed.push({ id: parsed.args.orderId, amount: parsed.args.amount });
+      } else if (parsed.name === "StandingOrderSkipped") {
+        summary.skipped.push({ id: parsed.args.orderId, amount: parsed.args.amount, available: parsed.args.available });
+      } else if (parsed.name === "StandingOrderCompleted") {
+        summary.completed.push(parsed.args.orderId);
+      }
+    }
+  }
+  return summary;
+}
+
+function describeOrder(order) {
+  return `#${order.id} ${ethers.formatEther(order.amount)} ETH ${order.owner} → ${order.recipient}`;
+}
+
+module.exports = {
+  STANDING_ORDER_EVENTS,
+  openOrderIds,
+  findDueOrders,
+  executeDueOrders,
+  describeOrder
+};
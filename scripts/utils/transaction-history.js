@@ -0,0 +1,157 @@
+// scripts/utils/transaction-history.js
+const { ethers } = require('ethers');
+
+// Must match the DEPOSIT/WITHDRAWAL/TRANSFER/INTEREST and DIRECTION_* constants in SimpleBankV2_1
+const TRANSACTION_TYPES = ["deposit", "withdrawal", "transfer", "interest"];
+const DIRECTIONS = ["in", "out"];
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// Typed history records for a user, merged from the contract's on-chain
+// history (getTransactionHistory) and its Deposit/Withdrawal/Transfer/
+// BatchTransfer/InterestClaimed logs.
+// On-chain entries are authoritative and get the transaction hash from the
+// matching log; log-only entries cover operations from before the history
+// was stored on-chain.
+//
+// Record: { id, type, direction, amount (bigint), counterparty, timestamp,
+//           blockNumber, transactionHash, source: "chain" | "logs" }
+class TransactionHistory {
+  // bank: ethers Contract with the SimpleBankV2_1 ABI
+  // fromBlock: where to start scanning logs (usually the deployment block)
+  constructor(bank, { fromBlock = 0 } = {}) {
+    this.bank = bank;
+    this.fromBlock = fromBlock;
+  }
+
+  // Oldest first. Page through with fromId = last record id + 1.
+  // type: "deposit" | "withdrawal" | "transfer" | "interest" (or an array of them)
+  async getHistory(user, { fromId = 0, limit = DEFAULT_PAGE_SIZE, type } = {}) {
+    const address = typeof user === 'string' ? user : await user.getAddress();
+    const types = type ? [].concat(type) : null;
+    for (const name of types || []) {
+      if (!TRANSACTION_TYPES.includes(name)) {
+        throw new Error(`Unknown transaction type "${name}" (expected ${TRANSACTION_TYPES.join(", ")})`);
+      }
+    }
+
+    const matches = (record) => record.id >= fromId && (!types || types.includes(record.type));
+    const [chainRecords, logRecords] = await Promise.all([
+      this.readChainHistory(address, { fromId, limit, matches }),
+      this.readLogHistory(address)
+    ]);
+
+    const records = new Map();
+    for (const record of logRecords.filter(matches)) {
+      records.set(record.id, record);
+    }
+    for (const record of chainRecords) {
+      const log = records.get(record.id);
+      records.set(record.id, { ...record, transactionHash: log ? log.transactionHash : null });
+    }
+
+    return [...records.values()]
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit);
+  }
+
+  // Pages through getTransactionHistory until `limit` matching entries are found
+  async readChainHistory(address, { fromId, limit, matches }) {
+    const pageSize = Math.max(limit, DEFAULT_PAGE_SIZE);
+    const records = [];
+
+    for (let cursor = fromId; ;) {
+      const page = await this.bank.getTransactionHistory(address, cursor, pageSize);
+      for (const entry of page) {
+        const record = chainRecord(entry);
+        if (matches(record)) {
+          records.push(record);
+        }
+      }
+
+      if (records.length >= limit || page.length < pageSize) {
+        return records.slice(0, limit);
+      }
+      cursor = Number(page[page.length - 1].transactionId) + 1;
+    }
+  }
+
+  async readLogHistory(address) {
+    const { filters } = this.bank;
+    const [deposits, withdrawals, sent, received, interest, batches] = await Promise.all([
+      this.bank.queryFilter(filters.Deposit(address), this.fromBlock),
+      this.bank.queryFilter(filters.Withdrawal(address), this.fromBlock),
+      this.bank.queryFilter(filters.Transfer(address), this.fromBlock),
+      this.bank.queryFilter(filters.Transfer(null, address), this.fromBlock),
+      this.bank.queryFilter(filters.InterestClaimed(address), this.fromBlock),
+      // Recipients aren't indexed, so every batch is scanned
+      this.bank.queryFilter(filters.BatchTransfer(), this.fromBlock)
+    ]);
+
+    return [
+      ...deposits.map((log) => logRecord(log, "deposit", "in", null)),
+      ...withdrawals.map((log) => logRecord(log, "withdrawal", "out", null)),
+      ...sent.map((log) => logRecord(log, "transfer", "out", log.args.to)),
+      ...received.map((log) => logRecord(log, "transfer", "in", log.args.from)),
+      ...interest.map((log) => logRecord(log, "interest", "in", null)),
+      ...batches.flatMap((log) => batchRecords(log, address))
+    ];
+  }
+}
+
+function chainRecord(entry) {
+  return {
+    id: Number(entry.transactionId),
+    type: TRANSACTION_TYPES[Number(entry.transactionType)],
+    direction: DIRECTIONS[Number(entry.direction)],
+    amount: entry.amount,
+    counterparty: entry.counterparty === ethers.ZeroAddress ? null : entry.counterparty,
+    timestamp: Number(entry.timestamp),
+    blockNumber: Number(entry.blockNumber),
+    source: "chain"
+  };
+}
+
+function logRecord(log, type, direction, counterparty) {
+  return {
+    id: Number(log.args.transactionId),
+    type,
+    direction,
+    amount: log.args.amount,
+    counterparty,
+    timestamp: Number(log.args.timestamp),
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    source: "logs"
+  };
+}
+
+// One record per batch leg that involves address; leg i has id firstTransactionId + i
+function batchRecords(log, address) {
+  const { from, recipients, amounts, timestamp, firstTransactionId } = log.args;
+  const user = ethers.getAddress(address);
+  const records = [];
+  recipients.forEach((to, i) => {
+    const leg = {
+      id: Number(firstTransactionId) + i,
+      type: "transfer",
+      amount: amounts[i],
+      timestamp: Number(timestamp),
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      source: "logs"
+    };
+    if (from === user) {
+      records.push({ ...leg, direction: "out", counterparty: to });
+    } else if (to === user) {
+      records.push({ ...leg, direction: "in", counterparty: from });
+    }
+  });
+  return records;
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  DIRECTIONS,
+  TransactionHistory
+};
@@ -0,0 +1,30 @@
+// sdk/abi.js
+const fs = require('fs');
+const path = require('path');
+
+const CONTRACT_NAME = "SimpleBankV2_1";
+
+// Inside the repo the freshly compiled Hardhat artifact wins; a packed SDK
+// ships the copy scripts/build-sdk.js writes to generated/
+const ABI_SOURCES = [
+  path.join(__dirname, '..', 'artifacts', 'contracts', `${CONTRACT_NAME}.sol`, `${CONTRACT_NAME}.json`),
+  path.join(__dirname, 'generated', `${CONTRACT_NAME}.json`)
+];
+
+let cachedAbi = null;
+
+function loadAbi() {
+  if (!cachedAbi) {
+    const source = ABI_SOURCES.find((file) => fs.existsSync(file));
+    if (!source) {
+      throw new Error(`${CONTRACT_NAME} ABI not found - run "npm run build:sdk" first`);
+    }
+    cachedAbi = JSON.parse(fs.readFileSync(source, 'utf8')).abi;
+  }
+  return cachedAbi;
+}
+
+module.exports = {
+  CONTRACT_NAME,
+  loadAbi
+};
@@ -0,0 +1,234 @@
+// sdk/client.js
+const { ethers } = require('ethers');
+const { loadAbi } = require('./abi');
+const { decodeBankError } = require('./errors');
+const { parseAmount, formatAmount, formatUsd } = require('./format');
+const { resolveDeployment } = require('./deployments');
+
+// Must match the DEPOSIT/WITHDRAWAL/TRANSFER/INTEREST and DIRECTION_* constants in SimpleBankV2_1
+const TRANSACTION_TYPES = ["deposit", "withdrawal", "transfer", "interest"];
+const DIRECTIONS = ["in", "out"];
+
+const DEFAULT_HISTORY_LIMIT = 50;
+
+// Thin wrapper around the SimpleBankV2_1 contract for apps and scripts.
+// Amounts go in as bigint wei or decimal ETH strings ("0.5") and come out
+// as bigint wei; reverts are rethrown as BankError subclasses (errors.js).
+// runner: an ethers Signer for writes, or a Provider for read-only use.
+class SimpleBankClient {
+  constructor({ address, runner, abi = loadAbi() }) {
+    this.address = ethers.getAddress(address);
+    this.runner = runner;
+    this.abi = abi;
+    this.contract = new ethers.Contract(this.address, abi, runner);
+    this.interface = this.contract.interface;
+  }
+
+  // Looks the proxy address up in deployments/<network>-deployment.json, by
+  // network name or by the runner's chain id
+  static async fromDeployment(runner, { network, deploymentsDir } = {}) {
+    let chainId;
+    if (!network) {
+      const provider = runner.provider || runner;
+      chainId = (await provider.getNetwork()).chainId;
+    }
+    const deployment = resolveDeployment({ network, chainId, deploymentsDir });
+    const client = new SimpleBankClient({ address: deployment.contractAddress, runner });
+    client.deployment = deployment;
+    return client;
+  }
+
+  connect(runner) {
+    const client = new SimpleBankClient({ address: this.address, runner, abi: this.abi });
+    client.deployment = this.deployment;
+    return client;
+  }
+
+  // ===== Transactions =====
+
+  // Resolves to { hash, blockNumber, transactionId, newBalance, events }
+  async deposit(amount) {
+    const result = await this.send("deposit", [], { value: parseAmount(amount) });
+    const event = result.events.find((e) => e.name === "Deposit");
+    return { ...result, transactionId: event.args.transactionId, newBalance: event.args.newBalance };
+  }
+
+  // Credits another account with ETH from the connected signer
+  async depositFor(beneficiary, amount) {
+    const result = await this.send("depositFor", [beneficiary], { value: parseAmount(amount) });
+    const event = result.events.find((e) => e.name === "Deposit");
+    return { ...result, transactionId: event.args.transactionId, newBalance: event.args.newBalance };
+  }
+
+  // Withdrawals above the large-transaction threshold are held for review;
+  // those resolve with held: true and the holdId instead of a transactionId
+  async withdraw(amount) {
+    const result = await this.send("withdraw", [parseAmount(amount)]);
+    const hold = result.events.find((e) => e.name === "WithdrawalHeld");
+    if (hold) {
+      return { ...result, held: true, holdId: hold.args.holdId, releaseAt: Number(hold.args.releaseAt) };
+    }
+    const event = result.events.find((e) => e.name === "Withdrawal");
+    return { ...result, held: false, transactionId: event.args.transactionId, newBalance: event.args.newBalance };
+  }
+
+  async transfer(to, amount) {
+    const result = await this.send("transferTo", [to, parseAmount(amount)]);
+    const event = result.events.find((e) => e.name === "Transfer");
+    return { ...result, transactionId: event.args.transactionId };
+  }
+
+  // ipfsHash: a CIDv0/CIDv1 string (validated on-chain)
+  async setProfile(ipfsHash) {
+    return this.send("setUserProfile", [ipfsHash]);
+  }
+
+  async addReceipt(ipfsHash) {
+    return this.send("addTransactionReceipt", [ipfsHash]);
+  }
+
+  // ===== Reads =====
+
+  async getBalance(user) {
+    return (await this.call("getUserStats", [await this.resolveUser(user)])).balance;
+  }
+
+  // Balance minus funds locked in pending withdrawal holds
+  async getAvailableBalance(user) {
+    return this.call("getAvailableBalance", [await this.resolveUser(user)]);
+  }
+
+  async getBalanceInUsd(user) {
+    return this.call("getBalanceInUSD", [await this.resolveUser(user)]);
+  }
+
+  async getStats(user) {
+    const address = await this.resolveUser(user);
+    const [stats, availableBalance] = await Promise.all([
+      this.call("getUserStats", [address]),
+      this.call("getAvailableBalance", [address])
+    ]);
+    return {
+      address,
+      balance: stats.balance,
+      availableBalance,
+      lastActivity: Number(stats.lastActivity),
+      transactionCount: Number(stats.transactionCount),
+      accountCreated: Number(stats.accountCreated),
+      isActive: stats.isActive,
+      accountAge: Number(stats.accountAge)
+    };
+  }
+
+  async getBankStats() {
+    const stats = await this.call("getBankStats", []);
+    return {
+      owner: stats.owner,
+      totalDeposits: stats.totalDeposits,
+      totalUsers: Number(stats.totalUsers),
+      emergencyMode: stats.emergencyMode,
+      contractBalance: stats.contractBalance
+    };
+  }
+
+  // On-chain history, oldest first. Page with fromId = last record id + 1.
+  // Record: { id, type, direction, amount, counterparty, timestamp, blockNumber }
+  async getHistory(user, { fromId = 0, limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    const page = await this.call("getTransactionHistory", [await this.resolveUser(user), fromId, limit]);
+    return page.map((entry) => ({
+      id: Number(entry.transactionId),
+      type: TRANSACTION_TYPES[Number(entry.transactionType)],
+      direction: DIRECTIONS[Number(entry.direction)],
+      amount: entry.amount,
+      counterparty: entry.counterparty === ethers.ZeroAddress ? null : entry.counterparty,
+      timestamp: Number(entry.timestamp),
+      blockNumber: Number(entry.blockNumber)
+    }));
+  }
+
+  // { profileHash, lastUpdated, hasProfile, receipts }
+  async getProfile(user) {
+    const address = await this.resolveUser(user);
+    const [profile, receipts] = await Promise.all([
+      this.call("getUserProfile", [address]),
+      this.call("getTransactionReceipts", [address])
+    ]);
+    return {
+      profileHash: profile.hasProfile ? profile.profileHash : null,
+      lastUpdated: Number(profile.lastUpdated),
+      hasProfile: profile.hasProfile,
+      receipts: [...receipts]
+    };
+  }
+
+  // ===== Formatting =====
+
+  formatAmount(value, options) {
+    return formatAmount(value, options);
+  }
+
+  formatUsd(value) {
+    return formatUsd(value);
+  }
+
+  // ===== Internals =====
+
+  async resolveUser(user) {
+    if (user) {
+      return typeof user === 'string' ? ethers.getAddress(user) : user.getAddress();
+    }
+    if (!this.runner || typeof this.runner.getAddress !== 'function') {
+      throw new Error("No user given and the client has no signer");
+    }
+    return this.runner.getAddress();
+  }
+
+  async call(method, args) {
+    try {
+      return await this.contract[method](...args);
+    } catch (error) {
+      throw decodeBankError(error, this.interface);
+    }
+  }
+
+  // Runs a write as an eth_call (staticCall) without sending it; resolves to
+  // the function's return value or throws the decoded revert
+  async simulate(method, args, overrides = {}) {
+    try {
+      return await this.contract[method].staticCall(...args, overrides);
+    } catch (error) {
+      throw decodeBankError(error, this.interface);
+    }
+  }
+
+  // Sends, waits for the receipt and decodes the bank's events from it
+  async send(method, args, overrides = {}) {
+    try {
+      const tx = await this.contract[method](...args, overrides);
+      const receipt = await tx.wait();
+      return { hash: receipt.hash, blockNumber: receipt.blockNumber, events: this.parseEvents(receipt) };
+    } catch (error) {
+      throw decodeBankError(error, this.interface);
+    }
+  }
+
+  parseEvents(receipt) {
+    const events = [];
+    for (const log of receipt.logs) {
+      if (ethers.getAddress(log.address) !== this.address) {
+        continue;
+      }
+      const parsed = this.interface.parseLog(log);
+      if (parsed) {
+        events.push({ name: parsed.name, args: parsed.args.toObject() });
+      }
+    }
+    return events;
+  }
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  DIRECTIONS,
+  SimpleBankClient
+};
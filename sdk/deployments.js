@@ -0,0 +1,41 @@
+// sdk/deployments.js
+const fs = require('fs');
+const path = require('path');
+
+// scripts/deploy.js writes deployments/<network>-deployment.json at the repo root;
+// resolved from this file so it doesn't depend on the caller's working directory
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+
+function readDeploymentFile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Finds the deployment record by network name or, failing that, by chain id
+// (so a client can resolve itself from whatever its provider is connected to)
+function resolveDeployment({ network, chainId, deploymentsDir = DEFAULT_DEPLOYMENTS_DIR } = {}) {
+  if (network) {
+    const file = path.join(deploymentsDir, `${network}-deployment.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No deployment for ${network} in ${deploymentsDir}`);
+    }
+    return readDeploymentFile(file);
+  }
+
+  if (chainId !== undefined && fs.existsSync(deploymentsDir)) {
+    for (const name of fs.readdirSync(deploymentsDir)) {
+      if (!name.endsWith("-deployment.json")) {
+        continue;
+      }
+      const deployment = readDeploymentFile(path.join(deploymentsDir, name));
+      if (BigInt(deployment.chainId) === BigInt(chainId)) {
+        return deployment;
+      }
+    }
+  }
+  throw new Error(`No deployment for chain ${chainId} in ${deploymentsDir}`);
+}
+
+module.exports = {
+  DEFAULT_DEPLOYMENTS_DIR,
+  resolveDeployment
+};
@@ -0,0 +1,125 @@
+// sdk/errors.js
+const { formatAmount } = require('./format');
+
+// Every failure the client surfaces is a BankError. Reverts with one of the
+// contract's custom errors become a BankContractError whose errorName is the
+// Solidity error and whose args are keyed by parameter name, e.g.
+// InsufficientBalance -> error.args.requested / error.args.available.
+class BankError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+  }
+}
+
+class BankContractError extends BankError {
+  constructor(errorName, args, options) {
+    super(describeContractError(errorName, args), options);
+    this.errorName = errorName;
+    this.args = args;
+  }
+}
+
+// require() messages ("Pausable: paused") and panics
+class BankRevertError extends BankError {
+  constructor(reason, options) {
+    super(`Transaction reverted: ${reason}`, options);
+    this.reason = reason;
+  }
+}
+
+const eth = (value) => formatAmount(value);
+
+// Readable messages for the errors users actually hit; the rest fall back to
+// Name(arg, ...)
+const ERROR_MESSAGES = {
+  InsufficientBalance: ({ requested, available }) =>
+    `Insufficient balance: requested ${eth(requested)}, available ${eth(available)}`,
+  InvalidAmount: ({ amount }) => `Invalid amount: ${eth(amount)}`,
+  InvalidRecipient: ({ recipient }) => `Invalid recipient: ${recipient}`,
+  TransferToSelf: () => "Cannot transfer to yourself",
+  StaleOracleData: ({ lastUpdate, maxAge }) =>
+    `Price feed is stale: last updated at ${lastUpdate}, maximum age ${maxAge}s`,
+  UnauthorizedAccess: ({ caller, requiredRole }) => `${caller} is missing role ${requiredRole}`,
+  UserDailyLimitExceeded: ({ requested, remaining }) =>
+    `Daily withdrawal limit exceeded: requested ${eth(requested)}, ${eth(remaining)} left today`,
+  GlobalDailyLimitExceeded: ({ requested, remaining }) =>
+    `Bank-wide daily withdrawal limit exceeded: requested ${eth(requested)}, ${eth(remaining)} left today`,
+  EmergencyModeActive: () => "The bank is in emergency mode",
+  InvalidIPFSHash: ({ hash }) => `Invalid IPFS hash: "${hash}"`,
+  MaxReceiptsExceeded: ({ maximum }) => `Receipt limit of ${maximum} reached`,
+  // status 2 is FREEZE_WITHDRAW_ONLY
+  AccountFrozen: ({ account, status }) =>
+    Number(status) === 2 ? `Account ${account} is restricted to withdrawals` : `Account ${account} is frozen`
+};
+
+function describeContractError(errorName, args) {
+  const format = ERROR_MESSAGES[errorName];
+  if (format) {
+    return format(args);
+  }
+  return `${errorName}(${Object.values(args).map(String).join(", ")})`;
+}
+
+// Revert data sits at different depths depending on the provider (ethers
+// CallException, Hardhat ProviderError, JSON-RPC error bodies)
+function findRevertData(error) {
+  const seen = new Set();
+  const queue = [error];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || seen.has(current)) {
+      continue;
+    }
+    seen.add(current);
+
+    if (typeof current.data === 'string' && current.data.startsWith("0x") && current.data.length >= 10) {
+      return current.data;
+    }
+    queue.push(current.data, current.error, current.info, current.cause);
+  }
+  return null;
+}
+
+// Converts a thrown ethers/provider error into a BankError where possible;
+// anything that isn't a revert (network failures, user rejections) is
+// returned unchanged
+function decodeBankError(error, iface) {
+  if (error instanceof BankError) {
+    return error;
+  }
+
+  const data = findRevertData(error);
+  const parsed = data ? iface.parseError(data) : null;
+  if (parsed && parsed.name === "Error") {
+    return new BankRevertError(parsed.args[0], { cause: error });
+  }
+  if (parsed && parsed.name === "Panic") {
+    return new BankRevertError(`panic 0x${parsed.args[0].toString(16)}`, { cause: error });
+  }
+  if (parsed) {
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      args[input.name || i] = parsed.args[i];
+    });
+    return new BankContractError(parsed.name, args, { cause: error });
+  }
+
+  if (error && error.reason && error.code === "CALL_EXCEPTION") {
+    return new BankRevertError(error.reason, { cause: error });
+  }
+  return error;
+}
+
+// instanceof plus an errorName check (a type guard in index.d.ts)
+function isBankContractError(error, errorName) {
+  return error instanceof BankContractError && (errorName === undefined || error.errorName === errorName);
+}
+
+module.exports = {
+  BankError,
+  BankContractError,
+  BankRevertError,
+  decodeBankError,
+  isBankContractError
+};
@@ -0,0 +1,36 @@
+// sdk/format.js
+const { ethers } = require('ethers');
+
+// Chainlink USD feeds (and getBalanceInUSD) use 8 decimals
+const USD_DECIMALS = 8;
+
+// bigint wei passes through; strings and numbers are read as decimal ETH
+// (or token units when decimals is given)
+function parseAmount(value, decimals = 18) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value === 'number' || typeof value === 'string') {
+    return ethers.parseUnits(String(value), decimals);
+  }
+  throw new TypeError(`Invalid amount: ${value}`);
+}
+
+// 1234500000000000000n -> "1.2345 ETH"; trailing zeros are trimmed
+function formatAmount(value, { decimals = 18, symbol = "ETH", precision = 6 } = {}) {
+  const [whole, fraction = ""] = ethers.formatUnits(value, decimals).split(".");
+  const trimmed = fraction.slice(0, precision).replace(/0+$/, "");
+  const text = trimmed ? `${whole}.${trimmed}` : whole;
+  return symbol ? `${text} ${symbol}` : text;
+}
+
+function formatUsd(value) {
+  return `$${Number(ethers.formatUnits(value, USD_DECIMALS)).toFixed(2)}`;
+}
+
+module.exports = {
+  USD_DECIMALS,
+  parseAmount,
+  formatAmount,
+  formatUsd
+};
@@ -0,0 +1,55 @@
+// Generated by scripts/build-sdk.js from the SimpleBankV2_1 artifact - do not edit
+
+export interface BankErrorArgs {
+  AccountFrozen: { account: string; status: bigint };
+  AccountNotFrozen: { account: string };
+  BatchLengthMismatch: { recipients: bigint; amounts: bigint };
+  CommitmentAlreadyRevealed: { user: string };
+  CommitmentExpired: { expiredAt: bigint; currentTime: bigint };
+  CommitmentMismatch: { expected: string; actual: string };
+  EmergencyModeActive: {};
+  FreezeStatusUnchanged: { account: string; status: bigint };
+  GlobalDailyLimitExceeded: { requested: bigint; remaining: bigint };
+  HoldNotReleased: { holdId: bigint; releaseAt: bigint; currentTime: bigint };
+  IncompleteRoleBackfill: { role: string };
+  InsufficientBalance: { requested: bigint; available: bigint };
+  InsufficientInterestReserve: { requested: bigint; available: bigint };
+  InsufficientSurplus: { requested: bigint; available: bigint };
+  InvalidAmount: { amount: bigint };
+  InvalidBatchSize: { size: bigint; maximum: bigint };
+  InvalidCommitment: { commitment: string };
+  InvalidHoldDelay: { delay: bigint; maximum: bigint };
+  InvalidHoldStatus: { holdId: bigint; status: bigint };
+  InvalidInterestRate: { rateBps: bigint; maximum: bigint };
+  InvalidIPFSHash: { hash: string };
+  InvalidModule: { module: string };
+  InvalidPriceFeed: { feed: string };
+  InvalidReceiptCount: { count: bigint; length: bigint };
+  InvalidRecipient: { recipient: string };
+  InvalidSignature: { expectedSigner: string; recoveredSigner: string };
+  InvalidStandingOrder: { reason: string };
+  InvalidToken: { token: string };
+  LastAdmin: { role: string };
+  MaxReceiptsExceeded: { current: bigint; maximum: bigint };
+  MaxStandingOrdersExceeded: { current: bigint; maximum: bigint };
+  MissingReasonCode: {};
+  NoActiveCommitment: { user: string };
+  NoInterestToClaim: { user: string };
+  NoPendingRescue: {};
+  NotHoldOwner: { holdId: bigint; caller: string };
+  NotPendingOwner: { caller: string; pendingOwner: string };
+  NotStandingOrderOwner: { orderId: bigint; caller: string };
+  ReceiptIndexOutOfRange: { index: bigint; length: bigint };
+  RescueNotReady: { executeAfter: bigint; currentTime: bigint };
+  RevealTooEarly: { revealAfter: bigint; currentTime: bigint };
+  SignatureExpired: { deadline: bigint; currentTime: bigint };
+  StaleOracleData: { lastUpdate: bigint; maxAge: bigint };
+  StandingOrderNotActive: { orderId: bigint };
+  TokenAlreadySupported: { token: string };
+  TokenNotSupported: { token: string };
+  TransferToSelf: {};
+  UnauthorizedAccess: { caller: string; requiredRole: string };
+  UserDailyLimitExceeded: { requested: bigint; remaining: bigint };
+}
+
+export type BankErrorName = keyof BankErrorArgs;
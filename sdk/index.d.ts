@@ -0,0 +1,169 @@
+import type { ContractRunner, Contract, Interface, InterfaceAbi, Overrides, TransactionReceipt } from "ethers";
+import type { BankErrorArgs, BankErrorName } from "./generated/errors";
+
+export type { BankErrorArgs, BankErrorName };
+
+/** bigint wei, or a decimal ETH amount such as "0.5" */
+export type AmountLike = bigint | string | number;
+
+export type TransactionType = "deposit" | "withdrawal" | "transfer" | "interest";
+export type Direction = "in" | "out";
+
+export const CONTRACT_NAME: "SimpleBankV2_1";
+export const TRANSACTION_TYPES: TransactionType[];
+export const DIRECTIONS: Direction[];
+export const USD_DECIMALS: 8;
+export const DEFAULT_DEPLOYMENTS_DIR: string;
+
+export function loadAbi(): InterfaceAbi;
+
+export interface BankEvent {
+  name: string;
+  args: Record<string, any>;
+}
+
+export interface TransactionResult {
+  hash: string;
+  blockNumber: number;
+  events: BankEvent[];
+}
+
+export interface DepositResult extends TransactionResult {
+  transactionId: bigint;
+  newBalance: bigint;
+}
+
+export type WithdrawResult =
+  | (TransactionResult & { held: false; transactionId: bigint; newBalance: bigint })
+  | (TransactionResult & { held: true; holdId: bigint; releaseAt: number });
+
+export interface TransferResult extends TransactionResult {
+  transactionId: bigint;
+}
+
+export interface UserStats {
+  address: string;
+  balance: bigint;
+  availableBalance: bigint;
+  lastActivity: number;
+  transactionCount: number;
+  accountCreated: number;
+  isActive: boolean;
+  accountAge: number;
+}
+
+export interface BankStats {
+  owner: string;
+  totalDeposits: bigint;
+  totalUsers: number;
+  emergencyMode: boolean;
+  contractBalance: bigint;
+}
+
+export interface HistoryRecord {
+  id: number;
+  type: TransactionType;
+  direction: Direction;
+  amount: bigint;
+  counterparty: string | null;
+  timestamp: number;
+  blockNumber: number;
+}
+
+export interface Profile {
+  profileHash: string | null;
+  lastUpdated: number;
+  hasProfile: boolean;
+  receipts: string[];
+}
+
+export interface Deployment {
+  network: string;
+  chainId: number;
+  contractName: string;
+  contractAddress: string;
+  blockNumber: number;
+  [key: string]: any;
+}
+
+/** A user, as an address or anything with getAddress() (e.g. a Signer) */
+export type UserLike = string | { getAddress(): Promise<string> };
+
+export class SimpleBankClient {
+  constructor(options: { address: string; runner?: ContractRunner | null; abi?: InterfaceAbi });
+
+  static fromDeployment(
+    runner: ContractRunner,
+    options?: { network?: string; deploymentsDir?: string }
+  ): Promise<SimpleBankClient>;
+
+  readonly address: string;
+  readonly runner: ContractRunner | null | undefined;
+  readonly contract: Contract;
+  readonly interface: Interface;
+  deployment?: Deployment;
+
+  connect(runner: ContractRunner): SimpleBankClient;
+
+  deposit(amount: AmountLike): Promise<DepositResult>;
+  depositFor(beneficiary: string, amount: AmountLike): Promise<DepositResult>;
+  withdraw(amount: AmountLike): Promise<WithdrawResult>;
+  transfer(to: string, amount: AmountLike): Promise<TransferResult>;
+  setProfile(ipfsHash: string): Promise<TransactionResult>;
+  addReceipt(ipfsHash: string): Promise<TransactionResult>;
+
+  /** Reads default to the connected signer's account */
+  getBalance(user?: UserLike): Promise<bigint>;
+  getAvailableBalance(user?: UserLike): Promise<bigint>;
+  getBalanceInUsd(user?: UserLike): Promise<bigint>;
+  getStats(user?: UserLike): Promise<UserStats>;
+  getBankStats(): Promise<BankStats>;
+  getHistory(user?: UserLike, options?: { fromId?: number; limit?: number }): Promise<HistoryRecord[]>;
+  getProfile(user?: UserLike): Promise<Profile>;
+
+  formatAmount(value: bigint, options?: FormatOptions): string;
+  formatUsd(value: bigint): string;
+
+  /** Dry-runs a write with staticCall; rejects with the decoded BankError */
+  simulate(method: string, args: unknown[], overrides?: Overrides): Promise<any>;
+  parseEvents(receipt: TransactionReceipt): BankEvent[];
+}
+
+export class BankError extends Error {
+  constructor(message: string, options?: { cause?: unknown });
+}
+
+/** A revert with one of the contract's custom errors */
+export class BankContractError<N extends BankErrorName = BankErrorName> extends BankError {
+  constructor(errorName: N, args: BankErrorArgs[N], options?: { cause?: unknown });
+  readonly errorName: N;
+  readonly args: BankErrorArgs[N];
+}
+
+/** A require() message or panic */
+export class BankRevertError extends BankError {
+  constructor(reason: string, options?: { cause?: unknown });
+  readonly reason: string;
+}
+
+export function decodeBankError(error: unknown, iface: Interface): BankError | unknown;
+export function isBankContractError<N extends BankErrorName>(
+  error: unknown,
+  errorName?: N
+): error is BankContractError<N>;
+
+export interface FormatOptions {
+  decimals?: number;
+  symbol?: string | null;
+  precision?: number;
+}
+
+export function parseAmount(value: AmountLike, decimals?: number): bigint;
+export function formatAmount(value: bigint, options?: FormatOptions): string;
+export function formatUsd(value: bigint): string;
+
+export function resolveDeployment(options: {
+  network?: string;
+  chainId?: bigint | number;
+  deploymentsDir?: string;
+}): Deployment;
@@ -0,0 +1,25 @@
+// sdk/index.js
+const { CONTRACT_NAME, loadAbi } = require('./abi');
+const { TRANSACTION_TYPES, DIRECTIONS, SimpleBankClient } = require('./client');
+const { BankError, BankContractError, BankRevertError, decodeBankError, isBankContractError } = require('./errors');
+const { USD_DECIMALS, parseAmount, formatAmount, formatUsd } = require('./format');
+const { DEFAULT_DEPLOYMENTS_DIR, resolveDeployment } = require('./deployments');
+
+module.exports = {
+  CONTRACT_NAME,
+  loadAbi,
+  SimpleBankClient,
+  TRANSACTION_TYPES,
+  DIRECTIONS,
+  BankError,
+  BankContractError,
+  BankRevertError,
+  decodeBankError,
+  isBankContractError,
+  USD_DECIMALS,
+  parseAmount,
+  formatAmount,
+  formatUsd,
+  DEFAULT_DEPLOYMENTS_DIR,
+  resolveDeployment
+};
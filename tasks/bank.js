@@ -0,0 +1,514 @@
+// tasks/bank.js
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { ethers } = require("ethers");
+const {
+  CONTRACT_NAME,
+  SimpleBankClient,
+  BankError,
+  TRANSACTION_TYPES,
+  isBankContractError,
+  parseAmount,
+  formatAmount,
+  formatUsd
+} = require("../sdk");
+const { readDeployment } = require("../scripts/utils/deployments");
+
+const PLUGIN_NAME = "bank";
+const ROLE_NAMES = ["admin", "operator", "auditor", "guardian"];
+
+// Must match the FREEZE_* constants in SimpleBankV2_1, with the function
+// that moves an account into each status
+const FREEZE_STATUSES = ["none", "full", "withdraw-only"];
+const FREEZE_METHODS = {
+  none: "unfreezeAccount",
+  full: "freezeAccount",
+  "withdraw-only": "restrictAccount"
+};
+
+// Role changes go through the contract's grant<Role>Role/revoke<Role>Role
+// helpers; admin has none and uses grantRole/revokeRole
+const ROLE_METHODS = {
+  operator: { grant: "grantOperatorRole", revoke: "revokeOperatorRole" },
+  auditor: { grant: "grantAuditorRole", revoke: "revokeAuditorRole" },
+  guardian: { grant: "grantGuardianRole", revoke: "revokeGuardianRole" }
+};
+
+// Usage (any network from hardhat.config.js):
+//   npx hardhat bank:stats --network localhost [--json]
+//   npx hardhat bank:user [--account 0xabc...] --network localhost
+//   npx hardhat bank:history [--account 0xabc...] [--limit 20] [--from-id 0] [--recent]
+//   npx hardhat bank:deposit 0.5 [--for 0xabc...] [--dry-run]
+//   npx hardhat bank:withdraw 0.5 [--dry-run]
+//   npx hardhat bank:transfer 0xabc... 0.5 [--dry-run]
+//   npx hardhat bank:pause [--unpause] [--dry-run]
+//   npx hardhat bank:emergency [on|off] [--dry-run]
+//   npx hardhat bank:roles [--account 0xabc...] [--grant operator | --revoke operator] [--dry-run]
+//   npx hardhat bank:roles --holders
+//   npx hardhat bank:freeze 0xabc... [full|withdraw-only|none --reason SANCTIONS] [--dry-run]
+// The bank comes from deployments/<network>-deployment.json unless --address
+// is given. Transactions are sent from the first configured account, or
+// --from. On governed deployments admin actions must be proposed through
+// the timelock instead (scripts/governance.js).
+
+function bankTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("address", "Bank address (defaults to the network's deployment)")
+    .addOptionalParam("from", "Configured account to send from (defaults to the first)")
+    .addFlag("json", "Print machine-readable JSON");
+}
+
+function writeTask(name, description) {
+  return bankTask(name, description).addFlag("dryRun", "Simulate with staticCall instead of sending");
+}
+
+// Wraps a task action: connects the client, prints the result (or JSON) and
+// turns bank reverts into readable plugin errors
+function action(run, print) {
+  return async (taskArgs, hre) => {
+    const client = await connectBank(hre, taskArgs);
+    let result;
+    try {
+      result = await run(client, taskArgs, hre);
+    } catch (error) {
+      throw toTaskError(error, client, taskArgs);
+    }
+
+    if (taskArgs.json) {
+      console.log(toJson(result));
+    } else {
+      print(result, client, taskArgs);
+    }
+    return result;
+  };
+}
+
+async function connectBank(hre, { address, from }) {
+  let deployment = null;
+  if (!address) {
+    deployment = readDeployment(hre.network.name);
+    if (!deployment) {
+      throw new HardhatPluginError(PLUGIN_NAME, `No deployment found for ${hre.network.name}. Run scripts/deploy.js first or pass --address`);
+    }
+    address = deployment.contractAddress;
+  }
+
+  const signers = await hre.ethers.getSigners();
+  let runner = signers[0] || hre.ethers.provider;
+  if (from) {
+    runner = signers.find((signer) => signer.address.toLowerCase() === from.toLowerCase());
+    if (!runner) {
+      throw new HardhatPluginError(PLUGIN_NAME, `${from} is not one of the accounts configured for ${hre.network.name}`);
+    }
+  }
+
+  const { abi } = await hre.artifacts.readArtifact((deployment && deployment.contractName) || CONTRACT_NAME);
+  const client = new SimpleBankClient({ address, runner, abi });
+  client.deployment = deployment;
+  return client;
+}
+
+function toTaskError(error, client, { json }) {
+  if (!(error instanceof BankError)) {
+    return error;
+  }
+
+  let message = error.message;
+  if (isBankContractError(error, "UnauthorizedAccess") && client.deployment && client.deployment.governance) {
+    message += ` - admin actions on this deployment go through the timelock (scripts/governance.js propose)`;
+  }
+  if (json) {
+    console.log(toJson({ error: { name: error.errorName || error.name, message, args: error.args || null } }));
+  }
+  return new HardhatPluginError(PLUGIN_NAME, message, error);
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2);
+}
+
+function amountArg(value) {
+  try {
+    const amount = parseAmount(value);
+    if (amount <= 0n) {
+      throw new Error("not positive");
+    }
+    return amount;
+  } catch (error) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Invalid amount "${value}" - expected a positive ETH amount such as 0.5`);
+  }
+}
+
+function addressArg(value, name) {
+  try {
+    return ethers.getAddress(value);
+  } catch (error) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Invalid ${name} address "${value}"`);
+  }
+}
+
+// Latest ETH/USD price (8 decimals), or null when the feed can't be read
+async function ethPrice(client) {
+  try {
+    const [price] = await client.call("getLatestETHPrice", []);
+    return price;
+  } catch (error) {
+    if (error instanceof BankError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// "1.5 ETH ($3000.00)"; the USD part is dropped without a price
+function describeAmount(value, price) {
+  if (price === null || price === undefined) {
+    return formatAmount(value);
+  }
+  return `${formatAmount(value)} (${formatUsd((BigInt(value) * price) / 10n ** 18n)})`;
+}
+
+function describeTime(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toISOString() : "never";
+}
+
+// Sends `send()` or, with --dry-run, simulates `method(args)`
+async function execute(client, { method, args = [], value, dryRun }, send) {
+  if (dryRun) {
+    await client.simulate(method, args, value !== undefined ? { value } : {});
+    return { dryRun: true, method, args, value: value ?? null };
+  }
+  return { dryRun: false, method, args, value: value ?? null, ...(await send()) };
+}
+
+function printExecution(result, summary) {
+  if (result.dryRun) {
+    console.log(`🧪 Dry run: ${summary} would succeed`);
+    return;
+  }
+  console.log(`✅ ${summary}`);
+  console.log(`   Transaction: ${result.hash} (block ${result.blockNumber})`);
+}
+
+// ===== Reads =====
+
+bankTask("bank:stats", "Show bank totals, status and the ETH/USD price")
+  .setAction(action(
+    async (client, taskArgs, hre) => {
+      const [stats, paused, surplus, price] = await Promise.all([
+        client.getBankStats(),
+        client.call("paused", []),
+        client.call("getSurplus", []),
+        ethPrice(client)
+      ]);
+      return { network: hre.network.name, address: client.address, ...stats, paused, surplus, ethPrice: price };
+    },
+    (stats) => {
+      const status = [stats.paused && "⏸️ paused", stats.emergencyMode && "🚨 emergency mode"].filter(Boolean);
+      console.log(`🏦 Simple Bank ${stats.address} on ${stats.network}`);
+      console.log(`   Status: ${status.length > 0 ? status.join(", ") : "✅ active"}`);
+      console.log(`   Owner: ${stats.owner}`);
+      console.log(`   Users: ${stats.totalUsers}`);
+      console.log(`   Total deposits: ${describeAmount(stats.totalDeposits, stats.ethPrice)}`);
+      console.log(`   Contract balance: ${describeAmount(stats.contractBalance, stats.ethPrice)}`);
+      console.log(`   Surplus: ${describeAmount(stats.surplus, stats.ethPrice)}`);
+      console.log(`   ETH/USD: ${stats.ethPrice === null ? "unavailable" : formatUsd(stats.ethPrice)}`);
+    }
+  ));
+
+bankTask("bank:user", "Show an account's balance and activity")
+  .addOptionalParam("account", "Account to show (defaults to the sender)")
+  .setAction(action(
+    async (client, { account }) => {
+      const user = account && addressArg(account, "account");
+      const [stats, price] = await Promise.all([client.getStats(user), ethPrice(client)]);
+      return { ...stats, ethPrice: price };
+    },
+    (stats) => {
+      console.log(`👤 ${stats.address}${stats.isActive ? "" : " (inactive)"}`);
+      console.log(`   Balance: ${describeAmount(stats.balance, stats.ethPrice)}`);
+      console.log(`   Available: ${describeAmount(stats.availableBalance, stats.ethPrice)}`);
+      console.log(`   Transactions: ${stats.transactionCount}`);
+      console.log(`   Last activity: ${describeTime(stats.lastActivity)}`);
+      console.log(`   Account created: ${describeTime(stats.accountCreated)}`);
+    }
+  ));
+
+bankTask("bank:history", "List an account's transactions")
+  .addOptionalParam("account", "Account to show (defaults to the sender)")
+  .addOptionalParam("fromId", "First transaction id to include", 0, types.int)
+  .addOptionalParam("limit", "Maximum number of transactions", 20, types.int)
+  .addFlag("recent", "Show the last 10 transactions kept by getRecentTransactions instead")
+  .setAction(action(
+    async (client, { account, fromId, limit, recent }) => {
+      const address = await client.resolveUser(account && addressArg(account, "account"));
+      if (!recent) {
+        return { address, transactions: await client.getHistory(address, { fromId, limit }) };
+      }
+
+      // Ring buffer of 10 slots; unused slots have a zero timestamp
+      const slots = await client.call("getRecentTransactions", [address]);
+      const transactions = slots
+        .filter((slot) => slot.timestamp > 0n)
+        .map((slot) => ({
+          type: TRANSACTION_TYPES[Number(slot.transactionType)],
+          amount: slot.amount,
+          timestamp: Number(slot.timestamp),
+          blockNumber: Number(slot.blockNumber)
+        }))
+        .sort((a, b) => b.blockNumber - a.blockNumber || b.timestamp - a.timestamp);
+      return { address, transactions };
+    },
+    ({ address, transactions }, client, { recent }) => {
+      console.log(`📜 ${transactions.length} ${recent ? "recent " : ""}transaction(s) for ${address}`);
+      for (const tx of transactions) {
+        const id = tx.id !== undefined ? `#${tx.id} ` : "";
+        const direction = tx.direction ? ` ${tx.direction}` : "";
+        const counterparty = tx.counterparty ? ` ${tx.direction === "out" ? "to" : "from"} ${tx.counterparty}` : "";
+        console.log(`   ${id}${describeTime(tx.timestamp)} ${tx.type}${direction} ${formatAmount(tx.amount)}${counterparty}`);
+      }
+    }
+  ));
+
+// ===== Transactions =====
+
+writeTask("bank:deposit", "Deposit ETH for the sender or another account")
+  .addPositionalParam("amount", "Amount in ETH, e.g. 0.5")
+  .addOptionalParam("for", "Credit this account instead of the sender")
+  .setAction(action(
+    async (client, { amount, for: forAccount, dryRun }) => {
+      const value = amountArg(amount);
+      if (forAccount) {
+        const beneficiary = addressArg(forAccount, "beneficiary");
+        return execute(client, { method: "depositFor", args: [beneficiary], value, dryRun },
+          () => client.depositFor(beneficiary, value));
+      }
+      return execute(client, { method: "deposit", value, dryRun }, () => client.deposit(value));
+    },
+    (result) => {
+      const target = result.method === "depositFor" ? ` for ${result.args[0]}` : "";
+      printExecution(result, `Deposit of ${formatAmount(result.value)}${target}`);
+      if (!result.dryRun) {
+        console.log(`   Transaction id: ${result.transactionId}, new balance: ${formatAmount(result.newBalance)}`);
+      }
+    }
+  ));
+
+writeTask("bank:withdraw", "Withdraw ETH to the sender")
+  .addPositionalParam("amount", "Amount in ETH, e.g. 0.5")
+  .setAction(action(
+    async (client, { amount, dryRun }) => {
+      const value = amountArg(amount);
+      return execute(client, { method: "withdraw", args: [value], dryRun }, () => client.withdraw(value));
+    },
+    (result) => {
+      printExecution(result, `Withdrawal of ${formatAmount(result.args[0])}`);
+      if (result.dryRun) {
+        return;
+      }
+      if (result.held) {
+        console.log(`   ⏳ Held for review as hold #${result.holdId} until ${describeTime(result.releaseAt)}`);
+      } else {
+        console.log(`   Transaction id: ${result.transactionId}, new balance: ${formatAmount(result.newBalance)}`);
+      }
+    }
+  ));
+
+writeTask("bank:transfer", "Transfer bank balance to another account")
+  .addPositionalParam("to", "Recipient address")
+  .addPositionalParam("amount", "Amount in ETH, e.g. 0.5")
+  .setAction(action(
+    async (client, { to, amount, dryRun }) => {
+      const recipient = addressArg(to, "recipient");
+      const value = amountArg(amount);
+      return execute(client, { method: "transferTo", args: [recipient, value], dryRun },
+        () => client.transfer(recipient, value));
+    },
+    (result) => {
+      printExecution(result, `Transfer of ${formatAmount(result.args[1])} to ${result.args[0]}`);
+      if (!result.dryRun) {
+        console.log(`   Transaction id: ${result.transactionId}`);
+      }
+    }
+  ));
+
+// ===== Operations =====
+
+writeTask("bank:pause", "Pause the bank (guardian), or unpause it (admin)")
+  .addFlag("unpause", "Unpause instead")
+  .setAction(action(
+    async (client, { unpause, dryRun }) => {
+      const method = unpause ? "unpause" : "pause";
+      if ((await client.call("paused", [])) === !unpause) {
+        return { dryRun, method, args: [], changed: false, paused: !unpause };
+      }
+      const result = await execute(client, { method, dryRun }, () => client.send(method, []));
+      return { ...result, changed: true, paused: dryRun ? unpause : !unpause };
+    },
+    (result) => {
+      if (!result.changed) {
+        console.log(`ℹ️ Bank is already ${result.paused ? "paused" : "unpaused"}`);
+        return;
+      }
+      printExecution(result, result.method === "pause" ? "⏸️ Pause" : "▶️ Unpause");
+    }
+  ));
+
+writeTask("bank:emergency", "Turn emergency mode on or off (admin)")
+  .addOptionalPositionalParam("state", "on or off (defaults to toggling)")
+  .setAction(action(
+    async (client, { state, dryRun }) => {
+      if (state !== undefined && state !== "on" && state !== "off") {
+        throw new HardhatPluginError(PLUGIN_NAME, `Invalid state "${state}" - expected on or off`);
+      }
+      const { emergencyMode } = await client.getBankStats();
+      const target = state === undefined ? !emergencyMode : state === "on";
+      if (target === emergencyMode) {
+        return { dryRun, method: "toggleEmergencyMode", args: [], changed: false, emergencyMode };
+      }
+      const result = await execute(client, { method: "toggleEmergencyMode", dryRun },
+        () => client.send("toggleEmergencyMode", []));
+      return { ...result, changed: true, emergencyMode: dryRun ? emergencyMode : target };
+    },
+    (result) => {
+      if (!result.changed) {
+        console.log(`ℹ️ Emergency mode is already ${result.emergencyMode ? "on" : "off"}`);
+        return;
+      }
+      printExecution(result, `🚨 Emergency mode ${result.dryRun ? "toggle" : (result.emergencyMode ? "on" : "off")}`);
+    }
+  ));
+
+writeTask("bank:roles", "Show an account's roles, or grant/revoke one (admin)")
+  .addOptionalParam("account", "Account to show or change (defaults to the sender)")
+  .addOptionalParam("grant", `Role to grant: ${ROLE_NAMES.join(", ")}`)
+  .addOptionalParam("revoke", `Role to revoke: ${ROLE_NAMES.join(", ")}`)
+  .addFlag("holders", "List every holder of each role instead")
+  .setAction(action(
+    async (client, { account, grant, revoke, holders, dryRun }) => {
+      if (grant && revoke) {
+        throw new HardhatPluginError(PLUGIN_NAME, "Pass either --grant or --revoke, not both");
+      }
+      if (holders) {
+        return { holders: await roleHolders(client) };
+      }
+      const address = await client.resolveUser(account && addressArg(account, "account"));
+      const roleName = grant || revoke;
+      let change = null;
+
+      if (roleName) {
+        if (!ROLE_NAMES.includes(roleName)) {
+          throw new HardhatPluginError(PLUGIN_NAME, `Unknown role "${roleName}" - expected one of ${ROLE_NAMES.join(", ")}`);
+        }
+        const helpers = ROLE_METHODS[roleName];
+        const method = helpers ? helpers[grant ? "grant" : "revoke"] : (grant ? "grantRole" : "revokeRole");
+        const args = helpers ? [address] : [roleHash(roleName), address];
+        change = await execute(client, { method, args, dryRun }, () => client.send(method, args));
+        change.role = roleName;
+        change.granted = Boolean(grant);
+      }
+
+      const roles = {};
+      for (const name of ROLE_NAMES) {
+        roles[name] = await client.call("hasRole", [roleHash(name), address]);
+      }
+      return { address, roles, change };
+    },
+    ({ address, roles, change, holders }) => {
+      if (holders) {
+        for (const name of ROLE_NAMES) {
+          console.log(`🔑 ${name}: ${holders[name].length > 0 ? holders[name].join(", ") : "none"}`);
+        }
+        return;
+      }
+      if (change) {
+        const verb = change.granted ? "Grant" : "Revoke";
+        printExecution(change, `${verb} ${change.role} for ${address}`);
+      }
+      const held = ROLE_NAMES.filter((name) => roles[name]);
+      console.log(`🔑 Roles of ${address}: ${held.length > 0 ? held.join(", ") : "none"}`);
+    }
+  ));
+
+writeTask("bank:freeze", "Show an account's freeze status and trail, or change it (operator)")
+  .addPositionalParam("account", "Account to show or change")
+  .addOptionalPositionalParam("status", `New status: ${FREEZE_STATUSES.join(", ")}`)
+  .addOptionalParam("reason", "Reason code for the change, e.g. SANCTIONS (max 31 characters)")
+  .setAction(action(
+    async (client, { account, status, reason, dryRun }) => {
+      const address = addressArg(account, "account");
+      let change = null;
+
+      if (status !== undefined) {
+        if (!FREEZE_STATUSES.includes(status)) {
+          throw new HardhatPluginError(PLUGIN_NAME, `Invalid status "${status}" - expected one of ${FREEZE_STATUSES.join(", ")}`);
+        }
+        if (!reason) {
+          throw new HardhatPluginError(PLUGIN_NAME, "A --reason code is required to change an account's freeze status");
+        }
+        const method = FREEZE_METHODS[status];
+        const args = [address, reasonCode(reason)];
+        change = await execute(client, { method, args, dryRun }, () => client.send(method, args));
+        change.status = status;
+      }
+
+      const [current, length] = await Promise.all([
+        client.call("getFreezeStatus", [address]),
+        client.call("getFreezeHistoryLength", [address])
+      ]);
+      const records = await client.call("getFreezeHistory", [address, 0, length]);
+      const trail = records.map((record) => ({
+        status: FREEZE_STATUSES[Number(record.status)],
+        reason: record.reason === ethers.ZeroHash ? null : ethers.decodeBytes32String(record.reason),
+        actor: record.actor,
+        timestamp: Number(record.timestamp),
+        statementHash: record.statementHash || null
+      }));
+      return { address, status: FREEZE_STATUSES[Number(current)], trail, change };
+    },
+    ({ address, status, trail, change }) => {
+      if (change) {
+        printExecution(change, `Set ${address} to ${change.status}`);
+      }
+      console.log(`🧊 ${address}: ${status}`);
+      for (const entry of trail) {
+        const detail = entry.statementHash ? `appeal ${entry.statementHash}` : `${entry.status} (${entry.reason})`;
+        console.log(`   ${describeTime(entry.timestamp)} ${detail} by ${entry.actor}`);
+      }
+    }
+  ));
+
+function reasonCode(reason) {
+  try {
+    return ethers.encodeBytes32String(reason);
+  } catch (error) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Reason code "${reason}" is longer than 31 bytes`);
+  }
+}
+
+// ADMIN_ROLE, OPERATOR_ROLE, ... are keccak256 of their names
+function roleHash(name) {
+  return ethers.id(`${name.toUpperCase()}_ROLE`);
+}
+
+async function roleHolders(client) {
+  const holders = {};
+  for (const name of ROLE_NAMES) {
+    const role = roleHash(name);
+    const count = Number(await client.call("getRoleMemberCount", [role]));
+    holders[name] = [];
+    for (let i = 0; i < count; i++) {
+      holders[name].push(await client.call("getRoleMember", [role, i]));
+    }
+  }
+  return holders;
+}
+
+module.exports = {
+  PLUGIN_NAME,
+  ROLE_NAMES,
+  connectBank,
+  describeAmount,
+  roleHash,
+  toJson
+};
@@ -1,12 +1,17 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployModules } = require("../scripts/utils/modules");
+const { INITIAL_ETH_PRICE, deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
 
 // Add this line to enable custom error testing
 require("@nomicfoundation/hardhat-chai-matchers");
 
 describe("Simple Bank v2.1 - Comprehensive Advanced Tests", function () {
   let simpleBankV21;
+  let priceFeed;
   let owner;
   let user1;
   let user2;
@@ -19,12 +24,12 @@ describe("Simple Bank v2.1 - Comprehensive Advanced Tests", function () {
   const withdrawAmount = ethers.parseEther("2.0");
 
   beforeEach(async function () {
-    [owner, user1, user2, user3, attacker] = await ethers.getSigners();
-    
-    const SimpleBankV21 = await ethers.getContractFactory("SimpleBankV2_1");
-    simpleBankV21 = await SimpleBankV21.deploy();
-    await simpleBankV21.waitForDeployment();
-    await simpleBankV21.initialize();
+    ({ simpleBankV21, priceFeed, owner, user1, user2, user3, attacker } = await loadFixture(deployBankFixture));
+  });
+
+  // Accounting must stay consistent whatever the test did
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
   });
 
   describe("🔮 Oracle Integration Tests", function () {
@@ -34,49 +39,75 @@ describe("Simple Bank v2.1 - Comprehensive Advanced Tests", function () {
       // User deposits ETH
       await simpleBankV21.connect(user1).deposit({ value: depositAmount });
       
-      try {
-        // Test ETH price fetching (will work on mainnet fork, might fail on local)
-        const [ethPrice, timestamp] = await simpleBankV21.getLatestETHPrice();
-        console.log(`   📈 ETH Price: $${Number(ethPrice) / 1e8}`);
-        console.log(`   🕐 Price Timestamp: ${new Date(Number(timestamp) * 1000).toLocaleString()}`);
-        
-        // Test USD balance conversion
-        const usdBalance = await simpleBankV21.getBalanceInUSD(user1.address);
-        console.log(`   💰 User1 Balance: ${ethers.formatEther(depositAmount)} ETH = $${Number(usdBalance) / 1e8}`);
-        
-        expect(ethPrice).to.be.gt(0);
-        expect(timestamp).to.be.gt(0);
-        expect(usdBalance).to.be.gt(0);
-        
-      } catch (error) {
-        console.log("   ⚠️  Oracle test skipped (requires mainnet fork or live price feed)");
-        console.log(`   📝 Error: ${error.message.split('\n')[0]}`);
-        // This is expected on local network - oracle tests need mainnet fork
-      }
+      const [ethPrice, timestamp] = await simpleBankV21.getLatestETHPrice();
+      console.log(`   📈 ETH Price: $${Number(ethPrice) / 1e8}`);
+      console.log(`   🕐 Price Timestamp: ${new Date(Number(timestamp) * 1000).toLocaleString()}`);
+      
+      expect(ethPrice).to.equal(INITIAL_ETH_PRICE);
+      expect(timestamp).to.be.gt(0);
+      
+      // 5 ETH * $2,000 = $10,000 (8 decimals)
+      const usdBalance = await simpleBankV21.getBalanceInUSD(user1.address);
+      console.log(`   💰 User1 Balance: ${ethers.formatEther(depositAmount)} ETH = $${Number(usdBalance) / 1e8}`);
+      expect(usdBalance).to.equal(10000n * 10n ** 8n);
+      
+      // Price moves are reflected immediately
+      await priceFeed.updateAnswer(3500n * 10n ** 8n);
+      expect(await simpleBankV21.getBalanceInUSD(user1.address)).to.equal(17500n * 10n ** 8n);
       
       console.log("✅ Oracle integration test completed");
     });
 
-    it("Should calculate dynamic interest based on ETH price", async function () {
-      console.log("📊 Testing Dynamic Interest Calculation...");
-      
+    it("Should reject stale and invalid oracle data", async function () {
       await simpleBankV21.connect(user1).deposit({ value: depositAmount });
       
-      // Advance time to accrue interest
-      await time.increase(30 * 24 * 60 * 60); // 30 days
-      
-      try {
-        const interest = await simpleBankV21.calculateInterest(user1.address);
-        console.log(`   💎 Interest earned (30 days): ${ethers.formatEther(interest)} ETH`);
-        
-        // Interest should be positive for active accounts with balance
-        expect(interest).to.be.gte(0);
-        
-      } catch (error) {
-        console.log("   ⚠️  Interest calculation skipped (requires price feed)");
-      }
+      const maxStaleness = await simpleBankV21.MAX_ORACLE_STALENESS();
+      await time.increase(Number(maxStaleness) + 1);
+      
+      await expect(
+        simpleBankV21.getLatestETHPrice()
+      ).to.be.revertedWithCustomError(simpleBankV21, "StaleOracleData");
+      await expect(
+        simpleBankV21.getBalanceInUSD(user1.address)
+      ).to.be.revertedWithCustomError(simpleBankV21, "StaleOracleData");
+      
+      // A fresh round makes the feed usable again
+      await priceFeed.updateAnswer(INITIAL_ETH_PRICE);
+      expect((await simpleBankV21.getLatestETHPrice())[0]).to.equal(INITIAL_ETH_PRICE);
       
-      console.log("✅ Interest calculation test completed");
+      // Non-positive prices are rejected
+      await priceFeed.updateAnswer(0);
+      await expect(simpleBankV21.getLatestETHPrice()).to.be.revertedWith("Invalid price data");
+    });
+  });
+
+  describe("🛰️ Price Feed Configuration", function () {
+    it("Should let admins replace the price feed", async function () {
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const newFeed = await MockV3Aggregator.deploy(8, 1800n * 10n ** 8n);
+      const newFeedAddress = await newFeed.getAddress();
+      
+      await expect(simpleBankV21.connect(owner).setPriceFeed(newFeedAddress))
+        .to.emit(simpleBankV21, "PriceFeedUpdated")
+        .withArgs(await priceFeed.getAddress(), newFeedAddress, anyValue);
+      
+      expect(await simpleBankV21.getPriceFeed()).to.equal(newFeedAddress);
+      expect((await simpleBankV21.getLatestETHPrice())[0]).to.equal(1800n * 10n ** 8n);
+    });
+
+    it("Should reject unauthorized or invalid price feed changes", async function () {
+      await expect(
+        simpleBankV21.connect(attacker).setPriceFeed(attacker.address)
+      ).to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess");
+      
+      await expect(
+        simpleBankV21.connect(owner).setPriceFeed(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(simpleBankV21, "InvalidPriceFeed");
+      
+      // EOAs are not aggregators
+      await expect(
+        simpleBankV21.connect(owner).setPriceFeed(user1.address)
+      ).to.be.revertedWithCustomError(simpleBankV21, "InvalidPriceFeed");
     });
   });
 
@@ -233,7 +264,8 @@ describe("Simple Bank v2.1 - Comprehensive Advanced Tests", function () {
       
       // Measure deployment gas
       const SimpleBankV21 = await ethers.getContractFactory("SimpleBankV2_1");
-      const deployTx = await SimpleBankV21.deploy();
+      const { constructorArgs } = await deployModules(ethers, SimpleBankV21);
+      const deployTx = await SimpleBankV21.deploy(...constructorArgs);
       const deployReceipt = await deployTx.deploymentTransaction().wait();
       gasResults.deployment = deployReceipt.gasUsed;
       
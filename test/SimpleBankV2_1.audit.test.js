@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+describe("Simple Bank v2.1 - Auditor Views", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let user2;
+  let user3;
+  let attacker;
+  let auditor;
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2, user3, attacker } = await loadFixture(deployBankFixture));
+    [, , , , , auditor] = await ethers.getSigners();
+    await simpleBankV21.connect(owner).grantAuditorRole(auditor.address);
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  describe("🔐 Access Control", function () {
+    it("Should restrict the audit surface to auditors and admins", async function () {
+      const AUDITOR_ROLE = await simpleBankV21.AUDITOR_ROLE();
+      const calls = [
+        (bank) => bank.getAccountCount(),
+        (bank) => bank.getAccounts(0, 10),
+        (bank) => bank.getRoleMembers(AUDITOR_ROLE),
+        (bank) => bank.getAuditSnapshot()
+      ];
+
+      for (const call of calls) {
+        await expect(call(simpleBankV21.connect(attacker)))
+          .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess")
+          .withArgs(attacker.address, AUDITOR_ROLE);
+        await call(simpleBankV21.connect(auditor));
+        await call(simpleBankV21.connect(owner));
+      }
+    });
+  });
+
+  describe("📒 Account Enumeration", function () {
+    it("Should page through every account in creation order", async function () {
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("2.0") });
+      await simpleBankV21.connect(user2).deposit({ value: ethers.parseEther("1.0") });
+      await simpleBankV21.connect(user1).transferTo(user3.address, ethers.parseEther("0.5"));
+      await attacker.sendTransaction({ to: await simpleBankV21.getAddress(), value: ethers.parseEther("0.1") });
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+
+      const bank = simpleBankV21.connect(auditor);
+      expect(await bank.getAccountCount()).to.equal(4);
+
+      const [firstUsers, firstDetails] = await bank.getAccounts(0, 3);
+      const [restUsers] = await bank.getAccounts(3, 3);
+      const [noUsers] = await bank.getAccounts(10, 3);
+
+      expect(firstUsers).to.deep.equal([user1.address, user2.address, user3.address]);
+      expect(firstDetails[0].balance).to.equal(ethers.parseEther("2.5"));
+      expect(firstDetails[2].balance).to.equal(ethers.parseEther("0.5"));
+      expect(restUsers).to.deep.equal([attacker.address]);
+      expect(noUsers).to.be.empty;
+    });
+  });
+
+  describe("👥 Role Membership", function () {
+    it("Should list current role members as roles are granted and revoked", async function () {
+      const bank = simpleBankV21.connect(auditor);
+      const OPERATOR_ROLE = await simpleBankV21.OPERATOR_ROLE();
+
+      expect(await bank.getRoleMembers(await simpleBankV21.ADMIN_ROLE())).to.deep.equal([owner.address]);
+      expect(await bank.getRoleMembers(await simpleBankV21.AUDITOR_ROLE())).to.deep.equal([owner.address, auditor.address]);
+
+      await simpleBankV21.connect(owner).grantOperatorRole(user2.address);
+      expect(await bank.getRoleMembers(OPERATOR_ROLE)).to.deep.equal([owner.address, user2.address]);
+
+      await simpleBankV21.connect(owner).revokeRole(OPERATOR_ROLE, owner.address);
+      expect(await bank.getRoleMembers(OPERATOR_ROLE)).to.deep.equal([user2.address]);
+    });
+  });
+
+  describe("📸 Audit Snapshots", function () {
+    it("Should report aggregates as of any past block", async function () {
+      await simpleBankV21.connect(owner).fundInterestReserve({ value: ethers.parseEther("1.0") });
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("5.0") });
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("3.0")); // held
+      const snapshotBlock = await ethers.provider.getBlockNumber();
+
+      await simpleBankV21.connect(user2).deposit({ value: ethers.parseEther("1.0") });
+      await simpleBankV21.connect(owner).pause();
+
+      const bank = simpleBankV21.connect(auditor);
+      const past = await bank.getAuditSnapshot({ blockTag: snapshotBlock });
+      const now = await bank.getAuditSnapshot();
+
+      expect(past.blockNumber).to.equal(snapshotBlock);
+      expect(past.totalDeposits).to.equal(ethers.parseEther("5.0"));
+      expect(past.contractBalance).to.equal(ethers.parseEther("6.0"));
+      expect(past.accountCount).to.equal(1);
+      expect(past.interestReserve).to.equal(ethers.parseEther("1.0"));
+      expect(past.totalHeld).to.equal(ethers.parseEther("3.0"));
+      expect(past.openHolds).to.equal(1);
+      expect(past.nextTransactionId).to.equal(2);
+      expect(past.paused).to.be.false;
+
+      expect(now.totalDeposits).to.equal(ethers.parseEther("6.0"));
+      expect(now.accountCount).to.equal(2);
+      expect(now.paused).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { TransactionHistory } = require("../scripts/utils/transaction-history");
+const { ContractLogReader } = require("../monitoring/log-reader");
+const { indexedEventsAbi } = require("../monitoring/indexer");
+const { replayAccountBalances } = require("../monitoring/solvency");
+const { analyzeActivity } = require("../monitoring/activity-analysis");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+// Mirrors SimpleBankV2_1's TRANSFER transaction type and DIRECTION_* values
+const TRANSFER = 2;
+const DIRECTION_IN = 0;
+const DIRECTION_OUT = 1;
+
+describe("Simple Bank v2.1 - Batch Transfers", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let user2;
+  let user3;
+  let attacker;
+
+  const depositAmount = ethers.parseEther("10.0");
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2, user3, attacker } = await loadFixture(deployBankFixture));
+    await simpleBankV21.connect(user1).deposit({ value: depositAmount });
+    await simpleBankV21.connect(user2).deposit({ value: ethers.parseEther("1.0") });
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  describe("📦 Multi-Recipient Transfers", function () {
+    it("Should pay every recipient and emit one aggregate event", async function () {
+      const recipients = [user2.address, user3.address, attacker.address];
+      const amounts = [ethers.parseEther("1.0"), ethers.parseEther("2.5"), ethers.parseEther("0.5")];
+
+      const tx = simpleBankV21.connect(user1).batchTransfer(recipients, amounts);
+      await expect(tx).to.emit(simpleBankV21, "BatchTransfer")
+        .withArgs(user1.address, recipients, amounts, ethers.parseEther("4.0"), anyValue, anyValue)
+        .and.to.emit(simpleBankV21, "LargeTransactionAlert")
+        .withArgs(user1.address, ethers.parseEther("4.0"), "batchTransfer");
+      await expect(tx).to.not.emit(simpleBankV21, "Transfer");
+
+      expect((await simpleBankV21.accounts(user1.address)).balance).to.equal(ethers.parseEther("6.0"));
+      expect((await simpleBankV21.accounts(user2.address)).balance).to.equal(ethers.parseEther("2.0"));
+      expect((await simpleBankV21.accounts(user3.address)).balance).to.equal(ethers.parseEther("2.5"));
+      expect((await simpleBankV21.getBankStats()).totalUsers).to.equal(4);
+    });
+
+    it("Should give each leg its own transaction id and history entries", async function () {
+      const receipt = await (await simpleBankV21.connect(user1).batchTransfer(
+        [user2.address, user3.address],
+        [ethers.parseEther("0.1"), ethers.parseEther("0.2")]
+      )).wait();
+      const event = receipt.logs
+        .map((log) => simpleBankV21.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "BatchTransfer");
+      const firstId = event.args.firstTransactionId;
+
+      const sent = await simpleBankV21.getTransactionHistory(user1.address, firstId, 10);
+      expect(sent.map((entry) => [entry.transactionId, entry.counterparty, entry.transactionType, entry.direction]))
+        .to.deep.equal([
+          [firstId, user2.address, BigInt(TRANSFER), BigInt(DIRECTION_OUT)],
+          [firstId + 1n, user3.address, BigInt(TRANSFER), BigInt(DIRECTION_OUT)]
+        ]);
+      const received = await simpleBankV21.getTransactionHistory(user3.address, 0, 10);
+      expect(received.map((entry) => [entry.transactionId, entry.counterparty, entry.direction]))
+        .to.deep.equal([[firstId + 1n, user1.address, BigInt(DIRECTION_IN)]]);
+
+      const records = await new TransactionHistory(simpleBankV21).getHistory(user3.address);
+      expect(records.map((r) => [r.id, r.direction, r.counterparty, r.transactionHash])).to.deep.equal([
+        [Number(firstId) + 1, "in", user1.address, receipt.hash]
+      ]);
+
+      // The next operation continues after the batch
+      await expect(simpleBankV21.connect(user2).deposit({ value: 1n }))
+        .to.emit(simpleBankV21, "Deposit")
+        .withArgs(user2.address, 1n, anyValue, anyValue, firstId + 2n);
+    });
+  });
+
+  describe("🧱 All-or-Nothing", function () {
+    it("Should revert the whole batch when any leg is invalid", async function () {
+      const bank = simpleBankV21.connect(user1);
+      const one = ethers.parseEther("1.0");
+
+      await expect(bank.batchTransfer([user2.address, ethers.ZeroAddress], [one, one]))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidRecipient")
+        .withArgs(ethers.ZeroAddress);
+      await expect(bank.batchTransfer([user2.address, user1.address], [one, one]))
+        .to.be.revertedWithCustomError(simpleBankV21, "TransferToSelf");
+      await expect(bank.batchTransfer([user2.address, user3.address], [one, 0]))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidAmount")
+        .withArgs(0);
+      await expect(bank.batchTransfer([user2.address, user3.address], [ethers.parseEther("6.0"), ethers.parseEther("4.5")]))
+        .to.be.revertedWithCustomError(simpleBankV21, "InsufficientBalance")
+        .withArgs(ethers.parseEther("10.5"), depositAmount);
+
+      expect((await simpleBankV21.accounts(user1.address)).balance).to.equal(depositAmount);
+      expect((await simpleBankV21.accounts(user3.address)).isActive).to.be.false;
+    });
+
+    it("Should validate batch shape", async function () {
+      const bank = simpleBankV21.connect(user1);
+      const maxBatchSize = await simpleBankV21.MAX_BATCH_SIZE();
+
+      await expect(bank.batchTransfer([user2.address], [1n, 2n]))
+        .to.be.revertedWithCustomError(simpleBankV21, "BatchLengthMismatch")
+        .withArgs(1, 2);
+      await expect(bank.batchTransfer([], []))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidBatchSize")
+        .withArgs(0, maxBatchSize);
+
+      const tooMany = Number(maxBatchSize) + 1;
+      await expect(bank.batchTransfer(Array(tooMany).fill(user2.address), Array(tooMany).fill(1n)))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidBatchSize")
+        .withArgs(tooMany, maxBatchSize);
+    });
+
+    it("Should not spend funds locked in withdrawal holds", async function () {
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("8.0"));
+
+      await expect(simpleBankV21.connect(user1).batchTransfer([user2.address, user3.address], [ethers.parseEther("1.0"), ethers.parseEther("1.5")]))
+        .to.be.revertedWithCustomError(simpleBankV21, "InsufficientBalance")
+        .withArgs(ethers.parseEther("2.5"), ethers.parseEther("2.0"));
+    });
+
+    it("Should respect pause and emergency mode", async function () {
+      await simpleBankV21.connect(owner).pause();
+      await expect(simpleBankV21.connect(user1).batchTransfer([user2.address], [1n]))
+        .to.be.revertedWith("Pausable: paused");
+      await simpleBankV21.connect(owner).unpause();
+
+      await simpleBankV21.connect(owner).toggleEmergencyMode();
+      await expect(simpleBankV21.connect(user1).batchTransfer([user2.address], [1n]))
+        .to.be.revertedWithCustomError(simpleBankV21, "EmergencyModeActive");
+    });
+  });
+
+  describe("📊 Monitoring", function () {
+    it("Should replay batch legs like individual transfers", async function () {
+      await simpleBankV21.connect(user1).batchTransfer(
+        [user2.address, user3.address],
+        [ethers.parseEther("1.0"), ethers.parseEther("3.0")]
+      );
+
+      const reader = new ContractLogReader({
+        provider: ethers.provider,
+        contractAddress: await simpleBankV21.getAddress(),
+        abi: indexedEventsAbi()
+      });
+      const events = await reader.readEvents(0, await ethers.provider.getBlockNumber());
+      const batch = events.find((event) => event.event === "BatchTransfer");
+      expect(batch.accounts).to.include.members([user2.address.toLowerCase(), user3.address.toLowerCase()]);
+
+      const balances = replayAccountBalances(events);
+      expect(balances.get(user1.address.toLowerCase())).to.equal(ethers.parseEther("6.0"));
+      expect(balances.get(user3.address.toLowerCase())).to.equal(ethers.parseEther("3.0"));
+
+      const activity = analyzeActivity(events);
+      expect(activity.transactionsByType.transfer).to.equal(2);
+      expect(activity.volumeByType.transfer).to.equal("4.0");
+    });
+  });
+});
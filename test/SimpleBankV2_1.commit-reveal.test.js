@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  buildWithdrawalCommitment,
+  generateSalt,
+  prepareWithdrawalCommitment
+} = require("../scripts/utils/commit-reveal");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+describe("Simple Bank v2.1 - Commit-Reveal Withdrawals", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let user2;
+
+  const depositAmount = ethers.parseEther("5.0");
+  const withdrawAmount = ethers.parseEther("1.0"); // at the threshold - larger amounts are held
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2 } = await loadFixture(deployBankFixture));
+
+    await simpleBankV21.connect(user1).deposit({ value: depositAmount });
+  });
+
+  // Accounting must stay consistent whatever the test did
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  describe("🔐 Commitment Hashing", function () {
+    it("Should build the same hash in JS as the contract", async function () {
+      const salt = generateSalt();
+      const { chainId } = await ethers.provider.getNetwork();
+
+      const jsHash = buildWithdrawalCommitment({
+        chainId,
+        bankAddress: await simpleBankV21.getAddress(),
+        user: user1.address,
+        amount: withdrawAmount,
+        salt
+      });
+      const contractHash = await simpleBankV21.getWithdrawalCommitmentHash(user1.address, withdrawAmount, salt);
+
+      expect(jsHash).to.equal(contractHash);
+    });
+  });
+
+  describe("🕵️ Commit & Reveal Flow", function () {
+    it("Should withdraw after the minimum reveal delay", async function () {
+      const { commitment, salt } = await prepareWithdrawalCommitment(simpleBankV21, user1, withdrawAmount);
+
+      await expect(simpleBankV21.connect(user1).commitWithdrawal(commitment))
+        .to.emit(simpleBankV21, "WithdrawalCommitted");
+
+      await time.increase(Number(await simpleBankV21.MIN_REVEAL_TIME()));
+
+      const revealTx = simpleBankV21.connect(user1).revealWithdrawal(withdrawAmount, salt);
+      await expect(revealTx).to.changeEtherBalance(user1, withdrawAmount);
+      await expect(revealTx)
+        .to.emit(simpleBankV21, "WithdrawalRevealed")
+        .withArgs(user1.address, withdrawAmount, anyValue);
+
+      expect(await simpleBankV21.connect(user1).getMyBalance()).to.equal(depositAmount - withdrawAmount);
+
+      const [, , revealed] = await simpleBankV21.getWithdrawalCommitment(user1.address);
+      expect(revealed).to.be.true;
+    });
+
+    it("Should reject an early reveal", async function () {
+      const { commitment, salt } = await prepareWithdrawalCommitment(simpleBankV21, user1, withdrawAmount);
+      await simpleBankV21.connect(user1).commitWithdrawal(commitment);
+
+      await expect(
+        simpleBankV21.connect(user1).revealWithdrawal(withdrawAmount, salt)
+      ).to.be.revertedWithCustomError(simpleBankV21, "RevealTooEarly");
+    });
+
+    it("Should reject a reveal after the commitment expired", async function () {
+      const { commitment, salt } = await prepareWithdrawalCommitment(simpleBankV21, user1, withdrawAmount);
+      await simpleBankV21.connect(user1).commitWithdrawal(commitment);
+
+      await time.increase(Number(await simpleBankV21.MAX_REVEAL_TIME()) + 1);
+
+      await expect(
+        simpleBankV21.connect(user1).revealWithdrawal(withdrawAmount, salt)
+      ).to.be.revertedWithCustomError(simpleBankV21, "CommitmentExpired");
+    });
+
+    it("Should reject a reveal with a different amount or salt", async function () {
+      const { commitment, salt } = await prepareWithdrawalCommitment(simpleBankV21, user1, withdrawAmount);
+      await simpleBankV21.connect(user1).commitWithdrawal(commitment);
+      await time.increase(Number(await simpleBankV21.MIN_REVEAL_TIME()));
+
+      await expect(
+        simpleBankV21.connect(user1).revealWithdrawal(ethers.parseEther("0.5"), salt)
+      ).to.be.revertedWithCustomError(simpleBankV21, "CommitmentMismatch");
+
+      await expect(
+        simpleBankV21.connect(user1).revealWithdrawal(withdrawAmount, generateSalt())
+      ).to.be.revertedWithCustomError(simpleBankV21, "CommitmentMismatch");
+    });
+
+    it("Should queue large reveals for operator review", async function () {
+      const largeAmount = ethers.parseEther("3.0");
+      const { commitment, salt } = await prepareWithdrawalCommitment(simpleBankV21, user1, largeAmount);
+      await simpleBankV21.connect(user1).commitWithdrawal(commitment);
+      await time.increase(Number(await simpleBankV21.MIN_REVEAL_TIME()));
+
+      const revealTx = simpleBankV21.connect(user1).revealWithdrawal(largeAmount, salt);
+      await expect(revealTx).to.changeEtherBalance(user1, 0);
+      await expect(revealTx)
+        .to.emit(simpleBankV21, "WithdrawalHeld")
+        .withArgs(1, user1.address, largeAmount, anyValue);
+
+      expect(await simpleBankV21.heldBalance(user1.address)).to.equal(largeAmount);
+    });
+
+    it("Should not let another user reveal someone else's commitment", async function () {
+      await simpleBankV21.connect(user2).deposit({ value: depositAmount });
+
+      const { commitment, salt } = await prepareWithdrawalCommitment(simpleBankV21, user1, withdrawAmount);
+      await simpleBankV21.connect(user1).commitWithdrawal(commitment);
+      await time.increase(Number(await simpleBankV21.MIN_REVEAL_TIME()));
+
+      await expect(
+        simpleBankV21.connect(user2).revealWithdrawal(withdrawAmount, salt)
+      ).to.be.revertedWithCustomError(simpleBankV21, "NoActiveCommitment");
+    });
+
+    it("Should block double reveals", async function () {
+      const { commitment, salt } = await prepareWithdrawalCommitment(simpleBankV21, user1, withdrawAmount);
+      await simpleBankV21.connect(user1).commitWithdrawal(commitment);
+      await time.increase(Number(await simpleBankV21.MIN_REVEAL_TIME()));
+
+      await simpleBankV21.connect(user1).revealWithdrawal(withdrawAmount, salt);
+
+      await expect(
+        simpleBankV21.connect(user1).revealWithdrawal(withdrawAmount, salt)
+      ).to.be.revertedWithCustomError(simpleBankV21, "CommitmentAlreadyRevealed");
+    });
+
+    it("Should reject reveals without a commitment or with an empty one", async function () {
+      await expect(
+        simpleBankV21.connect(user1).revealWithdrawal(withdrawAmount, generateSalt())
+      ).to.be.revertedWithCustomError(simpleBankV21, "NoActiveCommitment");
+
+      await expect(
+        simpleBankV21.connect(user1).commitWithdrawal(ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(simpleBankV21, "InvalidCommitment");
+    });
+
+    it("Should still enforce balance checks on reveal", async function () {
+      const tooMuch = depositAmount + 1n;
+      const { commitment, salt } = await prepareWithdrawalCommitment(simpleBankV21, user1, tooMuch);
+      await simpleBankV21.connect(user1).commitWithdrawal(commitment);
+      await time.increase(Number(await simpleBankV21.MIN_REVEAL_TIME()));
+
+      await expect(
+        simpleBankV21.connect(user1).revealWithdrawal(tooMuch, salt)
+      ).to.be.revertedWithCustomError(simpleBankV21, "InsufficientBalance");
+    });
+  });
+});
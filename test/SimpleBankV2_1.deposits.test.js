@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+describe("Simple Bank v2.1 - Deposit Paths", function () {
+  let simpleBankV21;
+  let bankAddress;
+  let owner;
+  let user1;
+  let user2;
+  let attacker;
+
+  const amount = ethers.parseEther("0.5");
+  const large = ethers.parseEther("1.5");
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2, attacker } = await loadFixture(deployBankFixture));
+    bankAddress = await simpleBankV21.getAddress();
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  // Every way of paying ETH in, as (sender, beneficiary) => tx
+  const paths = {
+    deposit: (bank, sender, _beneficiary, value) => bank.connect(sender).deposit({ value }),
+    depositFor: (bank, sender, beneficiary, value) => bank.connect(sender).depositFor(beneficiary.address, { value }),
+    receive: (bank, sender, _beneficiary, value) => sender.sendTransaction({ to: bank, value })
+  };
+
+  for (const [name, pay] of Object.entries(paths)) {
+    describe(`💵 ${name}()`, function () {
+      // deposit() and receive() always credit the sender
+      const creditedFor = (sender, beneficiary) => (name === "depositFor" ? beneficiary : sender);
+
+      it("Should credit the account, open it and record the deposit", async function () {
+        const credited = creditedFor(user1, user2);
+        const tx = pay(simpleBankV21, user1, user2, amount);
+
+        await expect(tx)
+          .to.emit(simpleBankV21, "AccountCreated")
+          .withArgs(credited.address, anyValue)
+          .and.to.emit(simpleBankV21, "Deposit")
+          .withArgs(credited.address, amount, amount, anyValue, 1);
+        await expect(tx).to.changeEtherBalances([user1, simpleBankV21], [-amount, amount]);
+
+        const [entry] = await simpleBankV21.getTransactionHistory(credited.address, 0, 10);
+        expect(entry.amount).to.equal(amount);
+        expect(entry.transactionType).to.equal(0n);
+        expect((await simpleBankV21.getBankStats()).totalDeposits).to.equal(amount);
+      });
+
+      it("Should raise a large transaction alert", async function () {
+        await expect(pay(simpleBankV21, user1, user2, large))
+          .to.emit(simpleBankV21, "LargeTransactionAlert")
+          .withArgs(creditedFor(user1, user2).address, large, "deposit");
+      });
+
+      it("Should reject zero amounts", async function () {
+        await expect(pay(simpleBankV21, user1, user2, 0n))
+          .to.be.revertedWithCustomError(simpleBankV21, "InvalidAmount");
+      });
+
+      it("Should refuse ETH while paused instead of leaving it uncredited", async function () {
+        await simpleBankV21.connect(owner).pause();
+
+        await expect(pay(simpleBankV21, user1, user2, amount)).to.be.revertedWith("Pausable: paused");
+        expect(await ethers.provider.getBalance(bankAddress)).to.equal(0n);
+        expect(await simpleBankV21.getSurplus()).to.equal(0n);
+
+        await simpleBankV21.connect(owner).unpause();
+        await expect(pay(simpleBankV21, user1, user2, amount)).to.emit(simpleBankV21, "Deposit");
+      });
+
+      it("Should refuse ETH in emergency mode", async function () {
+        await simpleBankV21.connect(owner).toggleEmergencyMode();
+
+        await expect(pay(simpleBankV21, user1, user2, amount))
+          .to.be.revertedWithCustomError(simpleBankV21, "EmergencyModeActive");
+      });
+    });
+  }
+
+  describe("🎁 depositFor()", function () {
+    it("Should top up an existing account without touching the sender's", async function () {
+      await simpleBankV21.connect(user2).deposit({ value: amount });
+
+      await expect(simpleBankV21.connect(user1).depositFor(user2.address, { value: amount }))
+        .to.not.emit(simpleBankV21, "AccountCreated");
+
+      expect((await simpleBankV21.accounts(user2.address)).balance).to.equal(amount * 2n);
+      expect((await simpleBankV21.accounts(user1.address)).isActive).to.be.false;
+    });
+
+    it("Should reject the zero address", async function () {
+      await expect(simpleBankV21.connect(user1).depositFor(ethers.ZeroAddress, { value: amount }))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidRecipient")
+        .withArgs(ethers.ZeroAddress);
+    });
+  });
+
+  describe("🧾 creditSurplus()", function () {
+    beforeEach(async function () {
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("2.0") });
+      // 0.5 ETH reached the contract outside the bank's books
+      await ethers.provider.send("hardhat_setBalance", [bankAddress, ethers.toQuantity(ethers.parseEther("2.5"))]);
+    });
+
+    it("Should book unaccounted ETH to an account", async function () {
+      expect(await simpleBankV21.getSurplus()).to.equal(amount);
+
+      await expect(simpleBankV21.connect(owner).creditSurplus(user2.address, amount))
+        .to.emit(simpleBankV21, "SurplusCredited")
+        .withArgs(user2.address, amount, anyValue)
+        .and.to.emit(simpleBankV21, "Deposit")
+        .withArgs(user2.address, amount, amount, anyValue, anyValue);
+
+      expect(await simpleBankV21.getSurplus()).to.equal(0n);
+      expect((await simpleBankV21.getBankStats()).totalDeposits).to.equal(ethers.parseEther("2.5"));
+      await simpleBankV21.connect(user2).withdraw(amount);
+    });
+
+    it("Should never credit more than the surplus", async function () {
+      await expect(simpleBankV21.connect(owner).creditSurplus(user2.address, amount + 1n))
+        .to.be.revertedWithCustomError(simpleBankV21, "InsufficientSurplus")
+        .withArgs(amount + 1n, amount);
+    });
+
+    it("Should be admin-only and refuse bad input", async function () {
+      await expect(simpleBankV21.connect(attacker).creditSurplus(attacker.address, amount))
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess")
+        .withArgs(attacker.address, await simpleBankV21.ADMIN_ROLE());
+      await expect(simpleBankV21.connect(owner).creditSurplus(ethers.ZeroAddress, amount))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidRecipient");
+      await expect(simpleBankV21.connect(owner).creditSurplus(user2.address, 0n))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidAmount");
+
+      await simpleBankV21.connect(owner).toggleEmergencyMode();
+      await expect(simpleBankV21.connect(owner).creditSurplus(user2.address, amount))
+        .to.be.revertedWithCustomError(simpleBankV21, "EmergencyModeActive");
+    });
+
+    it("Should work while paused", async function () {
+      await simpleBankV21.connect(owner).pause();
+      await expect(simpleBankV21.connect(owner).creditSurplus(user2.address, amount))
+        .to.emit(simpleBankV21, "SurplusCredited");
+      await simpleBankV21.connect(owner).unpause();
+    });
+  });
+});
@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+describe("Simple Bank v2.1 - Emergency Mode & Surplus Rescue", function () {
+  let simpleBankV21;
+  let bankAddress;
+  let owner;
+  let user1;
+  let user2;
+  let attacker;
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2, attacker } = await loadFixture(deployBankFixture));
+    bankAddress = await simpleBankV21.getAddress();
+    await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("6.0") });
+    await simpleBankV21.connect(user2).deposit({ value: ethers.parseEther("2.0") });
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  async function setContractBalance(amount) {
+    await ethers.provider.send("hardhat_setBalance", [bankAddress, ethers.toQuantity(amount)]);
+  }
+
+  describe("🚦 Pause × Emergency Mode", function () {
+    // Expected outcome of each operation; pause is checked before emergency mode
+    function expectedOutcome(operation, { paused, emergency }) {
+      if (paused) return "paused";
+      if (emergency && operation !== "withdraw") return "emergency";
+      return "ok";
+    }
+
+    const states = [
+      { paused: false, emergency: false },
+      { paused: false, emergency: true },
+      { paused: true, emergency: false },
+      { paused: true, emergency: true }
+    ];
+
+    for (const state of states) {
+      it(`Should gate operations when paused=${state.paused}, emergency=${state.emergency}`, async function () {
+        if (state.emergency) await simpleBankV21.connect(owner).toggleEmergencyMode();
+        if (state.paused) await simpleBankV21.connect(owner).pause();
+
+        const amount = ethers.parseEther("0.5");
+        const operations = {
+          deposit: () => simpleBankV21.connect(user1).deposit({ value: amount }),
+          receive: () => user1.sendTransaction({ to: bankAddress, value: amount }),
+          transfer: () => simpleBankV21.connect(user1).transferTo(user2.address, amount),
+          withdraw: () => simpleBankV21.connect(user1).withdraw(amount)
+        };
+
+        for (const [name, operation] of Object.entries(operations)) {
+          const outcome = expectedOutcome(name, state);
+          const balanceBefore = await simpleBankV21.accounts(user1.address);
+
+          if (outcome === "emergency") {
+            await expect(operation(), name).to.be.revertedWithCustomError(simpleBankV21, "EmergencyModeActive");
+          } else if (outcome === "paused") {
+            await expect(operation(), name).to.be.revertedWith("Pausable: paused");
+          } else {
+            await expect(operation(), name).to.not.be.reverted;
+          }
+
+          const balanceAfter = await simpleBankV21.accounts(user1.address);
+          if (outcome !== "ok") {
+            expect(balanceAfter.balance, name).to.equal(balanceBefore.balance);
+          }
+        }
+      });
+    }
+  });
+
+  describe("🧯 Pro Rata Withdrawals", function () {
+    beforeEach(async function () {
+      await simpleBankV21.connect(owner).toggleEmergencyMode();
+    });
+
+    it("Should pay full balances while the bank is solvent", async function () {
+      expect(await simpleBankV21.getEmergencyPayoutRatio()).to.equal(ethers.parseEther("1"));
+
+      // Above LARGE_TRANSACTION_THRESHOLD, but emergency withdrawals are never held
+      const tx = simpleBankV21.connect(user1).withdraw(ethers.parseEther("6.0"));
+      await expect(tx).to.changeEtherBalance(user1, ethers.parseEther("6.0"));
+      await expect(tx).to.emit(simpleBankV21, "EmergencyWithdrawal")
+        .withArgs(user1.address, ethers.parseEther("6.0"), ethers.parseEther("6.0"), anyValue);
+      await expect(tx).to.not.emit(simpleBankV21, "WithdrawalHeld");
+    });
+
+    it("Should split a shortfall evenly regardless of withdrawal order", async function () {
+      await setContractBalance(ethers.parseEther("4.0"));
+      expect(await simpleBankV21.getEmergencyPayoutRatio()).to.equal(ethers.parseEther("0.5"));
+
+      const first = simpleBankV21.connect(user2).withdraw(ethers.parseEther("2.0"));
+      await expect(first).to.changeEtherBalance(user2, ethers.parseEther("1.0"));
+      await expect(first).to.emit(simpleBankV21, "Withdrawal")
+        .withArgs(user2.address, ethers.parseEther("2.0"), 0, anyValue, anyValue);
+
+      // Partial withdrawals get the same ratio
+      await expect(simpleBankV21.connect(user1).withdraw(ethers.parseEther("2.0")))
+        .to.changeEtherBalance(user1, ethers.parseEther("1.0"));
+      expect(await simpleBankV21.getEmergencyPayoutRatio()).to.equal(ethers.parseEther("0.5"));
+
+      await expect(simpleBankV21.connect(user1).withdraw(ethers.parseEther("4.0")))
+        .to.changeEtherBalance(user1, ethers.parseEther("2.0"));
+
+      const stats = await simpleBankV21.getBankStats();
+      expect(stats.totalDeposits).to.equal(0);
+      expect(stats.contractBalance).to.equal(0);
+    });
+
+    it("Should keep the interest reserve out of emergency payouts", async function () {
+      await simpleBankV21.connect(owner).fundInterestReserve({ value: ethers.parseEther("2.0") });
+      await setContractBalance(ethers.parseEther("6.0")); // 4 ETH of deposits + the reserve
+
+      expect(await simpleBankV21.getEmergencyPayoutRatio()).to.equal(ethers.parseEther("0.5"));
+      await expect(simpleBankV21.connect(user2).withdraw(ethers.parseEther("2.0")))
+        .to.changeEtherBalance(user2, ethers.parseEther("1.0"));
+
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("6.0"));
+      expect(await ethers.provider.getBalance(bankAddress)).to.equal(ethers.parseEther("2.0"));
+    });
+
+    it("Should release held funds only through cancellation and a pro rata withdrawal", async function () {
+      await simpleBankV21.connect(owner).toggleEmergencyMode();
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("4.0"));
+      await simpleBankV21.connect(owner).approveWithdrawalHold(1);
+      await simpleBankV21.connect(owner).toggleEmergencyMode();
+      await time.increase(24 * 60 * 60);
+
+      await expect(simpleBankV21.connect(user1).executeWithdrawalHold(1))
+        .to.be.revertedWithCustomError(simpleBankV21, "EmergencyModeActive");
+      await expect(simpleBankV21.connect(owner).fastTrackWithdrawalHold(1))
+        .to.be.revertedWithCustomError(simpleBankV21, "EmergencyModeActive");
+
+      await simpleBankV21.connect(user1).cancelWithdrawalHold(1);
+      await expect(simpleBankV21.connect(user1).withdraw(ethers.parseEther("6.0")))
+        .to.changeEtherBalance(user1, ethers.parseEther("6.0"));
+    });
+
+    it("Should ignore daily withdrawal limits during a wind-down", async function () {
+      await simpleBankV21.connect(owner).setWithdrawalLimits(ethers.parseEther("0.1"), ethers.parseEther("0.1"));
+
+      await expect(simpleBankV21.connect(user2).withdraw(ethers.parseEther("2.0")))
+        .to.changeEtherBalance(user2, ethers.parseEther("2.0"));
+    });
+  });
+
+  describe("🛟 Surplus Rescue", function () {
+    const delay = 2 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+      // 8 ETH of deposits, 1 ETH sent to the contract outside the bank's books
+      await setContractBalance(ethers.parseEther("9.0"));
+    });
+
+    it("Should only rescue surplus above totalDeposits and the interest reserve", async function () {
+      expect(await simpleBankV21.SURPLUS_RESCUE_DELAY()).to.equal(delay);
+      expect(await simpleBankV21.getSurplus()).to.equal(ethers.parseEther("1.0"));
+
+      await simpleBankV21.connect(owner).fundInterestReserve({ value: ethers.parseEther("0.5") });
+      expect(await simpleBankV21.getSurplus()).to.equal(ethers.parseEther("1.0"));
+
+      await expect(simpleBankV21.connect(owner).scheduleSurplusRescue(owner.address, ethers.parseEther("1.5")))
+        .to.be.revertedWithCustomError(simpleBankV21, "InsufficientSurplus")
+        .withArgs(ethers.parseEther("1.5"), ethers.parseEther("1.0"));
+    });
+
+    it("Should pay the rescue out only after the timelock", async function () {
+      const amount = ethers.parseEther("1.0");
+      await expect(simpleBankV21.connect(owner).scheduleSurplusRescue(attacker.address, amount))
+        .to.emit(simpleBankV21, "SurplusRescueScheduled")
+        .withArgs(attacker.address, amount, anyValue);
+
+      const { executeAfter } = await simpleBankV21.pendingSurplusRescue();
+      await expect(simpleBankV21.connect(owner).executeSurplusRescue())
+        .to.be.revertedWithCustomError(simpleBankV21, "RescueNotReady");
+
+      await time.increaseTo(executeAfter);
+      const tx = simpleBankV21.connect(owner).executeSurplusRescue();
+      await expect(tx).to.changeEtherBalances([simpleBankV21, attacker], [-amount, amount]);
+      await expect(tx).to.emit(simpleBankV21, "SurplusRescueExecuted").withArgs(attacker.address, amount, anyValue);
+
+      expect((await simpleBankV21.pendingSurplusRescue()).executeAfter).to.equal(0);
+      await expect(simpleBankV21.connect(owner).executeSurplusRescue())
+        .to.be.revertedWithCustomError(simpleBankV21, "NoPendingRescue");
+    });
+
+    it("Should re-check the surplus at execution time", async function () {
+      await simpleBankV21.connect(owner).scheduleSurplusRescue(owner.address, ethers.parseEther("1.0"));
+      await setContractBalance(ethers.parseEther("8.5"));
+      await time.increase(delay);
+
+      await expect(simpleBankV21.connect(owner).executeSurplusRescue())
+        .to.be.revertedWithCustomError(simpleBankV21, "InsufficientSurplus")
+        .withArgs(ethers.parseEther("1.0"), ethers.parseEther("0.5"));
+    });
+
+    it("Should let admins cancel and block everyone else", async function () {
+      const ADMIN_ROLE = await simpleBankV21.ADMIN_ROLE();
+      await expect(simpleBankV21.connect(attacker).scheduleSurplusRescue(attacker.address, 1n))
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess")
+        .withArgs(attacker.address, ADMIN_ROLE);
+
+      await simpleBankV21.connect(owner).scheduleSurplusRescue(owner.address, ethers.parseEther("1.0"));
+      await expect(simpleBankV21.connect(attacker).executeSurplusRescue())
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess");
+
+      await expect(simpleBankV21.connect(owner).cancelSurplusRescue())
+        .to.emit(simpleBankV21, "SurplusRescueCancelled")
+        .withArgs(owner.address, ethers.parseEther("1.0"), anyValue);
+      await expect(simpleBankV21.connect(owner).cancelSurplusRescue())
+        .to.be.revertedWithCustomError(simpleBankV21, "NoPendingRescue");
+    });
+  });
+});
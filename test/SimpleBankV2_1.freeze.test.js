@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+const FREEZE_NONE = 0;
+const FREEZE_FULL = 1;
+const FREEZE_WITHDRAW_ONLY = 2;
+
+describe("Simple Bank v2.1 - Account Freezes", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let user2;
+  let user3;
+  let OPERATOR_ROLE;
+
+  const reason = ethers.encodeBytes32String("SANCTIONS");
+  const cleared = ethers.encodeBytes32String("CLEARED");
+  const amount = ethers.parseEther("0.1");
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2, user3 } = await loadFixture(deployBankFixture));
+    OPERATOR_ROLE = await simpleBankV21.OPERATOR_ROLE();
+    await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+    await simpleBankV21.connect(user2).deposit({ value: ethers.parseEther("1.0") });
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  describe("🧊 Setting Freeze Status", function () {
+    it("Should freeze with a reason code and record who did it", async function () {
+      await expect(simpleBankV21.connect(owner).freezeAccount(user1.address, reason))
+        .to.emit(simpleBankV21, "AccountFreezeChanged")
+        .withArgs(user1.address, FREEZE_NONE, FREEZE_FULL, reason, owner.address)
+        .and.to.emit(simpleBankV21, "SecurityIncident")
+        .withArgs(user1.address, "ACCOUNT_FROZEN", anyValue);
+
+      expect(await simpleBankV21.getFreezeStatus(user1.address)).to.equal(FREEZE_FULL);
+      const [record] = await simpleBankV21.getFreezeHistory(user1.address, 0, 10);
+      expect(record.status).to.equal(FREEZE_FULL);
+      expect(record.reason).to.equal(reason);
+      expect(record.actor).to.equal(owner.address);
+      expect(record.statementHash).to.equal("");
+    });
+
+    it("Should move between statuses and back", async function () {
+      const bank = simpleBankV21.connect(owner);
+      await expect(bank.restrictAccount(user1.address, reason))
+        .to.emit(simpleBankV21, "SecurityIncident")
+        .withArgs(user1.address, "ACCOUNT_RESTRICTED", anyValue);
+      await bank.freezeAccount(user1.address, reason);
+      await expect(bank.unfreezeAccount(user1.address, cleared))
+        .to.emit(simpleBankV21, "AccountFreezeChanged")
+        .withArgs(user1.address, FREEZE_FULL, FREEZE_NONE, cleared, owner.address);
+
+      expect(await simpleBankV21.getFreezeStatus(user1.address)).to.equal(FREEZE_NONE);
+      expect(await simpleBankV21.getFreezeHistoryLength(user1.address)).to.equal(3);
+    });
+
+    it("Should require a reason code and an actual change", async function () {
+      const bank = simpleBankV21.connect(owner);
+      await expect(bank.freezeAccount(user1.address, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(simpleBankV21, "MissingReasonCode");
+      await expect(bank.unfreezeAccount(user1.address, cleared))
+        .to.be.revertedWithCustomError(simpleBankV21, "FreezeStatusUnchanged")
+        .withArgs(user1.address, FREEZE_NONE);
+
+      await bank.freezeAccount(user1.address, reason);
+      await expect(bank.freezeAccount(user1.address, reason))
+        .to.be.revertedWithCustomError(simpleBankV21, "FreezeStatusUnchanged")
+        .withArgs(user1.address, FREEZE_FULL);
+    });
+
+    it("Should only let operators change freeze status", async function () {
+      await expect(simpleBankV21.connect(user2).freezeAccount(user1.address, reason))
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess")
+        .withArgs(user2.address, OPERATOR_ROLE);
+
+      await simpleBankV21.connect(owner).grantOperatorRole(user3.address);
+      await simpleBankV21.connect(user3).restrictAccount(user1.address, reason);
+      expect(await simpleBankV21.getFreezeStatus(user1.address)).to.equal(FREEZE_WITHDRAW_ONLY);
+    });
+  });
+
+  describe("🚫 Enforcement", function () {
+    it("Should block every movement of funds for a frozen account", async function () {
+      await simpleBankV21.connect(owner).freezeAccount(user1.address, reason);
+      const frozen = simpleBankV21.connect(user1);
+
+      await expect(frozen.deposit({ value: amount }))
+        .to.be.revertedWithCustomError(simpleBankV21, "AccountFrozen")
+        .withArgs(user1.address, FREEZE_FULL);
+      await expect(frozen.withdraw(amount))
+        .to.be.revertedWithCustomError(simpleBankV21, "AccountFrozen");
+      await expect(frozen.transferTo(user2.address, amount))
+        .to.be.revertedWithCustomError(simpleBankV21, "AccountFrozen");
+
+      // Nor can anyone else move funds in
+      await expect(simpleBankV21.connect(user2).transferTo(user1.address, amount))
+        .to.be.revertedWithCustomError(simpleBankV21, "AccountFrozen")
+        .withArgs(user1.address, FREEZE_FULL);
+      await expect(simpleBankV21.connect(user2).depositFor(user1.address, { value: amount }))
+        .to.be.revertedWithCustomError(simpleBankV21, "AccountFrozen");
+      await expect(simpleBankV21.connect(user2).batchTransfer([user3.address, user1.address], [amount, amount]))
+        .to.be.revertedWithCustomError(simpleBankV21, "AccountFrozen");
+    });
+
+    it("Should let a withdraw-only account take its funds out and nothing else", async function () {
+      await simpleBankV21.connect(owner).restrictAccount(user1.address, reason);
+      const restricted = simpleBankV21.connect(user1);
+
+      await expect(restricted.withdraw(amount)).to.emit(simpleBankV21, "Withdrawal");
+      await expect(restricted.deposit({ value: amount }))
+        .to.be.revertedWithCustomError(simpleBankV21, "AccountFrozen")
+        .withArgs(user1.address, FREEZE_WITHDRAW_ONLY);
+      await expect(restricted.transferTo(user2.address, amount))
+        .to.be.revertedWithCustomError(simpleBankV21, "AccountFrozen");
+      await expect(simpleBankV21.connect(user2).transferTo(user1.address, amount))
+        .to.be.revertedWithCustomError(simpleBankV21, "AccountFrozen");
+    });
+
+    it("Should restore access once unfrozen", async function () {
+      await simpleBankV21.connect(owner).freezeAccount(user1.address, reason);
+      await simpleBankV21.connect(owner).unfreezeAccount(user1.address, cleared);
+
+      await simpleBankV21.connect(user1).transferTo(user2.address, amount);
+      await simpleBankV21.connect(user1).withdraw(amount);
+      expect((await simpleBankV21.accounts(user1.address)).balance).to.equal(ethers.parseEther("0.8"));
+    });
+
+    it("Should not let a frozen account claim interest", async function () {
+      await simpleBankV21.connect(owner).fundInterestReserve({ value: ethers.parseEther("1.0") });
+      await time.increase(30 * 24 * 60 * 60);
+      await simpleBankV21.connect(owner).freezeAccount(user1.address, reason);
+
+      await expect(simpleBankV21.connect(user1).claimInterest())
+        .to.be.revertedWithCustomError(simpleBankV21, "AccountFrozen")
+        .withArgs(user1.address, FREEZE_FULL);
+      expect((await simpleBankV21.accounts(user1.address)).balance).to.equal(ethers.parseEther("1.0"));
+
+      // Interest keeps accruing and can be claimed once unfrozen
+      await simpleBankV21.connect(owner).unfreezeAccount(user1.address, cleared);
+      await expect(simpleBankV21.connect(user1).claimInterest()).to.emit(simpleBankV21, "InterestClaimed");
+    });
+
+    it("Should skip standing orders involving a frozen account", async function () {
+      await simpleBankV21.connect(user2).createStandingOrder(user1.address, amount, 24 * 60 * 60, 0, 0, 1);
+      const id = await simpleBankV21.standingOrderCount();
+      await simpleBankV21.connect(owner).freezeAccount(user1.address, reason);
+
+      await expect(simpleBankV21.connect(user3).executeDue([id]))
+        .to.emit(simpleBankV21, "StandingOrderSkipped")
+        .and.to.not.emit(simpleBankV21, "StandingOrderExecuted");
+      expect((await simpleBankV21.accounts(user1.address)).balance).to.equal(ethers.parseEther("1.0"));
+    });
+  });
+
+  describe("📨 Appeals & History", function () {
+    it("Should add a frozen account's appeal to its trail", async function () {
+      await simpleBankV21.connect(owner).freezeAccount(user1.address, reason);
+
+      await expect(simpleBankV21.connect(user1).appealFreeze("QmAppealStatement123"))
+        .to.emit(simpleBankV21, "FreezeAppealed")
+        .withArgs(user1.address, "QmAppealStatement123", anyValue)
+        .and.to.emit(simpleBankV21, "SecurityIncident")
+        .withArgs(user1.address, "FREEZE_APPEALED", anyValue);
+
+      const history = await simpleBankV21.getFreezeHistory(user1.address, 0, 10);
+      expect(history).to.have.length(2);
+      expect(history[1].actor).to.equal(user1.address);
+      expect(history[1].status).to.equal(FREEZE_FULL);
+      expect(history[1].reason).to.equal(ethers.ZeroHash);
+      expect(history[1].statementHash).to.equal("QmAppealStatement123");
+
+      // Appeals don't change the status
+      expect(await simpleBankV21.getFreezeStatus(user1.address)).to.equal(FREEZE_FULL);
+    });
+
+    it("Should reject appeals from accounts that aren't frozen", async function () {
+      await expect(simpleBankV21.connect(user1).appealFreeze("QmAppealStatement123"))
+        .to.be.revertedWithCustomError(simpleBankV21, "AccountNotFrozen")
+        .withArgs(user1.address);
+
+      await simpleBankV21.connect(owner).restrictAccount(user1.address, reason);
+      await expect(simpleBankV21.connect(user1).appealFreeze(""))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidIPFSHash");
+    });
+
+    it("Should page through the freeze history oldest first", async function () {
+      const bank = simpleBankV21.connect(owner);
+      await bank.freezeAccount(user1.address, reason);
+      await bank.restrictAccount(user1.address, reason);
+      await bank.unfreezeAccount(user1.address, cleared);
+
+      const page = await simpleBankV21.getFreezeHistory(user1.address, 1, 5);
+      expect(page.map((record) => record.status)).to.deep.equal([BigInt(FREEZE_WITHDRAW_ONLY), BigInt(FREEZE_NONE)]);
+      expect(await simpleBankV21.getFreezeHistory(user1.address, 3, 5)).to.be.empty;
+      expect(await simpleBankV21.getFreezeHistory(user2.address, 0, 5)).to.be.empty;
+    });
+  });
+});
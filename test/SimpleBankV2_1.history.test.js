@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { TransactionHistory } = require("../scripts/utils/transaction-history");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+describe("Simple Bank v2.1 - Transaction History", function () {
+  let simpleBankV21;
+  let user1;
+  let user2;
+  let history;
+
+  beforeEach(async function () {
+    ({ simpleBankV21, user1, user2 } = await loadFixture(deployBankFixture));
+    history = new TransactionHistory(simpleBankV21);
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  describe("📜 On-Chain History", function () {
+    it("Should record counterparty, direction and transaction ID for both sides of a transfer", async function () {
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("2.0") });
+      await simpleBankV21.connect(user1).transferTo(user2.address, ethers.parseEther("0.5"));
+
+      const sent = await simpleBankV21.getTransactionHistory(user1.address, 0, 10);
+      const received = await simpleBankV21.getTransactionHistory(user2.address, 0, 10);
+
+      expect(sent).to.have.length(2);
+      expect(sent[0].transactionId).to.equal(1n);
+      expect(sent[0].counterparty).to.equal(ethers.ZeroAddress);
+      expect(sent[0].direction).to.equal(0n);
+      expect(sent[1].transactionId).to.equal(2n);
+      expect(sent[1].counterparty).to.equal(user2.address);
+      expect(sent[1].direction).to.equal(1n);
+
+      expect(received).to.have.length(1);
+      expect(received[0].transactionId).to.equal(2n);
+      expect(received[0].counterparty).to.equal(user1.address);
+      expect(received[0].direction).to.equal(0n);
+    });
+
+    it("Should keep more than the 10 entries of the recent transactions ring", async function () {
+      for (let i = 0; i < 12; i++) {
+        await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("0.1") });
+      }
+
+      expect(await simpleBankV21.getTransactionHistoryLength(user1.address)).to.equal(12);
+
+      const firstPage = await simpleBankV21.getTransactionHistory(user1.address, 0, 5);
+      const nextPage = await simpleBankV21.getTransactionHistory(user1.address, firstPage[4].transactionId + 1n, 5);
+      const lastPage = await simpleBankV21.getTransactionHistory(user1.address, 11, 5);
+
+      expect(firstPage.map((e) => e.transactionId)).to.deep.equal([1n, 2n, 3n, 4n, 5n]);
+      expect(nextPage.map((e) => e.transactionId)).to.deep.equal([6n, 7n, 8n, 9n, 10n]);
+      expect(lastPage.map((e) => e.transactionId)).to.deep.equal([11n, 12n]);
+    });
+
+    it("Should record deposits made by plain ETH transfers", async function () {
+      await user1.sendTransaction({ to: await simpleBankV21.getAddress(), value: ethers.parseEther("0.3") });
+
+      const [entry] = await simpleBankV21.getTransactionHistory(user1.address, 0, 10);
+
+      expect(entry.transactionId).to.equal(1n);
+      expect(entry.amount).to.equal(ethers.parseEther("0.3"));
+      expect(entry.transactionType).to.equal(0n);
+    });
+  });
+
+  describe("🔎 getHistory()", function () {
+    beforeEach(async function () {
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("3.0") });          // id 1
+      await simpleBankV21.connect(user1).transferTo(user2.address, ethers.parseEther("1.0"));   // id 2
+      await simpleBankV21.connect(user2).withdraw(ethers.parseEther("0.5"));                    // id 3
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("0.25"));                   // id 4
+      await simpleBankV21.connect(user2).transferTo(user1.address, ethers.parseEther("0.1"));   // id 5
+    });
+
+    it("Should return typed records with transaction hashes", async function () {
+      const records = await history.getHistory(user1);
+
+      expect(records.map((r) => [r.id, r.type, r.direction])).to.deep.equal([
+        [1, "deposit", "in"],
+        [2, "transfer", "out"],
+        [4, "withdrawal", "out"],
+        [5, "transfer", "in"]
+      ]);
+      expect(records[1]).to.include({ counterparty: user2.address, amount: ethers.parseEther("1.0"), source: "chain" });
+      expect(records[0].counterparty).to.be.null;
+      records.forEach((record) => expect(record.transactionHash).to.match(/^0x[0-9a-f]{64}$/));
+    });
+
+    it("Should page with fromId and limit", async function () {
+      const firstPage = await history.getHistory(user1.address, { limit: 2 });
+      const secondPage = await history.getHistory(user1.address, { fromId: firstPage[1].id + 1, limit: 2 });
+
+      expect(firstPage.map((r) => r.id)).to.deep.equal([1, 2]);
+      expect(secondPage.map((r) => r.id)).to.deep.equal([4, 5]);
+    });
+
+    it("Should filter by type", async function () {
+      const transfers = await history.getHistory(user2.address, { type: "transfer" });
+      const withdrawals = await history.getHistory(user2.address, { type: ["withdrawal"] });
+
+      expect(transfers.map((r) => [r.id, r.direction])).to.deep.equal([[2, "in"], [5, "out"]]);
+      expect(withdrawals.map((r) => r.id)).to.deep.equal([3]);
+      await expect(history.getHistory(user2.address, { type: "dividend" }))
+        .to.be.rejectedWith(/Unknown transaction type "dividend"/);
+    });
+
+    it("Should fill in operations missing on-chain from event logs", async function () {
+      // Deployments from before the on-chain history only have the events
+      const legacyBank = {
+        filters: simpleBankV21.filters,
+        queryFilter: simpleBankV21.queryFilter.bind(simpleBankV21),
+        getTransactionHistory: async () => []
+      };
+
+      const records = await new TransactionHistory(legacyBank).getHistory(user1.address, { fromId: 2 });
+
+      expect(records.map((r) => [r.id, r.type, r.direction, r.source])).to.deep.equal([
+        [2, "transfer", "out", "logs"],
+        [4, "withdrawal", "out", "logs"],
+        [5, "transfer", "in", "logs"]
+      ]);
+      expect(records[2].counterparty).to.equal(user2.address);
+    });
+  });
+});
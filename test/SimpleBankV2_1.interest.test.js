@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { TransactionHistory } = require("../scripts/utils/transaction-history");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+const ONE_YEAR = 365 * 24 * 60 * 60;
+const PRECISION = 10n ** 27n;
+
+// Mirrors the contract's integer math: index growth first, then balance * index
+function interestFor(balance, rateBps, seconds) {
+  const indexGrowth = (BigInt(rateBps) * BigInt(seconds) * PRECISION) / (10000n * BigInt(ONE_YEAR));
+  return (balance * indexGrowth) / PRECISION;
+}
+
+async function timestampOf(txPromise) {
+  const receipt = await (await txPromise).wait();
+  return (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+}
+
+describe("Simple Bank v2.1 - Interest Accrual", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let user2;
+  let attacker;
+
+  const depositAmount = ethers.parseEther("10.0");
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2, attacker } = await loadFixture(deployBankFixture));
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  describe("📈 Accrual Math", function () {
+    it("Should accrue the default 5% APY over a year", async function () {
+      expect(await simpleBankV21.interestRateBps()).to.equal(500);
+
+      const depositedAt = await timestampOf(simpleBankV21.connect(user1).deposit({ value: depositAmount }));
+      await time.increaseTo(depositedAt + ONE_YEAR);
+
+      expect(await simpleBankV21.calculateInterest(user1.address))
+        .to.equal(interestFor(depositAmount, 500, ONE_YEAR));
+      expect(interestFor(depositAmount, 500, ONE_YEAR)).to.be.closeTo(ethers.parseEther("0.5"), 10n);
+    });
+
+    it("Should not reset accrued interest when depositing again", async function () {
+      const halfYear = ONE_YEAR / 2;
+      const firstAt = await timestampOf(simpleBankV21.connect(user1).deposit({ value: depositAmount }));
+
+      await time.setNextBlockTimestamp(firstAt + halfYear);
+      await expect(simpleBankV21.connect(user1).deposit({ value: depositAmount }))
+        .to.emit(simpleBankV21, "InterestCalculated")
+        .withArgs(user1.address, interestFor(depositAmount, 500, halfYear), firstAt + halfYear);
+
+      await time.increaseTo(firstAt + ONE_YEAR);
+
+      const expected = interestFor(depositAmount, 500, halfYear) + interestFor(depositAmount * 2n, 500, halfYear);
+      expect(await simpleBankV21.calculateInterest(user1.address)).to.be.closeTo(expected, 2n);
+    });
+
+    it("Should settle both sides of a transfer at their old balances", async function () {
+      const depositedAt = await timestampOf(simpleBankV21.connect(user1).deposit({ value: depositAmount }));
+      await simpleBankV21.connect(user2).deposit({ value: depositAmount });
+
+      await time.setNextBlockTimestamp(depositedAt + ONE_YEAR);
+      const tx = simpleBankV21.connect(user1).transferTo(user2.address, ethers.parseEther("5.0"));
+
+      // user2's deposit moved the index one block later, so allow index rounding
+      const expected = interestFor(depositAmount, 500, ONE_YEAR);
+      await expect(tx).to.emit(simpleBankV21, "InterestCalculated")
+        .withArgs(user1.address, (interest) => interest <= expected && interest >= expected - 2n, anyValue);
+      await expect(tx).to.emit(simpleBankV21, "InterestCalculated")
+        .withArgs(user2.address, anyValue, anyValue);
+
+      // Accrual continues at the new balances
+      await time.increaseTo(depositedAt + 2 * ONE_YEAR);
+      const user1Interest = await simpleBankV21.calculateInterest(user1.address);
+      expect(user1Interest).to.be.closeTo(
+        interestFor(depositAmount, 500, ONE_YEAR) + interestFor(ethers.parseEther("5.0"), 500, ONE_YEAR),
+        2n
+      );
+    });
+
+    it("Should apply rate changes only from the moment they are made", async function () {
+      const halfYear = ONE_YEAR / 2;
+      const depositedAt = await timestampOf(simpleBankV21.connect(user1).deposit({ value: depositAmount }));
+
+      await time.setNextBlockTimestamp(depositedAt + halfYear);
+      await expect(simpleBankV21.connect(owner).setInterestRate(1000))
+        .to.emit(simpleBankV21, "InterestRateUpdated")
+        .withArgs(500, 1000, depositedAt + halfYear);
+
+      await time.increaseTo(depositedAt + ONE_YEAR);
+
+      const expected = interestFor(depositAmount, 500, halfYear) + interestFor(depositAmount, 1000, halfYear);
+      expect(await simpleBankV21.calculateInterest(user1.address)).to.be.closeTo(expected, 2n);
+    });
+
+    it("Should not accrue on empty accounts", async function () {
+      await time.increase(ONE_YEAR);
+      expect(await simpleBankV21.calculateInterest(user2.address)).to.equal(0);
+    });
+  });
+
+  describe("💸 Claims & Reserve", function () {
+    it("Should credit claimed interest to the balance from the reserve", async function () {
+      await expect(simpleBankV21.connect(owner).fundInterestReserve({ value: ethers.parseEther("1.0") }))
+        .to.emit(simpleBankV21, "InterestReserveFunded")
+        .withArgs(owner.address, ethers.parseEther("1.0"), ethers.parseEther("1.0"));
+
+      const depositedAt = await timestampOf(simpleBankV21.connect(user1).deposit({ value: depositAmount }));
+      await time.setNextBlockTimestamp(depositedAt + ONE_YEAR);
+
+      const interest = interestFor(depositAmount, 500, ONE_YEAR);
+      await expect(simpleBankV21.connect(user1).claimInterest())
+        .to.emit(simpleBankV21, "InterestClaimed")
+        .withArgs(user1.address, interest, depositAmount + interest, depositedAt + ONE_YEAR, 2);
+
+      expect((await simpleBankV21.accounts(user1.address)).balance).to.equal(depositAmount + interest);
+      expect(await simpleBankV21.calculateInterest(user1.address)).to.equal(0);
+
+      const [rateBps, reserve, totalAccrued] = await simpleBankV21.getInterestStats();
+      expect(rateBps).to.equal(500);
+      expect(reserve).to.equal(ethers.parseEther("1.0") - interest);
+      expect(totalAccrued).to.equal(0);
+      expect((await simpleBankV21.getBankStats()).totalDeposits).to.equal(depositAmount + interest);
+
+      const [record] = await new TransactionHistory(simpleBankV21).getHistory(user1, { type: "interest" });
+      expect(record).to.include({ id: 2, direction: "in", amount: interest });
+    });
+
+    it("Should refuse claims the reserve cannot cover", async function () {
+      const depositedAt = await timestampOf(simpleBankV21.connect(user1).deposit({ value: depositAmount }));
+      await time.setNextBlockTimestamp(depositedAt + ONE_YEAR);
+
+      await expect(simpleBankV21.connect(user1).claimInterest())
+        .to.be.revertedWithCustomError(simpleBankV21, "InsufficientInterestReserve")
+        .withArgs(interestFor(depositAmount, 500, ONE_YEAR), 0);
+    });
+
+    it("Should refuse claims with nothing accrued", async function () {
+      await expect(simpleBankV21.connect(user2).claimInterest())
+        .to.be.revertedWithCustomError(simpleBankV21, "NoInterestToClaim")
+        .withArgs(user2.address);
+    });
+
+    it("Should keep accrued interest through a full withdrawal", async function () {
+      await simpleBankV21.connect(owner).fundInterestReserve({ value: ethers.parseEther("1.0") });
+      const depositedAt = await timestampOf(simpleBankV21.connect(user1).deposit({ value: depositAmount }));
+
+      // Large withdrawals are held - fast-track it exactly one year in
+      await simpleBankV21.connect(user1).withdraw(depositAmount);
+      await time.setNextBlockTimestamp(depositedAt + ONE_YEAR);
+      await simpleBankV21.connect(owner).fastTrackWithdrawalHold(1);
+      await time.increase(ONE_YEAR);
+
+      const interest = interestFor(depositAmount, 500, ONE_YEAR);
+      expect(await simpleBankV21.calculateInterest(user1.address)).to.equal(interest);
+
+      await simpleBankV21.connect(user1).claimInterest();
+      expect((await simpleBankV21.accounts(user1.address)).balance).to.equal(interest);
+    });
+  });
+
+  describe("🔐 Access Control", function () {
+    it("Should only let operators change the rate, within bounds", async function () {
+      await expect(simpleBankV21.connect(attacker).setInterestRate(1000))
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess");
+
+      await expect(simpleBankV21.connect(owner).setInterestRate(2001))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidInterestRate")
+        .withArgs(2001, 2000);
+
+      await simpleBankV21.connect(owner).grantOperatorRole(user2.address);
+      await simpleBankV21.connect(user2).setInterestRate(0);
+      expect(await simpleBankV21.interestRateBps()).to.equal(0);
+    });
+
+    it("Should only let admins fund the reserve", async function () {
+      await expect(simpleBankV21.connect(attacker).fundInterestReserve({ value: 1n }))
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess");
+
+      await expect(simpleBankV21.connect(owner).fundInterestReserve({ value: 0n }))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidAmount");
+    });
+  });
+});
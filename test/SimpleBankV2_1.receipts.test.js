@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+describe("Simple Bank v2.1 - Receipt Rotation", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let bank;
+
+  const receipt = (i) => `QmReceipt${String(i).padStart(3, "0")}`;
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1 } = await loadFixture(deployBankFixture));
+    bank = simpleBankV21.connect(user1);
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  async function addReceipts(count) {
+    for (let i = 0; i < count; i++) {
+      await bank.addTransactionReceipt(receipt(i));
+    }
+  }
+
+  it("Should remove a receipt and keep the rest in order", async function () {
+    await addReceipts(4);
+
+    await expect(bank.removeTransactionReceipt(1))
+      .to.emit(simpleBankV21, "TransactionReceiptRemoved")
+      .withArgs(user1.address, receipt(1), anyValue);
+
+    expect(await simpleBankV21.getTransactionReceipts(user1.address)).to.deep.equal([receipt(0), receipt(2), receipt(3)]);
+    await expect(bank.removeTransactionReceipt(3))
+      .to.be.revertedWithCustomError(simpleBankV21, "ReceiptIndexOutOfRange")
+      .withArgs(3, 3);
+  });
+
+  it("Should archive the oldest receipts to make room at the cap", async function () {
+    const maximum = Number(await simpleBankV21.MAX_RECEIPTS_PER_USER());
+    await addReceipts(maximum);
+    await expect(bank.addTransactionReceipt("QmOneTooMany"))
+      .to.be.revertedWithCustomError(simpleBankV21, "MaxReceiptsExceeded");
+
+    await expect(bank.archiveTransactionReceipts(10, "QmArchive1"))
+      .to.emit(simpleBankV21, "TransactionReceiptsArchived")
+      .withArgs(user1.address, "QmArchive1", 10, anyValue);
+
+    const receipts = await simpleBankV21.getTransactionReceipts(user1.address);
+    expect(receipts).to.have.length(maximum - 10);
+    expect(receipts[0]).to.equal(receipt(10));
+    expect(receipts[receipts.length - 1]).to.equal(receipt(maximum - 1));
+    expect(await simpleBankV21.getReceiptArchive(user1.address)).to.equal("QmArchive1");
+
+    await bank.addTransactionReceipt("QmOneTooMany");
+  });
+
+  it("Should validate archive requests", async function () {
+    await addReceipts(2);
+
+    await expect(bank.archiveTransactionReceipts(0, "QmArchive1"))
+      .to.be.revertedWithCustomError(simpleBankV21, "InvalidReceiptCount")
+      .withArgs(0, 2);
+    await expect(bank.archiveTransactionReceipts(3, "QmArchive1"))
+      .to.be.revertedWithCustomError(simpleBankV21, "InvalidReceiptCount")
+      .withArgs(3, 2);
+    await expect(bank.archiveTransactionReceipts(1, ""))
+      .to.be.revertedWithCustomError(simpleBankV21, "InvalidIPFSHash");
+
+    // Archiving everything is allowed
+    await bank.archiveTransactionReceipts(2, "QmArchive1");
+    expect(await simpleBankV21.getReceiptCount(user1.address)).to.equal(0);
+  });
+
+  it("Should only touch the caller's receipts and respect pause", async function () {
+    await addReceipts(1);
+    await expect(simpleBankV21.connect(owner).removeTransactionReceipt(0))
+      .to.be.revertedWithCustomError(simpleBankV21, "ReceiptIndexOutOfRange");
+
+    await simpleBankV21.connect(owner).pause();
+    await expect(bank.removeTransactionReceipt(0)).to.be.revertedWith("Pausable: paused");
+    await expect(bank.archiveTransactionReceipts(1, "QmArchive1")).to.be.revertedWith("Pausable: paused");
+    await simpleBankV21.connect(owner).unpause();
+  });
+});
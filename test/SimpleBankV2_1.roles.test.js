@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+describe("Simple Bank v2.1 - Role Management", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let user2;
+  let ADMIN_ROLE;
+  let DEFAULT_ADMIN_ROLE;
+  let OPERATOR_ROLE;
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2 } = await loadFixture(deployBankFixture));
+    [ADMIN_ROLE, DEFAULT_ADMIN_ROLE, OPERATOR_ROLE] = await Promise.all([
+      simpleBankV21.ADMIN_ROLE(),
+      simpleBankV21.DEFAULT_ADMIN_ROLE(),
+      simpleBankV21.OPERATOR_ROLE()
+    ]);
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  async function roleMembers(role) {
+    const count = await simpleBankV21.getRoleMemberCount(role);
+    const members = [];
+    for (let i = 0n; i < count; i++) {
+      members.push(await simpleBankV21.getRoleMember(role, i));
+    }
+    return members;
+  }
+
+  describe("🔑 Enumeration & Revocation", function () {
+    it("Should enumerate role holders without the auditor role", async function () {
+      await simpleBankV21.connect(owner).grantOperatorRole(user1.address);
+
+      const bank = simpleBankV21.connect(user2);
+      expect(await bank.getRoleMemberCount(OPERATOR_ROLE)).to.equal(2);
+      expect(await bank.getRoleMember(OPERATOR_ROLE, 1)).to.equal(user1.address);
+      expect(await roleMembers(ADMIN_ROLE)).to.deep.equal([owner.address]);
+    });
+
+    it("Should revoke roles through the admin helpers", async function () {
+      const bank = simpleBankV21.connect(owner);
+      await bank.grantOperatorRole(user1.address);
+      await bank.grantAuditorRole(user1.address);
+      await bank.grantGuardianRole(user1.address);
+
+      await expect(bank.revokeOperatorRole(user1.address))
+        .to.emit(simpleBankV21, "RoleRevoked")
+        .withArgs(OPERATOR_ROLE, user1.address, owner.address);
+      await bank.revokeAuditorRole(user1.address);
+      await bank.revokeGuardianRole(user1.address);
+
+      for (const role of ["OPERATOR_ROLE", "AUDITOR_ROLE", "GUARDIAN_ROLE"]) {
+        expect(await simpleBankV21.hasRole(await simpleBankV21[role](), user1.address), role).to.be.false;
+      }
+      await expect(simpleBankV21.connect(user2).revokeOperatorRole(owner.address))
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess")
+        .withArgs(user2.address, ADMIN_ROLE);
+    });
+
+    it("Should never remove the last admin", async function () {
+      const bank = simpleBankV21.connect(owner);
+      await expect(bank.renounceRole(ADMIN_ROLE, owner.address))
+        .to.be.revertedWithCustomError(simpleBankV21, "LastAdmin")
+        .withArgs(ADMIN_ROLE);
+      await expect(bank.revokeRole(DEFAULT_ADMIN_ROLE, owner.address))
+        .to.be.revertedWithCustomError(simpleBankV21, "LastAdmin")
+        .withArgs(DEFAULT_ADMIN_ROLE);
+
+      // With a second admin in place the first may step down
+      await bank.grantRole(ADMIN_ROLE, user1.address);
+      await bank.renounceRole(ADMIN_ROLE, owner.address);
+      expect(await roleMembers(ADMIN_ROLE)).to.deep.equal([user1.address]);
+    });
+  });
+
+  describe("👑 Ownership Handover", function () {
+    it("Should hand ownership over in two steps", async function () {
+      await expect(simpleBankV21.connect(owner).transferOwnership(user1.address))
+        .to.emit(simpleBankV21, "OwnershipTransferStarted")
+        .withArgs(owner.address, user1.address);
+      expect(await simpleBankV21.pendingOwner()).to.equal(user1.address);
+
+      // Nothing changes until the new owner accepts
+      expect((await simpleBankV21.getBankStats()).owner).to.equal(owner.address);
+
+      await expect(simpleBankV21.connect(user1).acceptOwnership())
+        .to.emit(simpleBankV21, "OwnershipTransferred")
+        .withArgs(owner.address, user1.address);
+
+      expect((await simpleBankV21.getBankStats()).owner).to.equal(user1.address);
+      expect(await simpleBankV21.pendingOwner()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should leave admin roles to grantRole and revokeRole", async function () {
+      await simpleBankV21.connect(owner).transferOwnership(user1.address);
+      await expect(simpleBankV21.connect(user1).acceptOwnership())
+        .to.not.emit(simpleBankV21, "RoleGranted");
+
+      expect(await roleMembers(ADMIN_ROLE)).to.deep.equal([owner.address]);
+      expect(await roleMembers(DEFAULT_ADMIN_ROLE)).to.deep.equal([owner.address]);
+      await expect(simpleBankV21.connect(user1).toggleEmergencyMode())
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess");
+
+      // Admins hand their roles over separately
+      await simpleBankV21.connect(owner).grantRole(DEFAULT_ADMIN_ROLE, user1.address);
+      await simpleBankV21.connect(owner).grantRole(ADMIN_ROLE, user1.address);
+      await simpleBankV21.connect(owner).renounceRole(ADMIN_ROLE, owner.address);
+      await simpleBankV21.connect(owner).renounceRole(DEFAULT_ADMIN_ROLE, owner.address);
+      expect(await roleMembers(ADMIN_ROLE)).to.deep.equal([user1.address]);
+      await simpleBankV21.connect(user1).grantOperatorRole(user2.address);
+    });
+
+    it("Should only let the proposed owner accept", async function () {
+      await expect(simpleBankV21.connect(user1).acceptOwnership())
+        .to.be.revertedWithCustomError(simpleBankV21, "NotPendingOwner")
+        .withArgs(user1.address, ethers.ZeroAddress);
+
+      await simpleBankV21.connect(owner).transferOwnership(user1.address);
+      await expect(simpleBankV21.connect(user2).acceptOwnership())
+        .to.be.revertedWithCustomError(simpleBankV21, "NotPendingOwner")
+        .withArgs(user2.address, user1.address);
+      await expect(simpleBankV21.connect(user2).transferOwnership(user2.address))
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess");
+    });
+
+    it("Should cancel a pending transfer by proposing the zero address", async function () {
+      await simpleBankV21.connect(owner).transferOwnership(user1.address);
+      await simpleBankV21.connect(owner).transferOwnership(ethers.ZeroAddress);
+
+      await expect(simpleBankV21.connect(user1).acceptOwnership())
+        .to.be.revertedWithCustomError(simpleBankV21, "NotPendingOwner");
+      expect((await simpleBankV21.getBankStats()).owner).to.equal(owner.address);
+    });
+  });
+});
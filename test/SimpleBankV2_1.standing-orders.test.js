@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+const DAY = 24 * 60 * 60;
+
+describe("Simple Bank v2.1 - Standing Orders", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let user2;
+  let keeper;
+
+  const amount = ethers.parseEther("0.5");
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2, attacker: keeper } = await loadFixture(deployBankFixture));
+    await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("2.0") });
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  // Daily order starting now; ends after `count` payments
+  async function createDailyOrder(count = 3, overrides = {}) {
+    const { recipient = user2.address, endTime = 0, firstExecution = 0 } = overrides;
+    await simpleBankV21.connect(user1).createStandingOrder(recipient, amount, DAY, firstExecution, endTime, count);
+    return simpleBankV21.standingOrderCount();
+  }
+
+  describe("📝 Creating & Cancelling", function () {
+    it("Should store the order and list it for its owner", async function () {
+      const now = await time.latest();
+      await expect(simpleBankV21.connect(user1).createStandingOrder(user2.address, amount, DAY, now + DAY, now + 30 * DAY, 0))
+        .to.emit(simpleBankV21, "StandingOrderCreated")
+        .withArgs(1, user1.address, user2.address, amount, DAY, now + DAY, now + 30 * DAY, 0);
+
+      const order = await simpleBankV21.getStandingOrder(1);
+      expect(order.owner).to.equal(user1.address);
+      expect(order.recipient).to.equal(user2.address);
+      expect(order.nextExecution).to.equal(now + DAY);
+      expect(order.active).to.be.true;
+      expect(await simpleBankV21.getStandingOrdersOf(user1.address)).to.deep.equal([1n]);
+      expect(await simpleBankV21.isStandingOrderDue(1)).to.be.false;
+    });
+
+    it("Should reject orders that could never run or never end", async function () {
+      const bank = simpleBankV21.connect(user1);
+      const now = await time.latest();
+
+      await expect(bank.createStandingOrder(user1.address, amount, DAY, 0, 0, 1))
+        .to.be.revertedWithCustomError(simpleBankV21, "TransferToSelf");
+      await expect(bank.createStandingOrder(ethers.ZeroAddress, amount, DAY, 0, 0, 1))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidRecipient");
+      await expect(bank.createStandingOrder(user2.address, 0, DAY, 0, 0, 1))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidAmount");
+      await expect(bank.createStandingOrder(user2.address, amount, 60, 0, 0, 1))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidStandingOrder")
+        .withArgs("interval");
+      await expect(bank.createStandingOrder(user2.address, amount, DAY, now - 10, 0, 1))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidStandingOrder")
+        .withArgs("first execution");
+      await expect(bank.createStandingOrder(user2.address, amount, DAY, 0, 0, 0))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidStandingOrder")
+        .withArgs("no end");
+      await expect(bank.createStandingOrder(user2.address, amount, DAY, now + DAY, now + 10, 0))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidStandingOrder")
+        .withArgs("end time");
+    });
+
+    it("Should cap open orders per owner", async function () {
+      const maximum = await simpleBankV21.MAX_STANDING_ORDERS_PER_USER();
+      for (let i = 0n; i < maximum; i++) {
+        await createDailyOrder(1);
+      }
+      await expect(createDailyOrder(1))
+        .to.be.revertedWithCustomError(simpleBankV21, "MaxStandingOrdersExceeded")
+        .withArgs(maximum, maximum);
+
+      // Cancelling frees a slot
+      await simpleBankV21.connect(user1).cancelStandingOrder(1);
+      await createDailyOrder(1);
+    });
+
+    it("Should only let the owner cancel, even while paused", async function () {
+      const id = await createDailyOrder();
+
+      await expect(simpleBankV21.connect(user2).cancelStandingOrder(id))
+        .to.be.revertedWithCustomError(simpleBankV21, "NotStandingOrderOwner")
+        .withArgs(id, user2.address);
+
+      await simpleBankV21.connect(owner).pause();
+      await expect(simpleBankV21.connect(user1).cancelStandingOrder(id))
+        .to.emit(simpleBankV21, "StandingOrderCancelled")
+        .withArgs(id, user1.address, anyValue);
+      await simpleBankV21.connect(owner).unpause();
+
+      expect(await simpleBankV21.getStandingOrdersOf(user1.address)).to.deep.equal([]);
+      await expect(simpleBankV21.connect(user1).cancelStandingOrder(id))
+        .to.be.revertedWithCustomError(simpleBankV21, "StandingOrderNotActive");
+      await expect(simpleBankV21.connect(keeper).executeDue([id]))
+        .to.not.emit(simpleBankV21, "StandingOrderExecuted");
+    });
+  });
+
+  describe("⏰ Executing Due Orders", function () {
+    it("Should pay once per interval until the count runs out", async function () {
+      const id = await createDailyOrder(2);
+
+      await expect(simpleBankV21.connect(keeper).executeDue([id]))
+        .to.emit(simpleBankV21, "StandingOrderExecuted")
+        .withArgs(id, user1.address, amount, anyValue, anyValue)
+        .and.to.emit(simpleBankV21, "Transfer")
+        .withArgs(user1.address, user2.address, amount, anyValue, anyValue);
+
+      // Not due again until a day later - a second call is a no-op
+      await expect(simpleBankV21.connect(keeper).executeDue([id]))
+        .to.not.emit(simpleBankV21, "StandingOrderExecuted");
+
+      await time.increase(DAY);
+      await expect(simpleBankV21.connect(keeper).executeDue([id]))
+        .to.emit(simpleBankV21, "StandingOrderCompleted")
+        .withArgs(id, user1.address, anyValue);
+
+      expect((await simpleBankV21.accounts(user2.address)).balance).to.equal(amount * 2n);
+      expect((await simpleBankV21.getStandingOrder(id)).active).to.be.false;
+      expect(await simpleBankV21.getStandingOrdersOf(user1.address)).to.deep.equal([]);
+    });
+
+    it("Should stop after the end date", async function () {
+      const now = await time.latest();
+      const id = await createDailyOrder(0, { endTime: now + DAY + 60 });
+
+      await simpleBankV21.connect(keeper).executeDue([id]);
+      await time.increase(DAY);
+      await expect(simpleBankV21.connect(keeper).executeDue([id]))
+        .to.emit(simpleBankV21, "StandingOrderCompleted");
+      expect((await simpleBankV21.accounts(user2.address)).balance).to.equal(amount * 2n);
+    });
+
+    it("Should skip underfunded occurrences with an event", async function () {
+      const id = await createDailyOrder(3);
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("1.0"));
+      await simpleBankV21.connect(user1).transferTo(owner.address, ethers.parseEther("0.8"));
+
+      await expect(simpleBankV21.connect(keeper).executeDue([id]))
+        .to.emit(simpleBankV21, "StandingOrderSkipped")
+        .withArgs(id, user1.address, amount, ethers.parseEther("0.2"))
+        .and.to.not.emit(simpleBankV21, "Transfer");
+
+      // The skipped occurrence isn't retried, but the order keeps going
+      const order = await simpleBankV21.getStandingOrder(id);
+      expect(order.active).to.be.true;
+      expect(order.executionsLeft).to.equal(2);
+
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+      await time.increase(DAY);
+      await expect(simpleBankV21.connect(keeper).executeDue([id]))
+        .to.emit(simpleBankV21, "StandingOrderExecuted");
+    });
+
+    it("Should execute a mixed batch and ignore unknown ids", async function () {
+      const first = await createDailyOrder(1);
+      const now = await time.latest();
+      const later = await createDailyOrder(1, { firstExecution: now + DAY });
+
+      expect(await simpleBankV21.connect(keeper).executeDue.staticCall([first, later, 999n])).to.equal(1);
+      await simpleBankV21.connect(keeper).executeDue([first, later, 999n]);
+      expect((await simpleBankV21.getStandingOrder(later)).active).to.be.true;
+
+      await expect(simpleBankV21.connect(keeper).executeDue([]))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidBatchSize");
+    });
+
+    it("Should respect pause and emergency mode", async function () {
+      const id = await createDailyOrder();
+
+      await simpleBankV21.connect(owner).pause();
+      await expect(simpleBankV21.connect(keeper).executeDue([id])).to.be.revertedWith("Pausable: paused");
+      await simpleBankV21.connect(owner).unpause();
+
+      await simpleBankV21.connect(owner).toggleEmergencyMode();
+      await expect(simpleBankV21.connect(keeper).executeDue([id]))
+        .to.be.revertedWithCustomError(simpleBankV21, "EmergencyModeActive");
+      await expect(createDailyOrder())
+        .to.be.revertedWithCustomError(simpleBankV21, "EmergencyModeActive");
+    });
+  });
+});
@@ -1,5 +1,14 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades, artifacts } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { MODULE_NAMES, deployModules } = require("../scripts/utils/modules");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+// EIP-170: mainnet and Sepolia reject contracts with more runtime code
+const MAX_CODE_SIZE = 24576;
 
 describe("Simple Bank v2.1 - Basic Tests", function () {
   let simpleBankV21;
@@ -8,20 +17,19 @@ describe("Simple Bank v2.1 - Basic Tests", function () {
   let user2;
 
   beforeEach(async function () {
-    [owner, user1, user2] = await ethers.getSigners();
-    
     console.log("🏦 Deploying Simple Bank v2.1...");
     
-    const SimpleBankV21 = await ethers.getContractFactory("SimpleBankV2_1");
-    simpleBankV21 = await SimpleBankV21.deploy();
-    await simpleBankV21.waitForDeployment();
-    
-    // Initialize the upgradeable contract
-    await simpleBankV21.initialize();
+    // Deployed behind a proxy - initialize() runs inside the proxy constructor
+    ({ simpleBankV21, owner, user1, user2 } = await loadFixture(deployBankFixture));
     
     console.log(`✅ Contract deployed and initialized`);
   });
 
+  // Accounting must stay consistent whatever the test did
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
   describe("🏗️ Deployment & Initialization", function () {
     it("Should initialize correctly", async function () {
       const bankStats = await simpleBankV21.getBankStats();
@@ -36,6 +44,63 @@ describe("Simple Bank v2.1 - Basic Tests", function () {
       const ADMIN_ROLE = await simpleBankV21.ADMIN_ROLE();
       expect(await simpleBankV21.hasRole(ADMIN_ROLE, owner.address)).to.be.true;
     });
+
+    it("Should not allow re-initializing the proxy", async function () {
+      await expect(simpleBankV21.connect(user1).initialize(user1.address)).to.be.reverted;
+    });
+
+    it("Should not allow initializing the bare implementation", async function () {
+      const proxyAddress = await simpleBankV21.getAddress();
+      const implementationAddress = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+      const implementation = await ethers.getContractAt("SimpleBankV2_1", implementationAddress);
+
+      await expect(implementation.connect(user1).initialize(user1.address)).to.be.reverted;
+    });
+
+    it("Should keep balances across an upgrade", async function () {
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+
+      const SimpleBankV21 = await ethers.getContractFactory("SimpleBankV2_1");
+      const proxyAddress = await simpleBankV21.getAddress();
+      const { constructorArgs } = await deployModules(ethers, SimpleBankV21);
+      await upgrades.validateUpgrade(proxyAddress, SimpleBankV21, { constructorArgs });
+      const upgraded = await upgrades.upgradeProxy(proxyAddress, SimpleBankV21, { constructorArgs });
+
+      expect(await upgraded.getAddress()).to.equal(proxyAddress);
+      expect(await upgraded.connect(user1).getMyBalance()).to.equal(ethers.parseEther("1.0"));
+    });
+  });
+
+  describe("📦 Modules", function () {
+    it("Should keep the bank and each module under the code size limit", async function () {
+      for (const name of ["SimpleBankV2_1", ...MODULE_NAMES]) {
+        const { deployedBytecode } = await artifacts.readArtifact(name);
+        expect((deployedBytecode.length - 2) / 2, name).to.be.at.most(MAX_CODE_SIZE);
+      }
+    });
+
+    it("Should expose every module function on the bank", async function () {
+      for (const name of MODULE_NAMES) {
+        const Module = await ethers.getContractFactory(name);
+        Module.interface.forEachFunction((fn) => {
+          const entry = simpleBankV21.interface.getFunction(fn.selector);
+          expect(entry, `${name}.${fn.format()}`).to.not.be.null;
+          expect(entry.stateMutability, fn.format()).to.equal(fn.stateMutability);
+          expect(entry.outputs.map((output) => output.format()), fn.format())
+            .to.deep.equal(fn.outputs.map((output) => output.format()));
+        });
+      }
+    });
+
+    it("Should run module functions against the proxy's storage", async function () {
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+      await simpleBankV21.connect(user1).transferTo(user2.address, ethers.parseEther("0.25"));
+      await simpleBankV21.connect(user1).setUserProfile("QmProfileHash");
+
+      expect(await simpleBankV21.connect(user1).getMyBalance()).to.equal(ethers.parseEther("0.75"));
+      expect(await simpleBankV21.connect(user2).getMyBalance()).to.equal(ethers.parseEther("0.25"));
+      expect((await simpleBankV21.getUserProfile(user1.address)).profileHash).to.equal("QmProfileHash");
+    });
   });
 
   describe("💰 Basic Banking Functions", function () {
@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployTokenBankFixture, deployMockPriceFeed } = require("./helpers/fixtures");
+const { expectBankInvariants, expectTokenInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+describe("Simple Bank v2.1 - ERC-20 Accounts", function () {
+  let simpleBankV21;
+  let usdc;
+  let feeToken;
+  let owner;
+  let user1;
+  let user2;
+  let user3;
+  let attacker;
+  let usdcAddress;
+  let feeTokenAddress;
+
+  const usdcAmount = (whole) => BigInt(whole) * 10n ** 6n;
+
+  beforeEach(async function () {
+    ({ simpleBankV21, usdc, feeToken, owner, user1, user2, user3, attacker } = await loadFixture(deployTokenBankFixture));
+    usdcAddress = await usdc.getAddress();
+    feeTokenAddress = await feeToken.getAddress();
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+    await expectTokenInvariants(simpleBankV21, usdc);
+    await expectTokenInvariants(simpleBankV21, feeToken);
+  });
+
+  describe("📜 Token Allowlist", function () {
+    it("Should let only admins allowlist contracts with a price feed", async function () {
+      expect(await simpleBankV21.getTokens()).to.deep.equal([usdcAddress, feeTokenAddress]);
+      const stats = await simpleBankV21.getTokenStats(usdcAddress);
+      expect(stats.supported).to.be.true;
+      expect(stats.decimals).to.equal(6);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const dai = await MockERC20.deploy("Dai", "DAI", 18);
+      const daiFeed = await deployMockPriceFeed();
+      const daiAddress = await dai.getAddress();
+
+      await expect(simpleBankV21.connect(attacker).addSupportedToken(daiAddress, await daiFeed.getAddress()))
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess");
+      await expect(simpleBankV21.connect(owner).addSupportedToken(user1.address, await daiFeed.getAddress()))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidToken")
+        .withArgs(user1.address);
+      await expect(simpleBankV21.connect(owner).addSupportedToken(daiAddress, user1.address))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidPriceFeed");
+      await expect(simpleBankV21.connect(owner).addSupportedToken(usdcAddress, await daiFeed.getAddress()))
+        .to.be.revertedWithCustomError(simpleBankV21, "TokenAlreadySupported");
+
+      await expect(simpleBankV21.connect(owner).addSupportedToken(daiAddress, await daiFeed.getAddress()))
+        .to.emit(simpleBankV21, "TokenSupported")
+        .withArgs(daiAddress, await daiFeed.getAddress(), 18);
+      await expect(simpleBankV21.getTokenStats(user1.address))
+        .to.be.revertedWithCustomError(simpleBankV21, "TokenNotSupported");
+    });
+
+    it("Should keep balances withdrawable after a token is removed", async function () {
+      await simpleBankV21.connect(user1).depositToken(usdcAddress, usdcAmount(100));
+      await expect(simpleBankV21.connect(owner).removeSupportedToken(usdcAddress))
+        .to.emit(simpleBankV21, "TokenRemoved");
+
+      await expect(simpleBankV21.connect(user1).depositToken(usdcAddress, usdcAmount(1)))
+        .to.be.revertedWithCustomError(simpleBankV21, "TokenNotSupported")
+        .withArgs(usdcAddress);
+      await expect(simpleBankV21.connect(user1).transferToken(usdcAddress, user2.address, usdcAmount(1)))
+        .to.be.revertedWithCustomError(simpleBankV21, "TokenNotSupported");
+      await expect(simpleBankV21.connect(user1).withdrawToken(usdcAddress, usdcAmount(40)))
+        .to.changeTokenBalance(usdc, user1, usdcAmount(40));
+
+      // Re-adding keeps the remaining balance and doesn't duplicate the token
+      const newFeed = await deployMockPriceFeed();
+      await simpleBankV21.connect(owner).addSupportedToken(usdcAddress, await newFeed.getAddress());
+      expect(await simpleBankV21.getTokenBalance(usdcAddress, user1.address)).to.equal(usdcAmount(60));
+      expect(await simpleBankV21.getTokens()).to.have.length(2);
+      expect((await simpleBankV21.getTokenStats(usdcAddress)).tokenPriceFeed).to.equal(await newFeed.getAddress());
+    });
+  });
+
+  describe("💵 Deposits, Withdrawals & Transfers", function () {
+    it("Should keep per-token balances separate from ETH", async function () {
+      const bankAddress = await simpleBankV21.getAddress();
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+
+      const tx = simpleBankV21.connect(user1).depositToken(usdcAddress, usdcAmount(250));
+      await expect(tx).to.changeTokenBalances(usdc, [user1, bankAddress], [-usdcAmount(250), usdcAmount(250)]);
+      await expect(tx).to.emit(simpleBankV21, "TokenDeposit")
+        .withArgs(usdcAddress, user1.address, usdcAmount(250), usdcAmount(250), anyValue);
+
+      expect(await simpleBankV21.getTokenBalance(usdcAddress, user1.address)).to.equal(usdcAmount(250));
+      expect(await simpleBankV21.getTokenBalance(feeTokenAddress, user1.address)).to.equal(0);
+      expect((await simpleBankV21.accounts(user1.address)).balance).to.equal(ethers.parseEther("1.0"));
+
+      await expect(simpleBankV21.connect(user1).withdrawToken(usdcAddress, usdcAmount(251)))
+        .to.be.revertedWithCustomError(simpleBankV21, "InsufficientBalance")
+        .withArgs(usdcAmount(251), usdcAmount(250));
+      await expect(simpleBankV21.connect(user1).withdrawToken(usdcAddress, usdcAmount(50)))
+        .to.changeTokenBalance(usdc, user1, usdcAmount(50));
+
+      expect((await simpleBankV21.getTokenStats(usdcAddress)).totalDeposits).to.equal(usdcAmount(200));
+    });
+
+    it("Should transfer between token accounts and open new accounts", async function () {
+      await simpleBankV21.connect(user1).depositToken(usdcAddress, usdcAmount(100));
+
+      await expect(simpleBankV21.connect(user1).transferToken(usdcAddress, user3.address, usdcAmount(30)))
+        .to.emit(simpleBankV21, "TokenTransfer")
+        .withArgs(usdcAddress, user1.address, user3.address, usdcAmount(30), anyValue)
+        .and.to.emit(simpleBankV21, "AccountCreated");
+
+      expect(await simpleBankV21.getTokenBalance(usdcAddress, user1.address)).to.equal(usdcAmount(70));
+      expect(await simpleBankV21.getTokenBalance(usdcAddress, user3.address)).to.equal(usdcAmount(30));
+      expect((await simpleBankV21.getBankStats()).totalUsers).to.equal(2);
+
+      await expect(simpleBankV21.connect(user1).transferToken(usdcAddress, user1.address, 1n))
+        .to.be.revertedWithCustomError(simpleBankV21, "TransferToSelf");
+      await expect(simpleBankV21.connect(user1).transferToken(usdcAddress, user2.address, usdcAmount(71)))
+        .to.be.revertedWithCustomError(simpleBankV21, "InsufficientBalance");
+    });
+
+    it("Should credit fee-on-transfer tokens by what actually arrived", async function () {
+      const amount = ethers.parseEther("100");
+      const received = ethers.parseEther("99"); // 1% burned on the way in
+
+      await expect(simpleBankV21.connect(user1).depositToken(feeTokenAddress, amount))
+        .to.emit(simpleBankV21, "TokenDeposit")
+        .withArgs(feeTokenAddress, user1.address, received, received, anyValue);
+      expect(await simpleBankV21.getTokenBalance(feeTokenAddress, user1.address)).to.equal(received);
+
+      // The fee on the way out is the user's, the books still balance
+      await expect(simpleBankV21.connect(user1).withdrawToken(feeTokenAddress, received))
+        .to.changeTokenBalance(feeToken, user1, ethers.parseEther("98.01"));
+      expect((await simpleBankV21.getTokenStats(feeTokenAddress)).totalDeposits).to.equal(0);
+    });
+
+    it("Should respect pause and emergency mode", async function () {
+      await simpleBankV21.connect(user1).depositToken(usdcAddress, usdcAmount(100));
+      await simpleBankV21.connect(user2).depositToken(usdcAddress, usdcAmount(100));
+
+      await simpleBankV21.connect(owner).pause();
+      await expect(simpleBankV21.connect(user1).withdrawToken(usdcAddress, 1n)).to.be.revertedWith("Pausable: paused");
+      await simpleBankV21.connect(owner).unpause();
+
+      await simpleBankV21.connect(owner).toggleEmergencyMode();
+      await expect(simpleBankV21.connect(user1).depositToken(usdcAddress, 1n))
+        .to.be.revertedWithCustomError(simpleBankV21, "EmergencyModeActive");
+      await expect(simpleBankV21.connect(user1).transferToken(usdcAddress, user2.address, 1n))
+        .to.be.revertedWithCustomError(simpleBankV21, "EmergencyModeActive");
+
+      // Half the tokens are gone - each withdrawal pays half
+      await usdc.burn(await simpleBankV21.getAddress(), usdcAmount(100));
+      await expect(simpleBankV21.connect(user1).withdrawToken(usdcAddress, usdcAmount(100)))
+        .to.emit(simpleBankV21, "TokenWithdrawal")
+        .withArgs(usdcAddress, user1.address, usdcAmount(100), usdcAmount(50), 0, anyValue);
+      await expect(simpleBankV21.connect(user2).withdrawToken(usdcAddress, usdcAmount(100)))
+        .to.changeTokenBalance(usdc, user2, usdcAmount(50));
+    });
+  });
+
+  describe("💲 USD Valuation", function () {
+    it("Should value each token with its own feed and decimals", async function () {
+      await simpleBankV21.connect(user1).depositToken(usdcAddress, usdcAmount(250));
+      await simpleBankV21.connect(user1).depositToken(feeTokenAddress, ethers.parseEther("100"));
+
+      // 8-decimal USD like getBalanceInUSD: 250 USDC at $1, 99 FEE at $0.50
+      expect(await simpleBankV21.getTokenBalanceInUSD(usdcAddress, user1.address)).to.equal(250n * 10n ** 8n);
+      expect(await simpleBankV21.getTokenBalanceInUSD(feeTokenAddress, user1.address)).to.equal(4950n * 10n ** 6n);
+
+      await expect(simpleBankV21.getTokenBalanceInUSD(user2.address, user1.address))
+        .to.be.revertedWithCustomError(simpleBankV21, "TokenNotSupported");
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployImplementation, upgradeCall, validateAgainstProxy } = require("../scripts/upgrade");
+const { saveBuildInfo } = require("../scripts/utils/deployments");
+const { PROXY_ADMIN_ABI, encodeUpgradeCall } = require("../scripts/utils/governance");
+const { deployModules } = require("../scripts/utils/modules");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+const DAY = 24 * 60 * 60;
+const YEAR = 365 * DAY;
+
+// Proxy deployed with the first proxied implementation, holding a deposit
+async function deployLegacyBankFixture() {
+  const [owner, user1, user2] = await ethers.getSigners();
+
+  const LegacySimpleBank = await ethers.getContractFactory("LegacySimpleBank");
+  const legacyBank = await upgrades.deployProxy(LegacySimpleBank, [], { kind: "transparent" });
+  await legacyBank.waitForDeployment();
+  await legacyBank.connect(user1).deposit({ value: ethers.parseEther("2.0") });
+
+  // Granted before role members were enumerable
+  await legacyBank.connect(owner).grantOperatorRole(user2.address);
+  await legacyBank.connect(owner).grantAuditorRole(user2.address);
+  await legacyBank.connect(owner).revokeRole(await legacyBank.AUDITOR_ROLE(), user2.address);
+
+  return { legacyBank, owner, user1, user2 };
+}
+
+describe("Simple Bank v2.1 - Upgrading Older Proxies", function () {
+  let simpleBankV21;
+  let proxyAddress;
+  let owner;
+  let user1;
+  let user2;
+
+  beforeEach(async function () {
+    let legacyBank;
+    ({ legacyBank, owner, user1, user2 } = await loadFixture(deployLegacyBankFixture));
+    simpleBankV21 = undefined;
+    proxyAddress = await legacyBank.getAddress();
+  });
+
+  afterEach(async function () {
+    if (simpleBankV21) {
+      await expectBankInvariants(simpleBankV21);
+    }
+  });
+
+  // What scripts/upgrade.js does on an ungoverned deployment
+  async function upgradeProxy() {
+    const SimpleBankV21 = await ethers.getContractFactory("SimpleBankV2_1");
+    const call = await upgradeCall(proxyAddress, SimpleBankV21);
+    const { constructorArgs } = await deployModules(ethers, SimpleBankV21);
+    simpleBankV21 = await upgrades.upgradeProxy(proxyAddress, SimpleBankV21, {
+      kind: "transparent",
+      constructorArgs,
+      ...(call ? { call: { fn: call.fn, args: call.args } } : {})
+    });
+    return call;
+  }
+
+  describe("🧬 Reinitializer", function () {
+    it("Should run initializeV2 once, as part of the upgrade", async function () {
+      const call = await upgradeProxy();
+      expect(call).to.include({ fn: "initializeV2", fromVersion: 1 });
+
+      await expect(simpleBankV21.connect(owner).initializeV2([owner.address]))
+        .to.be.revertedWith("Initializable: contract is already initialized");
+      expect(await upgradeCall(proxyAddress, await ethers.getContractFactory("SimpleBankV2_1"))).to.be.null;
+    });
+
+    it("Should start interest accrual at the default rate", async function () {
+      await upgradeProxy();
+      const upgradedAt = await time.latest();
+
+      expect(await simpleBankV21.interestRateBps()).to.equal(await simpleBankV21.DEFAULT_INTEREST_RATE_BPS());
+      expect(await simpleBankV21.lastInterestUpdate()).to.equal(upgradedAt);
+
+      // A year at 5% on 2 ETH, counted from the upgrade rather than from 1970
+      await time.increase(YEAR);
+      const interest = await simpleBankV21.calculateInterest(user1.address);
+      expect(interest).to.be.closeTo(ethers.parseEther("0.1"), ethers.parseEther("0.0001"));
+    });
+
+    it("Should hold large withdrawals for the default delay", async function () {
+      await upgradeProxy();
+      expect(await simpleBankV21.withdrawalHoldDelay()).to.equal(await simpleBankV21.DEFAULT_WITHDRAWAL_HOLD_DELAY());
+      expect(await simpleBankV21.nextHoldId()).to.equal(1);
+
+      await expect(simpleBankV21.connect(user1).withdraw(ethers.parseEther("1.5")))
+        .to.emit(simpleBankV21, "WithdrawalHeld")
+        .withArgs(1, user1.address, ethers.parseEther("1.5"), anyValue);
+      const hold = await simpleBankV21.getWithdrawalHold(1);
+      expect(hold.releaseAt - hold.requestedAt).to.equal(DAY);
+
+      // Approved, but still waiting out the delay
+      await simpleBankV21.connect(owner).approveWithdrawalHold(1);
+      await expect(simpleBankV21.connect(user1).executeWithdrawalHold(1))
+        .to.be.revertedWithCustomError(simpleBankV21, "HoldNotReleased");
+    });
+
+    it("Should make roles granted before the upgrade enumerable", async function () {
+      const call = await upgradeProxy();
+      expect(call.args[0]).to.have.members([owner.address, user2.address]);
+
+      const [ADMIN_ROLE, DEFAULT_ADMIN_ROLE, OPERATOR_ROLE, AUDITOR_ROLE] = await Promise.all([
+        simpleBankV21.ADMIN_ROLE(),
+        simpleBankV21.DEFAULT_ADMIN_ROLE(),
+        simpleBankV21.OPERATOR_ROLE(),
+        simpleBankV21.AUDITOR_ROLE()
+      ]);
+      expect(await simpleBankV21.getRoleMemberCount(ADMIN_ROLE)).to.equal(1);
+      expect(await simpleBankV21.getRoleMember(DEFAULT_ADMIN_ROLE, 0)).to.equal(owner.address);
+      expect(await simpleBankV21.getRoleMemberCount(OPERATOR_ROLE)).to.equal(2);
+      expect(await simpleBankV21.getRoleMember(OPERATOR_ROLE, 1)).to.equal(user2.address);
+      // Revoked before the upgrade, so not a member
+      expect(await simpleBankV21.getRoleMemberCount(AUDITOR_ROLE)).to.equal(1);
+
+      await expect(simpleBankV21.connect(owner).renounceRole(ADMIN_ROLE, owner.address))
+        .to.be.revertedWithCustomError(simpleBankV21, "LastAdmin")
+        .withArgs(ADMIN_ROLE);
+    });
+
+    it("Should refuse an upgrade that leaves the admin sets empty", async function () {
+      const SimpleBankV21 = await ethers.getContractFactory("SimpleBankV2_1");
+      const { constructorArgs } = await deployModules(ethers, SimpleBankV21);
+      await expect(upgrades.upgradeProxy(proxyAddress, SimpleBankV21, {
+        kind: "transparent",
+        constructorArgs,
+        call: { fn: "initializeV2", args: [[user1.address]] }
+      })).to.be.revertedWithCustomError(SimpleBankV21, "IncompleteRoleBackfill");
+    });
+
+    it("Should not let anyone run initializeV2 on newer proxies", async function () {
+      let attacker;
+      ({ simpleBankV21, owner, attacker } = await loadFixture(deployBankFixture));
+      await simpleBankV21.connect(owner).setInterestRate(1000);
+      const lastUpdate = await simpleBankV21.lastInterestUpdate();
+
+      // initialize() leaves fresh proxies at version 2, with nothing to upgrade
+      expect(await upgradeCall(await simpleBankV21.getAddress(), await ethers.getContractFactory("SimpleBankV2_1"))).to.be.null;
+      for (const caller of [attacker, owner]) {
+        await expect(simpleBankV21.connect(caller).initializeV2([caller.address]))
+          .to.be.revertedWith("Initializable: contract is already initialized");
+      }
+      expect(await simpleBankV21.interestRateBps()).to.equal(1000);
+      expect(await simpleBankV21.lastInterestUpdate()).to.equal(lastUpdate);
+    });
+
+    it("Should not let initialize() run on a proxy an older version initialized", async function () {
+      const [, , , attacker] = await ethers.getSigners();
+      // Upgraded without initializeV2, so still at version 1
+      const SimpleBankV21 = await ethers.getContractFactory("SimpleBankV2_1");
+      const { constructorArgs } = await deployModules(ethers, SimpleBankV21);
+      simpleBankV21 = await upgrades.upgradeProxy(proxyAddress, SimpleBankV21, { kind: "transparent", constructorArgs });
+      expect(await upgradeCall(proxyAddress, SimpleBankV21)).to.include({ fromVersion: 1 });
+
+      await expect(simpleBankV21.connect(attacker).initialize(await simpleBankV21.getPriceFeed()))
+        .to.be.revertedWith("Initializable: contract is already initialized");
+      expect(await simpleBankV21.hasRole(await simpleBankV21.ADMIN_ROLE(), attacker.address)).to.be.false;
+    });
+  });
+
+  describe("🧱 Storage Layout Check", function () {
+    let deploymentsDir;
+
+    beforeEach(function () {
+      deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "bank-build-info-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    // Points the proxy at an implementation the local manifest has never
+    // seen, as on a machine without the deployer's .openzeppelin folder. Each
+    // test deploys from its own signer so the address is new to the manifest.
+    async function runUnregistered(contractName, signerIndex) {
+      const deployer = (await ethers.getSigners())[signerIndex];
+      const { constructorArgs } = await deployModules(ethers, await ethers.getContractFactory(contractName));
+      const implementation = await (await ethers.deployContract(contractName, constructorArgs, deployer)).getAddress();
+      await owner.sendTransaction({ to: await upgrades.erc1967.getAdminAddress(proxyAddress), data: encodeUpgradeCall(proxyAddress, implementation) });
+
+      return {
+        contractName,
+        proxy: { kind: "transparent", address: proxyAddress, implementation }
+      };
+    }
+
+    it("Should fail closed without the deployed implementation's build info", async function () {
+      const deployment = await runUnregistered("LegacySimpleBank", 10);
+      const SimpleBankV21 = await ethers.getContractFactory("SimpleBankV2_1");
+
+      await expect(validateAgainstProxy(deployment, "SimpleBankV2_1", SimpleBankV21, { deploymentsDir }))
+        .to.be.rejectedWith(/no build info was recorded/);
+    });
+
+    it("Should check against the recorded build info and upgrade", async function () {
+      const deployment = await runUnregistered("LegacySimpleBank", 11);
+      deployment.proxy.buildInfo = await saveBuildInfo(hre.artifacts, "LegacySimpleBank", { network: "hardhat", ...deployment.proxy }, deploymentsDir);
+      const SimpleBankV21 = await ethers.getContractFactory("SimpleBankV2_1");
+
+      expect(await validateAgainstProxy(deployment, "SimpleBankV2_1", SimpleBankV21, { deploymentsDir })).to.be.false;
+
+      // What scripts/upgrade.js then does: deploy on its own, upgrade through the ProxyAdmin
+      const { constructorArgs } = await deployModules(ethers, SimpleBankV21);
+      const implementation = await deployImplementation(proxyAddress, SimpleBankV21, { kind: "transparent", registered: false, constructorArgs });
+      const call = await upgradeCall(proxyAddress, SimpleBankV21);
+      const proxyAdmin = new ethers.Contract(await upgrades.erc1967.getAdminAddress(proxyAddress), PROXY_ADMIN_ABI, owner);
+      await proxyAdmin.upgradeAndCall(proxyAddress, implementation, SimpleBankV21.interface.encodeFunctionData(call.fn, call.args));
+
+      simpleBankV21 = SimpleBankV21.attach(proxyAddress);
+      expect(await upgrades.erc1967.getImplementationAddress(proxyAddress)).to.equal(implementation);
+      expect(await simpleBankV21.interestRateBps()).to.equal(await simpleBankV21.DEFAULT_INTEREST_RATE_BPS());
+    });
+
+    it("Should reject a layout that doesn't extend the deployed one", async function () {
+      const deployment = await runUnregistered("SimpleBankV2_1", 12);
+      deployment.proxy.buildInfo = await saveBuildInfo(hre.artifacts, "SimpleBankV2_1", { network: "hardhat", ...deployment.proxy }, deploymentsDir);
+      const LegacySimpleBank = await ethers.getContractFactory("LegacySimpleBank");
+
+      await expect(validateAgainstProxy(deployment, "LegacySimpleBank", LegacySimpleBank, { deploymentsDir }))
+        .to.be.rejectedWith(/LegacySimpleBank is not a safe upgrade from the deployed SimpleBankV2_1/);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+// Mirrors SimpleBankV2_1.HoldStatus
+const HoldStatus = { None: 0, Pending: 1, Approved: 2, Released: 3, Rejected: 4, Cancelled: 5 };
+
+describe("Simple Bank v2.1 - Withdrawal Limits & Holds", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let user2;
+  let attacker;
+
+  const depositAmount = ethers.parseEther("10.0");
+  const largeAmount = ethers.parseEther("4.0");
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2, attacker } = await loadFixture(deployBankFixture));
+    await simpleBankV21.connect(user1).deposit({ value: depositAmount });
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  describe("⏳ Large Withdrawal Holds", function () {
+    it("Should hold withdrawals above the threshold and lock the funds", async function () {
+      const delay = await simpleBankV21.withdrawalHoldDelay();
+      expect(delay).to.equal(24 * 60 * 60);
+
+      const tx = simpleBankV21.connect(user1).withdraw(largeAmount);
+      await expect(tx).to.changeEtherBalance(user1, 0);
+      await expect(tx).to.emit(simpleBankV21, "WithdrawalHeld").withArgs(1, user1.address, largeAmount, anyValue);
+
+      const hold = await simpleBankV21.getWithdrawalHold(1);
+      expect(hold.user).to.equal(user1.address);
+      expect(hold.amount).to.equal(largeAmount);
+      expect(hold.releaseAt - hold.requestedAt).to.equal(delay);
+      expect(hold.status).to.equal(HoldStatus.Pending);
+      expect(await simpleBankV21.getOpenWithdrawalHolds()).to.deep.equal([1n]);
+
+      // Held funds can't be withdrawn or transferred again
+      expect(await simpleBankV21.getAvailableBalance(user1.address)).to.equal(depositAmount - largeAmount);
+      await expect(simpleBankV21.connect(user1).transferTo(user2.address, ethers.parseEther("7.0")))
+        .to.be.revertedWithCustomError(simpleBankV21, "InsufficientBalance")
+        .withArgs(ethers.parseEther("7.0"), depositAmount - largeAmount);
+    });
+
+    it("Should pay approved holds only after the delay", async function () {
+      await simpleBankV21.connect(user1).withdraw(largeAmount);
+      const { releaseAt } = await simpleBankV21.getWithdrawalHold(1);
+
+      await expect(simpleBankV21.connect(user1).executeWithdrawalHold(1))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidHoldStatus")
+        .withArgs(1, HoldStatus.Pending);
+
+      await expect(simpleBankV21.connect(owner).approveWithdrawalHold(1))
+        .to.emit(simpleBankV21, "WithdrawalHoldApproved")
+        .withArgs(1, owner.address, anyValue);
+
+      await expect(simpleBankV21.connect(user1).executeWithdrawalHold(1))
+        .to.be.revertedWithCustomError(simpleBankV21, "HoldNotReleased");
+
+      await time.increaseTo(releaseAt);
+      await expect(simpleBankV21.connect(user2).executeWithdrawalHold(1))
+        .to.be.revertedWithCustomError(simpleBankV21, "NotHoldOwner")
+        .withArgs(1, user2.address);
+
+      const tx = simpleBankV21.connect(user1).executeWithdrawalHold(1);
+      await expect(tx).to.changeEtherBalance(user1, largeAmount);
+      await expect(tx).to.emit(simpleBankV21, "WithdrawalHoldReleased").withArgs(1, user1.address, largeAmount, false);
+      await expect(tx).to.emit(simpleBankV21, "LargeTransactionAlert").withArgs(user1.address, largeAmount, "withdrawal");
+
+      expect((await simpleBankV21.getWithdrawalHold(1)).status).to.equal(HoldStatus.Released);
+      expect(await simpleBankV21.heldBalance(user1.address)).to.equal(0);
+      expect(await simpleBankV21.getOpenWithdrawalHolds()).to.be.empty;
+      expect(await simpleBankV21.connect(user1).getMyBalance()).to.equal(depositAmount - largeAmount);
+    });
+
+    it("Should let operators fast-track a hold", async function () {
+      await simpleBankV21.connect(user1).withdraw(largeAmount);
+
+      const tx = simpleBankV21.connect(owner).fastTrackWithdrawalHold(1);
+      await expect(tx).to.changeEtherBalance(user1, largeAmount);
+      await expect(tx).to.emit(simpleBankV21, "WithdrawalHoldReleased").withArgs(1, user1.address, largeAmount, true);
+      await expect(tx).to.emit(simpleBankV21, "Withdrawal");
+
+      await expect(simpleBankV21.connect(owner).fastTrackWithdrawalHold(1))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidHoldStatus")
+        .withArgs(1, HoldStatus.Released);
+    });
+
+    it("Should unlock funds when a hold is rejected or cancelled", async function () {
+      await simpleBankV21.connect(user1).withdraw(largeAmount);
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("2.0"));
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("3.0"));
+      expect(await simpleBankV21.getOpenWithdrawalHolds()).to.deep.equal([1n, 2n, 3n]);
+
+      await expect(simpleBankV21.connect(owner).rejectWithdrawalHold(1))
+        .to.emit(simpleBankV21, "WithdrawalHoldRejected")
+        .withArgs(1, owner.address, anyValue);
+      await expect(simpleBankV21.connect(user2).cancelWithdrawalHold(2))
+        .to.be.revertedWithCustomError(simpleBankV21, "NotHoldOwner");
+      await expect(simpleBankV21.connect(user1).cancelWithdrawalHold(2))
+        .to.emit(simpleBankV21, "WithdrawalHoldCancelled")
+        .withArgs(2, user1.address, anyValue);
+
+      expect(await simpleBankV21.getOpenWithdrawalHolds()).to.deep.equal([3n]);
+      expect(await simpleBankV21.heldBalance(user1.address)).to.equal(ethers.parseEther("3.0"));
+      expect((await simpleBankV21.getWithdrawalHold(1)).status).to.equal(HoldStatus.Rejected);
+      expect((await simpleBankV21.getWithdrawalHold(2)).status).to.equal(HoldStatus.Cancelled);
+
+      await expect(simpleBankV21.connect(owner).approveWithdrawalHold(1))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidHoldStatus")
+        .withArgs(1, HoldStatus.Rejected);
+    });
+
+    it("Should keep hold management to operators", async function () {
+      await simpleBankV21.connect(user1).withdraw(largeAmount);
+
+      for (const action of ["approveWithdrawalHold", "rejectWithdrawalHold", "fastTrackWithdrawalHold"]) {
+        await expect(simpleBankV21.connect(attacker)[action](1))
+          .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess");
+      }
+      await expect(simpleBankV21.connect(attacker).setWithdrawalHoldDelay(0))
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess");
+      await expect(simpleBankV21.connect(owner).setWithdrawalHoldDelay(8 * 24 * 60 * 60))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidHoldDelay");
+
+      await simpleBankV21.connect(owner).grantOperatorRole(user2.address);
+      await expect(simpleBankV21.connect(user2).setWithdrawalHoldDelay(60 * 60))
+        .to.emit(simpleBankV21, "WithdrawalHoldDelayUpdated")
+        .withArgs(24 * 60 * 60, 60 * 60, anyValue);
+      await simpleBankV21.connect(user2).approveWithdrawalHold(1);
+    });
+  });
+
+  describe("📅 Daily Withdrawal Caps", function () {
+    it("Should enforce the per-user daily cap and reset it the next day", async function () {
+      await expect(simpleBankV21.connect(owner).setWithdrawalLimits(ethers.parseEther("1.5"), 0))
+        .to.emit(simpleBankV21, "WithdrawalLimitsUpdated")
+        .withArgs(ethers.parseEther("1.5"), 0, anyValue);
+
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("1.0"));
+      await expect(simpleBankV21.connect(user1).withdraw(ethers.parseEther("1.0")))
+        .to.be.revertedWithCustomError(simpleBankV21, "UserDailyLimitExceeded")
+        .withArgs(ethers.parseEther("1.0"), ethers.parseEther("0.5"));
+
+      const [userRemaining, globalRemaining] = await simpleBankV21.getRemainingDailyWithdrawals(user1.address);
+      expect(userRemaining).to.equal(ethers.parseEther("0.5"));
+      expect(globalRemaining).to.equal(ethers.MaxUint256);
+
+      await time.increase(24 * 60 * 60);
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("1.0"));
+    });
+
+    it("Should enforce the global daily cap across users", async function () {
+      await simpleBankV21.connect(user2).deposit({ value: depositAmount });
+      await simpleBankV21.connect(owner).setWithdrawalLimits(0, ethers.parseEther("1.5"));
+
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("1.0"));
+      await expect(simpleBankV21.connect(user2).withdraw(ethers.parseEther("1.0")))
+        .to.be.revertedWithCustomError(simpleBankV21, "GlobalDailyLimitExceeded")
+        .withArgs(ethers.parseEther("1.0"), ethers.parseEther("0.5"));
+    });
+
+    it("Should count held withdrawals against the cap when they are paid out", async function () {
+      await simpleBankV21.connect(owner).setWithdrawalLimits(ethers.parseEther("5.0"), 0);
+      await simpleBankV21.connect(user1).withdraw(largeAmount);
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("1.0"));
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("0.5"));
+
+      await expect(simpleBankV21.connect(owner).fastTrackWithdrawalHold(1))
+        .to.be.revertedWithCustomError(simpleBankV21, "UserDailyLimitExceeded")
+        .withArgs(largeAmount, ethers.parseEther("3.5"));
+    });
+
+    it("Should only let operators change the caps", async function () {
+      await expect(simpleBankV21.connect(attacker).setWithdrawalLimits(0, 0))
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess");
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  resolveBlockRange,
+  buildAuditReport,
+  toCsv,
+  signAuditReport,
+  verifyAuditReport,
+  writeAuditReport
+} = require("../scripts/audit-report");
+const { deployBankFixture } = require("./helpers/fixtures");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+describe("Simple Bank - Audit Report", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let user2;
+  let auditor;
+  let fromBlock;
+  let toBlock;
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2 } = await loadFixture(deployBankFixture));
+    [, , , , , auditor] = await ethers.getSigners();
+    fromBlock = (await simpleBankV21.deploymentTransaction().wait()).blockNumber;
+
+    await simpleBankV21.connect(owner).grantAuditorRole(auditor.address);
+    await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("3.0") });
+    await simpleBankV21.connect(user1).transferTo(user2.address, ethers.parseEther("1.0"));
+    await simpleBankV21.connect(user2).withdraw(ethers.parseEther("0.5"));
+    await simpleBankV21.connect(owner).toggleEmergencyMode();
+    await simpleBankV21.connect(owner).toggleEmergencyMode();
+    await simpleBankV21.connect(owner).pause();
+    await simpleBankV21.connect(owner).unpause();
+    toBlock = await ethers.provider.getBlockNumber();
+  });
+
+  it("Should collect balances, flows, role changes, toggles and invariants", async function () {
+    const report = await buildAuditReport(simpleBankV21.connect(auditor), { fromBlock, toBlock, network: "hardhat" });
+
+    expect(report.period).to.include({ fromBlock, toBlock });
+    expect(report.snapshot).to.include({ totalDeposits: ethers.parseEther("2.5").toString(), totalUsers: 2, paused: false });
+    expect(report.balances.map((b) => [b.account, b.balance])).to.deep.equal([
+      [user1.address, ethers.parseEther("2.0").toString()],
+      [user2.address, ethers.parseEther("0.5").toString()]
+    ]);
+    expect(report.flows.volumeByType).to.deep.equal({ deposit: "3.0", withdrawal: "0.5", transfer: "1.0" });
+    expect(report.flows.byAccount.find((f) => f.account === user2.address)).to.include({
+      transfersIn: ethers.parseEther("1.0").toString(),
+      withdrawals: ethers.parseEther("0.5").toString()
+    });
+    expect(report.roles.AUDITOR_ROLE).to.deep.equal([owner.address, auditor.address]);
+    expect(report.roleChanges.map((c) => [c.event, c.role, c.account])).to.deep.include(
+      ["RoleGranted", "AUDITOR_ROLE", auditor.address]
+    );
+    expect(report.controlEvents.map((e) => e.event)).to.deep.equal([
+      "EmergencyModeToggled", "EmergencyModeToggled", "Paused", "Unpaused"
+    ]);
+    expect(report.controlEvents[0].enabled).to.be.true;
+    expect(report.invariants.solvent).to.be.true;
+  });
+
+  it("Should refuse to build a report without the auditor role", async function () {
+    await expect(buildAuditReport(simpleBankV21.connect(user1), { fromBlock, toBlock, network: "hardhat" }))
+      .to.be.rejectedWith(/UnauthorizedAccess|reverted/);
+  });
+
+  it("Should sign the JSON and CSV together and detect tampering", async function () {
+    const report = await buildAuditReport(simpleBankV21.connect(auditor), { fromBlock, toBlock, network: "hardhat" });
+    const csv = toCsv(report);
+    const signed = await signAuditReport(report, csv, auditor);
+
+    expect(csv.split("\n")[0]).to.equal(
+      "account,balance_wei,held_wei,deposits_wei,withdrawals_wei,transfers_in_wei,transfers_out_wei,interest_wei"
+    );
+    expect(csv).to.contain(`${user1.address},${ethers.parseEther("2.0")},0,${ethers.parseEther("3.0")},0,0,${ethers.parseEther("1.0")},0`);
+
+    const reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), "bank-reports-"));
+    try {
+      const { jsonFile, csvFile } = writeAuditReport(signed, csv, "hardhat", reportsDir);
+      const loaded = JSON.parse(fs.readFileSync(jsonFile, "utf8"));
+      expect(verifyAuditReport(loaded, fs.readFileSync(csvFile, "utf8"))).to.equal(auditor.address);
+
+      loaded.report.snapshot.totalDeposits = "0";
+      expect(() => verifyAuditReport(loaded)).to.throw(/digest mismatch/);
+      expect(() => verifyAuditReport(signed, csv.replace("0,0", "1,0"))).to.throw(/CSV digest mismatch/);
+    } finally {
+      fs.rmSync(reportsDir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should resolve AUDIT_MONTH to the blocks inside that month", async function () {
+    await time.setNextBlockTimestamp(Date.UTC(2030, 0, 1) / 1000);
+    await simpleBankV21.connect(user1).deposit({ value: 1n });
+    const januaryFirst = await ethers.provider.getBlockNumber();
+    await time.setNextBlockTimestamp(Date.UTC(2030, 0, 20) / 1000);
+    await simpleBankV21.connect(user1).deposit({ value: 1n });
+    const januaryLast = await ethers.provider.getBlockNumber();
+    await time.setNextBlockTimestamp(Date.UTC(2030, 1, 2) / 1000);
+    await simpleBankV21.connect(user1).deposit({ value: 1n });
+
+    const range = await resolveBlockRange(ethers.provider, {}, { AUDIT_MONTH: "2030-01" });
+
+    expect(range).to.deep.equal({ fromBlock: januaryFirst, toBlock: januaryLast });
+    await expect(resolveBlockRange(ethers.provider, {}, { AUDIT_MONTH: "2031-05" })).to.be.rejectedWith(/No blocks/);
+    await expect(resolveBlockRange(ethers.provider, {}, { AUDIT_MONTH: "May" })).to.be.rejectedWith(/AUDIT_MONTH/);
+  });
+});
@@ -0,0 +1,192 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { roleHash } = require("../tasks/bank");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+describe("Simple Bank - Hardhat Tasks", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let user2;
+  let address;
+  let output;
+
+  // Runs a task against the fixture's bank and captures what it prints
+  async function runTask(name, args = {}) {
+    const log = console.log;
+    output = [];
+    console.log = (...parts) => output.push(parts.join(" "));
+    try {
+      return await hre.run(name, { address, ...args });
+    } finally {
+      console.log = log;
+    }
+  }
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2 } = await loadFixture(deployBankFixture));
+    address = await simpleBankV21.getAddress();
+    await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.5") });
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  describe("📊 Reads", function () {
+    it("Should show bank stats with USD amounts", async function () {
+      const stats = await runTask("bank:stats");
+
+      expect(stats).to.include({ totalUsers: 1, paused: false, emergencyMode: false, network: "hardhat" });
+      expect(stats.totalDeposits).to.equal(ethers.parseEther("1.5"));
+      expect(output).to.include("   Total deposits: 1.5 ETH ($3000.00)");
+      expect(output).to.include("   ETH/USD: $2000.00");
+    });
+
+    it("Should print JSON with --json", async function () {
+      await runTask("bank:user", { account: user1.address, json: true });
+
+      const printed = JSON.parse(output.join("\n"));
+      expect(printed.address).to.equal(user1.address);
+      expect(printed.balance).to.equal(ethers.parseEther("1.5").toString());
+      expect(printed.transactionCount).to.equal(1);
+    });
+
+    it("Should list paged and recent history", async function () {
+      await simpleBankV21.connect(user1).transferTo(user2.address, ethers.parseEther("0.5"));
+
+      const { transactions } = await runTask("bank:history", { account: user1.address });
+      expect(transactions.map((tx) => [tx.type, tx.direction])).to.deep.equal([["deposit", "in"], ["transfer", "out"]]);
+      expect(output[output.length - 1]).to.include(`transfer out 0.5 ETH to ${user2.address}`);
+
+      // Newest first, unused ring slots skipped
+      const recent = await runTask("bank:history", { account: user1.address, recent: true });
+      expect(recent.transactions.map((tx) => tx.type)).to.deep.equal(["transfer", "deposit"]);
+    });
+
+    it("Should need a deployment file or --address", async function () {
+      address = undefined;
+      await expect(runTask("bank:stats")).to.be.rejectedWith("No deployment found for hardhat");
+    });
+  });
+
+  describe("💸 Transactions", function () {
+    it("Should deposit, transfer and withdraw from the chosen account", async function () {
+      const deposit = await runTask("bank:deposit", { amount: "0.25", from: user2.address });
+      expect(deposit.newBalance).to.equal(ethers.parseEther("0.25"));
+
+      await runTask("bank:transfer", { to: user1.address, amount: "0.1", from: user2.address });
+      const withdrawal = await runTask("bank:withdraw", { amount: "0.05", from: user2.address });
+      expect(withdrawal.held).to.be.false;
+
+      expect((await simpleBankV21.getUserStats(user2.address)).balance).to.equal(ethers.parseEther("0.1"));
+      expect(output[0]).to.equal("✅ Withdrawal of 0.05 ETH");
+    });
+
+    it("Should deposit for another account", async function () {
+      await runTask("bank:deposit", { amount: "0.5", for: user2.address });
+      expect((await simpleBankV21.getUserStats(user2.address)).balance).to.equal(ethers.parseEther("0.5"));
+    });
+
+    it("Should simulate with --dry-run without sending", async function () {
+      const result = await runTask("bank:withdraw", { amount: "0.5", from: user1.address, dryRun: true });
+
+      expect(result.dryRun).to.be.true;
+      expect(output).to.deep.equal(["🧪 Dry run: Withdrawal of 0.5 ETH would succeed"]);
+      expect((await simpleBankV21.getUserStats(user1.address)).balance).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("Should report decoded contract errors", async function () {
+      await expect(runTask("bank:withdraw", { amount: "5", from: user1.address, dryRun: true }))
+        .to.be.rejectedWith("Insufficient balance: requested 5 ETH, available 1.5 ETH");
+      await expect(runTask("bank:transfer", { to: user1.address, amount: "0.1", from: user1.address }))
+        .to.be.rejectedWith("Cannot transfer to yourself");
+
+      await expect(runTask("bank:withdraw", { amount: "5", from: user1.address, json: true })).to.be.rejected;
+      expect(JSON.parse(output.join("\n")).error).to.include({ name: "InsufficientBalance" });
+    });
+
+    it("Should validate amounts and addresses before sending", async function () {
+      await expect(runTask("bank:deposit", { amount: "-1" })).to.be.rejectedWith('Invalid amount "-1"');
+      await expect(runTask("bank:transfer", { to: "0x1234", amount: "0.1" })).to.be.rejectedWith('Invalid recipient address "0x1234"');
+    });
+  });
+
+  describe("🛡️ Operations", function () {
+    it("Should pause and unpause idempotently", async function () {
+      await runTask("bank:pause");
+      expect(await simpleBankV21.paused()).to.be.true;
+
+      const again = await runTask("bank:pause");
+      expect(again.changed).to.be.false;
+      expect(output).to.deep.equal(["ℹ️ Bank is already paused"]);
+
+      await runTask("bank:pause", { unpause: true });
+      expect(await simpleBankV21.paused()).to.be.false;
+    });
+
+    it("Should set emergency mode to the requested state", async function () {
+      await runTask("bank:emergency", { state: "on", dryRun: true });
+      expect((await simpleBankV21.getBankStats()).emergencyMode).to.be.false;
+
+      await runTask("bank:emergency", { state: "on" });
+      expect((await simpleBankV21.getBankStats()).emergencyMode).to.be.true;
+      expect((await runTask("bank:emergency", { state: "on" })).changed).to.be.false;
+
+      await runTask("bank:emergency");
+      expect((await simpleBankV21.getBankStats()).emergencyMode).to.be.false;
+      await expect(runTask("bank:emergency", { state: "maybe" })).to.be.rejectedWith('Invalid state "maybe"');
+    });
+
+    it("Should list, grant and revoke roles", async function () {
+      const before = await runTask("bank:roles", { account: user2.address });
+      expect(Object.values(before.roles).some(Boolean)).to.be.false;
+
+      const granted = await runTask("bank:roles", { account: user2.address, grant: "operator" });
+      expect(granted.change.method).to.equal("grantOperatorRole");
+      expect(granted.roles.operator).to.be.true;
+      expect(output[output.length - 1]).to.equal(`🔑 Roles of ${user2.address}: operator`);
+
+      const { holders } = await runTask("bank:roles", { holders: true });
+      expect(holders.operator).to.deep.equal([owner.address, user2.address]);
+      expect(output).to.include(`🔑 admin: ${owner.address}`);
+
+      const revoked = await runTask("bank:roles", { account: user2.address, revoke: "operator" });
+      expect(revoked.change.method).to.equal("revokeOperatorRole");
+      expect(await simpleBankV21.hasRole(roleHash("operator"), user2.address)).to.be.false;
+
+      await expect(runTask("bank:roles", { account: user2.address, grant: "superuser" }))
+        .to.be.rejectedWith('Unknown role "superuser"');
+      await expect(runTask("bank:pause", { from: user1.address }))
+        .to.be.rejectedWith(`${user1.address} is missing role`);
+      expect(await simpleBankV21.hasRole(roleHash("admin"), owner.address)).to.be.true;
+    });
+
+    it("Should show and change an account's freeze status", async function () {
+      const restricted = await runTask("bank:freeze", { account: user1.address, status: "withdraw-only", reason: "SANCTIONS" });
+      expect(restricted.change.method).to.equal("restrictAccount");
+      expect(restricted.status).to.equal("withdraw-only");
+      expect(restricted.trail).to.have.length(1);
+      expect(restricted.trail[0]).to.include({ status: "withdraw-only", reason: "SANCTIONS", actor: owner.address, statementHash: null });
+      expect(output).to.include(`🧊 ${user1.address}: withdraw-only`);
+
+      await simpleBankV21.connect(user1).appealFreeze("QmAppealStatement123");
+      const shown = await runTask("bank:freeze", { account: user1.address });
+      expect(shown.change).to.be.null;
+      expect(shown.trail[1]).to.include({ actor: user1.address, statementHash: "QmAppealStatement123" });
+
+      await runTask("bank:freeze", { account: user1.address, status: "none", reason: "CLEARED" });
+      expect(await simpleBankV21.getFreezeStatus(user1.address)).to.equal(0);
+
+      await expect(runTask("bank:freeze", { account: user1.address, status: "full" }))
+        .to.be.rejectedWith("A --reason code is required");
+      await expect(runTask("bank:freeze", { account: user1.address, status: "partial", reason: "SANCTIONS" }))
+        .to.be.rejectedWith('Invalid status "partial"');
+    });
+  });
+});
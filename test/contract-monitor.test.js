@@ -0,0 +1,574 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SimpleBankMonitor = require("../monitoring/contract-monitor");
+const AlertManager = require("../monitoring/alert-manager");
+const { loadMonitorConfig } = require("../monitoring/config");
+const { Notifier } = require("../monitoring/notifiers");
+const { checkSolvencyInvariants, replayAccountBalances } = require("../monitoring/solvency");
+const { writeDeployment } = require("../scripts/utils/deployments");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { startAlertServer } = require("./helpers/alert-server");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+// Collects delivered alerts in memory
+class CaptureNotifier extends Notifier {
+  constructor() {
+    super({ name: "capture", retries: 1 });
+    this.alerts = [];
+  }
+
+  async deliver(alert) {
+    this.alerts.push(alert);
+  }
+}
+
+describe("Simple Bank Monitor - Local Network", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let bankAddress;
+  let deploymentsDir;
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1 } = await loadFixture(deployBankFixture));
+    bankAddress = await simpleBankV21.getAddress();
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "bank-deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  describe("⚙️ Configuration", function () {
+    it("Should default to the deployment file for the network", function () {
+      writeDeployment("localhost", { contractAddress: bankAddress, chainId: 31337, blockNumber: 7 }, deploymentsDir);
+
+      const config = loadMonitorConfig({ network: "localhost", deploymentsDir }, {});
+
+      expect(config.contractAddress).to.equal(bankAddress);
+      expect(config.chainId).to.equal(31337);
+      expect(config.deploymentBlock).to.equal(7);
+      expect(config.rpcUrl).to.equal("http://127.0.0.1:8545");
+      expect(config.explorerUrl).to.be.undefined;
+    });
+
+    it("Should let env, config file and options override in order", function () {
+      writeDeployment("sepolia", { contractAddress: bankAddress, chainId: 11155111 }, deploymentsDir);
+      const configFile = path.join(deploymentsDir, "monitor.json");
+      fs.writeFileSync(configFile, JSON.stringify({ rpcUrl: "http://file:8545", explorerUrl: "https://file.example" }));
+
+      const config = loadMonitorConfig(
+        { network: "sepolia", deploymentsDir, configFile, explorerUrl: "https://options.example" },
+        { MONITOR_RPC_URL: "http://env:8545", INFURA_API_KEY: "key" }
+      );
+
+      expect(config.contractAddress).to.equal(bankAddress);
+      expect(config.rpcUrl).to.equal("http://file:8545");
+      expect(config.explorerUrl).to.equal("https://options.example");
+      expect(config.etherscanApiUrl).to.equal("https://api-sepolia.etherscan.io/api");
+    });
+
+    it("Should fail clearly without a contract address", function () {
+      expect(() => loadMonitorConfig({ network: "localhost", deploymentsDir }, {}))
+        .to.throw(/No contract address for localhost/);
+    });
+  });
+
+  describe("🏥 Health Checks", function () {
+    it("Should report contract health from a local node", async function () {
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("2.0") });
+
+      const monitor = new SimpleBankMonitor({
+        network: "hardhat",
+        contractAddress: bankAddress,
+        provider: ethers.provider,
+        deploymentsDir
+      });
+
+      const report = await monitor.runMonitoringCycle();
+
+      expect(report.health.totalDeposits).to.equal("2.0");
+      expect(report.health.contractBalance).to.equal("2.0");
+      expect(report.health.totalUsers).to.equal(1);
+      // Activity comes from the contract's own logs - no Etherscan needed
+      expect(report.transactions.source).to.equal("logs");
+      expect(report.transactions.volumeByType.deposit).to.equal("2.0");
+      expect(monitor.explorerLink()).to.be.null;
+    });
+
+    it("Should sync the event index as part of each cycle", async function () {
+      const deploymentBlock = (await simpleBankV21.deploymentTransaction().wait()).blockNumber;
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+
+      const monitor = new SimpleBankMonitor({
+        network: "hardhat",
+        contractAddress: bankAddress,
+        provider: ethers.provider,
+        deploymentsDir,
+        startBlock: deploymentBlock,
+        eventStoreFile: path.join(deploymentsDir, "events.json"),
+        confirmations: 0
+      });
+
+      const report = await monitor.runMonitoringCycle();
+
+      expect(report.index.newEvents).to.be.gt(0);
+      expect(monitor.indexer.getEvents({ event: "Deposit" })).to.have.length(1);
+    });
+  });
+
+  describe("📊 Activity Analysis", function () {
+    let capture;
+
+    function createMonitor(options = {}) {
+      capture = new CaptureNotifier();
+      return new SimpleBankMonitor({
+        network: "hardhat",
+        contractAddress: bankAddress,
+        provider: ethers.provider,
+        deploymentsDir,
+        notifiers: [capture],
+        ...options
+      });
+    }
+
+    it("Should analyze deposits, withdrawals and transfers from logs", async function () {
+      const [, , user2, user3] = await ethers.getSigners();
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("3.0") });
+      await simpleBankV21.connect(user2).deposit({ value: ethers.parseEther("0.5") });
+      await simpleBankV21.connect(user1).transferTo(user3.address, ethers.parseEther("1.5"));
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("1.0"));
+
+      const report = await createMonitor().checkRecentTransactions();
+
+      expect(report.transactionsByType).to.deep.equal({ deposit: 2, withdrawal: 1, transfer: 1 });
+      expect(report.volumeByType).to.deep.equal({ deposit: "3.5", withdrawal: "1.0", transfer: "1.5" });
+      expect(report.totalVolume).to.equal("6.0");
+      expect(report.netFlow).to.equal("2.5");
+      expect(report.uniqueUsers).to.equal(3);
+      expect(report.largeTransactions).to.equal(3);
+      expect(report.largeTransactionsByType).to.deep.equal({ deposit: 1, withdrawal: 1, transfer: 1 });
+    });
+
+    it("Should only look at the configured block window", async function () {
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("2.0") });
+
+      const report = await createMonitor({ activityWindowBlocks: 1 }).checkRecentTransactions();
+
+      expect(report.fromBlock).to.equal(report.toBlock);
+      expect(report.volumeByType.deposit).to.equal("2.0");
+    });
+
+    it("Should alert on high large-transaction counts", async function () {
+      for (let i = 0; i < 3; i++) {
+        await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+      }
+
+      await createMonitor({ highVolumeLargeTransactions: 2 }).checkRecentTransactions();
+
+      expect(capture.alerts.map((a) => a.title)).to.deep.equal(["⚠️ HIGH VOLUME ACTIVITY"]);
+    });
+
+    it("Should fall back to Etherscan when log analysis fails", async function () {
+      const server = await startAlertServer({
+        responseBody: { status: "1", result: [{ value: ethers.parseEther("2.0").toString() }, { value: "0" }] }
+      });
+
+      try {
+        const failingProvider = new Proxy(ethers.provider, {
+          get: (target, prop) => (prop === "getLogs"
+            ? async () => { throw new Error("getLogs unavailable"); }
+            : target[prop].bind ? target[prop].bind(target) : target[prop])
+        });
+        const monitor = createMonitor({ provider: failingProvider, etherscanApiUrl: `${server.url}/api` });
+
+        const report = await monitor.checkRecentTransactions();
+
+        expect(report).to.include({ source: "etherscan", totalTransactions: 2, totalVolume: "2.0", largeTransactions: 1 });
+        expect(server.requests[0].url).to.contain("action=txlist");
+      } finally {
+        await server.close();
+      }
+    });
+  });
+
+  describe("⚖️ Solvency Invariants", function () {
+    let capture;
+    let monitor;
+
+    beforeEach(async function () {
+      const deploymentBlock = (await simpleBankV21.deploymentTransaction().wait()).blockNumber;
+      capture = new CaptureNotifier();
+      monitor = new SimpleBankMonitor({
+        network: "hardhat",
+        contractAddress: bankAddress,
+        provider: ethers.provider,
+        deploymentsDir,
+        notifiers: [capture],
+        startBlock: deploymentBlock,
+        eventStoreFile: path.join(deploymentsDir, "events.json"),
+        confirmations: 0
+      });
+    });
+
+    it("Should match replayed event balances against totalDeposits", async function () {
+      const [, , user2] = await ethers.getSigners();
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("3.0") });
+      await simpleBankV21.connect(user1).transferTo(user2.address, ethers.parseEther("1.0"));
+      await simpleBankV21.connect(user2).withdraw(ethers.parseEther("0.25"));
+      await user1.sendTransaction({ to: bankAddress, value: ethers.parseEther("0.5") });
+
+      const report = await monitor.runMonitoringCycle();
+
+      expect(report.solvency.solvent).to.be.true;
+      expect(report.solvency.sumOfBalances).to.equal(ethers.parseEther("3.25").toString());
+      expect(report.solvency.totalDeposits).to.equal(report.solvency.sumOfBalances);
+      expect(report.status).to.equal("✅ OPERATIONAL");
+      expect(capture.alerts).to.be.empty;
+    });
+
+    it("Should alert with the exact shortfall after funds are drained", async function () {
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("2.0") });
+      await ethers.provider.send("hardhat_setBalance", [bankAddress, "0x0"]);
+
+      const report = await monitor.runMonitoringCycle();
+
+      expect(report.solvency.solvent).to.be.false;
+      expect(report.solvency.violations).to.deep.equal([{
+        invariant: "contractBalance >= totalDeposits + interestReserve",
+        expected: ethers.parseEther("2.0").toString(),
+        actual: "0",
+        discrepancyWei: (-ethers.parseEther("2.0")).toString(),
+        discrepancyEth: "-2.0"
+      }]);
+      expect(report.status).to.equal("❌ ISSUES DETECTED");
+
+      const alert = capture.alerts.find((a) => a.title === "🚨 SOLVENCY INVARIANT VIOLATED");
+      expect(alert.severity).to.equal("critical");
+
+      // Topping the contract back up clears the violation
+      await ethers.provider.send("hardhat_setBalance", [bankAddress, ethers.toQuantity(ethers.parseEther("2.0"))]);
+      await monitor.runMonitoringCycle();
+      await monitor.runMonitoringCycle();
+
+      expect(capture.alerts.map((a) => a.title)).to.deep.equal([
+        "🚨 SOLVENCY INVARIANT VIOLATED",
+        "🟢 SOLVENCY RESTORED"
+      ]);
+    });
+
+    it("Should report accounting drift between totalDeposits and account balances", function () {
+      const accountBalances = replayAccountBalances([
+        { event: "Deposit", blockNumber: 1, logIndex: 0, args: { user: owner.address, amount: "500" } },
+        { event: "Transfer", blockNumber: 2, logIndex: 0, args: { from: owner.address, to: user1.address, amount: "200" } },
+        { event: "Withdrawal", blockNumber: 3, logIndex: 0, args: { user: user1.address, amount: "50" } }
+      ]);
+
+      const result = checkSolvencyInvariants({ totalDeposits: 460n, contractBalance: 1000n, accountBalances });
+
+      expect(accountBalances.get(user1.address.toLowerCase())).to.equal(150n);
+      expect(result.violations).to.have.length(1);
+      expect(result.violations[0]).to.include({
+        invariant: "totalDeposits == sum(accounts.balance)",
+        expected: "450",
+        actual: "460",
+        discrepancyWei: "10"
+      });
+    });
+
+    it("Should count the interest reserve as owed", async function () {
+      const result = checkSolvencyInvariants({
+        totalDeposits: 500n,
+        contractBalance: 600n,
+        interestReserve: 200n,
+        accountBalances: { [owner.address]: 500n }
+      });
+      expect(result.interestReserve).to.equal("200");
+      expect(result.violations).to.have.length(1);
+      expect(result.violations[0]).to.include({
+        invariant: "contractBalance >= totalDeposits + interestReserve",
+        expected: "700",
+        actual: "600",
+        discrepancyWei: "-100"
+      });
+
+      // A bank that spent part of its reserve fails even though deposits are covered
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+      await simpleBankV21.connect(owner).fundInterestReserve({ value: ethers.parseEther("1.0") });
+      await ethers.provider.send("hardhat_setBalance", [bankAddress, ethers.toQuantity(ethers.parseEther("1.5"))]);
+      await expect(expectBankInvariants(simpleBankV21)).to.be.rejectedWith(/bank accounting invariants/);
+    });
+
+    it("Should fail the test invariant helper when funds are drained", async function () {
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+      await expectBankInvariants(simpleBankV21);
+
+      await ethers.provider.send("hardhat_setBalance", [bankAddress, "0x0"]);
+
+      await expect(expectBankInvariants(simpleBankV21)).to.be.rejectedWith(/bank accounting invariants/);
+    });
+  });
+
+  describe("⏳ Withdrawal Holds", function () {
+    let capture;
+    let monitor;
+
+    beforeEach(async function () {
+      capture = new CaptureNotifier();
+      monitor = new SimpleBankMonitor({
+        network: "hardhat",
+        contractAddress: bankAddress,
+        provider: ethers.provider,
+        deploymentsDir,
+        notifiers: [capture]
+      });
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("10.0") });
+    });
+
+    it("Should surface pending holds with the operator actions to resolve them", async function () {
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("5.0"));
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("2.0"));
+      await simpleBankV21.connect(owner).approveWithdrawalHold(2);
+
+      const report = await monitor.checkWithdrawalHolds();
+      await monitor.checkWithdrawalHolds();
+
+      expect(report).to.include({ open: 2, pending: 1, approved: 1, overdue: 0 });
+      expect(capture.alerts).to.have.length(1);
+      expect(capture.alerts[0].title).to.equal("⏳ WITHDRAWAL HOLD #1 AWAITING REVIEW");
+      expect(capture.alerts[0].data).to.deep.include({
+        holdId: 1,
+        user: user1.address,
+        amount: "5.0",
+        status: "pending",
+        actions: {
+          approve: "approveWithdrawalHold(1)",
+          reject: "rejectWithdrawalHold(1)",
+          fastTrack: "fastTrackWithdrawalHold(1)"
+        }
+      });
+    });
+
+    it("Should escalate holds left unreviewed past their delay", async function () {
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("5.0"));
+      await time.increase(24 * 60 * 60);
+
+      const report = await monitor.runMonitoringCycle();
+
+      expect(report.holds.overdue).to.equal(1);
+      const alert = capture.alerts.find((a) => a.title === "🚨 WITHDRAWAL HOLD #1 OVERDUE FOR REVIEW");
+      expect(alert.severity).to.equal("critical");
+    });
+
+    it("Should not repeat the live WithdrawalHeld alert on the next cycle", async function () {
+      const receipt = await (await simpleBankV21.connect(user1).withdraw(ethers.parseEther("5.0"))).wait();
+      const held = receipt.logs.map((log) => simpleBankV21.interface.parseLog(log)).find((l) => l.name === "WithdrawalHeld");
+
+      await monitor.handleWithdrawalHeld(...held.args);
+      await monitor.checkWithdrawalHolds();
+
+      expect(capture.alerts.map((a) => a.title)).to.deep.equal(["⏳ WITHDRAWAL HOLD #1 AWAITING REVIEW"]);
+    });
+  });
+
+  describe("🧊 Account Freezes", function () {
+    let capture;
+    let monitor;
+
+    const reason = ethers.encodeBytes32String("SANCTIONS");
+
+    beforeEach(async function () {
+      const deploymentBlock = (await simpleBankV21.deploymentTransaction().wait()).blockNumber;
+      capture = new CaptureNotifier();
+      monitor = new SimpleBankMonitor({
+        network: "hardhat",
+        contractAddress: bankAddress,
+        provider: ethers.provider,
+        deploymentsDir,
+        notifiers: [capture],
+        startBlock: deploymentBlock,
+        eventStoreFile: path.join(deploymentsDir, "events.json"),
+        confirmations: 0
+      });
+    });
+
+    async function handleFreezeLogs(tx) {
+      const receipt = await tx.wait();
+      for (const log of receipt.logs) {
+        const parsed = simpleBankV21.interface.parseLog(log);
+        if (parsed.name === "AccountFreezeChanged") {
+          await monitor.handleAccountFreezeChanged(...parsed.args, { log });
+        } else if (parsed.name === "FreezeAppealed") {
+          await monitor.handleFreezeAppealed(...parsed.args, { log });
+        }
+      }
+    }
+
+    it("Should alert on freezes, appeals and unfreezes", async function () {
+      await handleFreezeLogs(await simpleBankV21.connect(owner).freezeAccount(user1.address, reason));
+      await handleFreezeLogs(await simpleBankV21.connect(user1).appealFreeze("QmAppealStatement"));
+      await handleFreezeLogs(await simpleBankV21.connect(owner).unfreezeAccount(user1.address, ethers.encodeBytes32String("CLEARED")));
+
+      expect(capture.alerts.map((a) => [a.title, a.severity])).to.deep.equal([
+        [`🧊 ACCOUNT FROZEN (full): ${user1.address}`, "critical"],
+        [`📨 FREEZE APPEAL FILED: ${user1.address}`, "warning"],
+        [`🟢 ACCOUNT UNFROZEN: ${user1.address}`, "info"]
+      ]);
+      expect(capture.alerts[0].data).to.include({ reason: "SANCTIONS", previousStatus: "none", operator: owner.address });
+    });
+
+    it("Should return an account's freeze trail from the event index", async function () {
+      await simpleBankV21.connect(owner).restrictAccount(user1.address, reason);
+      await simpleBankV21.connect(user1).appealFreeze("QmAppealStatement");
+      await simpleBankV21.connect(owner).freezeAccount(user1.address, ethers.encodeBytes32String("ESCALATED"));
+
+      const trail = await monitor.getFreezeTrail(user1.address);
+
+      expect(trail.status).to.equal("full");
+      expect(trail.entries.map((e) => e.type)).to.deep.equal(["freeze", "appeal", "freeze"]);
+      expect(trail.entries[0]).to.include({ status: "withdraw-only", reason: "SANCTIONS", actor: owner.address });
+      expect(trail.entries[1]).to.include({ statementHash: "QmAppealStatement", actor: user1.address });
+
+      // The operator's own trail doesn't pick up actions taken on others
+      expect((await monitor.getFreezeTrail(owner.address)).entries).to.be.empty;
+    });
+  });
+
+  describe("🔕 Alert Deduplication & Transitions", function () {
+    let capture;
+    let monitor;
+
+    beforeEach(function () {
+      capture = new CaptureNotifier();
+      monitor = new SimpleBankMonitor({
+        network: "hardhat",
+        contractAddress: bankAddress,
+        provider: ethers.provider,
+        deploymentsDir,
+        notifiers: [capture]
+      });
+    });
+
+    it("Should alert once for a large deposit seen by two listeners", async function () {
+      const tx = await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("2.0") });
+      const receipt = await tx.wait();
+      const logs = receipt.logs.map((log) => ({ log, parsed: simpleBankV21.interface.parseLog(log) }));
+      const deposit = logs.find((l) => l.parsed.name === "Deposit");
+      const large = logs.find((l) => l.parsed.name === "LargeTransactionAlert");
+
+      await monitor.handleDeposit(...deposit.parsed.args, { log: deposit.log });
+      const second = await monitor.handleLargeTransactionAlert(...large.parsed.args, { log: large.log });
+
+      expect(capture.alerts).to.have.length(1);
+      expect(capture.alerts[0].severity).to.equal("warning");
+      expect(second.suppressed).to.equal("duplicate");
+    });
+
+    it("Should alert on emergency mode transitions only", async function () {
+      await monitor.checkContractHealth();
+      await simpleBankV21.connect(owner).toggleEmergencyMode();
+      await monitor.checkContractHealth();
+      await monitor.checkContractHealth();
+      await monitor.checkContractHealth();
+      await simpleBankV21.connect(owner).toggleEmergencyMode();
+      await monitor.checkContractHealth();
+
+      expect(capture.alerts.map((a) => a.title)).to.deep.equal([
+        "🚨 EMERGENCY MODE ACTIVATED",
+        "🟢 EMERGENCY MODE DEACTIVATED"
+      ]);
+      expect(capture.alerts[0].severity).to.equal("critical");
+    });
+
+    it("Should fire user milestones when crossed, not on every cycle", async function () {
+      monitor.config.userMilestones = [1];
+      const [, , user2] = await ethers.getSigners();
+
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("0.1") });
+      await monitor.checkContractHealth(); // baseline: 1 user
+      await simpleBankV21.connect(user2).deposit({ value: ethers.parseEther("0.1") });
+      await monitor.checkContractHealth();
+      await monitor.checkContractHealth();
+
+      expect(capture.alerts.map((a) => a.title)).to.deep.equal(["📈 USER MILESTONE: 1+ users reached"]);
+    });
+
+    it("Should alert on every role change and ownership handover", async function () {
+      const receipt = await (await simpleBankV21.connect(owner).transferOwnership(user1.address)).wait();
+      const accepted = await (await simpleBankV21.connect(user1).acceptOwnership()).wait();
+      const granted = await (await simpleBankV21.connect(owner).grantRole(await simpleBankV21.ADMIN_ROLE(), user1.address)).wait();
+      const revoked = await (await simpleBankV21.connect(owner).revokeRole(await simpleBankV21.ADMIN_ROLE(), user1.address)).wait();
+
+      for (const { logs } of [receipt, accepted, granted, revoked]) {
+        for (const log of logs) {
+          const parsed = simpleBankV21.interface.parseLog(log);
+          if (parsed.name === "RoleGranted" || parsed.name === "RoleRevoked") {
+            await monitor.handleRoleChange(parsed.name === "RoleGranted" ? "granted" : "revoked", ...parsed.args, { log });
+          } else if (parsed.name.startsWith("Ownership")) {
+            await monitor.handleOwnershipTransfer(parsed.name === "OwnershipTransferStarted" ? "started" : "completed", ...parsed.args, { log });
+          }
+        }
+      }
+
+      expect(capture.alerts.map((a) => a.title)).to.deep.equal([
+        "👑 OWNERSHIP TRANSFER PROPOSED",
+        "👑 OWNERSHIP TRANSFERRED",
+        "🔑 ROLE GRANTED: ADMIN_ROLE",
+        "🔑 ROLE REVOKED: ADMIN_ROLE"
+      ]);
+      expect(capture.alerts.every((a) => a.severity === "critical")).to.be.true;
+
+      await (await simpleBankV21.connect(owner).grantOperatorRole(user1.address)).wait();
+      const alert = await monitor.handleRoleChange("granted", await simpleBankV21.OPERATOR_ROLE(), user1.address, user1.address);
+      expect(alert).to.include({ title: "🔑 ROLE GRANTED: OPERATOR_ROLE", severity: "warning" });
+      expect(alert.data).to.deep.equal({ role: "OPERATOR_ROLE", account: user1.address, sender: user1.address });
+    });
+
+    it("Should not rerun the cycle main() just ran when starting --watch", async function () {
+      let cycles = 0;
+      monitor.runMonitoringCycle = async () => { cycles++; };
+      monitor.startEventListener = () => {};
+
+      monitor.startContinuousMonitoring({ initialCheck: false });
+      expect(cycles).to.equal(0);
+      await monitor.stop();
+
+      monitor.startContinuousMonitoring();
+      expect(cycles).to.equal(1);
+      await monitor.stop();
+    });
+  });
+
+  describe("⏱️ Alert Manager", function () {
+    it("Should suppress duplicates within the window and allow them after", function () {
+      let now = 0;
+      const manager = new AlertManager({ dedupWindowMs: 1000, rateLimit: null, now: () => now });
+      const alert = { severity: "warning", dedupKey: "k" };
+
+      expect(manager.evaluate(alert).send).to.be.true;
+      now = 999;
+      expect(manager.evaluate(alert)).to.deep.equal({ send: false, reason: "duplicate" });
+      now = 1000;
+      expect(manager.evaluate(alert).send).to.be.true;
+    });
+
+    it("Should rate limit non-critical alerts", function () {
+      let now = 0;
+      const manager = new AlertManager({ rateLimit: { maxAlerts: 2, windowMs: 1000 }, now: () => now });
+
+      expect(manager.evaluate({ severity: "info", dedupKey: "a" }).send).to.be.true;
+      expect(manager.evaluate({ severity: "info", dedupKey: "b" }).send).to.be.true;
+      expect(manager.evaluate({ severity: "warning", dedupKey: "c" })).to.deep.equal({ send: false, reason: "rate-limited" });
+      expect(manager.evaluate({ severity: "critical", dedupKey: "d" }).send).to.be.true;
+
+      now = 1000;
+      expect(manager.evaluate({ severity: "info", dedupKey: "e" }).send).to.be.true;
+      expect(manager.getStats().suppressed).to.deep.equal({ duplicate: 0, rateLimited: 1 });
+    });
+  });
+});
@@ -0,0 +1,246 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  PROXY_ADMIN_ABI,
+  encodeAdminCall,
+  encodeUpgradeCall,
+  handOverToTimelock,
+  proposeOperation,
+  listOperations,
+  findOperation,
+  executeOperation,
+  cancelOperation
+} = require("../scripts/utils/governance");
+const { parseArgs } = require("../scripts/governance");
+const { deployModules } = require("../scripts/utils/modules");
+const { deployBankFixture, deployGovernedBankFixture } = require("./helpers/fixtures");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+describe("Simple Bank - Timelock Governance", function () {
+  let simpleBankV21;
+  let timelock;
+  let owner;
+  let guardian;
+  let user1;
+  let attacker;
+  let minDelay;
+  let classes;
+  let bankAddress;
+  let listOptions;
+
+  beforeEach(async function () {
+    ({ simpleBankV21, timelock, owner, guardian, user1, attacker, minDelay, classes } =
+      await loadFixture(deployGovernedBankFixture));
+    bankAddress = await simpleBankV21.getAddress();
+    listOptions = { interfaces: [simpleBankV21.interface, timelock.interface] };
+  });
+
+  async function propose(functionName, args = [], target = simpleBankV21) {
+    return proposeOperation(timelock.connect(owner), {
+      target: await target.getAddress(),
+      data: encodeAdminCall(target.interface, functionName, args)
+    });
+  }
+
+  describe("🔑 Role Handover", function () {
+    it("Should leave the timelock as the only admin", async function () {
+      const timelockAddress = await timelock.getAddress();
+      for (const role of ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE"]) {
+        const roleHash = await simpleBankV21[role]();
+        expect(await simpleBankV21.hasRole(roleHash, timelockAddress), role).to.be.true;
+        expect(await simpleBankV21.hasRole(roleHash, owner.address), role).to.be.false;
+      }
+      expect(await simpleBankV21.hasRole(await simpleBankV21.GUARDIAN_ROLE(), guardian.address)).to.be.true;
+
+      await expect(simpleBankV21.connect(owner).toggleEmergencyMode())
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess")
+        .withArgs(owner.address, await simpleBankV21.ADMIN_ROLE());
+    });
+
+    it("Should leave the deployer without operator or auditor powers", async function () {
+      for (const role of ["OPERATOR_ROLE", "AUDITOR_ROLE", "GUARDIAN_ROLE"]) {
+        expect(await simpleBankV21.hasRole(await simpleBankV21[role](), owner.address), role).to.be.false;
+      }
+      await expect(simpleBankV21.connect(owner).setInterestRate(1000))
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess")
+        .withArgs(owner.address, await simpleBankV21.OPERATOR_ROLE());
+    });
+
+    it("Should reassign operator and auditor roles when given", async function () {
+      const { simpleBankV21: bank, owner: deployer, user1: operator, user2: auditor } = await loadFixture(deployBankFixture);
+      await handOverToTimelock(bank, {
+        timelock: await timelock.getAddress(),
+        guardian: deployer.address,
+        deployer: deployer.address,
+        operator: operator.address,
+        auditor: auditor.address
+      });
+
+      expect(await bank.hasRole(await bank.OPERATOR_ROLE(), operator.address)).to.be.true;
+      expect(await bank.hasRole(await bank.AUDITOR_ROLE(), auditor.address)).to.be.true;
+      expect(await bank.hasRole(await bank.OPERATOR_ROLE(), deployer.address)).to.be.false;
+      expect(await bank.hasRole(await bank.GUARDIAN_ROLE(), deployer.address)).to.be.true;
+    });
+
+    it("Should not let an ownership change skip the timelock", async function () {
+      await expect(simpleBankV21.connect(owner).transferOwnership(attacker.address))
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess");
+
+      const operation = await propose("transferOwnership", [user1.address]);
+      expect(operation.delay).to.equal(classes.roles.delay);
+      await time.increase(classes.roles.delay);
+      await executeOperation(timelock.connect(owner), await findOperation(timelock, operation.id, listOptions));
+      await simpleBankV21.connect(user1).acceptOwnership();
+      expect((await simpleBankV21.getBankStats()).owner).to.equal(user1.address);
+
+      // The new owner gets no admin role, so admin actions still go through the timelock
+      for (const role of ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE"]) {
+        const roleHash = await simpleBankV21[role]();
+        expect(await simpleBankV21.hasRole(roleHash, user1.address), role).to.be.false;
+        expect(await simpleBankV21.hasRole(roleHash, await timelock.getAddress()), role).to.be.true;
+      }
+      await expect(simpleBankV21.connect(user1).toggleEmergencyMode())
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess")
+        .withArgs(user1.address, await simpleBankV21.ADMIN_ROLE());
+      await expect(simpleBankV21.connect(user1).grantRole(await simpleBankV21.ADMIN_ROLE(), user1.address))
+        .to.be.reverted;
+    });
+  });
+
+  describe("🧩 Queued Upgrades", function () {
+    it("Should only upgrade the proxy through the timelock", async function () {
+      const adminAddress = await upgrades.erc1967.getAdminAddress(bankAddress);
+      const proxyAdmin = await ethers.getContractAt(PROXY_ADMIN_ABI, adminAddress);
+      expect(await proxyAdmin.owner()).to.equal(await timelock.getAddress());
+
+      const SimpleBankV21 = await ethers.getContractFactory("SimpleBankV2_1");
+      const { constructorArgs } = await deployModules(ethers, SimpleBankV21);
+      const implementation = await SimpleBankV21.deploy(...constructorArgs);
+      const implementationAddress = await implementation.getAddress();
+      await expect(proxyAdmin.connect(owner).upgradeAndCall(bankAddress, implementationAddress, "0x")).to.be.reverted;
+
+      const operation = await proposeOperation(timelock.connect(owner), {
+        target: adminAddress,
+        data: encodeUpgradeCall(bankAddress, implementationAddress)
+      });
+      expect(operation.delay).to.equal(classes.upgrades.delay);
+
+      const upgradeListOptions = { interfaces: [...listOptions.interfaces, proxyAdmin.interface] };
+      const queued = await findOperation(timelock, operation.id, upgradeListOptions);
+      expect(queued.calls[0].description).to.equal(`upgradeAndCall(${bankAddress}, ${implementationAddress}, 0x)`);
+
+      await time.increase(classes.upgrades.delay);
+      await executeOperation(timelock.connect(owner), queued);
+      expect(await upgrades.erc1967.getImplementationAddress(bankAddress)).to.equal(implementationAddress);
+    });
+  });
+
+  describe("🛡️ Guardian Pause", function () {
+    it("Should pause immediately but unpause only through the timelock", async function () {
+      await expect(simpleBankV21.connect(attacker).pause())
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess")
+        .withArgs(attacker.address, await simpleBankV21.GUARDIAN_ROLE());
+
+      await simpleBankV21.connect(guardian).pause();
+      expect(await simpleBankV21.paused()).to.be.true;
+
+      await expect(simpleBankV21.connect(guardian).unpause())
+        .to.be.revertedWithCustomError(simpleBankV21, "UnauthorizedAccess");
+
+      const operation = await propose("unpause");
+      expect(operation.delay).to.equal(classes.emergency.delay);
+
+      await expect(executeOperation(timelock.connect(owner), await findOperation(timelock, operation.id, listOptions)))
+        .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+
+      await time.increase(classes.emergency.delay);
+      await executeOperation(timelock.connect(owner), await findOperation(timelock, operation.id, listOptions));
+      expect(await simpleBankV21.paused()).to.be.false;
+    });
+  });
+
+  describe("⏱️ Action Class Delays", function () {
+    it("Should require each action class's delay", async function () {
+      const grantSelector = ethers.id("grantOperatorRole(address)").slice(0, 10);
+      expect(await timelock.getActionDelay(grantSelector)).to.equal(classes.roles.delay);
+      expect(await timelock.getActionDelay(ethers.id("setPriceFeed(address)").slice(0, 10))).to.equal(classes.config.delay);
+      expect(await timelock.getActionDelay("0x12345678")).to.equal(minDelay);
+
+      const data = encodeAdminCall(simpleBankV21.interface, "grantOperatorRole", [user1.address]);
+      await expect(timelock.connect(owner).schedule(bankAddress, 0, data, ethers.ZeroHash, ethers.ZeroHash, minDelay))
+        .to.be.revertedWithCustomError(timelock, "ActionDelayTooShort")
+        .withArgs(grantSelector, minDelay, classes.roles.delay);
+
+      // A batch waits for its slowest call
+      const unpause = encodeAdminCall(simpleBankV21.interface, "unpause");
+      await expect(timelock.connect(owner).scheduleBatch(
+        [bankAddress, bankAddress], [0, 0], [unpause, data], ethers.ZeroHash, ethers.ZeroHash, classes.emergency.delay
+      )).to.be.revertedWithCustomError(timelock, "ActionDelayTooShort");
+    });
+
+    it("Should only change action delays through a queued operation", async function () {
+      const selector = ethers.id("setPriceFeed(address)").slice(0, 10);
+      await expect(timelock.connect(owner).updateActionDelay(selector, 0))
+        .to.be.revertedWithCustomError(timelock, "TimelockUnauthorizedCaller")
+        .withArgs(owner.address);
+
+      const operation = await propose("updateActionDelay", [selector, String(3 * 24 * 60 * 60)], timelock);
+      expect(operation.delay).to.equal(classes.governance.delay);
+
+      await time.increase(classes.governance.delay);
+      await executeOperation(timelock.connect(owner), await findOperation(timelock, operation.id, listOptions));
+      expect(await timelock.getActionDelay(selector)).to.equal(3 * 24 * 60 * 60);
+    });
+  });
+
+  describe("📋 Queued Operations", function () {
+    it("Should list, execute and cancel operations from on-chain logs", async function () {
+      const grant = await propose("grantOperatorRole", [user1.address]);
+      const revoke = await propose("revokeRole", ["GUARDIAN_ROLE", guardian.address]);
+
+      let operations = await listOperations(timelock, listOptions);
+      expect(operations.map((op) => [op.id, op.state])).to.deep.equal([
+        [grant.id, "Waiting"],
+        [revoke.id, "Waiting"]
+      ]);
+      expect(operations[0].calls[0].description).to.equal(`grantOperatorRole(${user1.address})`);
+      expect(operations[1].salt).to.equal(revoke.salt);
+
+      await expect(cancelOperation(timelock.connect(attacker), revoke.id))
+        .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+      await cancelOperation(timelock.connect(owner), revoke.id);
+
+      await time.increase(classes.roles.delay);
+      operations = await listOperations(timelock, listOptions);
+      expect(operations.map((op) => op.state)).to.deep.equal(["Ready", "Cancelled"]);
+
+      await executeOperation(timelock.connect(owner), operations[0]);
+      expect(await simpleBankV21.hasRole(await simpleBankV21.OPERATOR_ROLE(), user1.address)).to.be.true;
+      expect(await simpleBankV21.hasRole(await simpleBankV21.GUARDIAN_ROLE(), guardian.address)).to.be.true;
+      expect((await listOperations(timelock, listOptions))[0].state).to.equal("Done");
+    });
+
+    it("Should reject proposals from accounts without the proposer role", async function () {
+      const data = encodeAdminCall(simpleBankV21.interface, "toggleEmergencyMode");
+      await expect(proposeOperation(timelock.connect(attacker), { target: bankAddress, data }))
+        .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("⌨️ CLI Helpers", function () {
+    it("Should encode role names and validate argument counts", function () {
+      const data = encodeAdminCall(simpleBankV21.interface, "grantRole", ["DEFAULT_ADMIN_ROLE", user1.address]);
+      expect([...simpleBankV21.interface.decodeFunctionData("grantRole", data)]).to.deep.equal([ethers.ZeroHash, user1.address]);
+      expect(() => encodeAdminCall(simpleBankV21.interface, "grantOperatorRole", [])).to.throw(/takes 1 argument/);
+
+      expect(parseArgs(["propose", "--target", "timelock", "updateDelay", "60"])).to.deep.equal({
+        command: "propose",
+        args: ["updateDelay", "60"],
+        options: { target: "timelock" }
+      });
+      expect(parseArgs(["list", "--all"]).options).to.deep.equal({ all: true });
+    });
+  });
+});
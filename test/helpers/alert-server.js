@@ -0,0 +1,37 @@
+const http = require("http");
+
+// Local stand-in for Slack/Discord/generic webhooks (and other JSON APIs).
+// failFirst: number of requests answered with HTTP 500 before succeeding.
+// responseBody: JSON returned on success (defaults to {"ok":true}).
+async function startAlertServer({ failFirst = 0, responseBody = { ok: true } } = {}) {
+  const requests = [];
+  let failuresLeft = failFirst;
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || "null") });
+
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        res.writeHead(500);
+        res.end("stand-in failure");
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(responseBody));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+module.exports = { startAlertServer };
@@ -0,0 +1,94 @@
+const { ethers, upgrades } = require("hardhat");
+const { resolveActionDelays, deployTimelock, handOverToTimelock } = require("../../scripts/utils/governance");
+const { deployModules } = require("../../scripts/utils/modules");
+
+// Chainlink ETH/USD feeds report 8 decimals
+const PRICE_FEED_DECIMALS = 8;
+const INITIAL_ETH_PRICE = 2000n * 10n ** 8n; // $2,000
+const USD_PRICE = 10n ** 8n; // $1, for stablecoin feeds
+
+async function deployMockPriceFeed(initialPrice = INITIAL_ETH_PRICE) {
+  const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+  const priceFeed = await MockV3Aggregator.deploy(PRICE_FEED_DECIMALS, initialPrice);
+  await priceFeed.waitForDeployment();
+  return priceFeed;
+}
+
+// Use with loadFixture() so every test starts from the same snapshot
+async function deployBankFixture() {
+  const [owner, user1, user2, user3, attacker] = await ethers.getSigners();
+
+  const priceFeed = await deployMockPriceFeed();
+
+  const SimpleBankV21 = await ethers.getContractFactory("SimpleBankV2_1");
+  const { constructorArgs } = await deployModules(ethers, SimpleBankV21);
+  const simpleBankV21 = await upgrades.deployProxy(
+    SimpleBankV21,
+    [await priceFeed.getAddress()],
+    { kind: "transparent", constructorArgs }
+  );
+  await simpleBankV21.waitForDeployment();
+
+  return { simpleBankV21, priceFeed, owner, user1, user2, user3, attacker };
+}
+
+// Bank with two allowlisted tokens: 6-decimal USDC and an 18-decimal token
+// that burns 1% per transfer. user1 and user2 hold 1,000 of each, approved.
+async function deployTokenBankFixture() {
+  const { simpleBankV21, priceFeed, owner, user1, user2, user3, attacker } = await deployBankFixture();
+
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const MockFeeOnTransferToken = await ethers.getContractFactory("MockFeeOnTransferToken");
+  const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+  const feeToken = await MockFeeOnTransferToken.deploy("Fee Token", "FEE", 18, 100);
+  const usdcFeed = await deployMockPriceFeed(USD_PRICE);
+  const feeTokenFeed = await deployMockPriceFeed(USD_PRICE / 2n);
+
+  await simpleBankV21.connect(owner).addSupportedToken(await usdc.getAddress(), await usdcFeed.getAddress());
+  await simpleBankV21.connect(owner).addSupportedToken(await feeToken.getAddress(), await feeTokenFeed.getAddress());
+
+  const bankAddress = await simpleBankV21.getAddress();
+  for (const user of [user1, user2]) {
+    await usdc.mint(user.address, 1000n * 10n ** 6n);
+    await feeToken.mint(user.address, ethers.parseEther("1000"));
+    await usdc.connect(user).approve(bankAddress, ethers.MaxUint256);
+    await feeToken.connect(user).approve(bankAddress, ethers.MaxUint256);
+  }
+
+  return { simpleBankV21, priceFeed, usdc, feeToken, usdcFeed, feeTokenFeed, owner, user1, user2, user3, attacker };
+}
+
+// Bank administered by SimpleBankTimelock with the default action delays,
+// which also owns the ProxyAdmin; owner proposes and executes, guardian can
+// pause, nobody holds OPERATOR_ROLE or AUDITOR_ROLE
+async function deployGovernedBankFixture() {
+  const { simpleBankV21, priceFeed, owner, user1, user2, user3: guardian, attacker } = await deployBankFixture();
+
+  const { minDelay, classes } = resolveActionDelays({});
+  const SimpleBankTimelock = await ethers.getContractFactory("SimpleBankTimelock");
+  const timelock = await deployTimelock(SimpleBankTimelock, {
+    minDelay,
+    proposers: [owner.address],
+    executors: [owner.address],
+    classes
+  });
+  const timelockAddress = await timelock.getAddress();
+  await handOverToTimelock(simpleBankV21, {
+    timelock: timelockAddress,
+    guardian: guardian.address,
+    deployer: owner.address
+  });
+  await upgrades.admin.transferProxyAdminOwnership(await simpleBankV21.getAddress(), timelockAddress, owner, { silent: true });
+
+  return { simpleBankV21, timelock, priceFeed, owner, guardian, user1, user2, attacker, minDelay, classes };
+}
+
+module.exports = {
+  PRICE_FEED_DECIMALS,
+  INITIAL_ETH_PRICE,
+  USD_PRICE,
+  deployMockPriceFeed,
+  deployBankFixture,
+  deployTokenBankFixture,
+  deployGovernedBankFixture
+};
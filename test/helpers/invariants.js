@@ -0,0 +1,72 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { checkSolvencyInvariants } = require("../../monitoring/solvency");
+
+// Every address that ever held a balance: depositors and transfer recipients
+async function knownAccounts(bank) {
+  const [deposits, transfers, batches] = await Promise.all([
+    bank.queryFilter(bank.filters.Deposit()),
+    bank.queryFilter(bank.filters.Transfer()),
+    bank.queryFilter(bank.filters.BatchTransfer())
+  ]);
+  const accounts = new Set(deposits.map((log) => log.args.user));
+  transfers.forEach((log) => accounts.add(log.args.to));
+  batches.forEach((log) => log.args.recipients.forEach((to) => accounts.add(to)));
+  return [...accounts];
+}
+
+// Assert the same accounting invariants the monitor checks (see
+// monitoring/solvency.js), using on-chain account balances:
+//   totalDeposits == sum(accounts.balance)
+//   contractBalance >= totalDeposits + interestReserve
+async function expectBankInvariants(bank) {
+  const accounts = await knownAccounts(bank);
+  const accountBalances = {};
+  for (const account of accounts) {
+    accountBalances[account] = (await bank.accounts(account)).balance;
+  }
+
+  const stats = await bank.getBankStats();
+  const contractBalance = await ethers.provider.getBalance(await bank.getAddress());
+  expect(stats.contractBalance).to.equal(contractBalance);
+
+  const result = checkSolvencyInvariants({
+    totalDeposits: stats.totalDeposits,
+    contractBalance,
+    interestReserve: await bank.interestReserve(),
+    accountBalances
+  });
+  expect(result.violations, "bank accounting invariants").to.deep.equal([]);
+  return result;
+}
+
+// The same invariants for one ERC-20, using per-token accounting:
+//   tokenStats.totalDeposits == sum(token balances)
+//   token.balanceOf(bank) >= tokenStats.totalDeposits
+async function expectTokenInvariants(bank, token) {
+  const tokenAddress = await token.getAddress();
+  const [deposits, transfers] = await Promise.all([
+    bank.queryFilter(bank.filters.TokenDeposit(tokenAddress)),
+    bank.queryFilter(bank.filters.TokenTransfer(tokenAddress))
+  ]);
+  const accounts = new Set(deposits.map((log) => log.args.user));
+  transfers.forEach((log) => accounts.add(log.args.to));
+
+  const accountBalances = {};
+  for (const account of accounts) {
+    accountBalances[account] = await bank.getTokenBalance(tokenAddress, account);
+  }
+
+  const stats = await bank.getTokenStats(tokenAddress);
+  expect(stats.contractBalance).to.equal(await token.balanceOf(await bank.getAddress()));
+
+  const result = checkSolvencyInvariants({
+    totalDeposits: stats.totalDeposits,
+    contractBalance: stats.contractBalance,
+    accountBalances
+  });
+  expect(result.violations, "token accounting invariants").to.deep.equal([]);
+  return result;
+}
+
+module.exports = { expectBankInvariants, expectTokenInvariants };
@@ -0,0 +1,67 @@
+const http = require("http");
+const { computeCid } = require("../../scripts/utils/cid");
+
+// Local stand-in for the Kubo RPC endpoints the pin store uses:
+// add (single multipart file), cat, pin/ls and pin/rm.
+// cidOverride: Hash reported by add, to simulate a node with other settings.
+async function startIpfsServer({ cidOverride } = {}) {
+  const pins = new Map();
+  const requests = [];
+
+  function fileFromMultipart(body, contentType) {
+    const boundary = /boundary=(.+)$/.exec(contentType)[1];
+    const start = body.indexOf("\r\n\r\n", body.indexOf(`--${boundary}`)) + 4;
+    const end = body.indexOf(`\r\n--${boundary}--`, start);
+    return body.subarray(start, end);
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://127.0.0.1");
+      const command = url.pathname.replace("/api/v0/", "");
+      const arg = url.searchParams.get("arg");
+      requests.push({ method: req.method, command, params: Object.fromEntries(url.searchParams) });
+
+      const reply = (status, body) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+      };
+
+      if (req.method !== "POST") {
+        return reply(405, { Message: "method not allowed", Code: 0, Type: "error" });
+      }
+      if (command === "add") {
+        const content = fileFromMultipart(Buffer.concat(chunks), req.headers["content-type"]);
+        const cid = computeCid(content, { version: Number(url.searchParams.get("cid-version") || 0) });
+        pins.set(cid, content);
+        return reply(200, { Name: cid, Hash: cidOverride || cid, Size: String(content.length) });
+      }
+      if (command === "cat" && pins.has(arg)) {
+        res.writeHead(200, { "Content-Type": "text/plain" });
+        return res.end(pins.get(arg));
+      }
+      if (command === "pin/ls" && pins.has(arg)) {
+        return reply(200, { Keys: { [arg]: { Type: "recursive" } } });
+      }
+      if (command === "pin/rm" && pins.has(arg)) {
+        pins.delete(arg);
+        return reply(200, { Pins: [arg] });
+      }
+      reply(500, { Message: `${arg}: not pinned`, Code: 0, Type: "error" });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    pins,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+module.exports = { startIpfsServer };
@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventIndexer } = require("../monitoring/indexer");
+const { deployBankFixture } = require("./helpers/fixtures");
+
+describe("Simple Bank Monitor - Event Indexer", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let user2;
+  let bankAddress;
+  let deploymentBlock;
+  let storeDir;
+  let storeFile;
+
+  function createIndexer(options = {}) {
+    return new EventIndexer({
+      provider: ethers.provider,
+      contractAddress: bankAddress,
+      storeFile,
+      startBlock: deploymentBlock,
+      confirmations: 0,
+      ...options
+    });
+  }
+
+  async function bankActivity() {
+    await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("3.0") });
+    await simpleBankV21.connect(user1).transferTo(user2.address, ethers.parseEther("1.0"));
+    await simpleBankV21.connect(user2).withdraw(ethers.parseEther("0.5"));
+    await simpleBankV21.connect(user1).setUserProfile("QmProfileHash123");
+    await simpleBankV21.connect(user1).addTransactionReceipt("QmReceiptHash456");
+    await simpleBankV21.connect(owner).grantOperatorRole(user2.address);
+    await simpleBankV21.connect(owner).toggleEmergencyMode();
+  }
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2 } = await loadFixture(deployBankFixture));
+    bankAddress = await simpleBankV21.getAddress();
+    // Index everything since the proxy was deployed
+    deploymentBlock = (await simpleBankV21.deploymentTransaction().wait()).blockNumber;
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "bank-index-"));
+    storeFile = path.join(storeDir, "events.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  describe("📚 Backfill", function () {
+    it("Should backfill banking, profile, role and emergency events", async function () {
+      await bankActivity();
+
+      const indexer = createIndexer();
+      const stats = await indexer.sync();
+
+      const names = indexer.getEvents().map((e) => e.event);
+      for (const name of ["Deposit", "Withdrawal", "Transfer", "AccountCreated", "EmergencyModeToggled",
+        "UserProfileUpdated", "TransactionReceiptAdded", "RoleGranted", "LargeTransactionAlert"]) {
+        expect(names, name).to.include(name);
+      }
+      expect(stats.newEvents).to.equal(names.length);
+
+      const [deposit] = indexer.getEvents({ event: "Deposit" });
+      expect(deposit.args.user).to.equal(user1.address);
+      expect(deposit.args.amount).to.equal(ethers.parseEther("3.0").toString());
+      expect(deposit.confirmed).to.be.true;
+
+      // Account filter matches any address argument
+      const user2Events = indexer.getEvents({ account: user2.address, event: ["Transfer", "Withdrawal"] });
+      expect(user2Events.map((e) => e.event)).to.deep.equal(["Transfer", "Withdrawal"]);
+    });
+
+    it("Should produce the same index with small getLogs chunks", async function () {
+      await bankActivity();
+
+      const full = createIndexer();
+      await full.sync();
+
+      const chunked = createIndexer({ storeFile: path.join(storeDir, "chunked.json"), chunkSize: 2 });
+      await chunked.sync();
+
+      expect(chunked.getEvents().map((e) => e.id)).to.deep.equal(full.getEvents().map((e) => e.id));
+    });
+
+    it("Should shrink the block range when the provider rejects it", async function () {
+      await bankActivity();
+
+      // Provider stand-in that only serves 3-block ranges, like many hosted RPCs
+      const limitedProvider = {
+        getBlockNumber: () => ethers.provider.getBlockNumber(),
+        getBlock: (n) => ethers.provider.getBlock(n),
+        getLogs: async (filter) => {
+          if (filter.toBlock - filter.fromBlock + 1 > 3) {
+            throw new Error("query exceeds max block range 3");
+          }
+          return ethers.provider.getLogs(filter);
+        }
+      };
+
+      const indexer = createIndexer({ provider: limitedProvider, chunkSize: 1000 });
+      await indexer.sync();
+
+      expect(indexer.reader.chunkSize).to.be.lte(3);
+      expect(indexer.getEvents({ event: "Deposit" })).to.have.length(1);
+    });
+  });
+
+  describe("💾 Checkpoint & Resume", function () {
+    it("Should resume from the checkpoint after a restart without duplicates", async function () {
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+      const first = createIndexer();
+      await first.sync();
+      const checkpoint = first.store.getCheckpoint();
+
+      await simpleBankV21.connect(user2).deposit({ value: ethers.parseEther("2.0") });
+
+      // Fresh instance reads the same file, as after a process restart
+      const restarted = createIndexer();
+      const stats = await restarted.sync();
+
+      expect(stats.fromBlock).to.equal(checkpoint.blockNumber + 1);
+      expect(restarted.getEvents({ event: "Deposit" }).map((e) => e.args.user)).to.deep.equal([user1.address, user2.address]);
+    });
+
+    it("Should refuse a store that belongs to another contract", async function () {
+      await createIndexer().sync();
+      expect(() => createIndexer({ contractAddress: user1.address })).to.throw(/belongs to contractAddress/);
+    });
+  });
+
+  describe("⛓️ Reorg Handling", function () {
+    it("Should keep recent events unconfirmed and re-fetch them", async function () {
+      const indexer = createIndexer({ confirmations: 2 });
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+      await indexer.sync();
+
+      const [pending] = indexer.getEvents({ event: "Deposit" });
+      expect(pending.confirmed).to.be.false;
+      expect(indexer.getEvents({ confirmedOnly: true, event: "Deposit" })).to.have.length(0);
+
+      await mine(2);
+      await indexer.sync();
+
+      const deposits = indexer.getEvents({ event: "Deposit" });
+      expect(deposits).to.have.length(1);
+      expect(deposits[0].confirmed).to.be.true;
+    });
+
+    it("Should roll back events from reorged blocks", async function () {
+      const snapshot = await takeSnapshot();
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+
+      const indexer = createIndexer({ maxReorgDepth: 4 });
+      await indexer.sync();
+      expect(indexer.getEvents({ event: "Deposit" })).to.have.length(2);
+
+      // Replace those blocks with a different history of the same height
+      await snapshot.restore();
+      await simpleBankV21.connect(user2).deposit({ value: ethers.parseEther("5.0") });
+      await mine(1);
+
+      const stats = await indexer.sync();
+
+      expect(stats.reorgDetected).to.be.true;
+      const deposits = indexer.getEvents({ event: "Deposit" });
+      expect(deposits.map((e) => e.args.user)).to.deep.equal([user2.address]);
+    });
+  });
+});
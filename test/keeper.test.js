@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventIndexer } = require("../monitoring/indexer");
+const { openOrderIds, findDueOrders, executeDueOrders } = require("../scripts/utils/standing-orders");
+const { runKeeperCycle, parseArgs } = require("../scripts/keeper");
+const { pollUntilInterrupted } = require("../scripts/utils/polling");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+const DAY = 24 * 60 * 60;
+
+describe("Simple Bank - Standing Order Keeper", function () {
+  let simpleBankV21;
+  let user1;
+  let user2;
+  let user3;
+  let keeper;
+  let indexer;
+  let storeDir;
+
+  const amount = ethers.parseEther("0.25");
+
+  beforeEach(async function () {
+    ({ simpleBankV21, user1, user2, user3, attacker: keeper } = await loadFixture(deployBankFixture));
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "bank-keeper-"));
+    indexer = new EventIndexer({
+      provider: ethers.provider,
+      contractAddress: await simpleBankV21.getAddress(),
+      storeFile: path.join(storeDir, "events.json"),
+      startBlock: (await simpleBankV21.deploymentTransaction().wait()).blockNumber,
+      confirmations: 0
+    });
+
+    await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+  });
+
+  afterEach(async function () {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  it("Should track open orders from indexed events", async function () {
+    const bank = simpleBankV21.connect(user1);
+    await bank.createStandingOrder(user2.address, amount, DAY, 0, 0, 1);
+    await bank.createStandingOrder(user3.address, amount, DAY, 0, 0, 5);
+    await bank.createStandingOrder(user3.address, amount, DAY, 0, 0, 5);
+    await bank.cancelStandingOrder(2);
+    await simpleBankV21.connect(keeper).executeDue([1]);
+
+    await indexer.sync();
+    expect(openOrderIds(indexer.getEvents())).to.deep.equal([3n]);
+  });
+
+  it("Should execute due orders and leave the rest for later", async function () {
+    const bank = simpleBankV21.connect(user1);
+    const now = await time.latest();
+    await bank.createStandingOrder(user2.address, amount, DAY, 0, 0, 2);
+    await bank.createStandingOrder(user3.address, amount, DAY, now + 2 * DAY, 0, 2);
+
+    let result = await runKeeperCycle({ bank: simpleBankV21.connect(keeper), indexer });
+    expect(result.candidates).to.equal(2);
+    expect(result.due.map((order) => order.id)).to.deep.equal([1n]);
+    expect(result.executed.map((order) => order.id)).to.deep.equal([1n]);
+
+    // Nothing due until a day later
+    result = await runKeeperCycle({ bank: simpleBankV21.connect(keeper), indexer });
+    expect(result.due).to.deep.equal([]);
+
+    await time.increase(2 * DAY);
+    result = await runKeeperCycle({ bank: simpleBankV21.connect(keeper), indexer });
+    expect(result.executed.map((order) => order.id)).to.deep.equal([1n, 2n]);
+    expect(result.completed).to.deep.equal([1n]);
+
+    expect((await simpleBankV21.accounts(user2.address)).balance).to.equal(amount * 2n);
+    expect((await simpleBankV21.accounts(user3.address)).balance).to.equal(amount);
+  });
+
+  it("Should report skipped orders and split large runs into batches", async function () {
+    const bank = simpleBankV21.connect(user1);
+    for (let i = 0; i < 5; i++) {
+      await bank.createStandingOrder(user2.address, amount, DAY, 0, 0, 1);
+    }
+
+    const due = await findDueOrders(simpleBankV21, [1n, 2n, 3n, 4n, 5n]);
+    const summary = await executeDueOrders(simpleBankV21.connect(keeper), due.map((order) => order.id), { maxBatchSize: 2 });
+
+    // 1 ETH covers four payments of 0.25
+    expect(summary.transactions).to.have.length(3);
+    expect(summary.executed).to.have.length(4);
+    expect(summary.skipped.map((order) => order.id)).to.deep.equal([5n]);
+    expect(summary.completed).to.have.length(5);
+  });
+
+  it("Should parse CLI flags", function () {
+    expect(parseArgs(["--once"])).to.deep.equal({ once: true });
+    expect(parseArgs(["--interval", "300"])).to.deep.equal({ interval: "300" });
+  });
+
+  it("Should stop polling as soon as it is interrupted", async function () {
+    // Stands in for SIGINT, which would reach mocha's handlers too
+    const signal = "keeper-test-interrupt";
+    let runs = 0;
+    const started = Date.now();
+    const polling = pollUntilInterrupted(async () => { runs++; }, 3600, { signal });
+
+    await new Promise((resolve) => setImmediate(resolve));
+    process.emit(signal);
+    await polling;
+
+    expect(runs).to.equal(1);
+    expect(Date.now() - started).to.be.below(1000);
+    expect(process.listenerCount(signal)).to.equal(0);
+  });
+});
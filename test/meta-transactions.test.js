@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  domainFor,
+  signTransfer,
+  signWithdrawal,
+  recoverRequestSigner,
+  submitRequest
+} = require("../scripts/utils/meta-transactions");
+const { startRelayer } = require("../scripts/relayer");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+describe("Simple Bank v2.1 - Signed Requests", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let user2;
+  let relayer;
+
+  const depositAmount = ethers.parseEther("5.0");
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2, attacker: relayer } = await loadFixture(deployBankFixture));
+    await simpleBankV21.connect(user1).deposit({ value: depositAmount });
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  describe("✍️ Signed Transfers & Withdrawals", function () {
+    it("Should move the signer's funds while the relayer pays the gas", async function () {
+      const amount = ethers.parseEther("1.5");
+      const request = await signTransfer(simpleBankV21, user1, { to: user2.address, amount });
+      expect(request.nonce).to.equal("0");
+      expect(recoverRequestSigner(await domainFor(simpleBankV21), request)).to.equal(user1.address);
+
+      const tx = submitRequest(simpleBankV21.connect(relayer), request);
+      await expect(tx).to.changeEtherBalance(user1, 0);
+      await expect(tx).to.emit(simpleBankV21, "Transfer").withArgs(user1.address, user2.address, amount, anyValue, anyValue)
+        .and.to.emit(simpleBankV21, "SignedRequestExecuted")
+        .withArgs(user1.address, relayer.address, await simpleBankV21.TRANSFER_TYPEHASH(), 0);
+
+      expect((await simpleBankV21.accounts(user1.address)).balance).to.equal(depositAmount - amount);
+      expect((await simpleBankV21.accounts(user2.address)).balance).to.equal(amount);
+      expect(await simpleBankV21.sigNonces(user1.address)).to.equal(1);
+    });
+
+    it("Should pay signed withdrawals to the signer, not the relayer", async function () {
+      const amount = ethers.parseEther("0.5");
+      const request = await signWithdrawal(simpleBankV21, user1, { amount });
+
+      const tx = submitRequest(simpleBankV21.connect(relayer), request);
+      await expect(tx).to.changeEtherBalance(user1, amount);
+      await expect(tx).to.emit(simpleBankV21, "SignedRequestExecuted")
+        .withArgs(user1.address, relayer.address, await simpleBankV21.WITHDRAWAL_TYPEHASH(), 0);
+    });
+
+    it("Should apply withdrawal holds to signed withdrawals", async function () {
+      const amount = ethers.parseEther("2.0");
+      const request = await signWithdrawal(simpleBankV21, user1, { amount });
+
+      await expect(submitRequest(simpleBankV21.connect(relayer), request))
+        .to.emit(simpleBankV21, "WithdrawalHeld")
+        .withArgs(1, user1.address, amount, anyValue);
+      expect((await simpleBankV21.getWithdrawalHold(1)).user).to.equal(user1.address);
+    });
+
+    it("Should match the on-chain domain separator", async function () {
+      const domain = await domainFor(simpleBankV21);
+      expect(await simpleBankV21.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+    });
+  });
+
+  describe("🚫 Rejected Signatures", function () {
+    it("Should reject replays", async function () {
+      const request = await signTransfer(simpleBankV21, user1, { to: user2.address, amount: ethers.parseEther("1.0") });
+      await submitRequest(simpleBankV21.connect(relayer), request);
+
+      // The nonce moved on, so the same signature now recovers someone else
+      await expect(submitRequest(simpleBankV21.connect(relayer), request))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidSignature");
+    });
+
+    it("Should reject expired requests", async function () {
+      const deadline = (await time.latest()) + 60;
+      const request = await signWithdrawal(simpleBankV21, user1, { amount: ethers.parseEther("0.1"), deadline });
+
+      await time.increaseTo(deadline + 1);
+      await expect(submitRequest(simpleBankV21.connect(relayer), request))
+        .to.be.revertedWithCustomError(simpleBankV21, "SignatureExpired")
+        .withArgs(deadline, anyValue);
+    });
+
+    it("Should reject requests signed by someone else or altered in flight", async function () {
+      const forged = await signTransfer(simpleBankV21, relayer, { to: relayer.address, amount: ethers.parseEther("1.0") });
+      await expect(submitRequest(simpleBankV21.connect(relayer), { ...forged, from: user1.address }))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidSignature")
+        .withArgs(user1.address, anyValue);
+
+      const request = await signTransfer(simpleBankV21, user1, { to: user2.address, amount: ethers.parseEther("0.1") });
+      await expect(submitRequest(simpleBankV21.connect(relayer), { ...request, to: relayer.address }))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidSignature");
+      await expect(submitRequest(simpleBankV21.connect(relayer), { ...request, signature: "0x1234" }))
+        .to.be.revertedWithCustomError(simpleBankV21, "InvalidSignature")
+        .withArgs(user1.address, ethers.ZeroAddress);
+    });
+
+    it("Should respect pause and emergency mode", async function () {
+      const transfer = await signTransfer(simpleBankV21, user1, { to: user2.address, amount: ethers.parseEther("0.1") });
+
+      await simpleBankV21.connect(owner).pause();
+      await expect(submitRequest(simpleBankV21.connect(relayer), transfer)).to.be.revertedWith("Pausable: paused");
+      await simpleBankV21.connect(owner).unpause();
+
+      await simpleBankV21.connect(owner).toggleEmergencyMode();
+      await expect(submitRequest(simpleBankV21.connect(relayer), transfer))
+        .to.be.revertedWithCustomError(simpleBankV21, "EmergencyModeActive");
+
+      // Wind-down withdrawals still go through
+      const withdrawal = await signWithdrawal(simpleBankV21, user1, { amount: depositAmount });
+      await expect(submitRequest(simpleBankV21.connect(relayer), withdrawal))
+        .to.changeEtherBalance(user1, depositAmount);
+    });
+  });
+
+  describe("🛰️ Relayer", function () {
+    let server;
+
+    beforeEach(async function () {
+      server = await startRelayer({ bank: simpleBankV21.connect(relayer), port: 0 });
+    });
+
+    afterEach(async function () {
+      await server.close();
+    });
+
+    async function post(request) {
+      const response = await fetch(`${server.url}/relay`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(request)
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    it("Should relay valid requests and report nonces", async function () {
+      const nonce = await (await fetch(`${server.url}/nonce/${user1.address}`)).json();
+      expect(nonce).to.deep.equal({ address: user1.address, nonce: "0" });
+
+      const request = await signTransfer(simpleBankV21, user1, { to: user2.address, amount: ethers.parseEther("1.0") });
+      const { status, body } = await post(request);
+      expect(status).to.equal(200);
+
+      const receipt = await ethers.provider.getTransactionReceipt(body.transactionHash);
+      expect(receipt.from).to.equal(relayer.address);
+      expect((await simpleBankV21.accounts(user2.address)).balance).to.equal(ethers.parseEther("1.0"));
+
+      // The same request again is stale
+      expect((await post(request)).status).to.equal(409);
+    });
+
+    it("Should refuse requests before spending gas on them", async function () {
+      const before = await ethers.provider.getBalance(relayer.address);
+
+      const forged = await signTransfer(simpleBankV21, relayer, { to: relayer.address, amount: 1n });
+      expect((await post({ ...forged, from: user1.address })).status).to.equal(401);
+      expect((await post({ type: "mint", from: user1.address })).status).to.equal(400);
+
+      const tooMuch = await signWithdrawal(simpleBankV21, user1, { amount: depositAmount + 1n });
+      const { status, body } = await post(tooMuch);
+      expect(status).to.equal(422);
+      expect(body.error).to.match(/InsufficientBalance/);
+
+      expect(await ethers.provider.getBalance(relayer.address)).to.equal(before);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  AlertDispatcher,
+  WebhookNotifier,
+  SlackNotifier,
+  DiscordNotifier,
+  FileNotifier,
+  createNotifier,
+  notifiersFromEnv
+} = require("../monitoring/notifiers");
+const { startAlertServer } = require("./helpers/alert-server");
+
+function buildAlert(overrides = {}) {
+  return {
+    timestamp: new Date().toISOString(),
+    contract: "0x0000000000000000000000000000000000000001",
+    network: "localhost",
+    severity: "warning",
+    title: "💰 LARGE DEPOSIT DETECTED",
+    data: { user: "0x0000000000000000000000000000000000000002", amount: "5.0", transactionId: 7n },
+    ...overrides
+  };
+}
+
+describe("Simple Bank Monitor - Alert Sinks", function () {
+  let server;
+
+  afterEach(async function () {
+    if (server) {
+      await server.close();
+      server = null;
+    }
+  });
+
+  describe("📤 Webhook Delivery", function () {
+    it("Should POST the alert as JSON to a generic webhook", async function () {
+      server = await startAlertServer();
+      const notifier = new WebhookNotifier({ url: `${server.url}/hook`, headers: { Authorization: "Bearer t" } });
+
+      const result = await notifier.notify(buildAlert());
+
+      expect(result.delivered).to.be.true;
+      expect(server.requests).to.have.length(1);
+      expect(server.requests[0].url).to.equal("/hook");
+      expect(server.requests[0].headers.authorization).to.equal("Bearer t");
+      expect(server.requests[0].body.title).to.equal("💰 LARGE DEPOSIT DETECTED");
+      // BigInt values are serialized as strings
+      expect(server.requests[0].body.data.transactionId).to.equal("7");
+    });
+
+    it("Should format Slack and Discord payloads", async function () {
+      server = await startAlertServer();
+      const dispatcher = new AlertDispatcher([
+        new SlackNotifier({ url: `${server.url}/slack` }),
+        new DiscordNotifier({ url: `${server.url}/discord` })
+      ]);
+
+      await dispatcher.dispatch(buildAlert({ severity: "critical" }));
+
+      const slack = server.requests.find((r) => r.url === "/slack").body;
+      expect(slack.text).to.contain("[CRITICAL]");
+      expect(slack.attachments[0].fields.map((f) => f.title)).to.include("amount");
+
+      const discord = server.requests.find((r) => r.url === "/discord").body;
+      expect(discord.embeds[0].title).to.contain("LARGE DEPOSIT DETECTED");
+      expect(discord.embeds[0].fields.find((f) => f.name === "amount").value).to.equal("5.0");
+    });
+  });
+
+  describe("🔁 Retry & Backoff", function () {
+    it("Should retry failed deliveries with backoff", async function () {
+      server = await startAlertServer({ failFirst: 2 });
+      const notifier = new WebhookNotifier({ url: server.url, retries: 3, backoffMs: 20 });
+
+      const startedAt = Date.now();
+      const result = await notifier.notify(buildAlert());
+
+      expect(result).to.include({ delivered: true, attempts: 3 });
+      expect(server.requests).to.have.length(3);
+      // 20ms + 40ms of backoff
+      expect(Date.now() - startedAt).to.be.gte(60);
+    });
+
+    it("Should give up after the configured retries without throwing", async function () {
+      server = await startAlertServer({ failFirst: 10 });
+      const dispatcher = new AlertDispatcher([
+        { type: "webhook", url: server.url, retries: 2, backoffMs: 1 },
+        { type: "stdout" }
+      ]);
+
+      const results = await dispatcher.dispatch(buildAlert());
+
+      expect(results[0]).to.include({ sink: "webhook", delivered: false, attempts: 2 });
+      expect(results[1]).to.include({ sink: "stdout", delivered: true });
+    });
+  });
+
+  describe("🎚️ Severity Filtering", function () {
+    it("Should only deliver alerts at or above each sink's minimum severity", async function () {
+      server = await startAlertServer();
+      const dispatcher = new AlertDispatcher([
+        { type: "webhook", name: "pager", url: `${server.url}/pager`, minSeverity: "critical" },
+        { type: "webhook", name: "chat", url: `${server.url}/chat`, minSeverity: "info" }
+      ]);
+
+      const infoResults = await dispatcher.dispatch(buildAlert({ severity: "info" }));
+      await dispatcher.dispatch(buildAlert({ severity: "critical" }));
+
+      expect(infoResults[0]).to.include({ sink: "pager", skipped: true });
+      expect(server.requests.filter((r) => r.url === "/pager")).to.have.length(1);
+      expect(server.requests.filter((r) => r.url === "/chat")).to.have.length(2);
+    });
+
+    it("Should reject unknown severities and notifier types", function () {
+      expect(() => createNotifier({ type: "stdout", minSeverity: "loud" })).to.throw(/Unknown alert severity/);
+      expect(() => createNotifier({ type: "carrier-pigeon" })).to.throw(/Unknown notifier type/);
+    });
+  });
+
+  describe("🗂️ File Sink & Env Config", function () {
+    it("Should append alerts as JSON lines", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bank-alerts-"));
+      const file = path.join(dir, "nested", "alerts.jsonl");
+      const notifier = new FileNotifier({ file });
+
+      await notifier.notify(buildAlert({ title: "first" }));
+      await notifier.notify(buildAlert({ title: "second" }));
+
+      const lines = fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+      expect(lines.map((l) => l.title)).to.deep.equal(["first", "second"]);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should enable sinks from environment variables", function () {
+      const specs = notifiersFromEnv({
+        SLACK_WEBHOOK_URL: "http://slack",
+        ALERT_LOG_FILE: "alerts.jsonl"
+      });
+      expect(specs.map((s) => s.type)).to.deep.equal(["stdout", "slack", "file"]);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  parsePayrollCsv,
+  validatePayroll,
+  planChunks,
+  dryRunChunks,
+  sendChunks
+} = require("../scripts/utils/payroll");
+const { runPayroll, parseArgs } = require("../scripts/payroll");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+describe("Simple Bank - Payroll", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let contractors;
+  let payroll;
+
+  const csvFor = (rows) => ["name,address,amount", ...rows].join("\n");
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1 } = await loadFixture(deployBankFixture));
+    contractors = (await ethers.getSigners()).slice(6, 12);
+    payroll = simpleBankV21.connect(user1);
+    await payroll.deposit({ value: ethers.parseEther("10.0") });
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  describe("📄 CSV Validation", function () {
+    it("Should parse quoted fields and keep extra columns", function () {
+      const rows = parsePayrollCsv(csvFor([`"Doe, Jane",${contractors[0].address},1.25`, ""]));
+      expect(rows).to.have.length(1);
+      expect(rows[0]).to.include({ line: 2, name: "Doe, Jane", address: contractors[0].address, amount: "1.25" });
+      expect(rows[0].amountWei).to.equal(ethers.parseEther("1.25"));
+
+      expect(() => parsePayrollCsv("name,wallet\nx,0x0")).to.throw(/missing the "address" column/);
+    });
+
+    it("Should report every bad row and an overdrawn total", function () {
+      const rows = parsePayrollCsv(csvFor([
+        `a,${contractors[0].address},1.0`,
+        "b,0x1234,1.0",
+        `c,${contractors[0].address.toLowerCase()},1.0`,
+        `d,${user1.address},1.0`,
+        `e,${contractors[1].address},lots`,
+        `f,${contractors[2].address},0`,
+        `g,${contractors[3].address},20`
+      ]));
+
+      const result = validatePayroll(rows, { payer: user1.address, balance: ethers.parseEther("10.0") });
+      expect(result.valid).to.be.false;
+      expect(result.errors.map((e) => [e.line, e.message])).to.deep.equal([
+        [0, "total 21.0 ETH exceeds balance 10.0 ETH"],
+        [3, 'invalid address "0x1234"'],
+        [4, "duplicate of line 2"],
+        [5, "payer can't pay themselves"],
+        [6, 'invalid amount "lots"'],
+        [7, "amount must be positive"]
+      ]);
+    });
+
+    it("Should check the total against funds not locked in holds", async function () {
+      await payroll.withdraw(ethers.parseEther("5.0"));
+      const rows = parsePayrollCsv(csvFor([`a,${contractors[0].address},6.0`]));
+
+      const stats = await simpleBankV21.getUserStats(user1.address);
+      const available = await simpleBankV21.getAvailableBalance(user1.address);
+      const result = validatePayroll(rows, { payer: user1.address, balance: stats.balance, available });
+      expect(result.errors.map((e) => e.message)).to.deep.equal(["total 6.0 ETH exceeds available 5.0 ETH (funds held)"]);
+    });
+  });
+
+  describe("⛽ Chunked Sending", function () {
+    function contractorPayroll(count) {
+      return {
+        recipients: contractors.slice(0, count).map((signer) => signer.address),
+        amounts: contractors.slice(0, count).map((_, i) => ethers.parseEther(String(i + 1)) / 10n)
+      };
+    }
+
+    it("Should split payments to fit the gas budget and pay everyone", async function () {
+      const payments = contractorPayroll(6);
+      const single = await planChunks(payroll, payments);
+      expect(single).to.have.length(1);
+
+      // A budget between the cost of 2 and 3 new accounts forces chunks of 2
+      const twoLegs = await payroll.batchTransfer.estimateGas(payments.recipients.slice(0, 2), payments.amounts.slice(0, 2));
+      const chunks = await planChunks(payroll, payments, { maxGasPerChunk: twoLegs + 10_000n });
+      expect(chunks.map((chunk) => chunk.recipients.length)).to.deep.equal([2, 2, 2]);
+
+      await dryRunChunks(payroll, chunks);
+      const completed = await sendChunks(payroll, chunks);
+      expect(completed).to.have.length(3);
+
+      for (const [i, recipient] of payments.recipients.entries()) {
+        expect((await simpleBankV21.accounts(recipient)).balance).to.equal(payments.amounts[i]);
+      }
+      expect((await simpleBankV21.accounts(user1.address)).balance).to.equal(ethers.parseEther("7.9"));
+    });
+
+    it("Should stop at a failing chunk and report what is left", async function () {
+      const payments = contractorPayroll(4);
+      const chunks = await planChunks(payroll, payments, { maxBatchSize: 2 });
+
+      // Pausing after planning makes the second chunk fail
+      const error = await sendChunks(payroll, chunks, {
+        onChunk: () => simpleBankV21.connect(owner).pause()
+      }).catch((e) => e);
+      expect(error).to.be.an("error");
+      expect(error.completed).to.have.length(1);
+      expect(error.remaining).to.have.length(1);
+      expect(error.remaining[0].recipients).to.deep.equal(payments.recipients.slice(2));
+      await simpleBankV21.connect(owner).unpause();
+    });
+  });
+
+  describe("⌨️ Payroll Runs", function () {
+    it("Should dry run without sending anything", async function () {
+      const csv = csvFor(contractors.slice(0, 3).map((signer, i) => `c${i},${signer.address},0.5`));
+      const result = await runPayroll(payroll, csv, { payer: user1.address, dryRun: true });
+
+      expect(result.dryRun).to.be.true;
+      expect(result.total).to.equal(ethers.parseEther("1.5"));
+      expect((await simpleBankV21.accounts(user1.address)).balance).to.equal(ethers.parseEther("10.0"));
+    });
+
+    it("Should refuse an invalid payroll before simulating", async function () {
+      const csv = csvFor([`a,${contractors[0].address},11`]);
+      await expect(runPayroll(payroll, csv, { payer: user1.address }))
+        .to.be.rejectedWith(/1 problem\(s\); nothing was sent/);
+    });
+
+    it("Should reject payrolls that would revert in the dry run", async function () {
+      await simpleBankV21.connect(owner).pause();
+      const csv = csvFor([`a,${contractors[0].address},1`]);
+      await expect(runPayroll(payroll, csv, { payer: user1.address })).to.be.rejected;
+      await simpleBankV21.connect(owner).unpause();
+    });
+
+    it("Should parse CLI flags", function () {
+      expect(parseArgs(["payroll.csv", "--dry-run", "--max-gas", "5000000"])).to.deep.equal({
+        args: ["payroll.csv"],
+        options: { "dry-run": true, "max-gas": "5000000" }
+      });
+    });
+  });
+});
@@ -0,0 +1,240 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventIndexer } = require("../monitoring/indexer");
+const { cidV0, cidV1, computeCid } = require("../scripts/utils/cid");
+const { LocalPinStore, IpfsHttpPinStore, createPinStore } = require("../scripts/utils/pinning");
+const {
+  RECEIPT_EVENTS,
+  encodeDocument,
+  ReceiptService,
+  fetchDocument,
+  readReceiptTrail
+} = require("../scripts/utils/receipts");
+const { parseArgs } = require("../scripts/receipts");
+const { deployBankFixture } = require("./helpers/fixtures");
+const { startIpfsServer } = require("./helpers/ipfs-server");
+
+describe("Simple Bank - Receipt Pinning", function () {
+  let storeDir;
+
+  beforeEach(function () {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "bank-receipts-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  describe("🔑 Content Identifiers", function () {
+    it("Should match the CIDs ipfs add reports", function () {
+      const content = Buffer.from("hello world\n");
+      expect(cidV0(content)).to.equal("QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o");
+      expect(cidV1(content)).to.equal("bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4");
+      expect(computeCid("hello world\n")).to.equal(cidV1(content));
+    });
+
+    it("Should give the same CID regardless of key order", function () {
+      const a = encodeDocument({ b: 1, a: { d: 2, c: 3 } });
+      const b = encodeDocument({ a: { c: 3, d: 2 }, b: 1 });
+      expect(computeCid(a)).to.equal(computeCid(b));
+    });
+
+    it("Should reject unsupported versions and oversized content", function () {
+      expect(() => computeCid("x", { version: 2 })).to.throw("Unsupported CID version 2");
+      expect(() => computeCid(Buffer.alloc(256 * 1024 + 1))).to.throw("single-chunk");
+    });
+  });
+
+  describe("📌 Pin Stores", function () {
+    it("Should pin and read back content in the local store", async function () {
+      const store = new LocalPinStore({ dir: storeDir });
+      const cid = await store.pin(Buffer.from("hello world\n"));
+
+      expect(cid).to.equal(cidV1("hello world\n"));
+      expect(await store.has(cid)).to.be.true;
+      expect((await store.get(cid)).toString()).to.equal("hello world\n");
+
+      // Tampered files are caught on read
+      fs.writeFileSync(path.join(storeDir, cid), "goodbye world\n");
+      await expect(store.get(cid)).to.be.rejectedWith("does not match its CID");
+
+      await store.unpin(cid);
+      expect(await store.has(cid)).to.be.false;
+      await expect(store.get(cid)).to.be.rejectedWith("is not pinned");
+      await expect(store.get("../escape")).to.be.rejectedWith("Invalid CID");
+    });
+
+    it("Should pin through the IPFS HTTP API", async function () {
+      const server = await startIpfsServer();
+      try {
+        const store = new IpfsHttpPinStore({ apiUrl: `${server.url}/`, cidVersion: 0 });
+        const cid = await store.pin("hello world\n");
+
+        expect(cid).to.equal("QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o");
+        expect(server.requests[0]).to.include({ method: "POST", command: "add" });
+        expect(server.requests[0].params).to.include({ "cid-version": "0", "raw-leaves": "false", pin: "true" });
+        expect((await store.get(cid)).toString()).to.equal("hello world\n");
+        expect(await store.has(cid)).to.be.true;
+
+        await store.unpin(cid);
+        expect(await store.has(cid)).to.be.false;
+      } finally {
+        await server.close();
+      }
+    });
+
+    it("Should refuse a node that reports a different CID", async function () {
+      const server = await startIpfsServer({ cidOverride: "QmSomethingElse" });
+      try {
+        const store = new IpfsHttpPinStore({ apiUrl: server.url });
+        await expect(store.pin("hello world\n")).to.be.rejectedWith("IPFS node returned QmSomethingElse");
+      } finally {
+        await server.close();
+      }
+    });
+
+    it("Should pick a store from the environment", function () {
+      expect(createPinStore({}, { RECEIPT_STORE_DIR: storeDir })).to.include({ name: "local", dir: storeDir, cidVersion: 1 });
+      expect(createPinStore({}, { IPFS_API_URL: "http://127.0.0.1:5001", IPFS_CID_VERSION: "0" }))
+        .to.include({ name: "ipfs-http", apiUrl: "http://127.0.0.1:5001", cidVersion: 0 });
+    });
+  });
+
+  describe("🧾 Receipt Service", function () {
+    let simpleBankV21;
+    let owner;
+    let user1;
+    let user2;
+    let user3;
+    let indexer;
+    let store;
+
+    function createService(user, options = {}) {
+      return new ReceiptService({
+        bank: simpleBankV21.connect(user),
+        store,
+        account: user.address,
+        chainId: 31337n,
+        stateFile: path.join(storeDir, `state-${user.address}.json`),
+        ...options
+      });
+    }
+
+    async function newEvents(account) {
+      await indexer.sync();
+      return indexer.getEvents({ event: RECEIPT_EVENTS, account });
+    }
+
+    beforeEach(async function () {
+      ({ simpleBankV21, owner, user1, user2, user3 } = await loadFixture(deployBankFixture));
+      store = new LocalPinStore({ dir: path.join(storeDir, "ipfs") });
+      indexer = new EventIndexer({
+        provider: ethers.provider,
+        contractAddress: await simpleBankV21.getAddress(),
+        storeFile: path.join(storeDir, "events.json"),
+        startBlock: (await simpleBankV21.deploymentTransaction().wait()).blockNumber,
+        confirmations: 0
+      });
+    });
+
+    it("Should pin a receipt for each side of the account's activity", async function () {
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("2.0") });
+      await simpleBankV21.connect(user1).transferTo(user2.address, ethers.parseEther("0.5"));
+      await simpleBankV21.connect(user1).batchTransfer(
+        [user2.address, user3.address],
+        [ethers.parseEther("0.25"), ethers.parseEther("0.1")]
+      );
+
+      const service = createService(user2);
+      const { added, archived } = await service.processEvents(await newEvents(user2.address));
+
+      expect(archived).to.be.empty;
+      expect(added.map(({ receipt }) => receipt.amountEth)).to.deep.equal(["0.5", "0.25"]);
+      expect(added[0].receipt).to.include({
+        type: "transfer",
+        direction: "in",
+        account: user2.address,
+        counterparty: user1.address,
+        chainId: 31337
+      });
+      expect(added[1].receipt.batchIndex).to.equal(0);
+      expect(await simpleBankV21.getTransactionReceipts(user2.address)).to.deep.equal(added.map(({ cid }) => cid));
+
+      const stored = await fetchDocument(store, added[0].cid);
+      expect(stored).to.deep.equal(added[0].receipt);
+    });
+
+    it("Should not pin the same event twice across restarts", async function () {
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+      const first = await createService(user1).processEvents(await newEvents(user1.address));
+      expect(first.added).to.have.length(1);
+      expect(first.added[0].receipt).to.include({ type: "deposit", direction: "in", balanceAfter: ethers.parseEther("1.0").toString() });
+
+      await simpleBankV21.connect(user1).withdraw(ethers.parseEther("0.25"));
+      const second = await createService(user1).processEvents(await newEvents(user1.address));
+      expect(second.added.map(({ receipt }) => receipt.type)).to.deep.equal(["withdrawal"]);
+      expect(await simpleBankV21.getReceiptCount(user1.address)).to.equal(2);
+    });
+
+    it("Should archive the oldest receipts when the account is at the cap", async function () {
+      const maximum = Number(await simpleBankV21.MAX_RECEIPTS_PER_USER());
+      const fillers = [];
+      for (let i = 0; i < maximum - 1; i++) {
+        fillers.push(await store.pin(`filler ${i}\n`));
+        await simpleBankV21.connect(user1).addTransactionReceipt(fillers[i]);
+      }
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+      await simpleBankV21.connect(user1).transferTo(user2.address, ethers.parseEther("0.5"));
+
+      const service = createService(user1, { archiveBatch: 10 });
+      const { added, archived } = await service.processEvents(await newEvents(user1.address));
+
+      expect(added).to.have.length(2);
+      expect(archived).to.have.length(1);
+      expect(await simpleBankV21.getReceiptArchive(user1.address)).to.equal(archived[0]);
+      expect(await simpleBankV21.getReceiptCount(user1.address)).to.equal(maximum - 9);
+
+      const archive = await fetchDocument(store, archived[0]);
+      expect(archive).to.include({ previous: null, account: user1.address });
+      expect(archive.receipts).to.deep.equal(fillers.slice(0, 10));
+
+      // A second archive links back to the first
+      const next = await service.archiveOldest(5);
+      expect((await fetchDocument(store, next)).previous).to.equal(archived[0]);
+
+      const trail = await readReceiptTrail(simpleBankV21, store, user1.address);
+      expect(trail).to.deep.equal([...fillers, ...added.map(({ cid }) => cid)]);
+    });
+
+    it("Should unpin a receipt whose on-chain write fails", async function () {
+      await simpleBankV21.connect(user1).deposit({ value: ethers.parseEther("1.0") });
+      await simpleBankV21.connect(owner).pause();
+
+      const service = createService(user1);
+      await expect(service.processEvents(await newEvents(user1.address))).to.be.rejected;
+      expect(fs.existsSync(store.dir) ? fs.readdirSync(store.dir) : []).to.be.empty;
+      expect(await simpleBankV21.getReceiptCount(user1.address)).to.equal(0);
+
+      // Nothing was recorded as processed, so the next run picks it up
+      await simpleBankV21.connect(owner).unpause();
+      const { added } = await service.processEvents(await newEvents(user1.address));
+      expect(added).to.have.length(1);
+      expect(await store.has(added[0].cid)).to.be.true;
+    });
+  });
+
+  describe("⌨️ CLI", function () {
+    it("Should parse commands and options", function () {
+      expect(parseArgs(["sync", "--watch", "--interval", "5"])).to.deep.equal({
+        command: "sync",
+        args: [],
+        options: { watch: true, interval: "5" }
+      });
+      expect(parseArgs(["show", "bafkreiabc"])).to.deep.equal({ command: "show", args: ["bafkreiabc"], options: {} });
+    });
+  });
+});
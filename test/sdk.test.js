@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  SimpleBankClient,
+  BankContractError,
+  DEFAULT_DEPLOYMENTS_DIR,
+  BankRevertError,
+  isBankContractError,
+  formatAmount,
+  formatUsd,
+  parseAmount
+} = require("../sdk");
+const { buildSdk } = require("../scripts/build-sdk");
+const { writeDeployment } = require("../scripts/utils/deployments");
+const { INITIAL_ETH_PRICE, deployBankFixture } = require("./helpers/fixtures");
+const { expectBankInvariants } = require("./helpers/invariants");
+
+require("@nomicfoundation/hardhat-chai-matchers");
+
+describe("Simple Bank - SDK", function () {
+  let simpleBankV21;
+  let owner;
+  let user1;
+  let user2;
+  let client;
+
+  beforeEach(async function () {
+    ({ simpleBankV21, owner, user1, user2 } = await loadFixture(deployBankFixture));
+    client = new SimpleBankClient({ address: await simpleBankV21.getAddress(), runner: user1 });
+  });
+
+  afterEach(async function () {
+    await expectBankInvariants(simpleBankV21);
+  });
+
+  describe("💸 Transactions & Reads", function () {
+    it("Should deposit, withdraw and transfer with decimal amounts", async function () {
+      const deposit = await client.deposit("2.5");
+      expect(deposit.newBalance).to.equal(ethers.parseEther("2.5"));
+      expect(deposit.events.map((e) => e.name)).to.include("Deposit");
+
+      const withdrawal = await client.withdraw("0.5");
+      expect(withdrawal.held).to.be.false;
+      expect(withdrawal.transactionId).to.equal(deposit.transactionId + 1n);
+
+      const transfer = await client.transfer(user2.address, ethers.parseEther("0.25"));
+      expect(transfer.transactionId).to.equal(withdrawal.transactionId + 1n);
+
+      expect(await client.getBalance()).to.equal(ethers.parseEther("1.75"));
+      const gift = await client.depositFor(user2.address, "0.25");
+      expect(gift.newBalance).to.equal(ethers.parseEther("0.5"));
+      expect(await client.getBalance(user2)).to.equal(ethers.parseEther("0.5"));
+      expect(await client.getBalanceInUsd()).to.equal(ethers.parseEther("1.75") * INITIAL_ETH_PRICE / 10n ** 18n);
+
+      const stats = await client.getStats();
+      expect(stats).to.include({ address: user1.address, transactionCount: 3, isActive: true });
+      expect(stats.availableBalance).to.equal(ethers.parseEther("1.75"));
+
+      const history = await client.getHistory();
+      expect(history.map((record) => [record.type, record.direction])).to.deep.equal([
+        ["deposit", "in"],
+        ["withdrawal", "out"],
+        ["transfer", "out"]
+      ]);
+      expect(history[2].counterparty).to.equal(user2.address);
+      expect(await client.getHistory(undefined, { fromId: history[2].id })).to.have.length(1);
+
+      const bankStats = await client.getBankStats();
+      expect(bankStats.totalDeposits).to.equal(ethers.parseEther("2.25"));
+      expect(bankStats.emergencyMode).to.be.false;
+    });
+
+    it("Should report large withdrawals as held", async function () {
+      await client.deposit("3");
+      const withdrawal = await client.withdraw("2");
+
+      expect(withdrawal.held).to.be.true;
+      expect(withdrawal.holdId).to.equal(1n);
+      expect(await client.getAvailableBalance()).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should store and read profiles and receipts", async function () {
+      await client.setProfile("QmProfileHash123");
+      await client.addReceipt("QmReceiptHash123");
+
+      const profile = await client.getProfile();
+      expect(profile).to.include({ profileHash: "QmProfileHash123", hasProfile: true });
+      expect(profile.receipts).to.deep.equal(["QmReceiptHash123"]);
+      expect((await client.getProfile(user2.address)).profileHash).to.be.null;
+    });
+
+    it("Should read without a signer", async function () {
+      await client.deposit("1");
+      const reader = client.connect(ethers.provider);
+
+      expect(await reader.getBalance(user1.address)).to.equal(ethers.parseEther("1"));
+      await expect(reader.getBalance()).to.be.rejectedWith(/no signer/);
+    });
+  });
+
+  describe("🚨 Typed Errors", function () {
+    it("Should decode custom errors with named arguments", async function () {
+      await client.deposit("1");
+
+      const error = await client.transfer(user2.address, "5").catch((e) => e);
+      expect(error).to.be.instanceOf(BankContractError);
+      expect(isBankContractError(error, "InsufficientBalance")).to.be.true;
+      expect(error.args).to.deep.equal({ requested: ethers.parseEther("5"), available: ethers.parseEther("1") });
+      expect(error.message).to.equal("Insufficient balance: requested 5 ETH, available 1 ETH");
+
+      await expect(client.transfer(user1.address, "0.1")).to.be.rejectedWith(BankContractError, "Cannot transfer to yourself");
+    });
+
+    it("Should decode errors from view calls", async function () {
+      await time.increase(Number(await simpleBankV21.MAX_ORACLE_STALENESS()) + 1);
+
+      const error = await client.getBalanceInUsd().catch((e) => e);
+      expect(isBankContractError(error, "StaleOracleData")).to.be.true;
+      expect(error.args.maxAge).to.equal(3600n);
+    });
+
+    it("Should surface require messages as revert errors", async function () {
+      await simpleBankV21.connect(owner).pause();
+
+      const error = await client.deposit("1").catch((e) => e);
+      expect(error).to.be.instanceOf(BankRevertError);
+      expect(error.reason).to.equal("Pausable: paused");
+      await simpleBankV21.connect(owner).unpause();
+    });
+  });
+
+  describe("📦 Packaging", function () {
+    let tmpDir;
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "bank-sdk-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should resolve the contract address from deployment files", async function () {
+      writeDeployment("hardhat", {
+        network: "hardhat",
+        chainId: 31337,
+        contractAddress: await simpleBankV21.getAddress()
+      }, tmpDir);
+
+      const byChain = await SimpleBankClient.fromDeployment(user1, { deploymentsDir: tmpDir });
+      expect(byChain.address).to.equal(await simpleBankV21.getAddress());
+      expect(byChain.deployment.network).to.equal("hardhat");
+
+      await expect(SimpleBankClient.fromDeployment(user1, { network: "sepolia", deploymentsDir: tmpDir }))
+        .to.be.rejectedWith(/No deployment for sepolia/);
+
+      // Same directory the deploy scripts write to, wherever the caller runs from
+      expect(DEFAULT_DEPLOYMENTS_DIR).to.equal(path.join(__dirname, "..", "deployments"));
+    });
+
+    it("Should generate the ABI and error types from the artifacts", async function () {
+      const [abiFile, typesFile] = await buildSdk({ outDir: tmpDir });
+
+      const { abi } = JSON.parse(fs.readFileSync(abiFile, "utf8"));
+      const events = abi.filter((fragment) => fragment.type === "event").map((fragment) => fragment.name);
+      expect(events).to.include.members(["AccountCreated", "EmergencyModeToggled", "UserProfileUpdated"]);
+
+      const types = fs.readFileSync(typesFile, "utf8");
+      expect(types).to.include("InsufficientBalance: { requested: bigint; available: bigint };");
+      expect(types).to.include("TransferToSelf: {};");
+
+      // The committed copy is what sdk/index.d.ts imports before a build
+      const committed = fs.readFileSync(path.join(__dirname, "..", "sdk", "generated", "errors.d.ts"), "utf8");
+      expect(types).to.equal(committed, "sdk/generated/errors.d.ts is stale - run npm run build:sdk");
+    });
+
+    it("Should parse and format amounts", function () {
+      expect(parseAmount("1.5")).to.equal(ethers.parseEther("1.5"));
+      expect(parseAmount(7n)).to.equal(7n);
+      expect(parseAmount("2", 6)).to.equal(2_000_000n);
+      expect(formatAmount(ethers.parseEther("1.2345"))).to.equal("1.2345 ETH");
+      expect(formatAmount(ethers.parseEther("3"))).to.equal("3 ETH");
+      expect(formatAmount(2_500_000n, { decimals: 6, symbol: "USDC" })).to.equal("2.5 USDC");
+      expect(formatUsd(1750n * 10n ** 8n)).to.equal("$1750.00");
+    });
+  });
+});